@@ -1,11 +1,21 @@
 /**
- * Fetch interceptor for AI Gateway BYOK (Bring Your Own Key) mode
+ * Fetch interceptor for AI Gateway BYOK (Bring Your Own Key) mode and LLM cost accounting
  * Build: 2026-02-05T10:14
  * 
- * This interceptor does TWO things:
+ * This interceptor does SIX things:
  * 1. URL Rewriting: Redirects native Google API requests to Cloudflare AI Gateway
  *    (because OpenClaw doesn't pass baseUrl to the @ai-sdk/google SDK)
  * 2. BYOK Header Management: Removes API keys and adds cf-aig-authorization
+ *    (1 and 2 are declarative routing rules, see fetch-interceptor-rules.cjs)
+ * 3. Cost Accounting: Parses token usage from LLM responses (Anthropic, OpenAI-compatible,
+ *    Google, and the same providers behind AI Gateway), prices it, and writes a local ledger
+ *    (see fetch-interceptor-usage.cjs)
+ * 4. Budgets: Refuses LLM requests with a provider-style 429 error once a spend/token cap is hit
+ *    (see fetch-interceptor-budget.cjs)
+ * 5. Resilience: Retries failing LLM calls with backoff, optionally fails over from AI Gateway
+ *    to the provider, and trips a per-upstream circuit breaker (see fetch-interceptor-retry.cjs)
+ * 6. Debug Capture (opt-in): Records redacted LLM exchanges to /tmp/llm-traffic.jsonl
+ *    (see fetch-interceptor-capture.cjs)
  * 
  * BYOK Flow:
  * 1. SDK sends request to generativelanguage.googleapis.com with x-goog-api-key
@@ -15,148 +25,199 @@
  * 5. Gateway receives request with NO API key → injects Provider Key from BYOK config
  * 6. Google AI Studio receives the real API key
  * 
+ * Accounting Flow:
+ * 1. Requests to known LLM endpoints are detected by host/path (direct or via AI Gateway)
+ * 2. JSON responses are read from a clone; SSE streams are parsed while being passed
+ *    through untouched to the SDK (OpenAI-compatible streams get stream_options.include_usage
+ *    added to the request so they report usage at all)
+ * 3. Usage is priced from the per-model table (USD per million tokens)
+ * 4. One record per request is appended to $LLM_USAGE_DIR/ledger-YYYY-MM.jsonl and
+ *    daily/per-model totals are kept in $LLM_USAGE_DIR/summary.json (read by the admin API)
+ * 
  * Usage: NODE_OPTIONS="--require /path/to/fetch-cost-interceptor.cjs" node app.js
  * 
  * Environment variables:
  * - CF_AIG_AUTHORIZATION: API token for AI Gateway authentication (required for BYOK)
  * - AI_GATEWAY_BASE_URL: Base URL for AI Gateway (e.g., https://gateway.ai.cloudflare.com/v1/{account}/{gateway}/google-ai-studio)
+ * - FETCH_INTERCEPTOR_RULES: Optional custom routing rules (inline JSON or path to a JSON file)
+ * - LLM_USAGE_DIR: Directory for the usage ledger and summary (default: /root/.openclaw/usage)
+ * - LLM_PRICING_FILE: Optional JSON file with per-model prices merged over the defaults, e.g.
+ *   { "claude-sonnet-4": { "input": 3, "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75 } }
+ * - LLM_BUDGET_DAILY_USD / LLM_BUDGET_MONTHLY_USD: Overall spend caps (UTC day / calendar month)
+ * - LLM_BUDGET_DAILY_TOKENS / LLM_BUDGET_MONTHLY_TOKENS: Overall token caps (input + output + cache)
+ * - LLM_BUDGET_PROVIDERS: JSON per-provider caps, e.g. {"anthropic":{"dailyUsd":5,"monthlyTokens":5e7}}
+ * - LLM_BUDGET_WARN_PERCENT: Log a warning when a cap is this % used (default: 80)
+ * - LLM_RETRY_MAX_ATTEMPTS: Attempts per LLM request including the first (default: 3, 1 disables)
+ * - LLM_RETRY_BASE_DELAY_MS / LLM_RETRY_MAX_DELAY_MS: Backoff bounds (default: 1000 / 30000)
+ * - LLM_FAILOVER: Set to 'true' to fail over from AI Gateway to the provider's direct API
+ * - LLM_CIRCUIT_THRESHOLD / LLM_CIRCUIT_COOLDOWN_MS: Breaker trip count and open time (default: 5 / 30000)
+ * - LLM_CAPTURE: Set to 'true' to record redacted LLM traffic to /tmp/llm-traffic.jsonl
+ * - LLM_CAPTURE_MAX_BYTES: Capture file size before rotating to .1 (default: 5 MiB)
+ * - LLM_CAPTURE_BODY_LIMIT: Bytes of each request/response body kept (default: 4096)
  */
 
+const fs = require('fs');
+const path = require('path');
+const { loadRules, createRoutedFetch } = require('./fetch-interceptor-rules.cjs');
+const { loadRetryOptions, createResilientFetch } = require('./fetch-interceptor-retry.cjs');
+const { createTrafficRecorder, createTrafficCapture } = require('./fetch-interceptor-capture.cjs');
+const {
+    loadPricing,
+    findPrice,
+    computeCost,
+    detectLlmRequest,
+    includeStreamUsage,
+    accountResponse,
+    readSummary,
+    updateSummary,
+} = require('./fetch-interceptor-usage.cjs');
+const {
+    loadBudgets,
+    describeBudget,
+    createBudgetChecker,
+    budgetExceededResponse,
+} = require('./fetch-interceptor-budget.cjs');
+
 // BYOK authorization token (set via environment variable)
 const CF_AIG_AUTHORIZATION = process.env.CF_AIG_AUTHORIZATION;
 const AI_GATEWAY_BASE_URL = process.env.AI_GATEWAY_BASE_URL;
 
 const originalFetch = globalThis.fetch;
 
-globalThis.fetch = async function patchedFetch(input, init) {
-    let url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+// === COST ACCOUNTING ===
+const USAGE_DIR = process.env.LLM_USAGE_DIR || '/root/.openclaw/usage';
+const SUMMARY_FILE = path.join(USAGE_DIR, 'summary.json');
+const PRICING_FILE = process.env.LLM_PRICING_FILE;
+
+const PRICING = loadPricing(PRICING_FILE);
+
+function recordUsage(llm, meta, status, usage) {
+    const price = findPrice(usage.model || meta.requestModel, PRICING);
+    const entry = {
+        ts: new Date().toISOString(),
+        provider: llm.provider,
+        model: usage.model || meta.requestModel || null,
+        via: llm.via,
+        endpoint: meta.endpoint,
+        status,
+        stream: meta.stream,
+        durationMs: Date.now() - meta.startedAt,
+        attempts: meta.attempts || 1,
+        failover: !!meta.failover,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cacheReadTokens: usage.cacheReadTokens,
+        cacheWriteTokens: usage.cacheWriteTokens,
+        costUsd: price ? computeCost(usage, price) : 0,
+        priced: !!price,
+    };
+
+    try {
+        fs.mkdirSync(USAGE_DIR, { recursive: true });
+        fs.appendFileSync(path.join(USAGE_DIR, `ledger-${entry.ts.slice(0, 7)}.jsonl`), JSON.stringify(entry) + '\n');
+        updateSummary(SUMMARY_FILE, entry);
+    } catch (err) {
+        console.error('[fetch-interceptor] Failed to record usage:', err.message);
+    }
+    return entry;
+}
 
-    // === URL REWRITING ===
-    // Intercept requests to native Google API and redirect to AI Gateway
-    // This is needed because OpenClaw doesn't pass baseUrl to the @ai-sdk/google SDK
-    const isNativeGoogleRequest = url && url.includes('generativelanguage.googleapis.com');
+function requestUrl(input) {
+    return typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+}
 
-    // Embedding requests bypass AI Gateway - it returns 404 for embedContent/batchEmbedContents
-    // These go directly to Google using the real GEMINI_API_KEY (set as separate secret)
-    const isEmbeddingRequest = url && (url.includes(':embedContent') || url.includes(':batchEmbedContents'));
+/**
+ * Best-effort model name from the request, used when the response doesn't report one.
+ * Google puts the model in the URL; everyone else in the JSON body.
+ */
+function requestModel(url, init) {
+    const googleModel = url.match(/\/models\/([^/:]+):/);
+    if (googleModel) return googleModel[1];
+    const body = init && init.body;
+    if (typeof body !== 'string') return null;
+    const match = body.match(/"model"\s*:\s*"([^"]+)"/);
+    return match ? match[1] : null;
+}
 
-    if (isEmbeddingRequest && isNativeGoogleRequest) {
-        console.log('[fetch-interceptor] Embedding request - bypassing gateway, using direct Google API');
-        // Don't redirect, don't strip headers - let it go directly to Google
-        return originalFetch(input, init);
-    }
+// === BUDGETS ===
+// Caps are checked against summary.json before each LLM request (see fetch-interceptor-budget.cjs)
+const BUDGETS = loadBudgets(process.env);
+const checkBudgets = createBudgetChecker({
+    budgets: BUDGETS,
+    readSummary: () => readSummary(SUMMARY_FILE),
+    warnPercent: Number(process.env.LLM_BUDGET_WARN_PERCENT) || undefined,
+});
 
-    if (isNativeGoogleRequest && AI_GATEWAY_BASE_URL && AI_GATEWAY_BASE_URL.includes('/google-ai-studio')) {
-        // Extract path after googleapis.com (e.g., /v1beta/models/gemini-3-flash:generateContent)
-        const googleUrl = new URL(url);
-        const pathAfterHost = googleUrl.pathname + googleUrl.search;
-
-        // Build new URL: AI Gateway base + path
-        // Note: AI Gateway expects /v1/ not /v1beta/, but it should handle the rewrite
-        const gatewayBaseUrl = AI_GATEWAY_BASE_URL.replace(/\/+$/, ''); // Remove trailing slashes
-        const newUrl = gatewayBaseUrl + pathAfterHost;
-
-        console.log('[fetch-interceptor] Redirecting Google API request:');
-        console.log('[fetch-interceptor]   From:', url);
-        console.log('[fetch-interceptor]   To:', newUrl);
-
-        // Update the URL
-        url = newUrl;
-        if (typeof input === 'string') {
-            input = newUrl;
-        } else if (input instanceof URL) {
-            input = new URL(newUrl);
-        } else {
-            // Request object - need to create a new one with the new URL
-            input = new Request(newUrl, input);
-        }
-    }
+// === RETRIES AND FAILOVER ===
+// LLM calls go through retries, optional failover and circuit breakers (see fetch-interceptor-retry.cjs)
+const RETRY_OPTIONS = loadRetryOptions(process.env);
+const resilientFetch = createResilientFetch(originalFetch, { ...RETRY_OPTIONS, env: process.env });
 
-    // === BYOK HEADER MANAGEMENT ===
-    // Handle requests to AI Gateway (either direct or redirected)
-    const isAIGatewayRequest = url && url.includes('gateway.ai.cloudflare.com');
-    const isGoogleAIStudio = url && url.includes('/google-ai-studio');
-    const isCustomProvider = url && url.includes('/custom-');
-
-    // Embedding requests need to go directly to Google API (gateway returns 404)
-    // The SDK is configured with gateway URL as baseUrl, so embeddings go there
-    // We need to redirect them to the real Google API with the real key
-    const isGatewayEmbeddingRequest = isAIGatewayRequest && isGoogleAIStudio && isEmbeddingRequest;
-
-    if (isGatewayEmbeddingRequest) {
-        // Extract path after /google-ai-studio (e.g., /models/gemini-embedding-001:batchEmbedContents)
-        // Note: SDK sends WITHOUT /v1beta prefix, but Google's direct API requires it
-        const gatewayUrl = new URL(url);
-        const fullPath = gatewayUrl.pathname;
-        const googleAiStudioIndex = fullPath.indexOf('/google-ai-studio');
-        if (googleAiStudioIndex !== -1) {
-            let pathAfterGateway = fullPath.slice(googleAiStudioIndex + '/google-ai-studio'.length);
-
-            // Add /v1beta prefix if missing - SDK doesn't include it but Google API requires it
-            if (!pathAfterGateway.startsWith('/v1beta') && !pathAfterGateway.startsWith('/v1/')) {
-                pathAfterGateway = '/v1beta' + pathAfterGateway;
-            }
-
-            const directGoogleUrl = 'https://generativelanguage.googleapis.com' + pathAfterGateway + gatewayUrl.search;
-
-            console.log('[fetch-interceptor] Embedding request - redirecting from gateway to direct Google API:');
-            console.log('[fetch-interceptor]   From:', url);
-            console.log('[fetch-interceptor]   To:', directGoogleUrl);
-
-            // Create new request with the direct Google URL
-            // Keep the x-goog-api-key header (it has the real GEMINI_API_KEY)
-            if (typeof input === 'string') {
-                input = directGoogleUrl;
-            } else if (input instanceof URL) {
-                input = new URL(directGoogleUrl);
-            } else {
-                input = new Request(directGoogleUrl, input);
-            }
-
-            // Return directly without BYOK header manipulation
-            return originalFetch(input, init);
-        }
+/**
+ * Send a request with the original fetch, accounting usage if it's an LLM call.
+ * LLM calls are refused without reaching the provider once a budget cap is hit,
+ * and are retried (or failed over) when the upstream is failing.
+ */
+async function trackedFetch(input, init) {
+    const url = requestUrl(input);
+    const llm = url && detectLlmRequest(url);
+    if (!llm) {
+        return originalFetch(input, init);
     }
 
-    const needsBYOK = isGoogleAIStudio || isCustomProvider;
-
-    if (isAIGatewayRequest && needsBYOK) {
-        const headers = new Headers(init?.headers);
-
-        // Add BYOK authorization header if configured
-        if (CF_AIG_AUTHORIZATION) {
-            // Remove any existing auth headers so Gateway can inject Provider Key
-            // - Authorization: used by OpenAI-compatible SDKs
-            // - x-goog-api-key: used by Google's native SDK
-            if (headers.has('Authorization')) {
-                headers.delete('Authorization');
-                console.log('[fetch-interceptor] Removed Authorization header (BYOK mode)');
-            }
-            if (headers.has('x-goog-api-key')) {
-                headers.delete('x-goog-api-key');
-                console.log('[fetch-interceptor] Removed x-goog-api-key header (BYOK mode)');
-            }
-            // Add the cf-aig-authorization header for Gateway authentication
-            if (!headers.has('cf-aig-authorization')) {
-                headers.set('cf-aig-authorization', CF_AIG_AUTHORIZATION);
-                console.log('[fetch-interceptor] Added cf-aig-authorization header (BYOK mode)');
-            }
-        }
-
-        // Create new init with patched headers
-        const patchedInit = {
-            ...init,
-            headers,
-        };
-
-        return originalFetch(input, patchedInit);
+    const exceeded = checkBudgets(llm.provider);
+    if (exceeded) {
+        console.error(`[fetch-interceptor] Refusing ${llm.provider} request: ${describeBudget(exceeded.budget)} exceeded`);
+        return budgetExceededResponse(llm.format, exceeded);
     }
 
-    // Pass through all other requests unchanged
-    return originalFetch(input, init);
-};
+    const meta = {
+        startedAt: Date.now(),
+        endpoint: new URL(url).pathname,
+        requestModel: requestModel(url, init),
+        stream: false,
+        format: llm.format,
+    };
+    const response = await resilientFetch(input, includeStreamUsage(url, llm.format, init), meta);
+    try {
+        return accountResponse(response, llm.format, meta, (usage) =>
+            recordUsage(llm, meta, response.status, usage),
+        );
+    } catch (err) {
+        console.error('[fetch-interceptor] Usage accounting failed:', err.message);
+        return response;
+    }
+}
 
-console.log('[fetch-interceptor] Installed AI Gateway BYOK interceptor');
+// === ROUTING ===
+// URL rewriting and BYOK header management are driven by rules (see fetch-interceptor-rules.cjs)
+const ROUTING_RULES = loadRules(process.env);
+
+// === TRAFFIC CAPTURE ===
+// Opt-in redacted capture of LLM exchanges (see fetch-interceptor-capture.cjs)
+const CAPTURE_FILE = '/tmp/llm-traffic.jsonl';
+const CAPTURE_ENABLED = process.env.LLM_CAPTURE === 'true';
+const capture = CAPTURE_ENABLED
+    ? createTrafficCapture({
+          recorder: createTrafficRecorder({
+              file: CAPTURE_FILE,
+              maxBytes: parseInt(process.env.LLM_CAPTURE_MAX_BYTES, 10) || 5 * 1024 * 1024,
+          }),
+          bodyLimit: parseInt(process.env.LLM_CAPTURE_BODY_LIMIT, 10) || 4096,
+          // Record LLM calls and anything the routing rules redirected
+          shouldCapture: ({ original, upstream }) =>
+              !!detectLlmRequest(original.url) ||
+              (!!upstream && (upstream.url !== original.url || !!detectLlmRequest(upstream.url))),
+      })
+    : null;
+
+const routedFetch = createRoutedFetch(capture ? capture.wrapInner(trackedFetch) : trackedFetch, {
+    rules: ROUTING_RULES,
+    env: process.env,
+});
+globalThis.fetch = capture ? capture.wrapOuter(routedFetch) : routedFetch;
+
+console.log('[fetch-interceptor] Installed AI Gateway BYOK interceptor with', ROUTING_RULES.length, 'routing rule(s)');
 if (AI_GATEWAY_BASE_URL && AI_GATEWAY_BASE_URL.includes('/google-ai-studio')) {
     console.log('[fetch-interceptor] URL rewriting enabled: Google API → AI Gateway');
 }
@@ -165,3 +226,16 @@ if (CF_AIG_AUTHORIZATION) {
 } else {
     console.log('[fetch-interceptor] BYOK mode disabled (set CF_AIG_AUTHORIZATION to enable)');
 }
+console.log('[fetch-interceptor] Cost accounting enabled, ledger directory:', USAGE_DIR);
+console.log(
+    '[fetch-interceptor] LLM retries:',
+    RETRY_OPTIONS.maxAttempts,
+    'attempt(s), failover',
+    RETRY_OPTIONS.failover ? 'enabled' : 'disabled',
+);
+if (CAPTURE_ENABLED) {
+    console.log('[fetch-interceptor] Traffic capture enabled (redacted), writing to', CAPTURE_FILE);
+}
+if (BUDGETS.length > 0) {
+    console.log('[fetch-interceptor] Budget caps:', BUDGETS.map(describeBudget).join(', '));
+}
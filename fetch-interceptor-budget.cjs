@@ -0,0 +1,182 @@
+/**
+ * LLM spend and token budgets for fetch-cost-interceptor.cjs
+ *
+ * Caps are checked against the usage summary (see fetch-interceptor-usage.cjs) before each
+ * LLM request; once one is reached the request is refused with a provider-style 429 instead
+ * of reaching the provider. Requests already in flight when a cap is reached still complete,
+ * so spend can overshoot by a few requests.
+ *
+ * - Overall caps: LLM_BUDGET_{DAILY,MONTHLY}_{USD,TOKENS} (UTC day / calendar month)
+ * - Per-provider caps: LLM_BUDGET_PROVIDERS, e.g. {"anthropic":{"dailyUsd":5}}
+ * - A warning is logged the first time usage crosses LLM_BUDGET_WARN_PERCENT (default 80)
+ *   of a cap in each period
+ */
+
+const DEFAULT_WARN_PERCENT = 80;
+
+const BUDGET_LIMIT_KEYS = {
+    dailyUsd: { period: 'daily', metric: 'usd' },
+    monthlyUsd: { period: 'monthly', metric: 'usd' },
+    dailyTokens: { period: 'daily', metric: 'tokens' },
+    monthlyTokens: { period: 'monthly', metric: 'tokens' },
+};
+
+/**
+ * Turn { dailyUsd, monthlyTokens, ... } into budget entries; invalid values are logged and skipped.
+ */
+function parseBudgetLimits(limits, scope, source) {
+    const budgets = [];
+    for (const [key, value] of Object.entries(limits)) {
+        if (value === undefined || value === '') continue;
+        const kind = BUDGET_LIMIT_KEYS[key];
+        const limit = Number(value);
+        if (!kind || !Number.isFinite(limit) || limit < 0) {
+            console.error(`[fetch-interceptor] Ignoring invalid budget ${source}.${key}:`, value);
+            continue;
+        }
+        budgets.push({ scope, period: kind.period, metric: kind.metric, limit });
+    }
+    return budgets;
+}
+
+/**
+ * Load budget caps from the environment.
+ * Overall caps come from LLM_BUDGET_{DAILY,MONTHLY}_{USD,TOKENS}; per-provider caps from
+ * LLM_BUDGET_PROVIDERS, e.g. {"anthropic":{"dailyUsd":5},"google":{"monthlyTokens":20000000}}
+ */
+function loadBudgets(env = process.env) {
+    const budgets = parseBudgetLimits(
+        {
+            dailyUsd: env.LLM_BUDGET_DAILY_USD,
+            monthlyUsd: env.LLM_BUDGET_MONTHLY_USD,
+            dailyTokens: env.LLM_BUDGET_DAILY_TOKENS,
+            monthlyTokens: env.LLM_BUDGET_MONTHLY_TOKENS,
+        },
+        null,
+        'LLM_BUDGET',
+    );
+
+    if (env.LLM_BUDGET_PROVIDERS) {
+        try {
+            const providers = JSON.parse(env.LLM_BUDGET_PROVIDERS);
+            for (const [provider, limits] of Object.entries(providers)) {
+                budgets.push(...parseBudgetLimits(limits || {}, provider, provider));
+            }
+        } catch (err) {
+            console.error('[fetch-interceptor] Failed to parse LLM_BUDGET_PROVIDERS:', err.message);
+        }
+    }
+    return budgets;
+}
+
+function describeBudget(budget) {
+    const scope = budget.scope ? `${budget.scope} ` : '';
+    const limit = budget.metric === 'usd' ? `$${budget.limit}` : `${budget.limit} tokens`;
+    return `${scope}${budget.period} budget of ${limit}`;
+}
+
+/**
+ * Sum cost and tokens for a budget's scope and period from the summary's daily totals.
+ */
+function budgetUsage(summary, budget, today) {
+    const month = today.slice(0, 7);
+    let usd = 0;
+    let tokens = 0;
+    for (const [date, day] of Object.entries(summary.days)) {
+        if (budget.period === 'daily' ? date !== today : !date.startsWith(month)) continue;
+        const entries = budget.scope
+            ? Object.entries(day.models || {})
+                  .filter(([key]) => key.startsWith(budget.scope + '/'))
+                  .map(([, totals]) => totals)
+            : [day];
+        for (const totals of entries) {
+            usd += totals.costUsd || 0;
+            tokens +=
+                (totals.inputTokens || 0) +
+                (totals.outputTokens || 0) +
+                (totals.cacheReadTokens || 0) +
+                (totals.cacheWriteTokens || 0);
+        }
+    }
+    return budget.metric === 'usd' ? usd : tokens;
+}
+
+/**
+ * Create checkBudgets(provider), which returns the first exceeded budget that applies to the
+ * provider (with its current usage), or null if the request may proceed.
+ * The summary is only read when a budget applies. Warnings are remembered per budget and
+ * period so each is logged once per day/month.
+ */
+function createBudgetChecker({
+    budgets,
+    readSummary,
+    warnPercent = DEFAULT_WARN_PERCENT,
+    now = () => Date.now(),
+    warn = console.warn,
+}) {
+    const warned = new Set();
+
+    return function checkBudgets(provider) {
+        const applicable = budgets.filter((b) => !b.scope || b.scope === provider);
+        if (applicable.length === 0) return null;
+
+        const summary = readSummary();
+        const today = new Date(now()).toISOString().slice(0, 10);
+
+        for (const budget of applicable) {
+            const used = budgetUsage(summary, budget, today);
+            if (used >= budget.limit) {
+                return { budget, used };
+            }
+
+            const periodKey = budget.period === 'daily' ? today : today.slice(0, 7);
+            const warnKey = `${budget.scope || '*'}:${budget.period}:${budget.metric}:${periodKey}`;
+            if (used >= (budget.limit * warnPercent) / 100 && !warned.has(warnKey)) {
+                warned.add(warnKey);
+                const percent = budget.limit > 0 ? Math.round((used / budget.limit) * 100) : 100;
+                warn(`[fetch-interceptor] Budget warning: ${percent}% of ${describeBudget(budget)} used`);
+            }
+        }
+        return null;
+    };
+}
+
+/**
+ * Build the refusal returned instead of calling the provider once a budget is exhausted.
+ * The body uses each provider's own error shape so SDKs surface the message as a normal
+ * API error, and x-should-retry: false stops the Anthropic/OpenAI SDKs from retrying.
+ */
+function budgetExceededResponse(format, exceeded) {
+    const used = exceeded.budget.metric === 'usd' ? `$${exceeded.used.toFixed(2)}` : `${exceeded.used} tokens`;
+    const message =
+        `LLM budget exceeded: ${describeBudget(exceeded.budget)} reached (${used} used). ` +
+        'Requests are blocked until the budget resets or the limit is raised.';
+
+    let body;
+    if (format === 'anthropic') {
+        body = { type: 'error', error: { type: 'rate_limit_error', message } };
+    } else if (format === 'google') {
+        body = { error: { code: 429, message, status: 'RESOURCE_EXHAUSTED' } };
+    } else {
+        body = { error: { message, type: 'insufficient_quota', param: null, code: 'budget_exceeded' } };
+    }
+
+    return new Response(JSON.stringify(body), {
+        status: 429,
+        statusText: 'Too Many Requests',
+        headers: {
+            'content-type': 'application/json',
+            'x-should-retry': 'false',
+            'x-moltworker-budget': 'exceeded',
+        },
+    });
+}
+
+module.exports = {
+    parseBudgetLimits,
+    loadBudgets,
+    describeBudget,
+    budgetUsage,
+    createBudgetChecker,
+    budgetExceededResponse,
+};
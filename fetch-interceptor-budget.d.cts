@@ -0,0 +1,37 @@
+// Type declarations for fetch-interceptor-budget.cjs (used by its tests)
+
+import type { UsageSummary } from './fetch-interceptor-usage.cjs';
+
+type Env = Record<string, string | undefined>;
+
+export interface Budget {
+  scope: string | null; // provider, or null for the overall caps
+  period: 'daily' | 'monthly';
+  metric: 'usd' | 'tokens';
+  limit: number;
+}
+
+export interface ExceededBudget {
+  budget: Budget;
+  used: number;
+}
+
+export function parseBudgetLimits(
+  limits: Record<string, unknown>,
+  scope: string | null,
+  source: string,
+): Budget[];
+export function loadBudgets(env?: Env): Budget[];
+export function describeBudget(budget: Budget): string;
+export function budgetUsage(summary: UsageSummary, budget: Budget, today: string): number;
+export function createBudgetChecker(options: {
+  budgets: Budget[];
+  readSummary: () => UsageSummary;
+  warnPercent?: number;
+  now?: () => number;
+  warn?: (message: string) => void;
+}): (provider: string) => ExceededBudget | null;
+export function budgetExceededResponse(
+  format: 'anthropic' | 'openai' | 'google',
+  exceeded: ExceededBudget,
+): Response;
@@ -0,0 +1,264 @@
+/**
+ * Redacted traffic capture for fetch-cost-interceptor.cjs (opt-in, LLM_CAPTURE=true)
+ *
+ * Records each intercepted LLM exchange - the request as the SDK sent it, the URL and
+ * headers after routing rules were applied, status, latency and the start of both
+ * bodies - as one JSON line in a size-capped file that rotates to <file>.1.
+ * The worker pages through it at /debug/llm-traffic.
+ *
+ * Redaction happens before anything is written:
+ * - Credential headers (Authorization, x-api-key, x-goog-api-key, cf-aig-authorization,
+ *   cookies, and any header whose name looks like a key/token/secret) are replaced
+ * - Credential query parameters (key, api_key, token, ...) are replaced
+ * - API-key-shaped strings and the values of the container's provider secrets are
+ *   scrubbed from the whole line, bodies included
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_HEADERS = new Set([
+    'authorization',
+    'proxy-authorization',
+    'x-api-key',
+    'x-goog-api-key',
+    'cf-aig-authorization',
+    'cookie',
+    'set-cookie',
+    'api-key',
+]);
+const SENSITIVE_HEADER_PATTERN = /(key|token|secret|auth|password|signature|credential)/i;
+
+const SENSITIVE_PARAMS = /^(key|api[-_]?key|token|access[-_]?token|secret|password|auth|sig|signature)$/i;
+
+// Anthropic/OpenAI (sk-...) and Google (AIza...) key formats
+const KEY_PATTERN = /\b(sk-[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35})\b/g;
+
+// Container env vars whose values must never appear in a capture
+const SECRET_ENV_VARS = [
+    'CF_AIG_AUTHORIZATION',
+    'ANTHROPIC_API_KEY',
+    'OPENAI_API_KEY',
+    'GEMINI_API_KEY',
+    'CLOUDFLARE_AI_GATEWAY_API_KEY',
+    'AI_GATEWAY_API_KEY',
+    'OPENCLAW_GATEWAY_TOKEN',
+];
+
+function redactHeaders(headers) {
+    const result = {};
+    for (const [name, value] of new Headers(headers)) {
+        const sensitive = SENSITIVE_HEADERS.has(name) || SENSITIVE_HEADER_PATTERN.test(name);
+        result[name] = sensitive ? REDACTED : value;
+    }
+    return result;
+}
+
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        for (const name of Array.from(parsed.searchParams.keys())) {
+            if (SENSITIVE_PARAMS.test(name)) parsed.searchParams.set(name, REDACTED);
+        }
+        return parsed.href;
+    } catch {
+        return url;
+    }
+}
+
+function secretValues(env) {
+    const values = [];
+    for (const name of SECRET_ENV_VARS) {
+        const value = env[name];
+        if (!value || value.length < 8) continue;
+        values.push(value);
+        // CF_AIG_AUTHORIZATION is usually "Bearer <token>"; the bare token must go too
+        const bare = value.replace(/^Bearer\s+/i, '');
+        if (bare !== value && bare.length >= 8) values.push(bare);
+    }
+    // Longest first so a secret containing another is removed whole
+    return values.sort((a, b) => b.length - a.length);
+}
+
+function redactText(text, secrets) {
+    let result = text.replace(KEY_PATTERN, REDACTED);
+    for (const secret of secrets) {
+        result = result.split(secret).join(REDACTED);
+    }
+    return result;
+}
+
+function truncate(text, limit) {
+    if (text.length <= limit) return { text, truncated: false };
+    return { text: text.slice(0, limit), truncated: true };
+}
+
+/**
+ * Preview of a request body without consuming it.
+ */
+function requestBodyPreview(body, limit) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return truncate(body, limit);
+    if (body instanceof URLSearchParams) return truncate(body.toString(), limit);
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        const bytes = body instanceof ArrayBuffer ? new Uint8Array(body) : new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+        return truncate(new TextDecoder().decode(bytes.subarray(0, limit + 1)), limit);
+    }
+    return { text: '[streamed body]', truncated: false };
+}
+
+/**
+ * Read up to `limit` bytes of a response body from a clone, leaving the original untouched.
+ */
+async function responseBodyPreview(response, limit) {
+    if (!response.body) return null;
+    const reader = response.clone().body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    let truncated = false;
+    try {
+        while (bytes <= limit) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            bytes += value.byteLength;
+            text += decoder.decode(value, { stream: true });
+        }
+        truncated = bytes > limit;
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+    return truncated ? { text: text.slice(0, limit), truncated } : { text, truncated };
+}
+
+function describeRequest(input, init, limit) {
+    const isRequest = typeof input !== 'string' && !(input instanceof URL);
+    const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+    const headers = init && init.headers ? init.headers : isRequest ? input.headers : undefined;
+    let body = requestBodyPreview(init && init.body, limit);
+    if (!body && isRequest && input.body) body = { text: '[streamed body]', truncated: false };
+    return {
+        method: ((init && init.method) || (isRequest ? input.method : 'GET')).toUpperCase(),
+        url,
+        headers: redactHeaders(headers),
+        body,
+    };
+}
+
+/**
+ * Append-only JSONL writer that rotates the file to <file>.1 when it would exceed maxBytes.
+ */
+function createTrafficRecorder({ file, maxBytes, env = process.env }) {
+    const secrets = secretValues(env);
+
+    return {
+        file,
+        record(entry) {
+            const line = redactText(JSON.stringify(entry), secrets) + '\n';
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                let size = 0;
+                try {
+                    size = fs.statSync(file).size;
+                } catch {
+                    // No file yet
+                }
+                if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+                    fs.renameSync(file, file + '.1');
+                }
+                fs.appendFileSync(file, line);
+            } catch (err) {
+                console.error('[fetch-interceptor] Failed to write traffic capture:', err.message);
+            }
+        },
+    };
+}
+
+/**
+ * Capture wiring. `wrapOuter` goes around the routed fetch and sees the request as the SDK
+ * sent it; `wrapInner` goes under the routing rules and notes what is actually sent
+ * upstream. The two are joined through AsyncLocalStorage so concurrent requests don't mix.
+ *
+ * shouldCapture(exchange) decides, once routing is known, whether an exchange is recorded.
+ */
+function createTrafficCapture({ recorder, bodyLimit, shouldCapture, now = Date.now }) {
+    const storage = new AsyncLocalStorage();
+
+    function write(exchange, startedAt, fields) {
+        const { original, upstream } = exchange;
+        const entry = {
+            ts: new Date(startedAt).toISOString(),
+            method: original.method,
+            url: redactUrl(original.url),
+            upstreamUrl: upstream && upstream.url !== original.url ? redactUrl(upstream.url) : undefined,
+            requestHeaders: original.headers,
+            upstreamHeaders: upstream ? upstream.headers : undefined,
+            requestBody: original.body ? original.body.text : undefined,
+            requestBodyTruncated: original.body ? original.body.truncated : undefined,
+            durationMs: now() - startedAt,
+            ...fields,
+        };
+        recorder.record(entry);
+    }
+
+    return {
+        wrapOuter(fetchFn) {
+            return async function capturedFetch(input, init) {
+                const exchange = { original: describeRequest(input, init, bodyLimit), upstream: null };
+                const startedAt = now();
+
+                let response;
+                try {
+                    response = await storage.run(exchange, () => fetchFn(input, init));
+                } catch (err) {
+                    if (shouldCapture(exchange)) {
+                        write(exchange, startedAt, { error: err && err.message ? err.message : String(err) });
+                    }
+                    throw err;
+                }
+
+                if (shouldCapture(exchange)) {
+                    const fields = {
+                        status: response.status,
+                        durationMs: now() - startedAt,
+                        responseHeaders: redactHeaders(response.headers),
+                    };
+                    responseBodyPreview(response, bodyLimit)
+                        .then((body) => {
+                            write(exchange, startedAt, {
+                                ...fields,
+                                responseBody: body ? body.text : undefined,
+                                responseBodyTruncated: body ? body.truncated : undefined,
+                            });
+                        })
+                        .catch((err) => {
+                            write(exchange, startedAt, { ...fields, responseBodyError: err.message });
+                        });
+                }
+                return response;
+            };
+        },
+        wrapInner(fetchFn) {
+            return async function upstreamFetch(input, init) {
+                const exchange = storage.getStore();
+                if (exchange) {
+                    exchange.upstream = describeRequest(input, init, bodyLimit);
+                }
+                return fetchFn(input, init);
+            };
+        },
+    };
+}
+
+module.exports = {
+    REDACTED,
+    redactHeaders,
+    redactUrl,
+    redactText,
+    secretValues,
+    createTrafficRecorder,
+    createTrafficCapture,
+};
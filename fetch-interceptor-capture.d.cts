@@ -0,0 +1,39 @@
+// Type declarations for fetch-interceptor-capture.cjs (used by its tests)
+
+type Env = Record<string, string | undefined>;
+type FetchFn = (input: string | URL | Request, init?: RequestInit) => Promise<Response>;
+
+export interface CapturedRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body: { text: string; truncated: boolean } | null;
+}
+
+export interface TrafficRecorder {
+  file: string;
+  record(entry: Record<string, unknown>): void;
+}
+
+export const REDACTED: string;
+export function redactHeaders(headers?: HeadersInit): Record<string, string>;
+export function redactUrl(url: string): string;
+export function redactText(text: string, secrets: string[]): string;
+export function secretValues(env: Env): string[];
+export function createTrafficRecorder(options: {
+  file: string;
+  maxBytes: number;
+  env?: Env;
+}): TrafficRecorder;
+export function createTrafficCapture(options: {
+  recorder: Pick<TrafficRecorder, 'record'>;
+  bodyLimit: number;
+  shouldCapture: (exchange: {
+    original: CapturedRequest;
+    upstream: CapturedRequest | null;
+  }) => boolean;
+  now?: () => number;
+}): {
+  wrapOuter(fetchFn: FetchFn): FetchFn;
+  wrapInner(fetchFn: FetchFn): FetchFn;
+};
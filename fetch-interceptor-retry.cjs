@@ -0,0 +1,381 @@
+/**
+ * Retry, failover and circuit breaking for LLM calls made through fetch-cost-interceptor.cjs
+ *
+ * - Retries: 429, 5xx/529 and network errors are retried with exponential backoff and
+ *   jitter. Retry-After / retry-after-ms headers are honored; if the provider asks us to
+ *   wait longer than LLM_RETRY_MAX_DELAY_MS the response is returned as-is instead.
+ *   Requests whose body can't be replayed (streams) are never retried.
+ * - Failover (opt-in, LLM_FAILOVER=true): when an AI Gateway route keeps failing or its
+ *   circuit is open, the request is sent once directly to the provider using the key in
+ *   ANTHROPIC_API_KEY / GEMINI_API_KEY / OPENAI_API_KEY.
+ * - Circuit breaker: per upstream (an AI Gateway provider route, or a provider host).
+ *   After LLM_CIRCUIT_THRESHOLD consecutive 5xx/network failures the circuit opens and
+ *   requests fail fast (or fail over) for LLM_CIRCUIT_COOLDOWN_MS, then a single trial
+ *   request is let through to decide whether to close it again. State is per process.
+ *
+ * Retries, failovers and breaker transitions are logged as single-line JSON, e.g.
+ *   [fetch-interceptor] {"event":"llm_retry","upstream":"api.anthropic.com","attempt":1,...}
+ */
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504, 529]);
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    failover: false,
+    circuitThreshold: 5,
+    circuitCooldownMs: 30000,
+};
+
+function positiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Read retry/failover/breaker settings from the environment.
+ */
+function loadRetryOptions(env = process.env) {
+    return {
+        maxAttempts: Math.max(positiveInt(env.LLM_RETRY_MAX_ATTEMPTS, DEFAULT_OPTIONS.maxAttempts), 1),
+        baseDelayMs: positiveInt(env.LLM_RETRY_BASE_DELAY_MS, DEFAULT_OPTIONS.baseDelayMs),
+        maxDelayMs: positiveInt(env.LLM_RETRY_MAX_DELAY_MS, DEFAULT_OPTIONS.maxDelayMs),
+        failover: env.LLM_FAILOVER === 'true',
+        circuitThreshold: Math.max(positiveInt(env.LLM_CIRCUIT_THRESHOLD, DEFAULT_OPTIONS.circuitThreshold), 1),
+        circuitCooldownMs: positiveInt(env.LLM_CIRCUIT_COOLDOWN_MS, DEFAULT_OPTIONS.circuitCooldownMs),
+    };
+}
+
+function logEvent(log, event, fields) {
+    log('[fetch-interceptor]', JSON.stringify({ event, ...fields }));
+}
+
+function requestUrl(input) {
+    return typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+}
+
+/**
+ * Breaker key for a URL: AI Gateway routes are keyed per provider segment, since one
+ * provider behind the gateway can fail while the others are fine.
+ */
+function upstreamKey(url) {
+    const parsed = new URL(url);
+    if (parsed.hostname === 'gateway.ai.cloudflare.com') {
+        // /v1/{account}/{gateway}/{provider}/...
+        const provider = parsed.pathname.split('/')[4] || '';
+        return `${parsed.hostname}/${provider}`;
+    }
+    return parsed.hostname;
+}
+
+/**
+ * Whether a request can be sent more than once. Request objects are cloned per attempt;
+ * streamed init bodies can only be read once.
+ */
+function isReplayable(input, init) {
+    const body = init && init.body;
+    if (body === undefined || body === null) {
+        return typeof input === 'string' || input instanceof URL || !input.bodyUsed;
+    }
+    return !(typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+function isAbortError(err) {
+    return err && (err.name === 'AbortError' || err.name === 'TimeoutError');
+}
+
+/**
+ * Delay requested by the provider, in ms, or null if it didn't say.
+ */
+function retryAfterMs(response) {
+    if (!response) return null;
+    const ms = Number(response.headers.get('retry-after-ms'));
+    if (response.headers.has('retry-after-ms') && Number.isFinite(ms)) return Math.max(ms, 0);
+
+    const header = response.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function discard(response) {
+    if (response && response.body && !response.bodyUsed) {
+        response.body.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Direct provider route for a failing AI Gateway URL, or null if there's no direct
+ * equivalent or no key for it.
+ */
+function directRoute(url, env) {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'gateway.ai.cloudflare.com') return null;
+
+    const segments = parsed.pathname.split('/');
+    const provider = segments[4];
+    let rest = '/' + segments.slice(5).join('/');
+
+    if (provider === 'anthropic' && env.ANTHROPIC_API_KEY) {
+        return {
+            url: 'https://api.anthropic.com' + rest + parsed.search,
+            headers: { 'x-api-key': env.ANTHROPIC_API_KEY },
+        };
+    }
+    if (provider === 'google-ai-studio' && env.GEMINI_API_KEY) {
+        if (!rest.startsWith('/v1beta') && !rest.startsWith('/v1/')) rest = '/v1beta' + rest;
+        return {
+            url: 'https://generativelanguage.googleapis.com' + rest + parsed.search,
+            headers: { 'x-goog-api-key': env.GEMINI_API_KEY },
+        };
+    }
+    if (provider === 'openai' && env.OPENAI_API_KEY) {
+        if (!rest.startsWith('/v1/')) rest = '/v1' + rest;
+        return {
+            url: 'https://api.openai.com' + rest + parsed.search,
+            headers: { Authorization: `Bearer ${env.OPENAI_API_KEY}` },
+        };
+    }
+    return null;
+}
+
+/**
+ * Build the failover request: same method and body, direct URL, and the provider key
+ * in place of any gateway or BYOK credentials.
+ */
+function buildFailoverRequest(input, init, route) {
+    const isRequest = typeof input !== 'string' && !(input instanceof URL);
+    const headers = new Headers(init && init.headers ? init.headers : isRequest ? input.headers : undefined);
+    for (const name of ['cf-aig-authorization', 'authorization', 'x-api-key', 'x-goog-api-key']) {
+        headers.delete(name);
+    }
+    for (const [name, value] of Object.entries(route.headers)) {
+        headers.set(name, value);
+    }
+
+    if (isRequest) {
+        return { input: new Request(route.url, input.clone()), init: { ...init, headers } };
+    }
+    return { input: route.url, init: { ...init, headers } };
+}
+
+/**
+ * Error returned while a circuit is open and no failover is possible, in the provider's
+ * own error format so SDKs report it like an upstream outage.
+ */
+function circuitOpenResponse(format, upstream, retryAfterSeconds) {
+    const message = `Upstream ${upstream} is unavailable (circuit open after repeated failures). Retry in ${retryAfterSeconds}s.`;
+    let body;
+    if (format === 'anthropic') {
+        body = { type: 'error', error: { type: 'overloaded_error', message } };
+    } else if (format === 'google') {
+        body = { error: { code: 503, message, status: 'UNAVAILABLE' } };
+    } else {
+        body = { error: { message, type: 'server_error', param: null, code: 'circuit_open' } };
+    }
+    return new Response(JSON.stringify(body), {
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: {
+            'content-type': 'application/json',
+            'retry-after': String(retryAfterSeconds),
+        },
+    });
+}
+
+function createCircuitBreakers(options, log, now) {
+    const breakers = new Map();
+
+    function get(upstream) {
+        let breaker = breakers.get(upstream);
+        if (!breaker) {
+            breaker = { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+            breakers.set(upstream, breaker);
+        }
+        return breaker;
+    }
+
+    return {
+        /** Whether a request may be sent to the upstream now. */
+        allow(upstream) {
+            const breaker = get(upstream);
+            if (breaker.state === 'closed') return true;
+            if (breaker.state === 'open' && now() - breaker.openedAt >= options.circuitCooldownMs) {
+                breaker.state = 'half_open';
+                breaker.trialInFlight = false;
+                logEvent(log, 'circuit_half_open', { upstream });
+            }
+            if (breaker.state === 'half_open' && !breaker.trialInFlight) {
+                breaker.trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+        /** Seconds until an open circuit lets a trial request through. */
+        retryAfterSeconds(upstream) {
+            const breaker = get(upstream);
+            const remaining = options.circuitCooldownMs - (now() - breaker.openedAt);
+            return Math.max(Math.ceil(remaining / 1000), 1);
+        },
+        success(upstream) {
+            const breaker = get(upstream);
+            if (breaker.state !== 'closed') {
+                logEvent(log, 'circuit_closed', { upstream });
+            }
+            breaker.state = 'closed';
+            breaker.failures = 0;
+            breaker.trialInFlight = false;
+        },
+        /** Free a half-open trial slot after a request that neither proved nor disproved the upstream. */
+        release(upstream) {
+            get(upstream).trialInFlight = false;
+        },
+        failure(upstream, reason) {
+            const breaker = get(upstream);
+            breaker.failures += 1;
+            breaker.trialInFlight = false;
+            const shouldOpen =
+                breaker.state === 'half_open' ||
+                (breaker.state === 'closed' && breaker.failures >= options.circuitThreshold);
+            if (shouldOpen) {
+                breaker.state = 'open';
+                breaker.openedAt = now();
+                logEvent(log, 'circuit_open', {
+                    upstream,
+                    failures: breaker.failures,
+                    cooldownMs: options.circuitCooldownMs,
+                    reason,
+                });
+            }
+        },
+        state(upstream) {
+            return get(upstream).state;
+        },
+    };
+}
+
+/**
+ * Wrap a fetch implementation with retries, failover and per-upstream circuit breakers.
+ *
+ * The returned function takes an optional context object as a third argument: `format`
+ * ('anthropic' | 'openai' | 'google') selects the error shape for fail-fast responses,
+ * and `attempts` / `failover` are set on it for the caller's accounting.
+ */
+function createResilientFetch(baseFetch, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const env = options.env || process.env;
+    const log = options.log || console.log;
+    const now = options.now || Date.now;
+    const random = options.random || Math.random;
+    const sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    const breakers = createCircuitBreakers(settings, log, now);
+
+    function backoffMs(attempt) {
+        const exponential = Math.min(settings.baseDelayMs * 2 ** (attempt - 1), settings.maxDelayMs);
+        // Equal jitter: keep at least half the delay so retries still back off
+        return Math.round(exponential / 2 + (random() * exponential) / 2);
+    }
+
+    async function failover(input, init, context, upstream, reason) {
+        const route = settings.failover ? directRoute(requestUrl(input), env) : null;
+        if (!route) return null;
+        logEvent(log, 'llm_failover', { upstream, to: new URL(route.url).hostname, reason });
+        context.failover = true;
+        const request = buildFailoverRequest(input, init, route);
+        return baseFetch(request.input, request.init);
+    }
+
+    async function resilientFetch(input, init, context = {}) {
+        const url = requestUrl(input);
+        const upstream = upstreamKey(url);
+        const replayable = isReplayable(input, init);
+        const isRequest = typeof input !== 'string' && !(input instanceof URL);
+        const maxAttempts = replayable ? settings.maxAttempts : 1;
+        const signal = init && init.signal ? init.signal : isRequest ? input.signal : undefined;
+        context.attempts = 0;
+
+        if (!breakers.allow(upstream)) {
+            logEvent(log, 'circuit_rejected', { upstream });
+            const response = replayable ? await failover(input, init, context, upstream, 'circuit_open') : null;
+            return response || circuitOpenResponse(context.format, upstream, breakers.retryAfterSeconds(upstream));
+        }
+
+        let lastResponse = null;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            context.attempts = attempt;
+            lastResponse = null;
+            lastError = null;
+
+            try {
+                // Keep the original Request unread so it can be replayed or failed over
+                const attemptInput = isRequest && replayable ? input.clone() : input;
+                lastResponse = await baseFetch(attemptInput, init);
+            } catch (err) {
+                if (isAbortError(err)) {
+                    // An aborted trial says nothing about the upstream; let the next request try
+                    breakers.release(upstream);
+                    throw err;
+                }
+                lastError = err;
+            }
+
+            if (lastResponse && !RETRYABLE_STATUSES.has(lastResponse.status)) {
+                breakers.success(upstream);
+                return lastResponse;
+            }
+
+            const reason = lastResponse ? `status ${lastResponse.status}` : lastError.message;
+            // Rate limiting means the upstream is up; only outages count towards the breaker
+            if (!lastResponse || lastResponse.status !== 429) {
+                breakers.failure(upstream, reason);
+            } else {
+                breakers.release(upstream);
+            }
+
+            if (attempt === maxAttempts || (signal && signal.aborted)) break;
+            if (!breakers.allow(upstream)) break;
+
+            const requested = retryAfterMs(lastResponse);
+            if (requested !== null && requested > settings.maxDelayMs) {
+                logEvent(log, 'llm_retry_skipped', { upstream, attempt, reason, retryAfterMs: requested });
+                break;
+            }
+            const delayMs = requested !== null ? requested : backoffMs(attempt);
+            logEvent(log, 'llm_retry', { upstream, attempt, reason, delayMs });
+            discard(lastResponse);
+            await sleep(delayMs);
+        }
+
+        const reason = lastResponse ? `status ${lastResponse.status}` : lastError.message;
+        if (maxAttempts > 1) {
+            logEvent(log, 'llm_retries_exhausted', { upstream, attempts: context.attempts, reason });
+        }
+
+        if (replayable) {
+            const failoverResponse = await failover(input, init, context, upstream, reason);
+            if (failoverResponse) {
+                discard(lastResponse);
+                return failoverResponse;
+            }
+        }
+
+        if (lastResponse) return lastResponse;
+        throw lastError;
+    }
+
+    resilientFetch.circuitState = (upstream) => breakers.state(upstream);
+    return resilientFetch;
+}
+
+module.exports = {
+    RETRYABLE_STATUSES,
+    loadRetryOptions,
+    upstreamKey,
+    directRoute,
+    createResilientFetch,
+};
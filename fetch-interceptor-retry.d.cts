@@ -0,0 +1,42 @@
+// Type declarations for fetch-interceptor-retry.cjs (used by its tests)
+
+export interface RetryOptions {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  failover: boolean;
+  circuitThreshold: number;
+  circuitCooldownMs: number;
+}
+
+export interface ResilientFetchContext {
+  format?: 'anthropic' | 'openai' | 'google';
+  attempts?: number;
+  failover?: boolean;
+}
+
+type Env = Record<string, string | undefined>;
+type FetchFn = (input: string | URL | Request, init?: RequestInit) => Promise<Response>;
+
+export interface ResilientFetch {
+  (input: string | URL | Request, init?: RequestInit, context?: ResilientFetchContext): Promise<Response>;
+  circuitState(upstream: string): 'closed' | 'open' | 'half_open';
+}
+
+export const RETRYABLE_STATUSES: Set<number>;
+export function loadRetryOptions(env?: Env): RetryOptions;
+export function upstreamKey(url: string): string;
+export function directRoute(
+  url: string,
+  env: Env,
+): { url: string; headers: Record<string, string> } | null;
+export function createResilientFetch(
+  baseFetch: FetchFn,
+  options?: Partial<RetryOptions> & {
+    env?: Env;
+    log?: (...args: unknown[]) => void;
+    now?: () => number;
+    random?: () => number;
+    sleep?: (ms: number) => Promise<void>;
+  },
+): ResilientFetch;
@@ -0,0 +1,333 @@
+/**
+ * Declarative routing rules for fetch-cost-interceptor.cjs
+ *
+ * Each rule matches outgoing requests by host/path/URL/method and applies actions:
+ * URL rewrites, header removal and header injection. Rules run in order against the
+ * current URL, so a rule can match a URL produced by an earlier rewrite.
+ *
+ * Rule format:
+ *   {
+ *     "name": "mistral-via-gateway",
+ *     "match": {
+ *       "host": "api.mistral.ai",            // exact hostname, or an array of them
+ *       "path": "^/v1/chat/",                // regex tested against the pathname
+ *       "url": "...",                        // regex tested against the full URL
+ *       "method": "POST"                     // method, or an array of them
+ *     },
+ *     "when": { "env": { "CF_AIG_AUTHORIZATION": true } },  // true = set, false = unset, string = regex
+ *     "actions": {
+ *       "rewrite": { "from": "^https://api\\.mistral\\.ai", "to": "${MISTRAL_GATEWAY_URL}" },
+ *       "removeHeaders": ["Authorization"],
+ *       "setHeaders": { "x-header": "value" },            // always set
+ *       "defaultHeaders": { "cf-aig-authorization": "${CF_AIG_AUTHORIZATION}" },  // set if absent
+ *       "log": "Routing Mistral through AI Gateway"
+ *     },
+ *     "final": true                          // stop evaluating later rules
+ *   }
+ *
+ * `rewrite` may also be an array of { from, to } replacements applied in sequence.
+ * `${NAME}` in rewrite targets and header values is replaced with the environment variable
+ * (trailing slashes stripped in URLs); a rule referencing an unset variable never applies.
+ *
+ * Custom rules are loaded from FETCH_INTERCEPTOR_RULES - inline JSON or a path to a JSON
+ * file - holding either an array of rules or { "rules": [...], "includeDefaults": false }.
+ * Custom rules run before the defaults; a custom rule with the same name as a default
+ * replaces it, and { "name": "...", "enabled": false } disables it.
+ */
+
+const fs = require('fs');
+
+const EMBEDDING_PATH = ':(embedContent|batchEmbedContents)$';
+
+/**
+ * Default rules. These reproduce the interceptor's built-in provider handling:
+ * OpenClaw doesn't pass baseUrl to the @ai-sdk/google SDK, AI Gateway returns 404 for
+ * Google embedding calls, and BYOK gateway routes must not carry a provider key.
+ */
+const DEFAULT_RULES = [
+    {
+        // Embedding requests go directly to Google using the real GEMINI_API_KEY
+        name: 'google-embeddings-direct',
+        match: { host: 'generativelanguage.googleapis.com', path: EMBEDDING_PATH },
+        actions: { log: 'Embedding request - bypassing gateway, using direct Google API' },
+        final: true,
+    },
+    {
+        // Native Google API requests are redirected to the AI Gateway google-ai-studio route
+        name: 'google-to-gateway',
+        match: { host: 'generativelanguage.googleapis.com' },
+        when: { env: { AI_GATEWAY_BASE_URL: '/google-ai-studio' } },
+        actions: {
+            rewrite: { from: '^https://generativelanguage\\.googleapis\\.com', to: '${AI_GATEWAY_BASE_URL}' },
+        },
+    },
+    {
+        // The SDK sends embeddings to the gateway baseUrl; send them to Google instead.
+        // The SDK omits the /v1beta prefix, which Google's direct API requires.
+        name: 'gateway-embeddings-direct',
+        match: { host: 'gateway.ai.cloudflare.com', path: '/google-ai-studio/.*' + EMBEDDING_PATH },
+        actions: {
+            rewrite: [
+                {
+                    from: '^https://gateway\\.ai\\.cloudflare\\.com/v1/[^/]+/[^/]+/google-ai-studio(?!/v1beta|/v1/)',
+                    to: 'https://generativelanguage.googleapis.com/v1beta',
+                },
+                {
+                    from: '^https://gateway\\.ai\\.cloudflare\\.com/v1/[^/]+/[^/]+/google-ai-studio',
+                    to: 'https://generativelanguage.googleapis.com',
+                },
+            ],
+        },
+        final: true,
+    },
+    {
+        // BYOK: remove provider keys so the Gateway injects its stored key, and authenticate
+        // to the Gateway itself with cf-aig-authorization
+        name: 'gateway-byok',
+        match: { host: 'gateway.ai.cloudflare.com', path: '/(google-ai-studio|custom-)' },
+        actions: {
+            removeHeaders: ['Authorization', 'x-goog-api-key'],
+            defaultHeaders: { 'cf-aig-authorization': '${CF_AIG_AUTHORIZATION}' },
+        },
+    },
+];
+
+const TEMPLATE_VAR = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function templateVars(template) {
+    return Array.from(String(template).matchAll(TEMPLATE_VAR), (m) => m[1]);
+}
+
+function interpolate(template, env, stripTrailingSlash) {
+    return String(template).replace(TEMPLATE_VAR, (_, name) => {
+        const value = env[name] || '';
+        return stripTrailingSlash ? value.replace(/\/+$/, '') : value;
+    });
+}
+
+function compileRegex(source, ruleName, field) {
+    try {
+        return new RegExp(source);
+    } catch (err) {
+        throw new Error(`Rule "${ruleName}": invalid ${field} pattern: ${err.message}`);
+    }
+}
+
+/**
+ * Validate rules and precompile their patterns.
+ * Throws an Error naming the offending rule if a rule is malformed.
+ */
+function compileRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Rules must be an array');
+    }
+
+    return rules.map((rule, index) => {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`Rule #${index + 1} must be an object`);
+        }
+        const name = rule.name || `rule-${index + 1}`;
+        const match = rule.match || {};
+        const actions = rule.actions || {};
+
+        const rewrites = toArray(actions.rewrite).map((rewrite) => {
+            if (!rewrite || typeof rewrite.from !== 'string' || typeof rewrite.to !== 'string') {
+                throw new Error(`Rule "${name}": rewrite needs string "from" and "to"`);
+            }
+            return { from: compileRegex(rewrite.from, name, 'rewrite'), to: rewrite.to };
+        });
+
+        // Every ${VAR} a rule uses becomes an implicit "must be set" condition
+        const envConditions = { ...((rule.when && rule.when.env) || {}) };
+        const templates = [
+            ...rewrites.map((r) => r.to),
+            ...Object.values(actions.setHeaders || {}),
+            ...Object.values(actions.defaultHeaders || {}),
+        ];
+        for (const template of templates) {
+            for (const variable of templateVars(template)) {
+                if (!(variable in envConditions)) envConditions[variable] = true;
+            }
+        }
+
+        return {
+            name,
+            enabled: rule.enabled !== false,
+            hosts: toArray(match.host).map((host) => String(host).toLowerCase()),
+            path: match.path ? compileRegex(match.path, name, 'path') : null,
+            url: match.url ? compileRegex(match.url, name, 'url') : null,
+            methods: toArray(match.method).map((method) => String(method).toUpperCase()),
+            env: Object.entries(envConditions).map(([variable, condition]) => ({
+                variable,
+                condition: typeof condition === 'string' ? compileRegex(condition, name, `env.${variable}`) : !!condition,
+            })),
+            rewrites,
+            removeHeaders: toArray(actions.removeHeaders),
+            setHeaders: actions.setHeaders || {},
+            defaultHeaders: actions.defaultHeaders || {},
+            log: actions.log || null,
+            final: !!rule.final,
+        };
+    });
+}
+
+function ruleMatches(rule, url, method, env) {
+    if (!rule.enabled) return false;
+    if (rule.hosts.length > 0 && !rule.hosts.includes(url.hostname.toLowerCase())) return false;
+    if (rule.path && !rule.path.test(url.pathname)) return false;
+    if (rule.url && !rule.url.test(url.href)) return false;
+    if (rule.methods.length > 0 && !rule.methods.includes(method)) return false;
+
+    return rule.env.every(({ variable, condition }) => {
+        const value = env[variable];
+        if (condition instanceof RegExp) return !!value && condition.test(value);
+        return condition ? !!value : !value;
+    });
+}
+
+/**
+ * Apply compiled rules to a request.
+ * Pure function: takes { url, method, headers (Headers) } and returns
+ * { url, headers, headersChanged, matched } without performing any I/O besides logging.
+ */
+function routeRequest(request, rules, env, log = console.log) {
+    let url = request.url;
+    const method = (request.method || 'GET').toUpperCase();
+    const headers = new Headers(request.headers);
+    let headersChanged = false;
+    const matched = [];
+
+    for (const rule of rules) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            break;
+        }
+        if (!ruleMatches(rule, parsed, method, env)) continue;
+        matched.push(rule.name);
+
+        if (rule.log) {
+            log(`[fetch-interceptor] ${rule.log}`);
+        }
+
+        if (rule.rewrites.length > 0) {
+            const before = url;
+            for (const rewrite of rule.rewrites) {
+                url = url.replace(rewrite.from, interpolate(rewrite.to, env, true));
+            }
+            if (url !== before) {
+                log(`[fetch-interceptor] Rule ${rule.name} rewrote URL:`);
+                log('[fetch-interceptor]   From:', before);
+                log('[fetch-interceptor]   To:', url);
+            }
+        }
+
+        for (const name of rule.removeHeaders) {
+            if (headers.has(name)) {
+                headers.delete(name);
+                headersChanged = true;
+                log(`[fetch-interceptor] Removed ${name} header (rule ${rule.name})`);
+            }
+        }
+        for (const [name, value] of Object.entries(rule.setHeaders)) {
+            headers.set(name, interpolate(value, env, false));
+            headersChanged = true;
+        }
+        for (const [name, value] of Object.entries(rule.defaultHeaders)) {
+            if (!headers.has(name)) {
+                headers.set(name, interpolate(value, env, false));
+                headersChanged = true;
+                log(`[fetch-interceptor] Added ${name} header (rule ${rule.name})`);
+            }
+        }
+
+        if (rule.final) break;
+    }
+
+    return { url, headers, headersChanged, matched };
+}
+
+/**
+ * Merge custom rules with the defaults.
+ * Custom rules come first; a custom rule named like a default replaces the default.
+ */
+function mergeRules(custom, includeDefaults = true) {
+    if (!includeDefaults) return custom;
+    const overridden = new Map(custom.filter((rule) => rule && rule.name).map((rule) => [rule.name, rule]));
+    const defaults = DEFAULT_RULES.map((rule) => {
+        const override = overridden.get(rule.name);
+        if (!override) return rule;
+        overridden.delete(rule.name);
+        // { name, enabled: false } disables a default without redefining it
+        return override.match || override.actions ? override : { ...rule, ...override };
+    });
+    const extra = custom.filter((rule) => !rule || !rule.name || overridden.has(rule.name));
+    return [...extra, ...defaults];
+}
+
+/**
+ * Load and compile the active rule set.
+ * Falls back to the defaults (and logs why) if the custom rules file can't be used.
+ */
+function loadRules(env = process.env, log = console.log) {
+    const source = env.FETCH_INTERCEPTOR_RULES && env.FETCH_INTERCEPTOR_RULES.trim();
+    if (!source) return compileRules(DEFAULT_RULES);
+
+    const inline = source.startsWith('[') || source.startsWith('{');
+    try {
+        const config = JSON.parse(inline ? source : fs.readFileSync(source, 'utf8'));
+        const custom = Array.isArray(config) ? config : config.rules || [];
+        const includeDefaults = Array.isArray(config) || config.includeDefaults !== false;
+        const rules = compileRules(mergeRules(custom, includeDefaults));
+        log('[fetch-interceptor] Loaded', custom.length, 'custom routing rule(s) from', inline ? 'FETCH_INTERCEPTOR_RULES' : source);
+        return rules;
+    } catch (err) {
+        console.error('[fetch-interceptor] Failed to load FETCH_INTERCEPTOR_RULES, using defaults:', err.message);
+        return compileRules(DEFAULT_RULES);
+    }
+}
+
+/**
+ * Wrap a fetch implementation so every request is routed through the rules first.
+ */
+function createRoutedFetch(baseFetch, { rules, env = process.env, log = console.log }) {
+    return async function routedFetch(input, init) {
+        const isRequest = typeof input !== 'string' && !(input instanceof URL);
+        const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+        const method = (init && init.method) || (isRequest ? input.method : 'GET');
+        // Headers in init replace those of a Request input, so route whichever fetch will send
+        const sourceHeaders = init && init.headers ? init.headers : isRequest ? input.headers : undefined;
+
+        const routed = routeRequest({ url, method, headers: sourceHeaders }, rules, env, log);
+
+        if (routed.url !== url) {
+            if (typeof input === 'string') {
+                input = routed.url;
+            } else if (input instanceof URL) {
+                input = new URL(routed.url);
+            } else {
+                // Request object - need to create a new one with the new URL
+                input = new Request(routed.url, input);
+            }
+        }
+        if (routed.headersChanged) {
+            init = { ...init, headers: routed.headers };
+        }
+        return baseFetch(input, init);
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    compileRules,
+    routeRequest,
+    mergeRules,
+    loadRules,
+    createRoutedFetch,
+};
@@ -0,0 +1,52 @@
+// Type declarations for fetch-interceptor-rules.cjs (used by its tests)
+
+export interface RoutingRule {
+  name?: string;
+  enabled?: boolean;
+  match?: {
+    host?: string | string[];
+    path?: string;
+    url?: string;
+    method?: string | string[];
+  };
+  when?: { env?: Record<string, boolean | string> };
+  actions?: {
+    rewrite?: { from: string; to: string } | Array<{ from: string; to: string }>;
+    removeHeaders?: string[];
+    setHeaders?: Record<string, string>;
+    defaultHeaders?: Record<string, string>;
+    log?: string;
+  };
+  final?: boolean;
+}
+
+export interface CompiledRule {
+  name: string;
+  enabled: boolean;
+}
+
+export interface RoutedRequest {
+  url: string;
+  headers: Headers;
+  headersChanged: boolean;
+  matched: string[];
+}
+
+type Env = Record<string, string | undefined>;
+type Logger = (...args: unknown[]) => void;
+type FetchFn = (input: string | URL | Request, init?: RequestInit) => Promise<Response>;
+
+export const DEFAULT_RULES: RoutingRule[];
+export function compileRules(rules: RoutingRule[]): CompiledRule[];
+export function routeRequest(
+  request: { url: string; method?: string; headers?: HeadersInit },
+  rules: CompiledRule[],
+  env: Env,
+  log?: Logger,
+): RoutedRequest;
+export function mergeRules(custom: RoutingRule[], includeDefaults?: boolean): RoutingRule[];
+export function loadRules(env?: Env, log?: Logger): CompiledRule[];
+export function createRoutedFetch(
+  baseFetch: FetchFn,
+  options: { rules: CompiledRule[]; env?: Env; log?: Logger },
+): FetchFn;
@@ -0,0 +1,488 @@
+/**
+ * LLM cost accounting for fetch-cost-interceptor.cjs
+ *
+ * - Detection: requests to known LLM endpoints are recognized by host/path, direct or
+ *   through AI Gateway, along with the shape their responses take
+ * - Parsing: token usage is collected from JSON bodies and from SSE events as they stream
+ *   past; the stream itself is passed through to the SDK untouched
+ * - Pricing: usage is priced from a per-model table (USD per million tokens) whose keys are
+ *   model ID prefixes, longest match wins
+ * - Summary: each ledger entry is folded into daily and per-model totals in summary.json,
+ *   which the admin API reads and the budget checks (fetch-interceptor-budget.cjs) use
+ */
+
+const fs = require('fs');
+
+// Daily totals older than this are dropped from summary.json (the ledger keeps everything)
+const SUMMARY_RETENTION_DAYS = 90;
+
+// Non-streamed bodies larger than this are not parsed for usage
+const MAX_PARSED_BODY_BYTES = 10 * 1024 * 1024;
+
+// Prices in USD per million tokens. Keys are model ID prefixes; the longest match wins,
+// so dated variants (claude-sonnet-4-5-20250929) and suffixes (-latest) resolve naturally.
+// cacheRead/cacheWrite fall back to the input price when omitted.
+const DEFAULT_PRICING = {
+    'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+    'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+    'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+    'gpt-5-nano': { input: 0.05, output: 0.4, cacheRead: 0.005 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'gemini-3-flash': { input: 0.5, output: 3, cacheRead: 0.05 },
+    'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.31 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.075 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'gemini-embedding-001': { input: 0.15, output: 0 },
+};
+
+/**
+ * The default price table with the overrides from a JSON file (LLM_PRICING_FILE) merged in.
+ */
+function loadPricing(file) {
+    const pricing = { ...DEFAULT_PRICING };
+    if (!file) return pricing;
+    try {
+        const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [model, price] of Object.entries(overrides)) {
+            pricing[model.toLowerCase()] = price;
+        }
+        console.log('[fetch-interceptor] Loaded pricing overrides for', Object.keys(overrides).length, 'model(s)');
+    } catch (err) {
+        console.error('[fetch-interceptor] Failed to load LLM_PRICING_FILE:', err.message);
+    }
+    return pricing;
+}
+
+/**
+ * Find the price entry for a model ID, e.g. "anthropic/claude-sonnet-4-5-20250929".
+ * Provider prefixes (as used by AI Gateway /compat) are ignored.
+ */
+function findPrice(model, pricing = DEFAULT_PRICING) {
+    if (!model) return null;
+    const id = model.toLowerCase().split('/').pop();
+    let best = null;
+    for (const key of Object.keys(pricing)) {
+        if (id.startsWith(key) && (!best || key.length > best.length)) {
+            best = key;
+        }
+    }
+    return best ? pricing[best] : null;
+}
+
+function computeCost(usage, price) {
+    const input = price.input || 0;
+    const cost =
+        usage.inputTokens * input +
+        usage.outputTokens * (price.output || 0) +
+        usage.cacheReadTokens * (price.cacheRead ?? input) +
+        usage.cacheWriteTokens * (price.cacheWrite ?? input);
+    return Number((cost / 1e6).toFixed(8));
+}
+
+/**
+ * Detect whether a URL is an LLM API call we can account for.
+ * Returns { provider, format, via } or null.
+ *
+ * format is the response shape: 'anthropic', 'google', or 'openai' (OpenAI-compatible,
+ * which also covers Workers AI, AI Gateway /compat and custom providers).
+ */
+function detectLlmRequest(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const host = parsed.hostname;
+    let pathname = parsed.pathname;
+    let provider = null;
+    let via = 'direct';
+
+    if (host === 'gateway.ai.cloudflare.com') {
+        // /v1/{account}/{gateway}/{provider}/...
+        const segments = pathname.split('/');
+        provider = segments[4] || null;
+        pathname = '/' + segments.slice(5).join('/');
+        via = 'gateway';
+    } else if (host === 'api.anthropic.com') {
+        provider = 'anthropic';
+    } else if (host === 'api.openai.com') {
+        provider = 'openai';
+    } else if (host === 'generativelanguage.googleapis.com') {
+        provider = 'google-ai-studio';
+    } else if (host === 'api.cloudflare.com' && pathname.includes('/ai/')) {
+        provider = 'workers-ai';
+    }
+    if (!provider) return null;
+
+    if (provider === 'google-ai-studio') {
+        if (!/:(generateContent|streamGenerateContent|embedContent|batchEmbedContents)$/.test(pathname)) {
+            return null;
+        }
+        return { provider: 'google', format: 'google', via };
+    }
+    if (provider === 'anthropic') {
+        return /\/messages$/.test(pathname) ? { provider, format: 'anthropic', via } : null;
+    }
+    if (!/\/(chat\/completions|completions|responses|embeddings|run\/.+)$/.test(pathname)) {
+        return null;
+    }
+    return { provider, format: 'openai', via };
+}
+
+/**
+ * OpenAI-compatible chat/completions streams only report usage when the request sets
+ * stream_options.include_usage; without it streamed calls would be recorded with no tokens
+ * and never count toward budgets. Returns init with the option added to a streaming JSON
+ * body that doesn't set it, otherwise init unchanged. Bodies passed as a Request object or
+ * a non-string body can't be rewritten and stay unaccounted.
+ */
+function includeStreamUsage(url, format, init) {
+    if (format !== 'openai' || !init || typeof init.body !== 'string') return init;
+    if (!/\/(chat\/)?completions$/.test(new URL(url).pathname)) return init;
+    let body;
+    try {
+        body = JSON.parse(init.body);
+    } catch {
+        return init;
+    }
+    if (!body || body.stream !== true || (body.stream_options && 'include_usage' in body.stream_options)) {
+        return init;
+    }
+    body.stream_options = { ...body.stream_options, include_usage: true };
+    return { ...init, body: JSON.stringify(body) };
+}
+
+function emptyUsage() {
+    return { model: null, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, found: false };
+}
+
+/**
+ * Collects usage from one or more parsed response objects (a JSON body, or each SSE event).
+ * Later objects override earlier ones, which matches how providers report cumulative usage.
+ */
+function createUsageCollector(format) {
+    const state = emptyUsage();
+
+    function ingestAnthropic(obj) {
+        // Streaming: message_start carries model + input usage, message_delta carries output usage
+        const message = obj.type === 'message_start' ? obj.message : obj;
+        if (message && message.model) state.model = message.model;
+        const usage = (message && message.usage) || obj.usage;
+        if (!usage) return;
+        state.found = true;
+        if (usage.input_tokens != null) state.inputTokens = usage.input_tokens;
+        if (usage.output_tokens != null) state.outputTokens = usage.output_tokens;
+        if (usage.cache_read_input_tokens != null) state.cacheReadTokens = usage.cache_read_input_tokens;
+        if (usage.cache_creation_input_tokens != null) state.cacheWriteTokens = usage.cache_creation_input_tokens;
+    }
+
+    function ingestOpenAI(obj) {
+        // Responses API streaming events wrap the response object; Workers AI wraps in result
+        const body = obj.response && typeof obj.response === 'object' ? obj.response : obj;
+        if (body.model) state.model = body.model;
+        const usage = body.usage || (obj.result && obj.result.usage);
+        if (!usage) return;
+        state.found = true;
+        const input = usage.prompt_tokens ?? usage.input_tokens;
+        const cached =
+            (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) ||
+            (usage.input_tokens_details && usage.input_tokens_details.cached_tokens) ||
+            0;
+        if (input != null) {
+            state.inputTokens = Math.max(input - cached, 0);
+            state.cacheReadTokens = cached;
+        }
+        state.outputTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+    }
+
+    function ingestGoogle(obj) {
+        if (obj.modelVersion) state.model = obj.modelVersion;
+        const usage = obj.usageMetadata;
+        if (!usage) return;
+        state.found = true;
+        const cached = usage.cachedContentTokenCount || 0;
+        state.inputTokens = Math.max((usage.promptTokenCount || 0) - cached, 0);
+        state.cacheReadTokens = cached;
+        // Thinking tokens are billed as output
+        state.outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+    }
+
+    const ingestOne =
+        format === 'anthropic' ? ingestAnthropic : format === 'google' ? ingestGoogle : ingestOpenAI;
+
+    return {
+        ingest(obj) {
+            if (Array.isArray(obj)) {
+                // Google streamGenerateContent without alt=sse returns a JSON array of chunks
+                obj.forEach((item) => item && typeof item === 'object' && ingestOne(item));
+            } else if (obj && typeof obj === 'object') {
+                ingestOne(obj);
+            }
+        },
+        result() {
+            return { ...state };
+        },
+    };
+}
+
+/**
+ * Incremental Server-Sent Events parser. Calls onData with each JSON `data:` payload.
+ */
+function createSseParser(onData) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    function processLine(line) {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        try {
+            onData(JSON.parse(payload));
+        } catch {
+            // Not JSON (e.g. keep-alive comments) - nothing to account
+        }
+    }
+
+    return {
+        push(chunk) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                processLine(buffer.slice(0, newline).replace(/\r$/, ''));
+                buffer = buffer.slice(newline + 1);
+            }
+        },
+        end() {
+            buffer += decoder.decode();
+            if (buffer) processLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+        },
+    };
+}
+
+/**
+ * Attach usage accounting to an LLM response; onUsage(usage) is called once with what was
+ * parsed. SSE bodies are wrapped in a pass-through stream so the SDK sees every byte
+ * unchanged; everything else is parsed from a clone in the background. Streams that are
+ * cancelled by the reader or fail part-way still report the usage seen so far, since the
+ * provider bills for it.
+ * Sets meta.stream to whether the response was streamed.
+ */
+function accountResponse(response, format, meta, onUsage) {
+    const contentType = response.headers.get('content-type') || '';
+
+    if (response.body && contentType.includes('text/event-stream')) {
+        meta.stream = true;
+        const collector = createUsageCollector(format);
+        const parser = createSseParser((obj) => collector.ingest(obj));
+        const reader = response.body.getReader();
+        let reported = false;
+        const report = () => {
+            if (reported) return;
+            reported = true;
+            try {
+                parser.end();
+            } catch (err) {
+                console.error('[fetch-interceptor] Usage parse error:', err.message);
+            }
+            onUsage(collector.result());
+        };
+
+        const body = new ReadableStream({
+            async pull(controller) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (err) {
+                    report();
+                    controller.error(err);
+                    return;
+                }
+                if (chunk.done) {
+                    report();
+                    controller.close();
+                    return;
+                }
+                controller.enqueue(chunk.value);
+                try {
+                    parser.push(chunk.value);
+                } catch (err) {
+                    console.error('[fetch-interceptor] Usage parse error:', err.message);
+                }
+            },
+            cancel(reason) {
+                report();
+                return reader.cancel(reason);
+            },
+        });
+        const wrapped = new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        });
+        // Some SDKs read response.url for error messages
+        Object.defineProperty(wrapped, 'url', { value: response.url });
+        return wrapped;
+    }
+
+    meta.stream = false;
+    const declaredLength = Number(response.headers.get('content-length') || 0);
+    if (!response.body || declaredLength > MAX_PARSED_BODY_BYTES) {
+        onUsage(emptyUsage());
+        return response;
+    }
+
+    response
+        .clone()
+        .text()
+        .then((text) => {
+            const collector = createUsageCollector(format);
+            if (text.length <= MAX_PARSED_BODY_BYTES) {
+                try {
+                    collector.ingest(JSON.parse(text));
+                } catch {
+                    // Not JSON - record the request without usage
+                }
+            }
+            onUsage(collector.result());
+        })
+        .catch((err) => {
+            console.error('[fetch-interceptor] Failed to read response for usage:', err.message);
+            onUsage(emptyUsage());
+        });
+    return response;
+}
+
+function emptyTotals() {
+    return {
+        requests: 0,
+        errors: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        costUsd: 0,
+    };
+}
+
+function addToTotals(totals, entry) {
+    totals.requests += 1;
+    if (entry.status >= 400) totals.errors += 1;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.cacheReadTokens += entry.cacheReadTokens;
+    totals.cacheWriteTokens += entry.cacheWriteTokens;
+    totals.costUsd = Number((totals.costUsd + (entry.costUsd || 0)).toFixed(8));
+}
+
+function readSummary(file) {
+    try {
+        const summary = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (summary && typeof summary.days === 'object') return summary;
+    } catch {
+        // Missing or corrupt summary - start fresh
+    }
+    return { version: 1, updatedAt: null, days: {} };
+}
+
+const LOCK_WAIT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const lockSleep = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run fn while holding `${file}.lock`, created exclusively so only one process at a time
+ * gets it. Waits up to LOCK_WAIT_MS (blocking: the critical section is a small synchronous
+ * read and write), and breaks locks older than LOCK_STALE_MS left by a crashed process.
+ * Without the lock after the wait, fn runs anyway: a lost update beats a lost entry.
+ */
+function withFileLock(file, fn) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    let locked = false;
+    while (!locked) {
+        try {
+            fs.closeSync(fs.openSync(lockFile, 'wx'));
+            locked = true;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) fs.rmSync(lockFile, { force: true });
+            } catch {
+                // Released between the two calls
+            }
+            if (Date.now() >= deadline) {
+                console.error('[fetch-interceptor] Timed out waiting for', lockFile);
+                break;
+            }
+            Atomics.wait(lockSleep, 0, 0, 10);
+        }
+    }
+    try {
+        return fn();
+    } finally {
+        if (locked) fs.rmSync(lockFile, { force: true });
+    }
+}
+
+/**
+ * Fold one ledger entry into the summary file.
+ * Every node process loads the interceptor through NODE_OPTIONS, so the read-modify-write
+ * holds a lock file to keep concurrent processes from losing each other's updates (within a
+ * process it is synchronous, so requests can't interleave). The write goes through a rename
+ * so readers that don't take the lock never see a partial file.
+ */
+function updateSummary(file, entry, now = Date.now()) {
+    return withFileLock(file, () => foldIntoSummary(file, entry, now));
+}
+
+function foldIntoSummary(file, entry, now) {
+    const summary = readSummary(file);
+    const day = entry.ts.slice(0, 10);
+    const dayTotals = summary.days[day] || (summary.days[day] = { ...emptyTotals(), models: {} });
+    addToTotals(dayTotals, entry);
+
+    const modelKey = `${entry.provider}/${entry.model || 'unknown'}`;
+    dayTotals.models[modelKey] = dayTotals.models[modelKey] || emptyTotals();
+    addToTotals(dayTotals.models[modelKey], entry);
+
+    const cutoff = new Date(now - SUMMARY_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const date of Object.keys(summary.days)) {
+        if (date < cutoff) delete summary.days[date];
+    }
+    summary.updatedAt = entry.ts;
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(summary));
+    fs.renameSync(tmpFile, file);
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    SUMMARY_RETENTION_DAYS,
+    loadPricing,
+    findPrice,
+    computeCost,
+    detectLlmRequest,
+    includeStreamUsage,
+    emptyUsage,
+    createUsageCollector,
+    createSseParser,
+    accountResponse,
+    readSummary,
+    updateSummary,
+};
@@ -0,0 +1,83 @@
+// Type declarations for fetch-interceptor-usage.cjs (used by its tests)
+
+export type ResponseFormat = 'anthropic' | 'openai' | 'google';
+
+export interface Price {
+  input?: number;
+  output?: number;
+  cacheRead?: number;
+  cacheWrite?: number;
+}
+
+export interface LlmRequest {
+  provider: string;
+  format: ResponseFormat;
+  via: 'direct' | 'gateway';
+}
+
+export interface Usage {
+  model: string | null;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  found: boolean;
+}
+
+export interface UsageTotals {
+  requests: number;
+  errors: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+}
+
+export interface UsageSummary {
+  version: number;
+  updatedAt: string | null;
+  days: Record<string, UsageTotals & { models: Record<string, UsageTotals> }>;
+}
+
+export interface LedgerEntry {
+  ts: string;
+  provider: string;
+  model: string | null;
+  status: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+  [key: string]: unknown;
+}
+
+export const DEFAULT_PRICING: Record<string, Price>;
+export const SUMMARY_RETENTION_DAYS: number;
+export function loadPricing(file?: string): Record<string, Price>;
+export function findPrice(model: string | null, pricing?: Record<string, Price>): Price | null;
+export function computeCost(usage: Usage, price: Price): number;
+export function detectLlmRequest(url: string): LlmRequest | null;
+export function includeStreamUsage<T extends RequestInit | undefined>(
+  url: string,
+  format: ResponseFormat,
+  init: T,
+): T;
+export function emptyUsage(): Usage;
+export function createUsageCollector(format: ResponseFormat): {
+  ingest(obj: unknown): void;
+  result(): Usage;
+};
+export function createSseParser(onData: (obj: unknown) => void): {
+  push(chunk: Uint8Array): void;
+  end(): void;
+};
+export function accountResponse(
+  response: Response,
+  format: ResponseFormat,
+  meta: { stream?: boolean },
+  onUsage: (usage: Usage) => void,
+): Response;
+export function readSummary(file: string): UsageSummary;
+export function updateSummary(file: string, entry: LedgerEntry, now?: number): UsageSummary;
@@ -1,150 +1,973 @@
 #!/usr/bin/env node
 /**
  * Cloudflare Browser Rendering - CDP Client Library
- * 
+ *
  * Reusable CDP WebSocket client for Cloudflare Browser Rendering.
  * Import and use in custom scripts.
- * 
+ *
  * Usage:
  *   const { createClient } = require('./cdp-client');
  *   const client = await createClient();
- *   await client.navigate('https://example.com');
+ *   await client.navigate('https://example.com', { waitUntil: 'networkidle' });
+ *   await client.type('input[name="q"]', 'cloudflare');
+ *   await client.press('Enter');
+ *   await client.waitForNavigation();
+ *   await client.click('a.result');
+ *   const title = await client.evaluate('document.title');
  *   const screenshot = await client.screenshot();
+ *
+ *   // More tabs - each page has the same action API, bound to its own target
+ *   const docs = await client.newPage('https://developers.cloudflare.com');
+ *   docs.on('Page.loadEventFired', () => console.log('docs loaded'));
+ *   await docs.close();
+ *
  *   client.close();
+ *
+ *   // Survive dropped connections; errors are CDPTimeoutError / CDPProtocolError /
+ *   // CDPDisconnectedError (all extend CDPError)
+ *   const resilient = await createClient({ reconnect: true, keepAlive: 20000 });
+ *
+ * Selectors and text are always passed to the page as Runtime.callFunctionOn
+ * arguments, never interpolated into script source, so quotes are safe.
+ *
+ * Events: the /cdp shim tags page-scoped events with `sessionId` (the page's targetId).
+ * `client.on()` sees every event; `page.on()` sees events for that page plus untagged ones.
  */
 
 const WebSocket = require('ws');
 
-function createClient(options = {}) {
-  const CDP_SECRET = options.secret || process.env.CDP_SECRET;
-  if (!CDP_SECRET) {
-    throw new Error('CDP_SECRET environment variable not set');
+const DEFAULT_WAIT_TIMEOUT = 30000;
+const POLL_INTERVAL = 100;
+
+// Browser-level domains: their commands are sent as-is; every other domain acts on a page and
+// gets the page's targetId
+const BROWSER_DOMAINS = new Set(['Browser', 'Target']);
+
+// Page settings remembered per page and re-applied after a reconnect
+const RESTORABLE_METHODS = new Set([
+  'Network.enable',
+  'Runtime.enable',
+  'Emulation.setDeviceMetricsOverride',
+  'Emulation.setUserAgentOverride',
+  'Network.setUserAgentOverride',
+  'Network.setExtraHTTPHeaders',
+]);
+
+const DEFAULT_RECONNECT = { maxAttempts: 5, baseDelay: 1000, maxDelay: 15000, restoreUrl: true };
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Base class for all client errors.
+ */
+class CDPError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
   }
-  
-  const workerUrl = (options.workerUrl || process.env.WORKER_URL).replace(/^https?:\/\//, '');
-  const wsUrl = `wss://${workerUrl}/cdp?secret=${encodeURIComponent(CDP_SECRET)}`;
-  const timeout = options.timeout || 60000;
-  
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(wsUrl);
-    let messageId = 1;
-    const pending = new Map();
-    let targetId = null;
-    let targetResolve;
-    const targetReady = new Promise(r => { targetResolve = r; });
-    
-    function send(method, params = {}) {
-      return new Promise((res, rej) => {
-        const id = messageId++;
-        const timer = setTimeout(() => {
-          pending.delete(id);
-          rej(new Error(`Timeout: ${method}`));
-        }, timeout);
-        pending.set(id, { resolve: res, reject: rej, timeout: timer });
-        ws.send(JSON.stringify({ id, method, params }));
-      });
+}
+
+/** No response within the command timeout. Carries `method` and `timeout`. Usually safe to retry. */
+class CDPTimeoutError extends CDPError {}
+
+/** The browser answered with a CDP error. Carries `method`, `code` and `data`. Retrying rarely helps. */
+class CDPProtocolError extends CDPError {}
+
+/** The WebSocket closed before the command completed. Carries `method`, `code` and `reason`. Retry after reconnect. */
+class CDPDisconnectedError extends CDPError {}
+
+/** Script run in the page threw. Carries `exceptionDetails`. */
+class CDPEvaluationError extends CDPError {}
+
+/** CDP_SECRET or CDP_TOKEN / WORKER_URL missing or invalid. Carries `missing` (env var names). */
+class CDPConfigError extends CDPError {}
+
+/**
+ * Validate connection settings (options first, then CDP_TOKEN / CDP_SECRET / WORKER_URL /
+ * CDP_PROFILE) and build the WebSocket URL. A scoped token is used in preference to the secret.
+ * WORKER_URL may be a bare host or an http(s) URL; http:// maps to ws://.
+ */
+function resolveConfig(options = {}) {
+  const token = options.token || process.env.CDP_TOKEN || null;
+  const secret = token ? null : options.secret || process.env.CDP_SECRET;
+  const workerUrl = options.workerUrl || process.env.WORKER_URL;
+  const profile = options.profile || process.env.CDP_PROFILE || null;
+
+  const missing = [];
+  if (!token && !secret) missing.push('CDP_SECRET');
+  if (!workerUrl) missing.push('WORKER_URL');
+  if (missing.length > 0) {
+    throw new CDPConfigError(`${missing.join(' and ')} not set (see the cloudflare-browser skill prerequisites)`, { missing });
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(workerUrl) ? workerUrl : `https://${workerUrl}`);
+  } catch {
+    throw new CDPConfigError(`WORKER_URL is not a valid URL: ${workerUrl}`, { missing: [] });
+  }
+  const protocol = url.protocol === 'http:' || url.protocol === 'ws:' ? 'ws:' : 'wss:';
+  if (profile && !/^[A-Za-z0-9_-]{1,64}$/.test(profile)) {
+    throw new CDPConfigError(`Invalid profile name "${profile}" (use 1-64 letters, digits, "-" or "_")`, { missing: [] });
+  }
+  const credential = token ? `token=${encodeURIComponent(token)}` : `secret=${encodeURIComponent(secret)}`;
+  const profileParam = profile ? `&profile=${encodeURIComponent(profile)}` : '';
+
+  return {
+    secret,
+    token,
+    workerUrl: url.origin,
+    profile,
+    wsUrl: `${protocol}//${url.host}/cdp?${credential}${profileParam}`,
+  };
+}
+
+// Paper sizes in inches (width x height, portrait)
+const PAPER_SIZES = {
+  letter: [8.5, 11],
+  legal: [8.5, 14],
+  tabloid: [11, 17],
+  ledger: [17, 11],
+  a0: [33.1, 46.8],
+  a1: [23.4, 33.1],
+  a2: [16.54, 23.4],
+  a3: [11.7, 16.54],
+  a4: [8.27, 11.7],
+  a5: [5.83, 8.27],
+  a6: [4.13, 5.83],
+};
+
+const INCHES_PER_UNIT = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4, px: 1 / 96 };
+
+/**
+ * Convert a length such as 1, '0.5in', '2cm', '10mm' or '40px' to inches.
+ * Bare numbers are CSS pixels, as in Puppeteer.
+ */
+function toInches(value) {
+  if (typeof value === 'number') return value * INCHES_PER_UNIT.px;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(in|cm|mm|px)?\s*$/i.exec(String(value));
+  if (!match) throw new TypeError(`Invalid length "${value}" (use a number with in, cm, mm or px)`);
+  return Number(match[1]) * INCHES_PER_UNIT[(match[2] || 'px').toLowerCase()];
+}
+
+/**
+ * Build Page.printToPDF params from friendly options:
+ *   format       - paper size name (Letter, Legal, Tabloid, Ledger, A0-A6); default Letter
+ *   width/height - custom paper size (lengths), overrides format
+ *   margin       - one length for all sides, or { top, right, bottom, left }
+ *   landscape, printBackground (default true), scale, pageRanges, preferCSSPageSize,
+ *   headerTemplate/footerTemplate (either one turns on displayHeaderFooter)
+ */
+function pdfParams(options = {}) {
+  const params = {
+    landscape: Boolean(options.landscape),
+    printBackground: options.printBackground !== false,
+  };
+
+  if (options.width || options.height) {
+    if (!options.width || !options.height) throw new TypeError('Custom paper size needs both width and height');
+    params.paperWidth = toInches(options.width);
+    params.paperHeight = toInches(options.height);
+  } else {
+    const size = PAPER_SIZES[String(options.format || 'letter').toLowerCase()];
+    if (!size) {
+      throw new TypeError(`Unknown paper format "${options.format}" (use ${Object.keys(PAPER_SIZES).join(', ')})`);
     }
-    
-    ws.on('message', (data) => {
-      const msg = JSON.parse(data.toString());
-      
-      if (msg.method === 'Target.targetCreated' && msg.params?.targetInfo?.type === 'page') {
-        targetId = msg.params.targetInfo.targetId;
-        targetResolve(targetId);
-      }
-      
-      if (msg.id && pending.has(msg.id)) {
-        const { resolve, reject, timeout: timer } = pending.get(msg.id);
-        clearTimeout(timer);
-        pending.delete(msg.id);
-        msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
+    [params.paperWidth, params.paperHeight] = size;
+  }
+
+  if (options.margin !== undefined) {
+    const margin = typeof options.margin === 'object'
+      ? options.margin
+      : { top: options.margin, right: options.margin, bottom: options.margin, left: options.margin };
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      if (margin[side] !== undefined) {
+        params[`margin${side[0].toUpperCase()}${side.slice(1)}`] = toInches(margin[side]);
+      }
+    }
+  }
+
+  if (options.scale !== undefined) {
+    if (!(options.scale >= 0.1 && options.scale <= 2)) throw new TypeError('PDF scale must be between 0.1 and 2');
+    params.scale = options.scale;
+  }
+  if (options.pageRanges) params.pageRanges = options.pageRanges;
+  if (options.preferCSSPageSize) params.preferCSSPageSize = true;
+  if (options.headerTemplate || options.footerTemplate) {
+    params.displayHeaderFooter = true;
+    // Chrome prints its own default for a missing template; an empty span suppresses it
+    params.headerTemplate = options.headerTemplate || '<span></span>';
+    params.footerTemplate = options.footerTemplate || '<span></span>';
+  }
+  return params;
+}
+
+/**
+ * Minimal event registry. Handlers are called with (params, message).
+ */
+function createEmitter() {
+  const handlers = new Map();
+
+  function on(event, handler) {
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+    return () => off(event, handler);
+  }
+
+  function off(event, handler) {
+    handlers.get(event)?.delete(handler);
+  }
+
+  function emit(event, params, msg) {
+    for (const key of [event, '*']) {
+      for (const handler of handlers.get(key) || []) {
+        try {
+          handler(params, msg);
+        } catch (err) {
+          console.error(`[cdp-client] ${event} handler failed:`, err.message);
+        }
       }
+    }
+  }
+
+  function waitForEvent(event, { predicate, timeout: waitTimeout = DEFAULT_WAIT_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new CDPTimeoutError(`Timed out after ${waitTimeout}ms waiting for ${event}`, { event, timeout: waitTimeout }));
+      }, waitTimeout);
+      const unsubscribe = on(event, (params, msg) => {
+        if (predicate && !predicate(params, msg)) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(params);
+      });
+    });
+  }
+
+  return { on, off, emit, waitForEvent };
+}
+
+/**
+ * Action API bound to one page target.
+ * `rawSend(method, params)` sends a command as-is; page-domain commands get `targetId` added.
+ * `target` is shared with the client, which points it at a new targetId after a reconnect;
+ * `whenConnected()` holds commands until that has happened.
+ */
+function createPage(target, { rawSend, whenConnected, onClose }) {
+  const events = createEmitter();
+  const settings = new Map(); // restorable method -> last params
+
+  function withTarget(method, params) {
+    const domain = method.split('.')[0];
+    return BROWSER_DOMAINS.has(domain) ? params : { targetId: target.id, ...params };
+  }
+
+  async function send(method, params = {}, sendOptions) {
+    if (RESTORABLE_METHODS.has(method)) settings.set(method, params);
+    if (method.endsWith('.disable')) settings.delete(method.replace(/disable$/, 'enable'));
+    await whenConnected();
+    return rawSend(method, withTarget(method, params), sendOptions);
+  }
+
+  /**
+   * Re-apply remembered settings (viewport, user agent, headers) with `sendFn`.
+   */
+  async function restoreSettings(sendFn) {
+    for (const [method, params] of settings) {
+      await sendFn(method, withTarget(method, params));
+    }
+  }
+
+  /**
+   * Unwrap a Runtime.evaluate / Runtime.callFunctionOn result, throwing on page exceptions.
+   */
+  function unwrap(response, what) {
+    if (response.exceptionDetails) {
+      const details = response.exceptionDetails;
+      const message = details.exception?.description || details.text || 'Evaluation failed';
+      throw new CDPEvaluationError(`${what}: ${message}`, { exceptionDetails: details });
+    }
+    return response.result?.value;
+  }
+
+  /**
+   * Call a function in the page with JSON-serializable arguments.
+   * `fn` may be a function or the source of one.
+   */
+  async function callFunction(fn, ...args) {
+    const response = await send('Runtime.callFunctionOn', {
+      functionDeclaration: typeof fn === 'function' ? fn.toString() : fn,
+      arguments: args.map(value => ({ value })),
+      returnByValue: true,
+      awaitPromise: true,
+    });
+    return unwrap(response, 'Function call failed');
+  }
+
+  async function evaluate(expression) {
+    const response = await send('Runtime.evaluate', {
+      expression,
+      returnByValue: true,
+      awaitPromise: true,
     });
-    
-    ws.on('error', reject);
-    
-    ws.on('open', async () => {
+    return unwrap(response, 'Evaluation failed');
+  }
+
+  /**
+   * Poll `check` until it returns a truthy value or the timeout elapses.
+   */
+  async function waitFor(check, { timeout: waitTimeout = DEFAULT_WAIT_TIMEOUT, interval = POLL_INTERVAL, description = 'condition' } = {}) {
+    const deadline = Date.now() + waitTimeout;
+    let lastError;
+    for (;;) {
       try {
-        // Wait for target
-        await Promise.race([
-          targetReady,
-          new Promise((_, rej) => setTimeout(() => rej(new Error('No target created')), 10000))
-        ]);
-        
-        // Client API
-        const client = {
-          ws,
-          targetId,
-          send,
-          
-          async navigate(url, waitMs = 3000) {
-            await send('Page.navigate', { url });
-            await new Promise(r => setTimeout(r, waitMs));
-          },
-          
-          async screenshot(format = 'png') {
-            const { data } = await send('Page.captureScreenshot', { format });
-            return Buffer.from(data, 'base64');
-          },
-          
-          async setViewport(width = 1280, height = 800, scale = 1, mobile = false) {
-            await send('Emulation.setDeviceMetricsOverride', {
-              width, height, deviceScaleFactor: scale, mobile
-            });
-          },
-          
-          async evaluate(expression) {
-            return send('Runtime.evaluate', { expression });
-          },
-          
-          async scroll(y = 300) {
-            await send('Runtime.evaluate', { expression: `window.scrollBy(0, ${y})` });
-            await new Promise(r => setTimeout(r, 300));
-          },
-          
-          async click(selector) {
-            await send('Runtime.evaluate', { 
-              expression: `document.querySelector('${selector}')?.click()` 
-            });
-          },
-          
-          async type(selector, text) {
-            await send('Runtime.evaluate', {
-              expression: `(() => {
-                const el = document.querySelector('${selector}');
-                if (el) { el.value = '${text}'; el.dispatchEvent(new Event('input')); }
-              })()`
-            });
-          },
-          
-          async getHTML() {
-            const result = await send('Runtime.evaluate', {
-              expression: 'document.documentElement.outerHTML'
-            });
-            return result.result?.value;
-          },
-          
-          async getText() {
-            const result = await send('Runtime.evaluate', {
-              expression: 'document.body.innerText'
-            });
-            return result.result?.value;
-          },
-          
-          close() {
-            ws.close();
-          }
-        };
-        
-        resolve(client);
+        const value = await check();
+        if (value) return value;
       } catch (err) {
+        // A lost connection won't come back by polling; anything else may be mid-navigation
+        if (err instanceof CDPDisconnectedError) throw err;
+        lastError = err;
+      }
+      if (Date.now() >= deadline) {
+        const reason = lastError ? ` (last error: ${lastError.message})` : '';
+        throw new CDPTimeoutError(`Timed out after ${waitTimeout}ms waiting for ${description}${reason}`, { timeout: waitTimeout });
+      }
+      await sleep(interval);
+    }
+  }
+
+  async function waitForSelector(selector, { visible = false, hidden = false, timeout: waitTimeout } = {}) {
+    const state = hidden ? 'hidden' : visible ? 'visible' : 'attached';
+    return waitFor(
+      () => callFunction((sel, wanted) => {
+        const el = document.querySelector(sel);
+        if (wanted === 'hidden') {
+          if (!el) return true;
+          const style = window.getComputedStyle(el);
+          const rect = el.getBoundingClientRect();
+          return style.visibility === 'hidden' || style.display === 'none' || rect.width === 0 || rect.height === 0;
+        }
+        if (!el) return false;
+        if (wanted === 'visible') {
+          const style = window.getComputedStyle(el);
+          const rect = el.getBoundingClientRect();
+          return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+        }
+        return true;
+      }, selector, state),
+      { timeout: waitTimeout, description: `selector "${selector}" (${state})` }
+    );
+  }
+
+  async function waitForLoad({ timeout: waitTimeout } = {}) {
+    await waitFor(
+      () => evaluate('document.readyState === "complete"'),
+      { timeout: waitTimeout, description: 'page load' }
+    );
+  }
+
+  /**
+   * Wait for a navigation started by the page (link click, form submit, location change)
+   * to finish loading. Pass the URL seen before the action if it may already have changed.
+   */
+  async function waitForNavigation({ fromUrl, timeout: waitTimeout = DEFAULT_WAIT_TIMEOUT } = {}) {
+    const deadline = Date.now() + waitTimeout;
+    const startUrl = fromUrl ?? await evaluate('location.href').catch(() => null);
+    const navigationId = Math.random().toString(36).slice(2);
+    // Tag the current document so a reload to the same URL is still detected
+    await callFunction((id) => { window.__cdpClientNavigation = id; }, navigationId).catch(() => {});
+    await waitFor(
+      () => callFunction((url, id) => (
+        (location.href !== url || window.__cdpClientNavigation !== id) && document.readyState === 'complete'
+      ), startUrl, navigationId),
+      { timeout: Math.max(deadline - Date.now(), 0), description: 'navigation' }
+    );
+    return evaluate('location.href');
+  }
+
+  /**
+   * Wait until no new resources have been requested for `idleTime` ms.
+   * Uses the Resource Timing buffer, which the page fills for every fetch/XHR/asset.
+   */
+  async function waitForNetworkIdle({ idleTime = 500, timeout: waitTimeout = DEFAULT_WAIT_TIMEOUT } = {}) {
+    let lastCount = -1;
+    let quietSince = Date.now();
+    await waitFor(async () => {
+      const count = await callFunction(() => {
+        // Keep counting past the default 250-entry buffer
+        if (performance.setResourceTimingBufferSize && !window.__cdpClientBufferSized) {
+          performance.setResourceTimingBufferSize(10000);
+          window.__cdpClientBufferSized = true;
+        }
+        return document.readyState === 'complete' ? performance.getEntriesByType('resource').length : -1;
+      });
+      if (count !== lastCount || count < 0) {
+        lastCount = count;
+        quietSince = Date.now();
+        return false;
+      }
+      return Date.now() - quietSince >= idleTime;
+    }, { timeout: waitTimeout, description: 'network idle' });
+  }
+
+  /**
+   * Resolve a selector to a DOM nodeId, waiting for it to appear.
+   */
+  async function querySelector(selector, { timeout: waitTimeout } = {}) {
+    await waitForSelector(selector, { timeout: waitTimeout });
+    const { root } = await send('DOM.getDocument', { depth: 0 });
+    const { nodeId } = await send('DOM.querySelector', { nodeId: root.nodeId, selector });
+    if (!nodeId) throw new Error(`Element not found: ${selector}`);
+    return nodeId;
+  }
+
+  /**
+   * Viewport coordinates of the centre of an element's content box, after scrolling it into view.
+   */
+  async function elementCenter(selector, opts = {}) {
+    await waitForSelector(selector, { visible: true, timeout: opts.timeout });
+    const nodeId = await querySelector(selector, opts);
+    await send('DOM.scrollIntoViewIfNeeded', { nodeId });
+    const { model } = await send('DOM.getBoxModel', { nodeId });
+    const quad = model.content;
+    const xs = [quad[0], quad[2], quad[4], quad[6]];
+    const ys = [quad[1], quad[3], quad[5], quad[7]];
+    return {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+    };
+  }
+
+  /**
+   * Screenshot clip for an element: its border box from DOM.getBoxModel (viewport
+   * coordinates) shifted by the scroll offset into page coordinates, plus padding.
+   */
+  async function elementClip(selector, { padding = 0, timeout: waitTimeout } = {}) {
+    await waitForSelector(selector, { visible: true, timeout: waitTimeout });
+    const nodeId = await querySelector(selector, { timeout: waitTimeout });
+    await send('DOM.scrollIntoViewIfNeeded', { nodeId });
+    const { model } = await send('DOM.getBoxModel', { nodeId });
+    const scroll = await callFunction(() => ({ x: window.scrollX, y: window.scrollY }));
+
+    const quad = model.border;
+    const xs = [quad[0], quad[2], quad[4], quad[6]];
+    const ys = [quad[1], quad[3], quad[5], quad[7]];
+    const x = Math.max(Math.min(...xs) + scroll.x - padding, 0);
+    const y = Math.max(Math.min(...ys) + scroll.y - padding, 0);
+    const width = Math.max(...xs) + scroll.x + padding - x;
+    const height = Math.max(...ys) + scroll.y + padding - y;
+    if (width <= 0 || height <= 0) throw new CDPError(`Element has no visible area: ${selector}`, { selector });
+    return { x, y, width, height, scale: 1 };
+  }
+
+  async function clickAt(x, y, { button = 'left', clickCount = 1, delay = 0 } = {}) {
+    await send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+    await send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button, clickCount });
+    if (delay) await sleep(delay);
+    await send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button, clickCount });
+  }
+
+  async function press(key, { delay = 0 } = {}) {
+    await send('Input.dispatchKeyEvent', { type: 'keyDown', key });
+    if (delay) await sleep(delay);
+    await send('Input.dispatchKeyEvent', { type: 'keyUp', key });
+  }
+
+  async function focus(selector, focusOptions = {}) {
+    const nodeId = await querySelector(selector, focusOptions);
+    await send('DOM.focus', { nodeId });
+  }
+
+  return {
+    get targetId() {
+      return target.id;
+    },
+    send,
+    evaluate,
+    callFunction,
+    waitFor,
+    waitForSelector,
+    waitForLoad,
+    waitForNavigation,
+    waitForNetworkIdle,
+    querySelector,
+    clickAt,
+    press,
+    focus,
+    on: events.on,
+    off: events.off,
+    waitForEvent: events.waitForEvent,
+    // Used by the client to deliver events and restore state for this target
+    _emit: events.emit,
+    _restoreSettings: restoreSettings,
+    _target: target,
+
+    /**
+     * Navigate and wait for the load event. waitUntil: 'load' (default) or 'networkidle'.
+     * A number is accepted as a fixed settle delay after load, for older callers.
+     */
+    async navigate(url, navOptions = {}) {
+      const opts = typeof navOptions === 'number' ? { settleMs: navOptions } : navOptions;
+      const result = await send('Page.navigate', { url });
+      target.url = url;
+      if (result?.errorText) {
+        throw new Error(`Navigation to ${url} failed: ${result.errorText}`);
+      }
+      await waitForLoad({ timeout: opts.timeout });
+      if (opts.waitUntil === 'networkidle') {
+        await waitForNetworkIdle({ timeout: opts.timeout, idleTime: opts.idleTime });
+      }
+      if (opts.settleMs) await sleep(opts.settleMs);
+    },
+
+    /**
+     * Capture the page. Accepts a format string for older callers, or an options object:
+     *   format   - 'png' (default), 'jpeg' or 'webp'; quality applies to jpeg/webp
+     *   fullPage - the whole scrollable page, sized from Page.getLayoutMetrics
+     *   selector - just this element (its border box), with optional `padding` in px
+     *   clip     - an explicit { x, y, width, height } region in page coordinates
+     */
+    async screenshot(shotOptions = {}) {
+      const opts = typeof shotOptions === 'string' ? { format: shotOptions } : shotOptions;
+      const format = opts.format || 'png';
+      const params = { format };
+      if (opts.quality !== undefined && format !== 'png') params.quality = opts.quality;
+
+      if (opts.selector) {
+        params.clip = await elementClip(opts.selector, opts);
+      } else if (opts.clip) {
+        params.clip = { scale: 1, ...opts.clip };
+      } else if (opts.fullPage) {
+        const { contentSize } = await send('Page.getLayoutMetrics');
+        params.clip = { x: 0, y: 0, width: contentSize.width, height: contentSize.height, scale: 1 };
+      }
+      if (params.clip) params.captureBeyondViewport = true;
+
+      const { data } = await send('Page.captureScreenshot', params);
+      return Buffer.from(data, 'base64');
+    },
+
+    /**
+     * Print the page to PDF. See pdfParams() for options (format, margin, landscape, ...).
+     */
+    async pdf(pdfOptions = {}) {
+      const { data } = await send('Page.printToPDF', pdfParams(pdfOptions));
+      return Buffer.from(data, 'base64');
+    },
+
+    /**
+     * Current page URL and title.
+     */
+    async info() {
+      return callFunction(() => ({ url: location.href, title: document.title }));
+    },
+
+    async setViewport(width = 1280, height = 800, scale = 1, mobile = false) {
+      await send('Emulation.setDeviceMetricsOverride', {
+        width, height, deviceScaleFactor: scale, mobile
+      });
+    },
+
+    async scroll(y = 300) {
+      await callFunction((dy) => window.scrollBy(0, dy), y);
+      await sleep(300);
+    },
+
+    /**
+     * Click an element with real mouse events at the centre of its box model.
+     */
+    async click(selector, clickOptions = {}) {
+      const { x, y } = await elementCenter(selector, clickOptions);
+      await clickAt(x, y, clickOptions);
+    },
+
+    /**
+     * Focus an element and type into it. By default text is inserted in one
+     * Input.insertText call; pass { delay } to send key events per character.
+     * { clear: true } empties the field first.
+     */
+    async type(selector, text, typeOptions = {}) {
+      await focus(selector, typeOptions);
+      if (typeOptions.clear) {
+        await callFunction((sel) => {
+          const el = document.querySelector(sel);
+          if (el && 'value' in el) {
+            el.value = '';
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+          } else if (el && el.isContentEditable) {
+            el.textContent = '';
+          }
+        }, selector);
+      }
+      if (typeOptions.delay) {
+        for (const char of String(text)) {
+          await send('Input.dispatchKeyEvent', { type: 'char', text: char });
+          await sleep(typeOptions.delay);
+        }
+      } else {
+        await send('Input.insertText', { text: String(text) });
+      }
+    },
+
+    async getHTML() {
+      return evaluate('document.documentElement.outerHTML');
+    },
+
+    async getText() {
+      return evaluate('document.body.innerText');
+    },
+
+    /**
+     * Close this page's target.
+     */
+    async close() {
+      await onClose(target.id);
+    },
+  };
+}
+
+/**
+ * Connect to the worker's /cdp endpoint.
+ *
+ * Options:
+ *   secret, workerUrl  - default to CDP_SECRET / WORKER_URL (throws CDPConfigError if missing)
+ *   token              - scoped token from /api/admin/cdp-tokens (default CDP_TOKEN), used
+ *                        instead of the secret
+ *   profile            - named browser profile (default CDP_PROFILE): cookies and localStorage
+ *                        are restored on connect and saved by the worker when the client closes
+ *   timeout            - per-command timeout in ms (default 60000)
+ *   reconnect          - true or { maxAttempts, baseDelay, maxDelay, restoreUrl } to reconnect
+ *                        with exponential backoff after an unexpected close. Open pages are
+ *                        re-created, viewport/user agent/extra headers re-applied and, with
+ *                        restoreUrl (default), each page navigated back to its last URL.
+ *   keepAlive          - interval in ms for a lightweight command that keeps the Browser
+ *                        Rendering session busy and detects dead connections (default off)
+ *
+ * Commands in flight when the socket closes reject immediately with CDPDisconnectedError.
+ * Commands sent while reconnecting wait for the new connection.
+ * Lifecycle events are emitted on client.on(): 'Client.disconnected', 'Client.reconnected'
+ * and 'Client.reconnectFailed'.
+ */
+function createClient(options = {}) {
+  const { wsUrl } = resolveConfig(options);
+  const timeout = options.timeout || 60000;
+  const reconnect = options.reconnect
+    ? { ...DEFAULT_RECONNECT, ...(typeof options.reconnect === 'object' ? options.reconnect : {}) }
+    : null;
+  const keepAlive = options.keepAlive || 0;
+
+  let ws = null;
+  let messageId = 1;
+  const pending = new Map();
+  const events = createEmitter();
+  const pageHandles = new Map(); // targetId -> page
+  let defaultPage = null;
+  let onFirstTarget = null;
+  let reconnecting = null; // promise while a reconnect is in progress
+  let closed = false; // closed by the user or reconnect gave up
+  let keepAliveTimer = null;
+
+  function rejectPending(error) {
+    for (const [id, entry] of pending) {
+      clearTimeout(entry.timeout);
+      pending.delete(id);
+      entry.reject(new CDPDisconnectedError(`${error.message} (${entry.method})`, { ...error, method: entry.method }));
+    }
+  }
+
+  /**
+   * Send on the current socket without waiting for a reconnect.
+   */
+  function sendNow(method, params = {}, { timeout: commandTimeout = timeout } = {}) {
+    return new Promise((res, rej) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        rej(new CDPDisconnectedError(`Not connected: ${method}`, { method }));
+        return;
+      }
+      const id = messageId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        rej(new CDPTimeoutError(`Timeout: ${method}`, { method, timeout: commandTimeout }));
+      }, commandTimeout);
+      pending.set(id, { resolve: res, reject: rej, timeout: timer, method });
+      ws.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  async function whenConnected() {
+    if (reconnecting) await reconnecting;
+  }
+
+  async function send(method, params = {}, sendOptions) {
+    await whenConnected();
+    if (closed) throw new CDPDisconnectedError(`Client is closed: ${method}`, { method });
+    return sendNow(method, params, sendOptions);
+  }
+
+  function pageFor(targetId) {
+    let page = pageHandles.get(targetId);
+    if (!page) {
+      page = createPage({ id: targetId, url: null }, { rawSend: send, whenConnected, onClose: closePage });
+      pageHandles.set(targetId, page);
+    }
+    return page;
+  }
+
+  function trackEvent(msg) {
+    const { method, params = {} } = msg;
+    if (method === 'Target.targetCreated' || method === 'Target.targetInfoChanged') {
+      const info = params.targetInfo;
+      if (info?.type !== 'page') return;
+      // The worker creates one page on connect; later ones come from newPage()
+      if (onFirstTarget) {
+        onFirstTarget(info.targetId);
+        onFirstTarget = null;
+      }
+      const page = pageHandles.get(info.targetId);
+      if (page && info.url) page._target.url = info.url;
+    } else if (method === 'Target.targetDestroyed') {
+      pageHandles.delete(params.targetId);
+    } else if (method === 'Page.frameNavigated' && msg.sessionId) {
+      const page = pageHandles.get(msg.sessionId);
+      if (page && params.frame?.url) page._target.url = params.frame.url;
+    }
+  }
+
+  function dispatchEvent(msg) {
+    trackEvent(msg);
+    events.emit(msg.method, msg.params || {}, msg);
+    if (msg.sessionId) {
+      pageHandles.get(msg.sessionId)?._emit(msg.method, msg.params || {}, msg);
+    } else {
+      for (const page of pageHandles.values()) {
+        page._emit(msg.method, msg.params || {}, msg);
+      }
+    }
+  }
+
+  function handleMessage(data) {
+    const msg = JSON.parse(data.toString());
+
+    if (msg.method) {
+      dispatchEvent(msg);
+    }
+
+    if (msg.id && pending.has(msg.id)) {
+      const { resolve, reject, timeout: timer, method } = pending.get(msg.id);
+      clearTimeout(timer);
+      pending.delete(msg.id);
+      if (msg.error) {
+        reject(new CDPProtocolError(msg.error.message, { method, code: msg.error.code, data: msg.error.data }));
+      } else {
+        resolve(msg.result);
+      }
+    }
+  }
+
+  /**
+   * Open a socket and wait for the worker's initial page target. Resolves with its targetId.
+   */
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(wsUrl);
+      let ready = false;
+      const fail = (err) => {
+        if (ready) return;
+        clearTimeout(targetTimer);
+        onFirstTarget = null;
+        socket.terminate?.();
         reject(err);
+      };
+      const targetTimer = setTimeout(() => fail(new CDPTimeoutError('No target created', { timeout: 10000 })), 10000);
+
+      ws = socket;
+      onFirstTarget = (targetId) => {
+        ready = true;
+        clearTimeout(targetTimer);
+        resolve(targetId);
+      };
+
+      socket.on('message', (data) => {
+        if (socket === ws) handleMessage(data);
+      });
+      socket.on('error', (err) => {
+        if (!ready) fail(new CDPDisconnectedError(`Connection failed: ${err.message}`));
+      });
+      socket.on('close', (code, reason) => {
+        if (socket !== ws) return;
+        const reasonText = reason ? reason.toString() : '';
+        if (!ready) {
+          fail(new CDPDisconnectedError(`Connection closed before a page was created (${code})`, { code, reason: reasonText }));
+          return;
+        }
+        handleClose(code, reasonText);
+      });
+    });
+  }
+
+  function handleClose(code, reason) {
+    stopKeepAlive();
+    rejectPending(new CDPDisconnectedError(`Connection closed (${code}${reason ? `: ${reason}` : ''})`, { code, reason }));
+    events.emit('Client.disconnected', { code, reason });
+    if (!closed && reconnect) {
+      reconnecting = reconnectWithBackoff().finally(() => {
+        reconnecting = null;
+      });
+    } else {
+      closed = true;
+    }
+  }
+
+  async function reconnectWithBackoff() {
+    for (let attempt = 1; attempt <= reconnect.maxAttempts; attempt++) {
+      const backoff = Math.min(reconnect.baseDelay * 2 ** (attempt - 1), reconnect.maxDelay);
+      await sleep(backoff / 2 + Math.random() * (backoff / 2));
+      if (closed) return;
+      try {
+        const targetId = await connect();
+        await restorePages(targetId);
+        startKeepAlive();
+        events.emit('Client.reconnected', { attempt });
+        return;
+      } catch (err) {
+        console.error(`[cdp-client] Reconnect attempt ${attempt}/${reconnect.maxAttempts} failed:`, err.message);
+      }
+    }
+    closed = true;
+    events.emit('Client.reconnectFailed', { attempts: reconnect.maxAttempts });
+  }
+
+  /**
+   * Point every page handle at a target in the new browser session and re-apply its settings.
+   */
+  async function restorePages(defaultTargetId) {
+    const handles = Array.from(pageHandles.values());
+    pageHandles.clear();
+
+    for (const page of handles) {
+      const target = page._target;
+      if (page === defaultPage) {
+        target.id = defaultTargetId;
+      } else {
+        const { targetId } = await sendNow('Target.createTarget', { url: 'about:blank' });
+        target.id = targetId;
+      }
+      pageHandles.set(target.id, page);
+      await page._restoreSettings(sendNow);
+      if (reconnect.restoreUrl && target.url && target.url !== 'about:blank') {
+        await sendNow('Page.navigate', { url: target.url, targetId: target.id });
+      }
+    }
+  }
+
+  function startKeepAlive() {
+    if (!keepAlive) return;
+    stopKeepAlive();
+    keepAliveTimer = setInterval(() => {
+      // Target.getTargets touches every page, so it also counts as browser activity
+      sendNow('Target.getTargets', {}, { timeout: keepAlive }).catch((err) => {
+        if (err instanceof CDPTimeoutError && ws) {
+          console.error('[cdp-client] Keep-alive timed out, dropping connection');
+          ws.terminate();
+        }
+      });
+    }, keepAlive);
+    keepAliveTimer.unref?.();
+  }
+
+  function stopKeepAlive() {
+    if (keepAliveTimer) clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+
+  /**
+   * Open a new page (tab), optionally navigating it, and return its action API.
+   */
+  async function newPage(url = 'about:blank') {
+    const { targetId } = await send('Target.createTarget', { url });
+    const page = pageFor(targetId);
+    page._target.url = url;
+    return page;
+  }
+
+  async function closePage(targetOrPage) {
+    const targetId = typeof targetOrPage === 'string' ? targetOrPage : targetOrPage.targetId;
+    await send('Target.closeTarget', { targetId });
+    pageHandles.delete(targetId);
+  }
+
+  /**
+   * All open pages, refreshed from Target.getTargets. Each entry is a page API
+   * with `url` and `title` from the target info.
+   */
+  async function pages() {
+    const { targetInfos: infos } = await send('Target.getTargets');
+    const result = [];
+    for (const info of infos.filter(t => t.type === 'page')) {
+      const page = pageFor(info.targetId);
+      page._target.url = info.url;
+      page.url = info.url;
+      page.title = info.title;
+      result.push(page);
+    }
+    return result;
+  }
+
+  /**
+   * Round-trip a lightweight command; resolves with the latency in ms.
+   */
+  async function ping() {
+    const started = Date.now();
+    await send('Browser.getVersion');
+    return Date.now() - started;
+  }
+
+  return connect().then((targetId) => {
+    defaultPage = pageFor(targetId);
+    startKeepAlive();
+
+    // The client itself acts on the default page; client.on() sees every event
+    const client = {
+      ...defaultPage,
+      newPage,
+      closePage,
+      pages,
+      page: pageFor,
+      ping,
+      on: events.on,
+      off: events.off,
+      waitForEvent: events.waitForEvent,
+
+      close() {
+        closed = true;
+        stopKeepAlive();
+        if (ws) ws.close();
       }
+    };
+    Object.defineProperty(client, 'targetId', { get: () => defaultPage.targetId, enumerable: true });
+    Object.defineProperty(client, 'ws', { get: () => ws, enumerable: true });
+    Object.defineProperty(client, 'connected', {
+      get: () => !closed && !reconnecting && ws?.readyState === WebSocket.OPEN,
+      enumerable: true,
     });
+    return client;
   });
 }
 
-module.exports = { createClient };
+module.exports = {
+  createClient,
+  CDPError,
+  CDPTimeoutError,
+  CDPProtocolError,
+  CDPDisconnectedError,
+  CDPEvaluationError,
+  CDPConfigError,
+  resolveConfig,
+  pdfParams,
+  PAPER_SIZES,
+};
 
 // CLI mode
 if (require.main === module) {
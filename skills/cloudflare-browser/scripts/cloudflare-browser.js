@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - CLI
+ *
+ * Usage: node cloudflare-browser.js <command> [args] [options]
+ *
+ * Commands:
+ *   screenshot <url> [output.png]         Capture a screenshot
+ *   video <url1,url2,...> [output.mp4]    Record a screencast video across one or more URLs
+ *   pdf <url> [output.pdf]                Print the page to PDF
+ *   html <url>                            Print the rendered HTML
+ *   text <url>                            Print the visible text
+ *   markdown <url>                        Print the main content as Markdown
+ *   metadata <url>                        Print title, canonical, OpenGraph and JSON-LD as JSON
+ *   links <url>                           Print all links with absolute URLs as JSON
+ *   tables <url>                          Print tables as JSON
+ *   extract <url> <schema>                Extract fields with a CSS selector schema as JSON
+ *   eval <url> <expression>               Evaluate a JavaScript expression and print the result
+ *
+ * Run with --help for options. With --json, a single JSON object is written to stdout
+ * ({ ok: true, ... } or { ok: false, error }) so results can be consumed programmatically.
+ *
+ * Requires CDP_SECRET and WORKER_URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createClient, pdfParams, CDPError } = require('./cdp-client');
+const { createRecorder, saveRecording } = require('./recorder');
+const extract = require('./extract');
+
+const COMMON_OPTIONS = {
+  width: { type: 'string', default: '1280' },
+  height: { type: 'string', default: '800' },
+  scale: { type: 'string', default: '1' },
+  mobile: { type: 'boolean', default: false },
+  'user-agent': { type: 'string' },
+  wait: { type: 'string', default: 'load' },
+  'wait-for': { type: 'string' },
+  delay: { type: 'string', default: '0' },
+  timeout: { type: 'string', default: '60000' },
+  profile: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const COMMON_HELP = `Common options:
+  --width <px>            Viewport width (default 1280)
+  --height <px>           Viewport height (default 800)
+  --scale <n>             Device scale factor (default 1)
+  --mobile                Emulate a mobile device
+  --user-agent <ua>       Override the user agent
+  --wait <strategy>       load (default), networkidle, or a number of ms to wait after load
+  --wait-for <selector>   Also wait until this selector is visible
+  --delay <ms>            Extra settle time before capturing (default 0)
+  --timeout <ms>          Command and wait timeout (default 60000)
+  --profile <name>        Use a saved browser profile (cookies/localStorage persist between runs)
+  -o, --output <file>     Output file (html/text/eval print to stdout by default)
+  --json                  Print a JSON result object instead of human-readable output
+  -h, --help              Show help`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function toNumber(value, flag, { min = 0, integer = false } = {}) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new UsageError(`--${flag} must be ${integer ? 'an integer' : 'a number'} >= ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Validate and convert the common flags.
+ */
+function commonSettings(values) {
+  const wait = values.wait;
+  if (!['load', 'networkidle'].includes(wait) && !/^\d+$/.test(wait)) {
+    throw new UsageError(`--wait must be load, networkidle or a number of ms, got "${wait}"`);
+  }
+  return {
+    width: toNumber(values.width, 'width', { min: 1, integer: true }),
+    height: toNumber(values.height, 'height', { min: 1, integer: true }),
+    scale: toNumber(values.scale, 'scale', { min: 0.1 }),
+    mobile: values.mobile,
+    userAgent: values['user-agent'],
+    wait,
+    waitFor: values['wait-for'],
+    delay: toNumber(values.delay, 'delay', { integer: true }),
+    timeout: toNumber(values.timeout, 'timeout', { min: 1, integer: true }),
+  };
+}
+
+/**
+ * Apply viewport/user agent, navigate and wait according to the common settings.
+ */
+async function openPage(client, url, settings) {
+  await client.setViewport(settings.width, settings.height, settings.scale, settings.mobile);
+  if (settings.userAgent) {
+    await client.send('Network.setUserAgentOverride', { userAgent: settings.userAgent });
+  }
+  const waitMs = /^\d+$/.test(settings.wait) ? Number(settings.wait) : 0;
+  await client.navigate(url, {
+    waitUntil: settings.wait === 'networkidle' ? 'networkidle' : 'load',
+    timeout: settings.timeout,
+    settleMs: waitMs,
+  });
+  if (settings.waitFor) {
+    await client.waitForSelector(settings.waitFor, { visible: true, timeout: settings.timeout });
+  }
+  if (settings.delay) await new Promise(r => setTimeout(r, settings.delay));
+}
+
+function requireUrl(positionals, usage) {
+  const url = positionals[0];
+  if (!url) throw new UsageError(`Missing URL. Usage: ${usage}`);
+  try {
+    return new URL(url).href;
+  } catch {
+    throw new UsageError(`Invalid URL: ${url}`);
+  }
+}
+
+function writeOutput(file, buffer) {
+  const outputPath = path.resolve(file);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, buffer);
+  return outputPath;
+}
+
+/**
+ * Scroll down in small steps over `ms` so the recording shows continuous motion.
+ */
+async function smoothScroll(client, ms) {
+  const steps = Math.max(Math.round(ms / 100), 1);
+  for (let i = 0; i < steps; i++) {
+    await client.evaluate('window.scrollBy(0, Math.ceil(window.innerHeight / 12))');
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+const COMMANDS = {
+  screenshot: {
+    usage: 'screenshot <url> [output.png] [--full-page | --selector <css>] [--format png|jpeg|webp] [--quality 0-100]',
+    options: {
+      format: { type: 'string' },
+      quality: { type: 'string' },
+      'full-page': { type: 'boolean', default: false },
+      selector: { type: 'string' },
+      padding: { type: 'string', default: '0' },
+    },
+    help: `Screenshot options:
+  --format <fmt>          png (default), jpeg or webp; inferred from the output extension
+  --quality <0-100>       JPEG/WebP quality (default 80)
+  --full-page             Capture the whole scrollable page, not just the viewport
+  --selector <css>        Capture only this element
+  --padding <px>          Extra space around --selector (default 0)`,
+    prepare({ positionals, values }) {
+      const output = values.output || positionals[1];
+      const extension = output ? path.extname(output).slice(1).toLowerCase() : '';
+      const format = values.format || (extension === 'jpg' ? 'jpeg' : ['jpeg', 'webp'].includes(extension) ? extension : 'png');
+      if (!['png', 'jpeg', 'webp'].includes(format)) {
+        throw new UsageError(`--format must be png, jpeg or webp, got "${format}"`);
+      }
+      const quality = values.quality !== undefined ? toNumber(values.quality, 'quality', { integer: true }) : format === 'png' ? undefined : 80;
+      if (quality !== undefined && quality > 100) throw new UsageError('--quality must be between 0 and 100');
+      if (values['full-page'] && values.selector) throw new UsageError('--full-page and --selector cannot be combined');
+      return {
+        url: requireUrl(positionals, this.usage),
+        output: output || `screenshot.${format === 'jpeg' ? 'jpg' : format}`,
+        shot: {
+          format,
+          quality,
+          fullPage: values['full-page'],
+          selector: values.selector,
+          padding: toNumber(values.padding, 'padding'),
+        },
+      };
+    },
+    async run({ client, settings, prepared: { url, output, shot } }) {
+      await openPage(client, url, settings);
+      const buffer = await client.screenshot({ ...shot, timeout: settings.timeout });
+      const outputPath = writeOutput(output, buffer);
+      const mode = shot.selector ? 'element' : shot.fullPage ? 'full-page' : 'viewport';
+      return {
+        result: { url, output: outputPath, bytes: buffer.length, format: shot.format, mode, selector: shot.selector },
+        message: `✓ Saved ${mode} screenshot to ${outputPath} (${kb(buffer.length)})`,
+      };
+    },
+  },
+
+  video: {
+    usage: 'video <url1,url2,...> [output.mp4] [--duration 3] [--scroll] [--cursor] [--encoder auto|ffmpeg|avi|frames]',
+    options: {
+      fps: { type: 'string', default: '25' },
+      duration: { type: 'string', default: '3' },
+      scroll: { type: 'boolean', default: false },
+      cursor: { type: 'boolean', default: false },
+      encoder: { type: 'string', default: 'auto' },
+      quality: { type: 'string', default: '80' },
+    },
+    help: `Video options:
+  --fps <n>               Output frame rate (default 25)
+  --duration <s>          Seconds to record on each page after it loads (default 3)
+  --scroll                Smoothly scroll down each page while recording
+  --cursor                Draw the mouse cursor and click ripples into the video
+  --encoder <name>        auto (default), ffmpeg, avi or frames; auto writes a Motion-JPEG .avi when ffmpeg is missing
+  --quality <0-100>       Screencast JPEG quality (default 80)`,
+    prepare({ positionals, values }) {
+      if (!positionals[0]) throw new UsageError(`Missing URLs. Usage: ${this.usage}`);
+      const urls = positionals[0].split(',').map(u => u.trim()).filter(Boolean);
+      if (!['auto', 'ffmpeg', 'avi', 'frames'].includes(values.encoder)) {
+        throw new UsageError(`--encoder must be auto, ffmpeg, avi or frames, got "${values.encoder}"`);
+      }
+      const quality = toNumber(values.quality, 'quality', { integer: true });
+      if (quality > 100) throw new UsageError('--quality must be between 0 and 100');
+      return {
+        urls: urls.map(url => requireUrl([url], this.usage)),
+        output: values.output || positionals[1] || (values.encoder === 'frames' ? 'recording' : 'output.mp4'),
+        fps: toNumber(values.fps, 'fps', { min: 1, integer: true }),
+        duration: toNumber(values.duration, 'duration'),
+        quality,
+      };
+    },
+    async run({ client, values, settings, prepared, log }) {
+      const { urls, output, fps, duration, quality } = prepared;
+      const recorder = createRecorder(client, {
+        quality,
+        maxWidth: Math.round(settings.width * settings.scale),
+        maxHeight: Math.round(settings.height * settings.scale),
+        cursor: values.cursor,
+      });
+
+      // Start once the first page has loaded so the video doesn't open on about:blank
+      for (const [i, url] of urls.entries()) {
+        log(`→ ${url}`);
+        await openPage(client, url, settings);
+        if (i === 0) await recorder.start();
+        if (values.cursor) {
+          await client.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: settings.width / 2, y: settings.height / 2 });
+        }
+        if (values.scroll) {
+          await smoothScroll(client, duration * 1000);
+        } else {
+          await new Promise(r => setTimeout(r, duration * 1000));
+        }
+      }
+
+      const recording = await recorder.stop();
+      if (recording.frames.length === 0) throw new Error('No screencast frames received');
+      log(`Captured ${recording.frames.length} frames (${recording.duration.toFixed(1)}s), encoding...`);
+      const saved = await saveRecording(recording, output, { fps, encoder: values.encoder });
+
+      const bytes = saved.encoder === 'frames' ? undefined : fs.statSync(saved.output).size;
+      return {
+        result: { urls, output: saved.output, bytes, frames: saved.frames, duration: saved.duration, fps, encoder: saved.encoder },
+        message: `✓ Video saved to ${saved.output} (${saved.encoder}${bytes === undefined ? '' : `, ${kb(bytes)}`})`,
+      };
+    },
+  },
+
+  pdf: {
+    usage: 'pdf <url> [output.pdf] [--paper A4] [--margin 1cm] [--landscape] [--no-background]',
+    options: {
+      paper: { type: 'string', default: 'letter' },
+      'paper-width': { type: 'string' },
+      'paper-height': { type: 'string' },
+      margin: { type: 'string' },
+      'margin-top': { type: 'string' },
+      'margin-right': { type: 'string' },
+      'margin-bottom': { type: 'string' },
+      'margin-left': { type: 'string' },
+      landscape: { type: 'boolean', default: false },
+      'no-background': { type: 'boolean', default: false },
+      'pdf-scale': { type: 'string' },
+      'page-ranges': { type: 'string' },
+      'header-template': { type: 'string' },
+      'footer-template': { type: 'string' },
+      'css-page-size': { type: 'boolean', default: false },
+    },
+    help: `PDF options:
+  --paper <size>          letter (default), legal, tabloid, ledger, a0-a6
+  --paper-width <len>     Custom paper width, with --paper-height (e.g. 210mm)
+  --paper-height <len>    Custom paper height
+  --margin <len>          Margin on all sides (e.g. 1cm, 0.5in, 10mm, 40px)
+  --margin-top/-right/-bottom/-left <len>
+                          Margin for one side, overriding --margin
+  --landscape             Landscape orientation
+  --no-background         Omit background colours and images
+  --pdf-scale <n>         Rendering scale, 0.1-2 (default 1)
+  --page-ranges <ranges>  Pages to include, e.g. 1-3,5
+  --header-template <html>, --footer-template <html>
+                          Header/footer HTML; may use the classes date, title, url,
+                          pageNumber and totalPages
+  --css-page-size         Prefer the page's CSS @page size over --paper`,
+    prepare({ positionals, values }) {
+      const margin = {};
+      for (const side of ['top', 'right', 'bottom', 'left']) {
+        const value = values[`margin-${side}`] ?? values.margin;
+        if (value !== undefined) margin[side] = value;
+      }
+      const options = {
+        format: values.paper,
+        width: values['paper-width'],
+        height: values['paper-height'],
+        margin: Object.keys(margin).length > 0 ? margin : undefined,
+        landscape: values.landscape,
+        printBackground: !values['no-background'],
+        scale: values['pdf-scale'] !== undefined ? toNumber(values['pdf-scale'], 'pdf-scale', { min: 0.1 }) : undefined,
+        pageRanges: values['page-ranges'],
+        headerTemplate: values['header-template'],
+        footerTemplate: values['footer-template'],
+        preferCSSPageSize: values['css-page-size'],
+      };
+      try {
+        pdfParams(options);
+      } catch (err) {
+        throw new UsageError(err.message);
+      }
+      return {
+        url: requireUrl(positionals, this.usage),
+        output: values.output || positionals[1] || 'page.pdf',
+        options,
+      };
+    },
+    async run({ client, settings, prepared: { url, output, options } }) {
+      await openPage(client, url, settings);
+      const buffer = await client.pdf(options);
+      const outputPath = writeOutput(output, buffer);
+      return {
+        result: { url, output: outputPath, bytes: buffer.length, paper: options.width ? 'custom' : options.format },
+        message: `✓ Saved to ${outputPath} (${kb(buffer.length)})`,
+      };
+    },
+  },
+
+  html: {
+    usage: 'html <url> [-o page.html]',
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      return contentResult(client, url, await client.getHTML(), values.output);
+    },
+  },
+
+  text: {
+    usage: 'text <url> [-o page.txt]',
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      return contentResult(client, url, await client.getText(), values.output);
+    },
+  },
+
+  markdown: {
+    usage: 'markdown <url> [-o page.md] [--selector <css>]',
+    options: {
+      selector: { type: 'string' },
+    },
+    help: `Markdown options:
+  --selector <css>        Convert this element instead of the detected main content`,
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      const article = await extract.readable(client, { selector: values.selector });
+      const { result, message } = await contentResult(client, url, article.markdown + '\n', values.output);
+      return { result: { ...result, byline: article.byline, excerpt: article.excerpt }, message };
+    },
+  },
+
+  metadata: {
+    usage: 'metadata <url> [-o meta.json]',
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      return jsonResult(url, { metadata: await extract.metadata(client) }, values.output);
+    },
+  },
+
+  links: {
+    usage: 'links <url> [--same-origin] [--selector <css>]',
+    options: {
+      'same-origin': { type: 'boolean', default: false },
+      selector: { type: 'string' },
+    },
+    help: `Links options:
+  --same-origin           Only links to the page's own origin
+  --selector <css>        Only links inside this element`,
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      const links = await extract.links(client, { selector: values.selector, sameOrigin: values['same-origin'] });
+      return jsonResult(url, { links }, values.output);
+    },
+  },
+
+  tables: {
+    usage: 'tables <url> [--selector <css>]',
+    options: {
+      selector: { type: 'string', default: 'table' },
+    },
+    help: `Tables options:
+  --selector <css>        Which tables to read (default "table")`,
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      await openPage(client, url, settings);
+      return jsonResult(url, { tables: await extract.tables(client, { selector: values.selector }) }, values.output);
+    },
+  },
+
+  extract: {
+    usage: 'extract <url> <schema.json | inline JSON>',
+    help: `Schema: { "items": ".product", "fields": { "name": "h2", "price": { "selector": ".price", "type": "number" } } }
+  Field options: selector, attribute, type (text|html|number|boolean|url), all, nested items + fields`,
+    prepare({ positionals }) {
+      const url = requireUrl(positionals, this.usage);
+      const source = positionals.slice(1).join(' ');
+      if (!source) throw new UsageError(`Missing schema. Usage: ${this.usage}`);
+      let spec;
+      try {
+        spec = JSON.parse(source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8'));
+      } catch (err) {
+        throw new UsageError(`Cannot read schema: ${err.message}`);
+      }
+      try {
+        extract.validateSchema(spec);
+      } catch (err) {
+        throw new UsageError(err.message);
+      }
+      return { url, spec };
+    },
+    async run({ client, values, settings, prepared: { url, spec } }) {
+      await openPage(client, url, settings);
+      const data = await extract.schema(client, spec);
+      return jsonResult(url, { data, count: Array.isArray(data) ? data.length : undefined }, values.output);
+    },
+  },
+
+  eval: {
+    usage: 'eval <url> <expression>',
+    async run({ client, positionals, values, settings }) {
+      const url = requireUrl(positionals, this.usage);
+      const expression = positionals.slice(1).join(' ');
+      if (!expression) throw new UsageError(`Missing expression. Usage: ${this.usage}`);
+      await openPage(client, url, settings);
+      const value = await client.evaluate(expression);
+      const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      if (values.output) {
+        const outputPath = writeOutput(values.output, (text ?? 'undefined') + '\n');
+        return { result: { url, output: outputPath, value }, message: `✓ Saved to ${outputPath}` };
+      }
+      return { result: { url, value }, message: text ?? 'undefined' };
+    },
+  },
+};
+
+async function contentResult(client, url, content, output) {
+  const { title, url: finalUrl } = await client.info();
+  if (output) {
+    const outputPath = writeOutput(output, content);
+    return {
+      result: { url: finalUrl, title, output: outputPath, bytes: Buffer.byteLength(content) },
+      message: `✓ Saved to ${outputPath} (${kb(Buffer.byteLength(content))})`,
+    };
+  }
+  return { result: { url: finalUrl, title, content }, message: content };
+}
+
+/**
+ * Result for the structured commands: pretty JSON on stdout, or written to --output.
+ */
+function jsonResult(url, data, output) {
+  const text = JSON.stringify(Object.values(data)[0], null, 2) + '\n';
+  if (output) {
+    const outputPath = writeOutput(output, text);
+    return { result: { url, output: outputPath, ...data }, message: `✓ Saved to ${outputPath} (${kb(Buffer.byteLength(text))})` };
+  }
+  return { result: { url, ...data }, message: text };
+}
+
+function usage() {
+  const lines = Object.values(COMMANDS).map(command => `  ${command.usage}`);
+  return `Usage: cloudflare-browser <command> [args] [options]\n\nCommands:\n${lines.join('\n')}\n\n${COMMON_HELP}`;
+}
+
+function describeError(err) {
+  const error = { name: err.name, message: err.message };
+  if (err instanceof CDPError) {
+    for (const key of ['method', 'code', 'timeout', 'missing']) {
+      if (err[key] !== undefined) error[key] = err[key];
+    }
+  }
+  return error;
+}
+
+/**
+ * Run the CLI. Returns the process exit code: 0 on success, 1 on failure, 2 on bad usage.
+ */
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const json = argv.includes('--json');
+  const print = (obj) => stdout.write(JSON.stringify(obj, null, 2) + '\n');
+  const fail = (err, exitCode) => {
+    if (json) print({ ok: false, error: describeError(err) });
+    else stderr.write(`Error: ${err.message}\n`);
+    return exitCode;
+  };
+
+  const [name, ...rest] = argv;
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    stdout.write(usage() + '\n');
+    return name ? 0 : 2;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    return fail(new UsageError(`Unknown command "${name}". Commands: ${Object.keys(COMMANDS).join(', ')}`), 2);
+  }
+
+  let values, positionals, settings, prepared;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true,
+    }));
+    if (values.help) {
+      stdout.write(`Usage: cloudflare-browser ${command.usage}\n\n${command.help ? command.help + '\n\n' : ''}${COMMON_HELP}\n`);
+      return 0;
+    }
+    if (positionals.length === 0) {
+      throw new UsageError(`Missing arguments. Usage: cloudflare-browser ${command.usage}`);
+    }
+    settings = commonSettings(values);
+    // Validate command options before connecting
+    prepared = command.prepare ? command.prepare({ positionals, values }) : undefined;
+  } catch (err) {
+    return fail(err instanceof UsageError ? err : new UsageError(err.message), 2);
+  }
+
+  // Progress goes to stderr so stdout stays clean for content and JSON
+  const log = (message) => {
+    if (!json) stderr.write(message + '\n');
+  };
+
+  let client;
+  try {
+    client = await createClient({ timeout: settings.timeout, profile: values.profile });
+    const { result, message } = await command.run({ client, positionals, values, settings, prepared, log });
+    if (json) print({ ok: true, command: name, ...result });
+    else stdout.write(message.endsWith('\n') ? message : message + '\n');
+    return 0;
+  } catch (err) {
+    return fail(err, err instanceof UsageError ? 2 : 1);
+  } finally {
+    if (client) client.close();
+  }
+}
+
+module.exports = { main, COMMANDS, UsageError, describeError, openPage };
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Visual Comparison
+ *
+ * Captures a set of pages at one or more viewports over cdp-client.js and compares each
+ * screenshot with a stored baseline, pixel by pixel. Writes a diff image per capture and a
+ * report (report.json and index.html) with the mismatch percentage against a threshold.
+ * Pure JavaScript (see png.js), so it needs no image tools in the container.
+ *
+ * Usage: node compare.js <suite.yaml|json | url1,url2,...> [--update] [--out dir] [--json]
+ *
+ * Suite:
+ *   name: shop                      # baselines go to <baseline dir>/shop/
+ *   baseUrl: https://random-words.trycloudflare.com
+ *   threshold: 0.1                  # % of pixels allowed to differ (default 0.1)
+ *   pixelThreshold: 0.1             # per-pixel colour tolerance, 0-1 (default 0.1)
+ *   viewports:
+ *     - { name: desktop, width: 1280, height: 800 }
+ *     - { name: mobile, width: 390, height: 844, scale: 2, mobile: true }
+ *   pages:
+ *     - /                           # resolved against baseUrl
+ *     - name: pricing
+ *       url: /pricing
+ *       fullPage: true
+ *       waitFor: ".plans"
+ *       threshold: 0.5
+ *       ignore:
+ *         - { selector: ".last-updated" }            # element boxes, measured at capture time
+ *         - { x: 0, y: 0, width: 1280, height: 64 }  # CSS pixels from the top left
+ *
+ * Baselines live in the workspace (/root/clawd/visual-baselines by default, or
+ * VISUAL_BASELINE_DIR), so they are backed up with it to R2. A capture without a baseline
+ * becomes the baseline; --update replaces every baseline with the new capture.
+ *
+ * Exit codes: 0 all captures within threshold, 1 a capture differs or failed, 2 invalid suite or usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createClient } = require('./cdp-client');
+const { UsageError, describeError, openPage } = require('./cloudflare-browser');
+const { parseYaml } = require('./scenario');
+const png = require('./png');
+
+const DEFAULT_BASELINE_DIR = process.env.VISUAL_BASELINE_DIR || '/root/clawd/visual-baselines';
+const DEFAULT_THRESHOLD = 0.1;
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+const DEFAULT_VIEWPORTS = [{ name: 'desktop', width: 1280, height: 800 }];
+const DEFAULT_TIMEOUT = 60000;
+
+// Keeps running animations, transitions and the text caret out of the screenshots
+const FREEZE_CSS = '*, *::before, *::after { animation: none !important; transition: none !important; caret-color: transparent !important; }';
+
+class CompareError extends UsageError {
+  constructor(message) {
+    super(message);
+    this.name = 'CompareError';
+  }
+}
+
+// --- Suite --------------------------------------------------------------------------
+
+const isMapping = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+const isRatio = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'page';
+}
+
+function pageName(url) {
+  try {
+    const { pathname } = new URL(url, 'http://x');
+    return pathname === '/' ? 'home' : slug(pathname);
+  } catch {
+    return slug(url);
+  }
+}
+
+/**
+ * Parse a `[name=]WIDTHxHEIGHT[@SCALE]` viewport flag.
+ */
+function parseViewport(text) {
+  const match = /^(?:([\w-]+)=)?(\d+)x(\d+)(?:@([\d.]+))?$/.exec(text);
+  if (!match) throw new CompareError(`--viewport must look like [name=]1280x800[@2], got "${text}"`);
+  const [, name, width, height, scale] = match;
+  return { name: name || `${width}x${height}`, width: Number(width), height: Number(height), scale: scale ? Number(scale) : 1 };
+}
+
+/**
+ * Check a parsed suite and normalize its viewports and pages. Throws CompareError listing every problem.
+ */
+function validateSuite(suite) {
+  if (!isMapping(suite)) throw new CompareError('Suite must be an object with a "pages" list');
+  const problems = [];
+  if (suite.name !== undefined && !/^[A-Za-z0-9_-]{1,64}$/.test(String(suite.name))) {
+    problems.push('"name" must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (suite.baseUrl !== undefined) {
+    try {
+      new URL(suite.baseUrl);
+    } catch {
+      problems.push(`"baseUrl" is not a valid URL: ${suite.baseUrl}`);
+    }
+  }
+  if (suite.threshold !== undefined && !isPercent(suite.threshold)) problems.push('"threshold" must be a percentage between 0 and 100');
+  if (suite.pixelThreshold !== undefined && !isRatio(suite.pixelThreshold)) problems.push('"pixelThreshold" must be between 0 and 1');
+
+  const viewports = (suite.viewports === undefined ? DEFAULT_VIEWPORTS : Array.isArray(suite.viewports) ? suite.viewports : []).map((raw, index) => {
+    const where = `viewports[${index}]`;
+    if (!isMapping(raw)) {
+      problems.push(`${where}: must be a mapping like { width: 1280, height: 800 }`);
+      return null;
+    }
+    for (const key of ['width', 'height']) {
+      if (!(Number.isInteger(raw[key]) && raw[key] > 0)) problems.push(`${where}: ${key} must be a positive integer`);
+    }
+    if (raw.scale !== undefined && !(typeof raw.scale === 'number' && raw.scale >= 0.1)) problems.push(`${where}: scale must be a number >= 0.1`);
+    return { name: slug(raw.name || `${raw.width}x${raw.height}`), width: raw.width, height: raw.height, scale: raw.scale || 1, mobile: !!raw.mobile };
+  });
+  if (viewports.length === 0) problems.push('"viewports" must be a non-empty list');
+
+  if (!Array.isArray(suite.pages) || suite.pages.length === 0) problems.push('"pages" must be a non-empty list');
+  const pages = (Array.isArray(suite.pages) ? suite.pages : []).map((raw, index) => {
+    const where = `pages[${index}]`;
+    const page = typeof raw === 'string' ? { url: raw } : raw;
+    if (!isMapping(page) || typeof page.url !== 'string' || !page.url) {
+      problems.push(`${where}: needs a url`);
+      return null;
+    }
+    let url;
+    try {
+      url = new URL(page.url, suite.baseUrl).href;
+    } catch {
+      problems.push(`${where}: ${page.url} is not a valid URL${suite.baseUrl ? '' : ' (relative URLs need baseUrl)'}`);
+    }
+    if (page.threshold !== undefined && !isPercent(page.threshold)) problems.push(`${where}: threshold must be a percentage between 0 and 100`);
+    if (page.pixelThreshold !== undefined && !isRatio(page.pixelThreshold)) problems.push(`${where}: pixelThreshold must be between 0 and 1`);
+    if (page.wait !== undefined && !['load', 'networkidle'].includes(page.wait)) problems.push(`${where}: wait must be load or networkidle`);
+    if (page.delay !== undefined && !(Number.isInteger(page.delay) && page.delay >= 0)) problems.push(`${where}: delay must be a number of ms`);
+
+    const ignore = Array.isArray(page.ignore) ? page.ignore : page.ignore === undefined ? [] : null;
+    if (!ignore) problems.push(`${where}: ignore must be a list`);
+    for (const [i, region] of (ignore || []).entries()) {
+      const isBox = isMapping(region) && ['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number' && region[key] >= 0);
+      if (!(isMapping(region) && typeof region.selector === 'string') && !isBox) {
+        problems.push(`${where}.ignore[${i}]: must be { selector } or { x, y, width, height }`);
+      }
+    }
+
+    return {
+      name: slug(page.name || pageName(page.url)),
+      url,
+      fullPage: !!page.fullPage,
+      waitFor: page.waitFor,
+      wait: page.wait || suite.wait || 'load',
+      delay: page.delay ?? suite.delay ?? 0,
+      threshold: page.threshold ?? suite.threshold ?? DEFAULT_THRESHOLD,
+      pixelThreshold: page.pixelThreshold ?? suite.pixelThreshold ?? DEFAULT_PIXEL_THRESHOLD,
+      ignore: ignore || [],
+    };
+  });
+
+  const seen = new Set();
+  for (const page of pages.filter(Boolean)) {
+    if (seen.has(page.name)) problems.push(`Two pages are named "${page.name}"; give one a name`);
+    seen.add(page.name);
+  }
+  if (new Set(viewports.filter(Boolean).map(v => v.name)).size !== viewports.length) problems.push('Viewport names must be unique');
+
+  if (problems.length) throw new CompareError(`Invalid suite:\n  - ${problems.join('\n  - ')}`);
+  return { ...suite, name: suite.name || 'default', freeze: suite.freeze !== false, viewports, pages };
+}
+
+/**
+ * Load and validate a suite file (.json, .yaml or .yml), or build one from comma-separated URLs.
+ */
+function loadSuite(source) {
+  if (/^https?:\/\//i.test(source)) {
+    return validateSuite({ pages: source.split(',').map(url => url.trim()).filter(Boolean) });
+  }
+  let text;
+  try {
+    text = fs.readFileSync(source, 'utf8');
+  } catch (err) {
+    throw new CompareError(`Cannot read suite: ${err.message}`);
+  }
+  let parsed;
+  if (path.extname(source).toLowerCase() === '.json') {
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new CompareError(`Invalid JSON in ${source}: ${err.message}`);
+    }
+  } else {
+    parsed = parseYaml(text);
+  }
+  if (isMapping(parsed) && parsed.name === undefined) parsed.name = slug(path.basename(source, path.extname(source)));
+  return validateSuite(parsed);
+}
+
+// --- Diff ---------------------------------------------------------------------------
+
+// Squared YIQ distance between two RGBA pixels blended over white, as in pixelmatch
+function colorDelta(a, i, b, j) {
+  const blend = (data, k, c) => 255 + (data[k + c] - 255) * (data[k + 3] / 255);
+  const r1 = blend(a, i, 0), g1 = blend(a, i, 1), b1 = blend(a, i, 2);
+  const r2 = blend(b, j, 0), g2 = blend(b, j, 1), b2 = blend(b, j, 2);
+  const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const iq = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+/**
+ * Compare two decoded images. Pixels inside `ignore` regions ({ x, y, width, height } in
+ * image pixels) are skipped; when the sizes differ, pixels present in only one image count
+ * as different. Returns the counts, the mismatch percentage and an RGBA diff image: changed
+ * pixels red, ignored regions yellow, everything else a faded copy of the baseline.
+ */
+function diffImages(baseline, current, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD, ignore = [] } = {}) {
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const maxDelta = 35215 * pixelThreshold * pixelThreshold;
+  const image = { width, height, data: Buffer.alloc(width * height * 4) };
+
+  const ignored = new Uint8Array(width * height);
+  for (const region of ignore) {
+    const x0 = Math.max(Math.floor(region.x), 0), y0 = Math.max(Math.floor(region.y), 0);
+    const x1 = Math.min(Math.ceil(region.x + region.width), width), y1 = Math.min(Math.ceil(region.y + region.height), height);
+    for (let y = y0; y < y1; y++) ignored.fill(1, y * width + x0, y * width + Math.max(x1, x0));
+  }
+
+  let diffPixels = 0;
+  let totalPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (ignored[y * width + x]) {
+        image.data.set([255, 235, 140, 255], out);
+        continue;
+      }
+      totalPixels++;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const inCurrent = x < current.width && y < current.height;
+      const i = (y * baseline.width + x) * 4;
+      if (!inBaseline || !inCurrent || colorDelta(baseline.data, i, current.data, (y * current.width + x) * 4) > maxDelta) {
+        diffPixels++;
+        image.data.set([255, 0, 0, 255], out);
+      } else {
+        const data = baseline.data;
+        const luma = 255 + ((data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) - 255) * (data[i + 3] / 255);
+        const faded = Math.round(255 + (luma - 255) * 0.1);
+        image.data.set([faded, faded, faded, 255], out);
+      }
+    }
+  }
+
+  return {
+    diffPixels,
+    totalPixels,
+    mismatch: totalPixels ? (diffPixels / totalPixels) * 100 : 0,
+    sizeMismatch: baseline.width !== current.width || baseline.height !== current.height,
+    image,
+  };
+}
+
+// --- Runner -------------------------------------------------------------------------
+
+/**
+ * Navigate and screenshot one page at one viewport. Returns the PNG and the ignore regions
+ * in image pixels.
+ */
+async function capture(client, suite, page, viewport, timeout) {
+  await openPage(client, page.url, {
+    ...viewport,
+    wait: page.wait,
+    waitFor: page.waitFor,
+    delay: page.delay,
+    timeout,
+  });
+  if (suite.freeze) {
+    await client.callFunction((css) => {
+      const style = document.createElement('style');
+      style.textContent = css;
+      document.head.appendChild(style);
+    }, FREEZE_CSS);
+  }
+
+  const selectors = page.ignore.filter(region => region.selector).map(region => region.selector);
+  const measured = selectors.length === 0 ? [] : await client.callFunction((list, fullPage) => {
+    const dx = fullPage ? window.scrollX : 0;
+    const dy = fullPage ? window.scrollY : 0;
+    return list.flatMap(sel => [...document.querySelectorAll(sel)].map((el) => {
+      const rect = el.getBoundingClientRect();
+      return { x: rect.left + dx, y: rect.top + dy, width: rect.width, height: rect.height };
+    }));
+  }, selectors, page.fullPage);
+
+  const regions = [...page.ignore.filter(region => !region.selector), ...measured].map(region => ({
+    x: region.x * viewport.scale,
+    y: region.y * viewport.scale,
+    width: region.width * viewport.scale,
+    height: region.height * viewport.scale,
+  }));
+  const buffer = await client.screenshot({ fullPage: page.fullPage, timeout });
+  return { buffer, regions };
+}
+
+/**
+ * Capture every page at every viewport and compare with the baselines. Resolves with the
+ * report (also written to outDir/report.json and outDir/index.html). Options: baselineDir,
+ * outDir, update (replace the baselines), timeout, log.
+ */
+async function runComparison(client, suite, { baselineDir = DEFAULT_BASELINE_DIR, outDir = 'visual-report', update = false, timeout = DEFAULT_TIMEOUT, log = () => {} } = {}) {
+  const suiteDir = path.join(baselineDir, suite.name);
+  for (const dir of ['baseline', 'current', 'diff']) fs.mkdirSync(path.join(outDir, dir), { recursive: true });
+  fs.mkdirSync(suiteDir, { recursive: true });
+  const started = Date.now();
+  const results = [];
+
+  for (const page of suite.pages) {
+    for (const viewport of suite.viewports) {
+      const file = `${page.name}-${viewport.name}.png`;
+      const result = { id: `${page.name}-${viewport.name}`, page: page.name, viewport: viewport.name, url: page.url, threshold: page.threshold };
+      results.push(result);
+      try {
+        const { buffer, regions } = await capture(client, suite, page, viewport, timeout);
+        fs.writeFileSync(path.join(outDir, 'current', file), buffer);
+        result.images = { current: `current/${file}` };
+
+        const baselinePath = path.join(suiteDir, file);
+        if (update || !fs.existsSync(baselinePath)) {
+          result.status = fs.existsSync(baselinePath) ? 'updated' : 'new';
+          fs.writeFileSync(baselinePath, buffer);
+        } else {
+          const baselineBuffer = fs.readFileSync(baselinePath);
+          fs.writeFileSync(path.join(outDir, 'baseline', file), baselineBuffer);
+          const baseline = png.decode(baselineBuffer);
+          const current = png.decode(buffer);
+          const diff = diffImages(baseline, current, { pixelThreshold: page.pixelThreshold, ignore: regions });
+          fs.writeFileSync(path.join(outDir, 'diff', file), png.encode(diff.image));
+          Object.assign(result, {
+            status: diff.mismatch <= page.threshold ? 'passed' : 'failed',
+            mismatch: Number(diff.mismatch.toFixed(4)),
+            diffPixels: diff.diffPixels,
+            totalPixels: diff.totalPixels,
+            ignoredRegions: regions.length,
+            size: { baseline: [baseline.width, baseline.height], current: [current.width, current.height] },
+          });
+          result.images = { baseline: `baseline/${file}`, current: `current/${file}`, diff: `diff/${file}` };
+        }
+      } catch (err) {
+        result.status = 'error';
+        result.error = describeError(err);
+      }
+
+      const mark = { passed: '✓', new: '+', updated: '+', failed: '✗', error: '✗' }[result.status];
+      const detail = result.error ? ` - ${result.error.message}` : result.mismatch !== undefined ? ` (${result.mismatch}% of pixels differ, threshold ${result.threshold}%)` : ` (${result.status} baseline)`;
+      log(`${mark} ${result.id}${detail}`);
+    }
+  }
+
+  const summary = { passed: 0, failed: 0, new: 0, updated: 0, error: 0 };
+  for (const result of results) summary[result.status]++;
+  const report = {
+    name: suite.name,
+    status: summary.failed || summary.error ? 'failed' : 'passed',
+    startedAt: new Date(started).toISOString(),
+    duration: Date.now() - started,
+    baselineDir: path.resolve(suiteDir),
+    summary,
+    results,
+  };
+  fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outDir, 'index.html'), reportHtml(report));
+  return report;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function reportHtml(report) {
+  const { passed, failed, new: added, updated, error } = report.summary;
+  const figure = (label, src) => src
+    ? `<figure><figcaption>${label}</figcaption><a href="${escapeHtml(src)}"><img src="${escapeHtml(src)}" loading="lazy"></a></figure>`
+    : '';
+  const sections = report.results.map((result) => {
+    const details = result.error
+      ? escapeHtml(result.error.message)
+      : result.mismatch !== undefined
+        ? `${result.mismatch}% of pixels differ (threshold ${result.threshold}%)${result.size.baseline.join() !== result.size.current.join() ? `, size changed from ${result.size.baseline.join('x')} to ${result.size.current.join('x')}` : ''}`
+        : `${result.status} baseline`;
+    const images = result.images || {};
+    return `<section class="${result.status}">
+<h2>${escapeHtml(result.id)} <span>${result.status}</span></h2>
+<p><a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a> &middot; ${details}</p>
+<div class="images">${figure('Baseline', images.baseline)}${figure('Current', images.current)}${figure('Diff', images.diff)}</div>
+</section>`;
+  });
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.name)}: ${report.status}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+section { border-left: 4px solid #999; padding: 0 1rem; margin-bottom: 2rem; }
+section.passed { border-color: #2a9d4b; }
+section.failed, section.error { border-color: #d33; }
+section.new, section.updated { border-color: #2f6fd6; }
+h2 span { font-size: 0.8em; font-weight: normal; color: #666; }
+.images { display: flex; gap: 1rem; align-items: flex-start; }
+figure { margin: 0; flex: 1; min-width: 0; }
+img { max-width: 100%; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.name)}: ${report.status}</h1>
+<p>${passed} passed, ${failed} failed, ${added} new, ${updated} updated, ${error} errors &middot; ${new Date(report.startedAt).toISOString()} &middot; baselines in <code>${escapeHtml(report.baselineDir)}</code></p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- CLI ----------------------------------------------------------------------------
+
+const USAGE = `Usage: compare <suite.yaml|json | url1,url2,...> [options]
+
+Options:
+  --out <dir>             Report directory (default visual-report)
+  --baseline-dir <dir>    Baseline root (default ${DEFAULT_BASELINE_DIR})
+  --name <name>           Suite name, the baseline subdirectory (default: suite file name)
+  --update                Replace the baselines with this run's captures
+  --viewport <spec>       [name=]WIDTHxHEIGHT[@SCALE], repeatable; overrides the suite's viewports
+  --full-page             Capture whole pages (for URL lists)
+  --threshold <percent>   Allowed % of differing pixels, overriding the suite
+  --pixel-threshold <n>   Per-pixel colour tolerance 0-1, overriding the suite
+  --timeout <ms>          Command and wait timeout (default 60000)
+  --profile <name>        Browser profile to use
+  --check                 Validate the suite and exit without connecting
+  --json                  Print the report as JSON
+  -h, --help              Show help`;
+
+/**
+ * Run the CLI. Returns 0 when every capture is within its threshold (or new), 1 when one
+ * differs or failed, 2 on bad usage or an invalid suite.
+ */
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const json = argv.includes('--json');
+  const print = (obj) => stdout.write(JSON.stringify(obj, null, 2) + '\n');
+  const fail = (err, exitCode) => {
+    if (json) print({ ok: false, error: describeError(err) });
+    else stderr.write(`Error: ${err.message}\n`);
+    return exitCode;
+  };
+
+  let values, suite, timeout;
+  try {
+    let positionals;
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        out: { type: 'string', default: 'visual-report' },
+        'baseline-dir': { type: 'string', default: DEFAULT_BASELINE_DIR },
+        name: { type: 'string' },
+        update: { type: 'boolean', default: false },
+        viewport: { type: 'string', multiple: true },
+        'full-page': { type: 'boolean', default: false },
+        threshold: { type: 'string' },
+        'pixel-threshold': { type: 'string' },
+        timeout: { type: 'string', default: String(DEFAULT_TIMEOUT) },
+        profile: { type: 'string' },
+        check: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+      allowPositionals: true,
+      strict: true,
+    }));
+    if (values.help) {
+      stdout.write(USAGE + '\n');
+      return 0;
+    }
+    if (positionals.length !== 1) throw new UsageError(USAGE);
+    timeout = Number(values.timeout);
+    if (!Number.isInteger(timeout) || timeout < 1) throw new UsageError(`--timeout must be a positive integer, got "${values.timeout}"`);
+
+    suite = loadSuite(positionals[0]);
+    const overrides = {};
+    if (values.name !== undefined) overrides.name = values.name;
+    if (values.viewport) overrides.viewports = values.viewport.map(parseViewport);
+    if (values.threshold !== undefined) overrides.threshold = Number(values.threshold);
+    if (values['pixel-threshold'] !== undefined) overrides.pixelThreshold = Number(values['pixel-threshold']);
+    if (values['full-page']) overrides.pages = suite.pages.map(page => ({ ...page, fullPage: true }));
+    if (Object.keys(overrides).length > 0) {
+      // Flag thresholds replace the per-page values too, so validate the merged suite again
+      const pages = (overrides.pages || suite.pages).map(({ threshold, pixelThreshold, ...page }) => ({
+        ...page,
+        threshold: overrides.threshold ?? threshold,
+        pixelThreshold: overrides.pixelThreshold ?? pixelThreshold,
+      }));
+      suite = validateSuite({ ...suite, ...overrides, pages });
+    }
+  } catch (err) {
+    return fail(err instanceof UsageError ? err : new UsageError(err.message), 2);
+  }
+
+  if (values.check) {
+    const captures = suite.pages.flatMap(page => suite.viewports.map(viewport => `${page.name}-${viewport.name}`));
+    if (json) print({ ok: true, name: suite.name, captures });
+    else stdout.write(`✓ ${suite.name} is valid (${captures.length} captures)\n`);
+    return 0;
+  }
+
+  const log = (message) => {
+    if (!json) stderr.write(message + '\n');
+  };
+
+  let client;
+  try {
+    client = await createClient({ timeout, profile: values.profile });
+    const report = await runComparison(client, suite, {
+      baselineDir: values['baseline-dir'],
+      outDir: values.out,
+      update: values.update,
+      timeout,
+      log,
+    });
+    const reportPath = path.resolve(values.out, 'index.html');
+    if (json) {
+      print({ ok: report.status === 'passed', report: reportPath, ...report });
+    } else {
+      const { passed, failed, new: added, updated, error } = report.summary;
+      stdout.write(`${report.status === 'passed' ? '✓' : '✗'} ${report.name}: ${passed} passed, ${failed} failed, ${added} new, ${updated} updated, ${error} errors\n`);
+      stdout.write(`Report: ${reportPath}\n`);
+    }
+    return report.status === 'passed' ? 0 : 1;
+  } catch (err) {
+    return fail(err, 1);
+  } finally {
+    if (client) client.close();
+  }
+}
+
+module.exports = { main, loadSuite, validateSuite, parseViewport, diffImages, runComparison, CompareError };
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
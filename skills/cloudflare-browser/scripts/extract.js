@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Content Extraction
+ *
+ * Structured alternatives to getHTML()/getText() for feeding pages to a model. Everything
+ * runs inside the page with Runtime.callFunctionOn, so relative URLs resolve against the
+ * document and only the cleaned result crosses the WebSocket.
+ *
+ * Usage:
+ *   const { createClient } = require('./cdp-client');
+ *   const extract = require('./extract');
+ *   const client = await createClient();
+ *   await client.navigate('https://example.com/post');
+ *   const { markdown } = await extract.readable(client);
+ *   const meta = await extract.metadata(client);
+ *   const products = await extract.schema(client, {
+ *     items: '.product',
+ *     fields: { name: 'h2', price: { selector: '.price', type: 'number' }, url: { selector: 'a', attribute: 'href' } },
+ *   });
+ */
+
+/**
+ * Main content of the page as Markdown. Uses <article>/<main> when present, otherwise the
+ * block with the most paragraph text and the lowest link density. Navigation, headers,
+ * footers, asides, forms and hidden elements are dropped.
+ * Options: selector (use this element as the content root).
+ * Returns { url, title, byline, excerpt, markdown, length }.
+ */
+async function readable(page, { selector } = {}) {
+  const result = await page.callFunction((rootSelector) => {
+    const NOISE = 'script, style, noscript, template, iframe, svg, canvas, form, button, input, select, textarea, nav, header, footer, aside, dialog, [hidden], [aria-hidden="true"], [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], .ad, .ads, .advert, .advertisement, .cookie, .cookies, .newsletter, .share, .social, .related, .comments, #comments';
+
+    const textLength = (el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().length;
+    const linkDensity = (el) => {
+      const total = textLength(el) || 1;
+      let links = 0;
+      for (const a of el.querySelectorAll('a')) links += textLength(a);
+      return links / total;
+    };
+
+    function findRoot() {
+      if (rootSelector) return document.querySelector(rootSelector);
+      const candidates = Array.from(document.querySelectorAll('article, main, [role="main"], [itemprop="articleBody"]'))
+        .filter(el => textLength(el) > 200);
+      if (candidates.length) {
+        candidates.sort((a, b) => textLength(b) - textLength(a));
+        return candidates[0];
+      }
+      // Score each paragraph's parent and grandparent by the text they hold
+      const scores = new Map();
+      for (const p of document.body.querySelectorAll('p, pre, td, blockquote')) {
+        const length = textLength(p);
+        if (length < 25) continue;
+        const points = 1 + Math.min(Math.floor(length / 100), 3) + (p.textContent.match(/,/g) || []).length * 0.1;
+        const parent = p.parentElement;
+        const grandparent = parent?.parentElement;
+        if (parent) scores.set(parent, (scores.get(parent) || 0) + points);
+        if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + points / 2);
+      }
+      let best = null;
+      let bestScore = 0;
+      for (const [el, score] of scores) {
+        const adjusted = score * (1 - linkDensity(el));
+        if (adjusted > bestScore) {
+          best = el;
+          bestScore = adjusted;
+        }
+      }
+      return best || document.body;
+    }
+
+    const root = findRoot();
+    if (!root) return { error: `Element not found: ${rootSelector}` };
+    const clone = root.cloneNode(true);
+    // Visibility can only be read from the live tree; the clone has the same element order
+    const cloneElements = Array.from(clone.querySelectorAll('*'));
+    Array.from(root.querySelectorAll('*')).forEach((el, i) => {
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') cloneElements[i].remove();
+    });
+    for (const el of clone.querySelectorAll(NOISE)) el.remove();
+
+    const absolute = (url) => {
+      try {
+        return new URL(url, document.baseURI).href;
+      } catch {
+        return url;
+      }
+    };
+    const escape = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+    const inline = (text) => text.replace(/\s+/g, ' ');
+
+    function children(node, ctx) {
+      return Array.from(node.childNodes, child => convert(child, ctx)).join('');
+    }
+
+    function table(el) {
+      const rows = Array.from(el.querySelectorAll('tr')).map(tr => Array.from(tr.cells).flatMap(cell => {
+        const text = inline(children(cell, {})).trim().replace(/\|/g, '\\|');
+        return [text, ...Array(Math.max(cell.colSpan - 1, 0)).fill('')];
+      }));
+      if (!rows.length) return '';
+      const width = Math.max(...rows.map(row => row.length));
+      const pad = (row) => row.concat(Array(width - row.length).fill(''));
+      const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+      for (const row of rows.slice(1)) lines.push(`| ${pad(row).join(' | ')} |`);
+      return `\n\n${lines.join('\n')}\n\n`;
+    }
+
+    function convert(node, ctx) {
+      if (node.nodeType === Node.TEXT_NODE) return escape(inline(node.textContent));
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      const tag = node.tagName.toLowerCase();
+      switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+          const text = children(node, ctx).trim();
+          return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+        case 'p': case 'div': case 'section': case 'article': case 'main': case 'figure':
+          return `\n\n${children(node, ctx).trim()}\n\n`;
+        case 'figcaption':
+          return `\n\n_${children(node, ctx).trim()}_\n\n`;
+        case 'br':
+          return '  \n';
+        case 'hr':
+          return '\n\n---\n\n';
+        case 'strong': case 'b': {
+          const text = children(node, ctx).trim();
+          return text ? `**${text}**` : '';
+        }
+        case 'em': case 'i': {
+          const text = children(node, ctx).trim();
+          return text ? `_${text}_` : '';
+        }
+        case 'code':
+          return `\`${node.textContent}\``;
+        case 'pre': {
+          const language = (node.querySelector('code')?.className.match(/language-(\S+)/) || [])[1] || '';
+          return `\n\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+        }
+        case 'a': {
+          const text = children(node, ctx).trim();
+          const href = node.getAttribute('href');
+          if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+          return text ? `[${text}](${absolute(href)})` : '';
+        }
+        case 'img': {
+          const src = node.getAttribute('src') || node.getAttribute('data-src');
+          return src && !src.startsWith('data:') ? `![${escape(node.getAttribute('alt') || '')}](${absolute(src)})` : '';
+        }
+        case 'ul': case 'ol': {
+          const depth = ctx.depth || 0;
+          const items = Array.from(node.children).filter(child => child.tagName === 'LI');
+          const lines = items.map((li, i) => {
+            const marker = tag === 'ol' ? `${i + 1}.` : '-';
+            const body = children(li, { ...ctx, depth: depth + 1 }).trim().replace(/\n{2,}/g, '\n');
+            return `${'  '.repeat(depth)}${marker} ${body}`;
+          });
+          return `${depth ? '\n' : '\n\n'}${lines.join('\n')}${depth ? '' : '\n\n'}`;
+        }
+        case 'blockquote':
+          return `\n\n${children(node, ctx).trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        case 'table':
+          return table(node);
+        default:
+          return children(node, ctx);
+      }
+    }
+
+    const markdown = children(clone, {})
+      .replace(/[ \t]+\n/g, '\n')
+      // Drop indentation left by whitespace between blocks, but keep nested list items
+      .replace(/\n[ \t]+(?![ \t]*(?:[-*]|\d+\.) )/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    const meta = (name) => document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.content || null;
+    const heading = clone.querySelector('h1')?.textContent.trim();
+    return {
+      url: location.href,
+      title: meta('og:title') || heading || document.title,
+      byline: meta('author') || document.querySelector('[rel="author"], .byline, .author')?.textContent.trim() || null,
+      excerpt: meta('description') || meta('og:description') || null,
+      markdown,
+      length: markdown.length,
+    };
+  }, selector ?? null);
+  if (result.error) throw new Error(result.error);
+  return result;
+}
+
+/**
+ * Page metadata: title, description, canonical URL, language, OpenGraph and Twitter card
+ * properties, JSON-LD blocks (invalid blocks are skipped) and feeds/icons.
+ */
+async function metadata(page) {
+  return page.callFunction(() => {
+    const meta = (name) => document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.content || null;
+    const link = (rel) => document.querySelector(`link[rel~="${rel}"]`)?.href || null;
+    const group = (prefix) => {
+      const values = {};
+      for (const el of document.querySelectorAll(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`)) {
+        const key = (el.getAttribute('property') || el.getAttribute('name')).slice(prefix.length + 1);
+        // Repeated properties (og:image, article:tag) become arrays
+        if (key in values) values[key] = [].concat(values[key], el.content);
+        else values[key] = el.content;
+      }
+      return values;
+    };
+    const jsonLd = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        jsonLd.push(...(Array.isArray(data) ? data : [data]));
+      } catch {
+        // Skip malformed blocks
+      }
+    }
+    return {
+      url: location.href,
+      title: document.title,
+      description: meta('description'),
+      canonical: link('canonical'),
+      lang: document.documentElement.lang || null,
+      author: meta('author'),
+      keywords: meta('keywords')?.split(',').map(k => k.trim()).filter(Boolean) || [],
+      icon: link('icon'),
+      feeds: Array.from(document.querySelectorAll('link[rel="alternate"][type*="rss"], link[rel="alternate"][type*="atom"]'), el => ({ title: el.title || null, url: el.href })),
+      openGraph: group('og'),
+      twitter: group('twitter'),
+      article: group('article'),
+      jsonLd,
+    };
+  });
+}
+
+/**
+ * All links with absolute URLs, de-duplicated by URL.
+ * Options: selector (only links inside this element), sameOrigin (drop external links).
+ * Returns [{ url, text, title, rel, internal }].
+ */
+async function links(page, { selector, sameOrigin = false } = {}) {
+  const result = await page.callFunction((rootSelector, onlyInternal) => {
+    const root = rootSelector ? document.querySelector(rootSelector) : document;
+    if (!root) return { error: `Element not found: ${rootSelector}` };
+    const seen = new Map();
+    for (const a of root.querySelectorAll('a[href]')) {
+      let url;
+      try {
+        url = new URL(a.getAttribute('href'), document.baseURI);
+      } catch {
+        continue;
+      }
+      if (!['http:', 'https:', 'mailto:', 'tel:'].includes(url.protocol)) continue;
+      url.hash = '';
+      const internal = url.origin === location.origin;
+      if (onlyInternal && !internal) continue;
+      const text = (a.innerText || a.textContent || a.getAttribute('aria-label') || a.querySelector('img')?.alt || '').replace(/\s+/g, ' ').trim();
+      const existing = seen.get(url.href);
+      // Keep the most descriptive text when the same URL appears more than once
+      if (existing) {
+        if (!existing.text && text) existing.text = text;
+        continue;
+      }
+      seen.set(url.href, { url: url.href, text, title: a.title || null, rel: a.rel || null, internal });
+    }
+    return { links: Array.from(seen.values()) };
+  }, selector ?? null, sameOrigin);
+  if (result.error) throw new Error(result.error);
+  return result.links;
+}
+
+/**
+ * Tables as JSON. When a table has a header row (thead or a first row of <th>), each row
+ * becomes an object keyed by header; otherwise rows are arrays. colspan cells are repeated.
+ * Options: selector (default 'table').
+ * Returns [{ index, caption, headers, rows }].
+ */
+async function tables(page, { selector = 'table' } = {}) {
+  return page.callFunction((tableSelector) => {
+    const cellText = (cell) => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+    const expand = (row) => Array.from(row.cells).flatMap(cell => Array(Math.max(cell.colSpan || 1, 1)).fill(cellText(cell)));
+
+    return Array.from(document.querySelectorAll(tableSelector), (table, index) => {
+      // Nested tables are reported on their own
+      const rows = Array.from(table.rows).filter(row => row.closest('table') === table);
+      let headerRow = table.tHead?.rows[0] || null;
+      if (!headerRow && rows[0] && Array.from(rows[0].cells).every(cell => cell.tagName === 'TH')) headerRow = rows[0];
+      const headers = headerRow ? expand(headerRow).map((text, i) => text || `column${i + 1}`) : null;
+      // Make duplicate headers unique so no column is lost
+      if (headers) {
+        const counts = {};
+        headers.forEach((header, i) => {
+          counts[header] = (counts[header] || 0) + 1;
+          if (counts[header] > 1) headers[i] = `${header}_${counts[header]}`;
+        });
+      }
+      const body = rows.filter(row => row !== headerRow && row.parentElement?.tagName !== 'THEAD');
+      return {
+        index,
+        caption: table.caption ? cellText(table.caption) : null,
+        headers,
+        rows: body.map(row => {
+          const cells = expand(row);
+          return headers ? Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? null])) : cells;
+        }),
+      };
+    });
+  }, selector);
+}
+
+/**
+ * Map CSS selectors to fields. A schema is { items?, fields }:
+ *   items  - selector for repeated elements; omit to extract one object from the page
+ *   fields - name -> selector string, or { selector, attribute, type, all, items, fields }
+ *            type: 'text' (default), 'html', 'number', 'boolean' (element exists) or 'url'
+ *            attribute: read an attribute (href/src are resolved to absolute URLs)
+ *            all: return an array of every match
+ *            items + fields: nested list
+ * A field selector of '' (or omitted) refers to the item element itself.
+ */
+async function schema(page, spec) {
+  validateSchema(spec);
+  return page.callFunction((rootSpec) => {
+    const absolute = (url) => {
+      try {
+        return new URL(url, document.baseURI).href;
+      } catch {
+        return url;
+      }
+    };
+
+    function read(el, field) {
+      if (field.type === 'boolean') return !!el;
+      if (!el) return null;
+      if (field.type === 'html') return el.innerHTML.trim();
+      let value;
+      if (field.attribute) {
+        value = el.getAttribute(field.attribute);
+        if (value !== null && (['href', 'src'].includes(field.attribute) || field.type === 'url')) value = absolute(value);
+      } else if (field.type === 'url') {
+        const attr = el.getAttribute('href') ?? el.getAttribute('src');
+        value = attr === null ? null : absolute(attr);
+      } else {
+        value = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+      }
+      if (field.type === 'number' && value !== null) {
+        const match = String(value).replace(/,(?=\d{3}\b)/g, '').match(/-?\d+(\.\d+)?/);
+        return match ? Number(match[0]) : null;
+      }
+      return value;
+    }
+
+    function extractFields(scope, fields) {
+      const out = {};
+      for (const [name, raw] of Object.entries(fields)) {
+        const field = typeof raw === 'string' ? { selector: raw } : raw;
+        if (field.fields) {
+          out[name] = extractItems(scope, field);
+          continue;
+        }
+        const query = (sel) => (sel ? Array.from(scope.querySelectorAll(sel)) : [scope]);
+        if (field.all) {
+          out[name] = query(field.selector).map(el => read(el, field));
+        } else {
+          out[name] = read(field.selector ? scope.querySelector(field.selector) : scope, field);
+        }
+      }
+      return out;
+    }
+
+    function extractItems(scope, spec) {
+      if (!spec.items) return extractFields(scope, spec.fields);
+      return Array.from(scope.querySelectorAll(spec.items), item => extractFields(item, spec.fields));
+    }
+
+    return extractItems(document, rootSpec);
+  }, spec);
+}
+
+const FIELD_TYPES = ['text', 'html', 'number', 'boolean', 'url'];
+
+/**
+ * Throw a descriptive error for a malformed schema before anything runs in the page.
+ */
+function validateSchema(spec, where = 'schema') {
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) throw new Error(`${where} must be an object`);
+  if (spec.items !== undefined && typeof spec.items !== 'string') throw new Error(`${where}.items must be a selector string`);
+  if (typeof spec.fields !== 'object' || spec.fields === null || Object.keys(spec.fields).length === 0) {
+    throw new Error(`${where}.fields must map field names to selectors`);
+  }
+  for (const [name, field] of Object.entries(spec.fields)) {
+    const path = `${where}.fields.${name}`;
+    if (typeof field === 'string') continue;
+    if (typeof field !== 'object' || field === null) throw new Error(`${path} must be a selector or an object`);
+    if (field.fields) {
+      validateSchema(field, path);
+      continue;
+    }
+    if (field.selector !== undefined && typeof field.selector !== 'string') throw new Error(`${path}.selector must be a string`);
+    if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+      throw new Error(`${path}.type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+  }
+}
+
+module.exports = { readable, metadata, links, tables, schema, validateSchema };
+
+if (require.main === module) {
+  console.log('Content extraction helpers - import with: const extract = require("./extract")');
+}
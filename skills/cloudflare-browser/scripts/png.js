@@ -0,0 +1,165 @@
+/**
+ * Minimal PNG codec for the visual comparison in compare.js.
+ *
+ * Plain JavaScript over Node's built-in zlib, so it runs in the container without extra
+ * packages or binaries. Decodes non-interlaced 8-bit greyscale, RGB, palette and RGBA
+ * images (what Chrome's Page.captureScreenshot produces) and encodes RGBA.
+ *
+ * Images are { width, height, data } with `data` a Buffer of RGBA bytes, row by row.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel by colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG buffer to RGBA. Throws on formats outside the supported subset.
+ */
+function decode(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+  let header;
+  let palette;
+  let transparency;
+  const idat = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels) {
+    throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, colour type ${colorType})`);
+  }
+  if (interlace) throw new Error('Interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('PNG palette is missing');
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+
+  // Undo the per-row filters in place
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type ${filter}`);
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+    const out = i * 4;
+    if (colorType === 6) {
+      pixels.copy(data, out, p, p + 4);
+    } else if (colorType === 2) {
+      pixels.copy(data, out, p, p + 3);
+      data[out + 3] = 255;
+    } else if (colorType === 3) {
+      const index = pixels[p];
+      palette.copy(data, out, index * 3, index * 3 + 3);
+      data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else {
+      data[out] = data[out + 1] = data[out + 2] = pixels[p];
+      data[out + 3] = colorType === 4 ? pixels[p + 1] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])));
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Encode an RGBA image as PNG.
+ */
+function encode({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  // Every row uses the Sub filter: cheap, and diff images are mostly flat colour
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const out = y * (stride + 1);
+    raw[out] = 1;
+    for (let x = 0; x < stride; x++) {
+      const value = data[y * stride + x];
+      raw[out + 1 + x] = x >= 4 ? (value - data[y * stride + x - 4]) & 0xff : value;
+    }
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decode, encode };
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Screencast Recorder
+ *
+ * Records a page with Page.startScreencast instead of polling screenshots, so frames
+ * arrive as the page paints and keep their real timestamps.
+ *
+ * Usage:
+ *   const { createClient } = require('./cdp-client');
+ *   const { createRecorder, saveRecording } = require('./recorder');
+ *   const client = await createClient();
+ *   const recorder = createRecorder(client, { cursor: true });
+ *   await recorder.start();
+ *   await client.navigate('https://example.com');
+ *   await client.click('a');
+ *   const recording = await recorder.stop();
+ *   await saveRecording(recording, 'demo.mp4');
+ *
+ * Encoders (saveRecording `encoder` option):
+ *   ffmpeg - MP4/WebM/GIF by output extension (default when ffmpeg is installed)
+ *   avi    - Motion-JPEG AVI written in pure JS; plays in VLC, browsers via ffmpeg, etc.
+ *   frames - A directory of JPEG frames with manifest.json and an index.html player
+ *   auto   - ffmpeg if available, otherwise avi
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Draws a cursor that follows mouse events and a ripple on each click. Injected into
+ * every document so Input.dispatchMouseEvent activity is visible in the recording.
+ */
+const CURSOR_OVERLAY = `(() => {
+  if (window.__cdpRecorderCursor) return;
+  window.__cdpRecorderCursor = true;
+  const install = () => {
+    const cursor = document.createElement('div');
+    cursor.style.cssText = 'position:fixed;left:-40px;top:-40px;width:18px;height:18px;margin:-9px 0 0 -9px;' +
+      'border-radius:50%;background:rgba(255,80,40,.55);border:2px solid #fff;box-shadow:0 0 4px rgba(0,0,0,.5);' +
+      'pointer-events:none;z-index:2147483647;transition:transform .1s';
+    document.documentElement.appendChild(cursor);
+    const move = (e) => { cursor.style.left = e.clientX + 'px'; cursor.style.top = e.clientY + 'px'; };
+    window.addEventListener('mousemove', move, true);
+    window.addEventListener('mousedown', (e) => {
+      move(e);
+      cursor.style.transform = 'scale(.7)';
+      const ripple = document.createElement('div');
+      ripple.style.cssText = 'position:fixed;width:12px;height:12px;margin:-6px 0 0 -6px;border-radius:50%;' +
+        'border:3px solid rgba(255,80,40,.9);pointer-events:none;z-index:2147483646;' +
+        'transition:transform .45s ease-out,opacity .45s ease-out;left:' + e.clientX + 'px;top:' + e.clientY + 'px';
+      document.documentElement.appendChild(ripple);
+      requestAnimationFrame(() => { ripple.style.transform = 'scale(4)'; ripple.style.opacity = '0'; });
+      setTimeout(() => ripple.remove(), 500);
+    }, true);
+    window.addEventListener('mouseup', () => { cursor.style.transform = ''; }, true);
+  };
+  if (document.documentElement) install();
+  else document.addEventListener('DOMContentLoaded', install);
+})();`;
+
+/**
+ * Record a page (the client itself or a page from client.newPage()).
+ *
+ * Options: format ('jpeg' | 'png', default jpeg), quality (default 80), maxWidth, maxHeight,
+ * everyNthFrame, cursor (draw cursor and click overlays, default false).
+ */
+function createRecorder(page, options = {}) {
+  const frames = [];
+  let unsubscribe = null;
+
+  return {
+    get frameCount() {
+      return frames.length;
+    },
+
+    async start() {
+      if (unsubscribe) throw new Error('Recorder already started');
+      frames.length = 0;
+
+      if (options.cursor) {
+        await page.send('Page.addScriptToEvaluateOnNewDocument', { source: CURSOR_OVERLAY });
+        await page.evaluate(CURSOR_OVERLAY).catch(() => {});
+      }
+
+      unsubscribe = page.on('Page.screencastFrame', (frame, msg) => {
+        // client.on() sees every tab; only keep this page's frames
+        if (msg?.sessionId && msg.sessionId !== page.targetId) return;
+        frames.push({
+          data: Buffer.from(frame.data, 'base64'),
+          // Browser timestamp keeps frame spacing exact; arrival time is the fallback
+          timestamp: frame.metadata?.timestamp ?? Date.now() / 1000,
+          receivedAt: Date.now() / 1000,
+        });
+        page.send('Page.screencastFrameAck', { sessionId: frame.sessionId }).catch(() => {});
+      });
+
+      await page.send('Page.startScreencast', {
+        format: options.format || 'jpeg',
+        quality: options.quality ?? 80,
+        maxWidth: options.maxWidth,
+        maxHeight: options.maxHeight,
+        everyNthFrame: options.everyNthFrame || 1,
+      });
+    },
+
+    /**
+     * Stop recording. Resolves with { frames, format, duration } where each frame has
+     * `data` (image Buffer) and `time` (seconds from the first frame).
+     */
+    async stop() {
+      if (!unsubscribe) throw new Error('Recorder not started');
+      const stoppedAt = Date.now() / 1000;
+      await page.send('Page.stopScreencast').catch(() => {});
+      unsubscribe();
+      unsubscribe = null;
+
+      if (frames.length === 0) {
+        return { frames: [], format: options.format || 'jpeg', duration: 0 };
+      }
+
+      const first = frames[0];
+      const last = frames[frames.length - 1];
+      // Hold the last frame until stop() was called (a static page sends no more frames)
+      const duration = last.timestamp - first.timestamp + Math.max(stoppedAt - last.receivedAt, 0);
+      return {
+        // Millisecond precision avoids float drift when resampling onto a fixed frame rate
+        frames: frames.map(frame => ({
+          data: frame.data,
+          time: Math.max(Math.round((frame.timestamp - first.timestamp) * 1000) / 1000, 0),
+        })),
+        format: options.format || 'jpeg',
+        duration: Math.max(duration, 1 / 25),
+      };
+    },
+  };
+}
+
+/**
+ * Resample variable-rate frames onto a constant frame rate: each output tick shows the
+ * latest frame captured at or before that time.
+ */
+function resample(recording, fps) {
+  const total = Math.max(Math.round(recording.duration * fps), 1);
+  const indexes = [];
+  let current = 0;
+  for (let tick = 0; tick < total; tick++) {
+    const time = tick / fps;
+    while (current + 1 < recording.frames.length && recording.frames[current + 1].time <= time) current++;
+    indexes.push(current);
+  }
+  return indexes;
+}
+
+/**
+ * Width and height from a JPEG's start-of-frame marker.
+ */
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function chunk(fourcc, data) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat(data.length % 2 ? [header, data, Buffer.alloc(1)] : [header, data]);
+}
+
+function list(type, parts) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), ...parts]);
+  return chunk('LIST', body);
+}
+
+/**
+ * Motion-JPEG AVI: each resampled tick is a complete JPEG in the 'movi' list, so no
+ * codec is needed. Repeated frames reuse the same bytes.
+ */
+function encodeAvi(recording, fps) {
+  if (recording.format !== 'jpeg') throw new Error('AVI output needs JPEG frames');
+  const size = jpegSize(recording.frames[0].data);
+  if (!size) throw new Error('Could not read frame size from JPEG');
+  const indexes = resample(recording, fps);
+
+  const movi = [];
+  const index = [];
+  let offset = 4; // idx1 offsets count from the 'movi' fourcc
+  let maxFrame = 0;
+  for (const i of indexes) {
+    const data = recording.frames[i].data;
+    const part = chunk('00dc', data);
+    movi.push(part);
+    const entry = Buffer.alloc(16);
+    entry.write('00dc', 0, 'ascii');
+    entry.writeUInt32LE(0x10, 4); // AVIIF_KEYFRAME
+    entry.writeUInt32LE(offset, 8);
+    entry.writeUInt32LE(data.length, 12);
+    index.push(entry);
+    offset += part.length;
+    maxFrame = Math.max(maxFrame, data.length);
+  }
+
+  const avih = Buffer.alloc(56);
+  avih.writeUInt32LE(Math.round(1e6 / fps), 0); // microseconds per frame
+  avih.writeUInt32LE(maxFrame * fps, 4); // max bytes per second
+  avih.writeUInt32LE(0x10, 12); // AVIF_HASINDEX
+  avih.writeUInt32LE(indexes.length, 16);
+  avih.writeUInt32LE(1, 24); // streams
+  avih.writeUInt32LE(maxFrame, 28);
+  avih.writeUInt32LE(size.width, 32);
+  avih.writeUInt32LE(size.height, 36);
+
+  const strh = Buffer.alloc(56);
+  strh.write('vids', 0, 'ascii');
+  strh.write('MJPG', 4, 'ascii');
+  strh.writeUInt32LE(1, 20); // scale
+  strh.writeUInt32LE(fps, 24); // rate: fps = rate / scale
+  strh.writeUInt32LE(indexes.length, 32);
+  strh.writeUInt32LE(maxFrame, 36);
+  strh.writeInt32LE(-1, 40); // quality
+  strh.writeUInt16LE(size.width, 52);
+  strh.writeUInt16LE(size.height, 54);
+
+  const strf = Buffer.alloc(40); // BITMAPINFOHEADER
+  strf.writeUInt32LE(40, 0);
+  strf.writeInt32LE(size.width, 4);
+  strf.writeInt32LE(size.height, 8);
+  strf.writeUInt16LE(1, 12);
+  strf.writeUInt16LE(24, 14);
+  strf.write('MJPG', 16, 'ascii');
+  strf.writeUInt32LE(size.width * size.height * 3, 20);
+
+  const body = Buffer.concat([
+    Buffer.from('AVI ', 'ascii'),
+    list('hdrl', [chunk('avih', avih), list('strl', [chunk('strh', strh), chunk('strf', strf)])]),
+    list('movi', movi),
+    chunk('idx1', Buffer.concat(index)),
+  ]);
+  return chunk('RIFF', body);
+}
+
+function writeFrames(recording, dir) {
+  const extension = recording.format === 'png' ? 'png' : 'jpg';
+  fs.mkdirSync(dir, { recursive: true });
+  return recording.frames.map((frame, i) => {
+    const file = `frame_${String(i).padStart(5, '0')}.${extension}`;
+    fs.writeFileSync(path.join(dir, file), frame.data);
+    const next = i + 1 < recording.frames.length ? recording.frames[i + 1].time : recording.duration;
+    return { file, time: Number(frame.time.toFixed(3)), duration: Number(Math.max(next - frame.time, 0.001).toFixed(3)) };
+  });
+}
+
+const PLAYER_HTML = `<!doctype html>
+<meta charset="utf-8">
+<title>Recording</title>
+<style>body{margin:0;background:#111;display:flex;flex-direction:column;align-items:center;color:#ccc;font:13px sans-serif}
+img{max-width:100vw;max-height:92vh}</style>
+<img id="frame"><p><button id="play">Replay</button> <span id="time"></span></p>
+<script>
+fetch('manifest.json').then(r => r.json()).then(({ frames, duration }) => {
+  const img = document.getElementById('frame');
+  const label = document.getElementById('time');
+  let timer;
+  const play = (i = 0) => {
+    clearTimeout(timer);
+    if (i >= frames.length) return;
+    img.src = frames[i].file;
+    label.textContent = frames[i].time.toFixed(2) + 's / ' + duration.toFixed(2) + 's';
+    timer = setTimeout(() => play(i + 1), frames[i].duration * 1000);
+  };
+  document.getElementById('play').onclick = () => play();
+  play();
+});
+</script>
+`;
+
+function ffmpegAvailable() {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write a recording to `output`.
+ * Options: encoder ('auto' | 'ffmpeg' | 'avi' | 'frames'), fps (constant-rate outputs, default 25).
+ * Resolves with { output, encoder, frames, duration }. With encoder 'auto' and no ffmpeg,
+ * the output extension becomes .avi.
+ */
+async function saveRecording(recording, output, options = {}) {
+  if (recording.frames.length === 0) throw new Error('Recording has no frames');
+  const fps = options.fps || 25;
+  let encoder = options.encoder || 'auto';
+  let outputPath = path.resolve(output);
+
+  if (encoder === 'auto') {
+    if (ffmpegAvailable()) {
+      encoder = 'ffmpeg';
+    } else {
+      encoder = recording.format === 'jpeg' ? 'avi' : 'frames';
+      const extension = encoder === 'avi' ? '.avi' : '';
+      const base = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+      if (path.extname(outputPath).toLowerCase() !== extension) outputPath = base + extension;
+      console.error(`[recorder] ffmpeg not found, writing ${encoder === 'avi' ? 'Motion-JPEG AVI' : 'frame bundle'} to ${outputPath}`);
+    }
+  }
+
+  const result = { output: outputPath, encoder, frames: recording.frames.length, duration: Number(recording.duration.toFixed(3)) };
+
+  if (encoder === 'frames') {
+    const manifest = { duration: result.duration, frames: writeFrames(recording, outputPath) };
+    fs.writeFileSync(path.join(outputPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(path.join(outputPath, 'index.html'), PLAYER_HTML);
+    return result;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  if (encoder === 'avi') {
+    fs.writeFileSync(outputPath, encodeAvi(recording, fps));
+    return result;
+  }
+
+  if (encoder !== 'ffmpeg') throw new Error(`Unknown encoder "${encoder}" (use auto, ffmpeg, avi or frames)`);
+
+  // Concat demuxer with per-frame durations keeps the recorded timing exactly
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-recording-'));
+  try {
+    const frames = writeFrames(recording, workDir);
+    const lines = [];
+    for (const frame of frames) lines.push(`file '${frame.file}'`, `duration ${frame.duration}`);
+    // The concat demuxer ignores the last duration unless the file is repeated
+    lines.push(`file '${frames[frames.length - 1].file}'`);
+    fs.writeFileSync(path.join(workDir, 'frames.txt'), lines.join('\n') + '\n');
+
+    const extension = path.extname(outputPath).toLowerCase();
+    const codec = extension === '.webm'
+      ? ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '32']
+      : extension === '.gif'
+        ? []
+        : ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-preset', 'fast', '-crf', '23'];
+    // Even dimensions are required by yuv420p
+    const filter = extension === '.gif' ? `fps=${Math.min(fps, 15)}` : `fps=${fps},pad=ceil(iw/2)*2:ceil(ih/2)*2`;
+    execFileSync('ffmpeg', [
+      '-y', '-f', 'concat', '-safe', '0', '-i', path.join(workDir, 'frames.txt'),
+      '-vf', filter, ...codec, outputPath,
+    ], { stdio: 'pipe' });
+  } catch (err) {
+    const detail = err.stderr ? err.stderr.toString().trim().split('\n').pop() : err.message;
+    throw new Error(`ffmpeg failed: ${detail}`);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  return result;
+}
+
+module.exports = { createRecorder, saveRecording, encodeAvi, resample, ffmpegAvailable };
+
+if (require.main === module) {
+  console.log('Screencast recorder - import with: const { createRecorder, saveRecording } = require("./recorder")');
+}
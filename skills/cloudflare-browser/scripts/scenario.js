@@ -0,0 +1,752 @@
+#!/usr/bin/env node
+/**
+ * Cloudflare Browser Rendering - Scenario Runner
+ *
+ * Runs a declarative list of browser steps (JSON or YAML) over cdp-client.js and writes a
+ * step-by-step report with a screenshot per step. Scenarios can only use the step types
+ * below, so a flow can be reviewed before it runs and never executes arbitrary JavaScript.
+ *
+ * Usage: node scenario.js <scenario.yaml|json> [--out dir] [--screenshots all|failures|none] [--json]
+ *
+ * Scenario:
+ *   name: Login and read dashboard
+ *   viewport: { width: 1280, height: 800 }
+ *   timeout: 30000                # per-step default (ms)
+ *   profile: shop                 # optional saved browser profile (stays logged in between runs)
+ *   steps:
+ *     - goto: https://example.com/login
+ *     - type: { selector: "#email", text: "${env.LOGIN_EMAIL}" }
+ *     - click: { selector: "button[type=submit]", waitForNavigation: true }
+ *     - assert: { selector: ".dashboard", visible: true }
+ *     - extract: { name: balance, selector: ".balance" }
+ *     - assert: { text: "Welcome" }
+ *
+ * Step types: goto, waitFor, click, type, select, scroll, assert, extract, screenshot, sleep.
+ * Every step also accepts name, timeout and optional (a failure is recorded but doesn't fail the run).
+ * Strings may reference ${env.NAME} and ${vars.name} (scenario `vars` and extracted values).
+ *
+ * Exit codes: 0 all steps passed, 1 a step or assertion failed, 2 invalid scenario or usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createClient } = require('./cdp-client');
+const { UsageError, describeError } = require('./cloudflare-browser');
+
+const DEFAULT_STEP_TIMEOUT = 30000;
+const STEP_KEYS = ['name', 'timeout', 'optional'];
+
+class ScenarioError extends UsageError {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioError';
+  }
+}
+
+// --- YAML ---------------------------------------------------------------------------
+
+/**
+ * Parse YAML with the `yaml` or `js-yaml` package when installed, otherwise with the
+ * built-in subset parser: block mappings and sequences, flow [..]/{..} collections,
+ * quoted and plain scalars, | and > block scalars and # comments. Anchors, tags and
+ * multi-document files are not supported by the fallback.
+ */
+function parseYaml(text) {
+  for (const name of ['yaml', 'js-yaml']) {
+    let lib;
+    try {
+      lib = require(name);
+    } catch {
+      continue;
+    }
+    return name === 'yaml' ? lib.parse(text) : lib.load(text);
+  }
+  return parseYamlSubset(text);
+}
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line.trimEnd();
+}
+
+function parseYamlSubset(text) {
+  const raw = text.replace(/\r\n?/g, '\n').split('\n');
+  const lines = [];
+  for (const [i, line] of raw.entries()) {
+    if (/^\s*(---|\.\.\.)\s*$/.test(line)) continue;
+    if (/^\t/.test(line)) throw new ScenarioError(`YAML line ${i + 1}: tabs are not allowed for indentation`);
+    lines.push({ number: i + 1, raw: line, indent: line.search(/\S|$/), content: stripComment(line).trim() });
+  }
+  let pos = 0;
+
+  const fail = (line, message) => {
+    throw new ScenarioError(`YAML line ${line.number}: ${message}`);
+  };
+  const skipBlank = () => {
+    while (pos < lines.length && !lines[pos].content) pos++;
+  };
+
+  function parseBlock(indent) {
+    skipBlank();
+    if (pos >= lines.length || lines[pos].indent < indent) return null;
+    const line = lines[pos];
+    return /^-(\s|$)/.test(line.content) ? parseSequence(line.indent) : parseMapping(line.indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (skipBlank(); pos < lines.length && lines[pos].indent === indent; skipBlank()) {
+      const line = lines[pos];
+      if (!/^-(\s|$)/.test(line.content)) fail(line, 'expected a "- " sequence item');
+      const rest = line.content.slice(1).trim();
+      if (!rest) {
+        pos++;
+        items.push(parseBlock(indent + 1));
+      } else if (isMappingEntry(rest)) {
+        // "- key: value" starts a mapping whose other keys line up with "key"
+        const column = indent + line.content.indexOf(rest);
+        lines[pos] = { ...line, indent: column, content: rest };
+        items.push(parseMapping(column));
+      } else {
+        pos++;
+        items.push(parseValue(rest, line, indent));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    for (skipBlank(); pos < lines.length && lines[pos].indent === indent; skipBlank()) {
+      const line = lines[pos];
+      const entry = isMappingEntry(line.content);
+      if (!entry) fail(line, `expected "key: value", got "${line.content}"`);
+      pos++;
+      map[entry.key] = parseValue(entry.value, line, indent);
+    }
+    if (pos < lines.length && lines[pos].indent > indent && lines[pos].content) fail(lines[pos], 'unexpected indentation');
+    return map;
+  }
+
+  function parseValue(value, line, indent) {
+    if (!value) {
+      skipBlank();
+      if (pos < lines.length && lines[pos].indent > indent) return parseBlock(lines[pos].indent);
+      // A sequence may sit at the same indent as its parent key
+      if (pos < lines.length && lines[pos].indent === indent && /^-(\s|$)/.test(lines[pos].content)) {
+        return parseSequence(indent);
+      }
+      return null;
+    }
+    if (/^[|>][+-]?$/.test(value)) return parseBlockScalar(value, indent);
+    try {
+      return parseFlow(value);
+    } catch (err) {
+      return fail(line, err.message);
+    }
+  }
+
+  function parseBlockScalar(style, indent) {
+    const block = [];
+    let blockIndent = null;
+    while (pos < lines.length && (!lines[pos].raw.trim() || lines[pos].indent > indent)) {
+      const line = lines[pos++];
+      if (line.raw.trim() && blockIndent === null) blockIndent = line.indent;
+      block.push(line.raw.slice(blockIndent ?? 0));
+    }
+    while (block.length && !block[block.length - 1].trim()) block.pop();
+    const body = style[0] === '|' ? block.join('\n') : block.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+    return style.endsWith('-') ? body : body + '\n';
+  }
+
+  const result = parseBlock(0);
+  skipBlank();
+  if (pos < lines.length) fail(lines[pos], 'unexpected content');
+  return result;
+}
+
+function isMappingEntry(content) {
+  const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[{#][^:#]*?)\s*:(?:\s+(.*)|$)/.exec(content);
+  if (!match) return null;
+  const key = match[1].startsWith('"') || match[1].startsWith("'") ? parseFlow(match[1]) : match[1];
+  return { key: String(key), value: (match[2] || '').trim() };
+}
+
+function plainScalar(text) {
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^(null|Null|NULL|~)?$/.test(text)) return null;
+  if (/^[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?$/.test(text)) return Number(text.replace(/_/g, ''));
+  if (/^0x[\da-fA-F]+$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse a scalar or a flow collection ([a, b], {k: v}) that fits on one line.
+ */
+function parseFlow(text) {
+  let i = 0;
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  function value(terminators) {
+    skipSpace();
+    const char = text[i];
+    if (char === '[') {
+      i++;
+      const items = [];
+      for (skipSpace(); text[i] !== ']'; skipSpace()) {
+        items.push(value(',]'));
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') throw new Error(`expected "," or "]" in ${text}`);
+        skipSpace();
+      }
+      i++;
+      return items;
+    }
+    if (char === '{') {
+      i++;
+      const map = {};
+      for (skipSpace(); text[i] !== '}'; skipSpace()) {
+        const key = value(':,}');
+        skipSpace();
+        if (text[i] !== ':') throw new Error(`expected ":" after "${key}" in ${text}`);
+        i++;
+        map[String(key)] = value(',}');
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] !== '}') throw new Error(`expected "," or "}" in ${text}`);
+        skipSpace();
+      }
+      i++;
+      return map;
+    }
+    if (char === '"') {
+      const match = /^"(?:[^"\\]|\\.)*"/.exec(text.slice(i));
+      if (!match) throw new Error(`unterminated string in ${text}`);
+      i += match[0].length;
+      return JSON.parse(match[0]);
+    }
+    if (char === "'") {
+      const match = /^'(?:[^']|'')*'/.exec(text.slice(i));
+      if (!match) throw new Error(`unterminated string in ${text}`);
+      i += match[0].length;
+      return match[0].slice(1, -1).replace(/''/g, "'");
+    }
+    const start = i;
+    // In flow context ": " ends a key; in block context the whole rest of the line is the value
+    while (i < text.length && !terminators.includes(text[i])) {
+      if (terminators.includes(':') && text[i] === ':' && /\s|$/.test(text[i + 1] || '')) break;
+      i++;
+    }
+    return plainScalar(text.slice(start, i).trim());
+  }
+
+  const result = value('');
+  skipSpace();
+  if (i < text.length) throw new Error(`unexpected "${text.slice(i)}"`);
+  return result;
+}
+
+// --- Scenario validation -----------------------------------------------------------
+
+const asObject = (value, key) => (typeof value === 'object' && value !== null && !Array.isArray(value) ? value : { [key]: value });
+
+/**
+ * Step definitions. `normalize` turns the shorthand form into an options object and
+ * `validate` returns an error message for bad input. `run` executes against the client.
+ */
+const STEPS = {
+  goto: {
+    normalize: (value) => asObject(value, 'url'),
+    validate: (args) => (typeof args.url !== 'string' ? 'needs a url' : null),
+    async run(client, args, ctx) {
+      await client.navigate(args.url, { waitUntil: args.waitUntil || 'load', timeout: ctx.timeout });
+      return client.info();
+    },
+  },
+
+  waitFor: {
+    normalize: (value) => asObject(value, 'selector'),
+    validate: (args) => (['selector', 'text', 'url', 'navigation'].some(k => args[k] !== undefined) ? null : 'needs selector, text, url or navigation'),
+    async run(client, args, ctx) {
+      if (args.navigation) return { url: await client.waitForNavigation({ timeout: ctx.timeout }) };
+      if (args.selector !== undefined) {
+        const state = args.state || 'visible';
+        await client.waitForSelector(args.selector, { visible: state === 'visible', hidden: state === 'hidden', timeout: ctx.timeout });
+      }
+      if (args.text !== undefined) {
+        await client.waitFor(() => client.callFunction((text) => document.body?.innerText.includes(text), args.text), {
+          timeout: ctx.timeout,
+          description: `text "${args.text}"`,
+        });
+      }
+      if (args.url !== undefined) {
+        await client.waitFor(() => client.callFunction((part) => location.href.includes(part), args.url), {
+          timeout: ctx.timeout,
+          description: `URL containing "${args.url}"`,
+        });
+      }
+      return undefined;
+    },
+  },
+
+  click: {
+    normalize: (value) => asObject(value, 'selector'),
+    validate: (args) => (typeof args.selector !== 'string' ? 'needs a selector' : null),
+    async run(client, args, ctx) {
+      const fromUrl = args.waitForNavigation ? (await client.info()).url : undefined;
+      await client.click(args.selector, { timeout: ctx.timeout, clickCount: args.clickCount || 1 });
+      if (args.waitForNavigation) return { url: await client.waitForNavigation({ fromUrl, timeout: ctx.timeout }) };
+      return undefined;
+    },
+  },
+
+  type: {
+    normalize: (value) => value,
+    validate: (args) => {
+      if (typeof args !== 'object' || args === null || typeof args.selector !== 'string') return 'needs { selector, text }';
+      return args.text === undefined ? 'needs text' : null;
+    },
+    async run(client, args, ctx) {
+      await client.type(args.selector, String(args.text), { clear: args.clear !== false, delay: args.delay, timeout: ctx.timeout });
+      if (args.press) await client.press(args.press);
+      return undefined;
+    },
+  },
+
+  select: {
+    normalize: (value) => value,
+    validate: (args) => {
+      if (typeof args !== 'object' || args === null || typeof args.selector !== 'string') return 'needs { selector, value | label }';
+      return args.value === undefined && args.label === undefined ? 'needs value or label' : null;
+    },
+    async run(client, args, ctx) {
+      await client.waitForSelector(args.selector, { timeout: ctx.timeout });
+      const selected = await client.callFunction((sel, value, label) => {
+        const el = document.querySelector(sel);
+        if (!el || el.tagName !== 'SELECT') return { error: `Not a <select>: ${sel}` };
+        const option = Array.from(el.options).find(o => (value !== null ? o.value === value : o.text.trim() === label));
+        if (!option) return { error: `No option ${value !== null ? `with value "${value}"` : `labelled "${label}"`} in ${sel}` };
+        el.value = option.value;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return { value: option.value, label: option.text.trim() };
+      }, args.selector, args.value === undefined ? null : String(args.value), args.label === undefined ? null : String(args.label));
+      if (selected.error) throw new Error(selected.error);
+      return selected;
+    },
+  },
+
+  scroll: {
+    normalize: (value) => (typeof value === 'number' ? { by: value } : asObject(value, 'to')),
+    validate: (args) => {
+      if (args.by !== undefined) return typeof args.by === 'number' ? null : 'by must be a number of pixels';
+      if (args.selector !== undefined) return null;
+      return ['top', 'bottom'].includes(args.to) ? null : 'needs a pixel amount, { selector } or to: top | bottom';
+    },
+    async run(client, args, ctx) {
+      if (args.selector !== undefined) {
+        await client.waitForSelector(args.selector, { timeout: ctx.timeout });
+        await client.callFunction((sel) => document.querySelector(sel).scrollIntoView({ block: 'center' }), args.selector);
+      } else {
+        await client.callFunction((by, to) => {
+          if (to === 'top') window.scrollTo(0, 0);
+          else if (to === 'bottom') window.scrollTo(0, document.documentElement.scrollHeight);
+          else window.scrollBy(0, by);
+        }, args.by ?? 0, args.to ?? null);
+      }
+      return client.callFunction(() => ({ scrollY: window.scrollY }));
+    },
+  },
+
+  assert: {
+    normalize: (value) => asObject(value, 'text'),
+    validate: (args) => {
+      const checks = ['selector', 'text', 'url', 'title', 'count'].filter(k => args[k] !== undefined);
+      if (checks.length === 0) return 'needs selector, text, url, title or count';
+      return args.count !== undefined && args.selector === undefined ? 'count needs a selector' : null;
+    },
+    async run(client, args) {
+      const state = await client.callFunction((sel) => {
+        const el = sel ? document.querySelector(sel) : null;
+        const visible = !!el && (() => {
+          const style = window.getComputedStyle(el);
+          const rect = el.getBoundingClientRect();
+          return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+        })();
+        return {
+          url: location.href,
+          title: document.title,
+          exists: !!el,
+          visible,
+          count: sel ? document.querySelectorAll(sel).length : 0,
+          text: sel ? (el ? el.innerText || el.textContent || '' : null) : document.body?.innerText || '',
+        };
+      }, args.selector ?? null);
+
+      const failures = [];
+      const where = args.selector ? `"${args.selector}"` : 'page';
+      if (args.selector !== undefined && args.count === undefined) {
+        const wantExists = args.exists !== false;
+        if (wantExists && !state.exists) failures.push(`expected ${where} to exist`);
+        if (!wantExists && state.exists) failures.push(`expected ${where} not to exist`);
+        if (wantExists && args.visible === true && state.exists && !state.visible) failures.push(`expected ${where} to be visible`);
+        if (args.visible === false && state.visible) failures.push(`expected ${where} to be hidden`);
+      }
+      if (args.count !== undefined && state.count !== args.count) {
+        failures.push(`expected ${args.count} matches for ${where}, found ${state.count}`);
+      }
+      if (args.text !== undefined && !(state.text ?? '').includes(String(args.text))) {
+        failures.push(`expected ${where} text to contain "${args.text}"`);
+      }
+      if (args.url !== undefined && !state.url.includes(String(args.url))) {
+        failures.push(`expected URL to contain "${args.url}", got ${state.url}`);
+      }
+      if (args.title !== undefined && !state.title.includes(String(args.title))) {
+        failures.push(`expected title to contain "${args.title}", got "${state.title}"`);
+      }
+      if (failures.length) {
+        const err = new Error(failures.join('; '));
+        err.name = 'AssertionError';
+        throw err;
+      }
+      return undefined;
+    },
+  },
+
+  extract: {
+    normalize: (value) => value,
+    validate: (args) => {
+      if (typeof args !== 'object' || args === null) return 'needs { name, selector }';
+      if (typeof args.name !== 'string' || !/^\w+$/.test(args.name)) return 'name must be a word (letters, digits, _)';
+      return typeof args.selector !== 'string' ? 'needs a selector' : null;
+    },
+    async run(client, args, ctx) {
+      await client.waitForSelector(args.selector, { timeout: ctx.timeout });
+      const value = await client.callFunction((sel, attribute, all) => {
+        const read = (el) => (attribute ? el.getAttribute(attribute) : (el.innerText || el.textContent || '').trim());
+        return all ? Array.from(document.querySelectorAll(sel), read) : read(document.querySelector(sel));
+      }, args.selector, args.attribute ?? null, !!args.all);
+      ctx.vars[args.name] = value;
+      return { [args.name]: value };
+    },
+  },
+
+  screenshot: {
+    normalize: (value) => asObject(value ?? {}, 'name'),
+    validate: (args) => (args.name !== undefined && !/^[\w.-]+$/.test(args.name) ? 'name may only contain letters, digits, ".", "_" and "-"' : null),
+    async run(client, args, ctx) {
+      const file = `${ctx.prefix}-${args.name || 'screenshot'}.png`;
+      const buffer = await client.screenshot({ fullPage: !!args.fullPage, selector: args.selector, timeout: ctx.timeout });
+      fs.writeFileSync(path.join(ctx.outDir, file), buffer);
+      ctx.capture = file;
+      return { file };
+    },
+  },
+
+  sleep: {
+    normalize: (value) => (typeof value === 'number' ? { ms: value } : value),
+    validate: (args) => (typeof args?.ms !== 'number' || args.ms < 0 ? 'needs a number of ms' : null),
+    async run(client, args) {
+      await new Promise(r => setTimeout(r, args.ms));
+      return undefined;
+    },
+  },
+};
+
+/**
+ * Check a parsed scenario and normalize its steps. Throws ScenarioError listing every problem.
+ */
+function validateScenario(scenario) {
+  const problems = [];
+  if (typeof scenario !== 'object' || scenario === null || Array.isArray(scenario)) {
+    throw new ScenarioError('Scenario must be an object with a "steps" list');
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) problems.push('"steps" must be a non-empty list');
+  if (scenario.vars !== undefined && (typeof scenario.vars !== 'object' || Array.isArray(scenario.vars))) {
+    problems.push('"vars" must be a mapping');
+  }
+  if (scenario.profile !== undefined && !/^[A-Za-z0-9_-]{1,64}$/.test(String(scenario.profile))) {
+    problems.push('"profile" must be 1-64 letters, digits, "-" or "_"');
+  }
+  const viewport = scenario.viewport || {};
+  for (const key of ['width', 'height']) {
+    if (viewport[key] !== undefined && !(Number.isInteger(viewport[key]) && viewport[key] > 0)) {
+      problems.push(`viewport.${key} must be a positive integer`);
+    }
+  }
+
+  const steps = (Array.isArray(scenario.steps) ? scenario.steps : []).map((raw, index) => {
+    const where = `steps[${index}]`;
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+      problems.push(`${where}: must be a mapping like { click: "#button" }`);
+      return null;
+    }
+    const actions = Object.keys(raw).filter(key => !STEP_KEYS.includes(key));
+    if (actions.length !== 1 || !STEPS[actions[0]]) {
+      const found = actions.length ? actions.join(', ') : 'none';
+      problems.push(`${where}: needs exactly one of ${Object.keys(STEPS).join(', ')} (found ${found})`);
+      return null;
+    }
+    const type = actions[0];
+    const args = STEPS[type].normalize(raw[type]);
+    const error = STEPS[type].validate(args);
+    if (error) problems.push(`${where} (${type}): ${error}`);
+    if (raw.timeout !== undefined && !(Number.isInteger(raw.timeout) && raw.timeout > 0)) {
+      problems.push(`${where}: timeout must be a positive integer (ms)`);
+    }
+    return { index, type, args, name: raw.name || describeStep(type, args), optional: raw.optional === true, timeout: raw.timeout };
+  });
+
+  if (problems.length) throw new ScenarioError(`Invalid scenario:\n  - ${problems.join('\n  - ')}`);
+  return { ...scenario, steps };
+}
+
+function describeStep(type, args) {
+  const subject = args.url ?? args.selector ?? args.text ?? args.name ?? args.by ?? args.to ?? args.ms;
+  return subject === undefined ? type : `${type} ${subject}`;
+}
+
+/**
+ * Load and validate a scenario file (.json, .yaml or .yml).
+ */
+function loadScenario(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ScenarioError(`Cannot read scenario: ${err.message}`);
+  }
+  let parsed;
+  if (path.extname(file).toLowerCase() === '.json') {
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new ScenarioError(`Invalid JSON in ${file}: ${err.message}`);
+    }
+  } else {
+    parsed = parseYaml(text);
+  }
+  return validateScenario(parsed);
+}
+
+/**
+ * Replace ${env.NAME} and ${vars.name} in every string of `value`.
+ */
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(env|vars)\.(\w+)\}/g, (match, scope, key) => {
+      const source = scope === 'env' ? process.env : vars;
+      if (source[key] === undefined) throw new Error(`${match} is not set`);
+      return typeof source[key] === 'string' ? source[key] : JSON.stringify(source[key]);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+  }
+  return value;
+}
+
+// --- Runner -------------------------------------------------------------------------
+
+/**
+ * Run a validated scenario. Resolves with the report (also written to outDir/report.json
+ * and report.md). Options: outDir, screenshots ('all' | 'failures' | 'none'), log.
+ * Steps keep their uninterpolated arguments in the report so ${env.*} secrets are not written out.
+ */
+async function runScenario(client, scenario, { outDir = 'scenario-report', screenshots = 'all', log = () => {} } = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const vars = { ...(scenario.vars || {}) };
+  const started = Date.now();
+  const results = [];
+  let stopped = false;
+
+  const viewport = scenario.viewport || {};
+  await client.setViewport(viewport.width || 1280, viewport.height || 800, viewport.scale || 1, !!viewport.mobile);
+  if (scenario.userAgent) await client.send('Network.setUserAgentOverride', { userAgent: scenario.userAgent });
+
+  for (const step of scenario.steps) {
+    const prefix = String(step.index + 1).padStart(2, '0');
+    const result = { index: step.index, name: step.name, type: step.type, args: step.args, status: 'skipped' };
+    results.push(result);
+    if (stopped) continue;
+
+    const ctx = { timeout: step.timeout || scenario.timeout || DEFAULT_STEP_TIMEOUT, vars, outDir, prefix, capture: null };
+    const stepStart = Date.now();
+    let failed = false;
+    try {
+      const value = await STEPS[step.type].run(client, interpolate(step.args, vars), ctx);
+      if (value !== undefined) result.value = value;
+      result.status = 'passed';
+    } catch (err) {
+      failed = true;
+      result.status = step.optional ? 'warned' : 'failed';
+      result.error = describeError(err);
+    }
+    result.duration = Date.now() - stepStart;
+
+    if (ctx.capture) {
+      result.screenshot = ctx.capture;
+    } else if (screenshots === 'all' || (screenshots === 'failures' && failed)) {
+      const file = `${prefix}-${step.type}.png`;
+      try {
+        fs.writeFileSync(path.join(outDir, file), await client.screenshot({ timeout: ctx.timeout }));
+        result.screenshot = file;
+      } catch (err) {
+        result.screenshotError = err.message;
+      }
+    }
+
+    const mark = { passed: '✓', warned: '!', failed: '✗' }[result.status];
+    log(`${mark} ${prefix} ${step.name}${result.error ? ` - ${result.error.message}` : ''}`);
+    if (result.status === 'failed' && !scenario.continueOnFailure) stopped = true;
+  }
+
+  const summary = { passed: 0, failed: 0, warned: 0, skipped: 0 };
+  for (const result of results) summary[result.status]++;
+  const report = {
+    name: scenario.name || 'scenario',
+    status: summary.failed ? 'failed' : 'passed',
+    startedAt: new Date(started).toISOString(),
+    duration: Date.now() - started,
+    summary,
+    vars,
+    steps: results,
+  };
+  fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outDir, 'report.md'), reportMarkdown(report));
+  return report;
+}
+
+function reportMarkdown(report) {
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [
+    `# ${report.name}: ${report.status}`,
+    '',
+    `${report.summary.passed} passed, ${report.summary.failed} failed, ${report.summary.warned} warned, ${report.summary.skipped} skipped in ${(report.duration / 1000).toFixed(1)}s`,
+    '',
+    '| # | Step | Status | Time | Details |',
+    '|---|------|--------|------|---------|',
+  ];
+  for (const step of report.steps) {
+    const details = [];
+    if (step.error) details.push(step.error.message);
+    if (step.value !== undefined) details.push(JSON.stringify(step.value));
+    if (step.screenshot) details.push(`![screenshot](${step.screenshot})`);
+    const time = step.duration === undefined ? '' : `${step.duration}ms`;
+    lines.push(`| ${step.index + 1} | ${cell(step.name)} | ${step.status} | ${time} | ${cell(details.join(' '))} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// --- CLI ----------------------------------------------------------------------------
+
+const USAGE = `Usage: scenario <scenario.yaml|json> [options]
+
+Options:
+  --out <dir>             Report directory (default scenario-report)
+  --screenshots <mode>    all (default), failures or none
+  --profile <name>        Browser profile to use (overrides the scenario's "profile")
+  --check                 Validate the scenario and exit without connecting
+  --json                  Print the report as JSON
+  -h, --help              Show help
+
+Step types: ${Object.keys(STEPS).join(', ')}`;
+
+/**
+ * Run the CLI. Returns 0 when every step passed, 1 when a step failed, 2 on bad usage or an invalid scenario.
+ */
+async function main(argv = process.argv.slice(2), { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const json = argv.includes('--json');
+  const print = (obj) => stdout.write(JSON.stringify(obj, null, 2) + '\n');
+  const fail = (err, exitCode) => {
+    if (json) print({ ok: false, error: describeError(err) });
+    else stderr.write(`Error: ${err.message}\n`);
+    return exitCode;
+  };
+
+  let values, scenario;
+  try {
+    let positionals;
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        out: { type: 'string', default: 'scenario-report' },
+        screenshots: { type: 'string', default: 'all' },
+        profile: { type: 'string' },
+        check: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+      allowPositionals: true,
+      strict: true,
+    }));
+    if (values.help) {
+      stdout.write(USAGE + '\n');
+      return 0;
+    }
+    if (positionals.length !== 1) throw new UsageError(USAGE);
+    if (!['all', 'failures', 'none'].includes(values.screenshots)) {
+      throw new UsageError(`--screenshots must be all, failures or none, got "${values.screenshots}"`);
+    }
+    scenario = loadScenario(positionals[0]);
+  } catch (err) {
+    return fail(err instanceof UsageError ? err : new UsageError(err.message), 2);
+  }
+
+  if (values.check) {
+    if (json) print({ ok: true, name: scenario.name || 'scenario', steps: scenario.steps.map(s => s.name) });
+    else stdout.write(`✓ ${scenario.name || 'Scenario'} is valid (${scenario.steps.length} steps)\n`);
+    return 0;
+  }
+
+  const log = (message) => {
+    if (!json) stderr.write(message + '\n');
+  };
+
+  let client;
+  try {
+    client = await createClient({
+      timeout: Math.max(scenario.timeout || DEFAULT_STEP_TIMEOUT, 60000),
+      profile: values.profile || scenario.profile,
+    });
+    const report = await runScenario(client, scenario, { outDir: values.out, screenshots: values.screenshots, log });
+    const reportPath = path.resolve(values.out, 'report.json');
+    if (json) {
+      print({ ok: report.status === 'passed', report: reportPath, ...report });
+    } else {
+      const { passed, failed, warned, skipped } = report.summary;
+      stdout.write(`${report.status === 'passed' ? '✓' : '✗'} ${report.name}: ${passed} passed, ${failed} failed, ${warned} warned, ${skipped} skipped\n`);
+      stdout.write(`Report: ${reportPath}\n`);
+    }
+    return report.status === 'passed' ? 0 : 1;
+  } catch (err) {
+    return fail(err, 1);
+  } finally {
+    if (client) client.close();
+  }
+}
+
+module.exports = { main, loadScenario, validateScenario, runScenario, parseYaml, interpolate, STEPS, ScenarioError };
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,9 @@
+export { listAudit, recordAudit, DEFAULT_AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE } from './log';
+export type { AuditAction, AuditEntry, AuditPage, NewAuditEntry } from './log';
+export {
+  gatewayRestartEvent,
+  getNotificationChannels,
+  notify,
+  notifyNewPairingRequests,
+} from './notify';
+export type { DeliveryResult, NotificationChannel, NotificationEvent } from './notify';
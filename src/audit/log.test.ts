@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AUDIT_PREFIX, listAudit, MAX_DETAILS_LENGTH, MAX_ENTRY_BYTES, recordAudit } from './log';
+import { createMockBucket, suppressConsole } from '../test-utils';
+
+describe('audit log', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('lists entries newest first', async () => {
+    const { bucket } = createMockBucket();
+    await recordAudit(
+      bucket,
+      { actor: 'a@example.com', action: 'gateway.restart', result: 'success' },
+      new Date('2026-03-01T10:00:00.000Z'),
+    );
+    await recordAudit(
+      bucket,
+      { actor: 'b@example.com', action: 'device.approve', target: 'req-1', result: 'failure' },
+      new Date('2026-03-01T11:00:00.000Z'),
+    );
+
+    const { entries, cursor } = await listAudit(bucket);
+    expect(entries.map((entry) => entry.action)).toEqual(['device.approve', 'gateway.restart']);
+    expect(entries[0]).toMatchObject({
+      actor: 'b@example.com',
+      target: 'req-1',
+      result: 'failure',
+      timestamp: '2026-03-01T11:00:00.000Z',
+    });
+    expect(cursor).toBeUndefined();
+  });
+
+  it('pages through the log with a cursor', async () => {
+    const { bucket } = createMockBucket({ pageSize: 2 });
+    for (let hour = 0; hour < 3; hour++) {
+      // eslint-disable-next-line no-await-in-loop -- entries need distinct timestamps
+      await recordAudit(
+        bucket,
+        { actor: null, action: 'storage.sync', target: `run-${hour}`, result: 'success' },
+        new Date(Date.UTC(2026, 2, 1, hour)),
+      );
+    }
+
+    const first = await listAudit(bucket, { limit: 2 });
+    expect(first.entries.map((entry) => entry.target)).toEqual(['run-2', 'run-1']);
+    expect(first.cursor).toBeDefined();
+
+    const second = await listAudit(bucket, { limit: 2, cursor: first.cursor });
+    expect(second.entries.map((entry) => entry.target)).toEqual(['run-0']);
+    expect(second.cursor).toBeUndefined();
+  });
+
+  it('truncates long details and drops empty ones', async () => {
+    const { bucket } = createMockBucket();
+    const long = await recordAudit(bucket, {
+      actor: null,
+      action: 'snapshot.create',
+      result: 'failure',
+      details: 'x'.repeat(MAX_DETAILS_LENGTH * 2),
+    });
+    const empty = await recordAudit(bucket, {
+      actor: null,
+      action: 'notification.test',
+      result: 'success',
+      details: '',
+    });
+
+    expect(long.details).toHaveLength(MAX_DETAILS_LENGTH);
+    expect(long.details?.endsWith('...')).toBe(true);
+    expect(empty).not.toHaveProperty('details');
+  });
+
+  it('keeps the metadata copy within the R2 byte limit', async () => {
+    const { bucket, objects } = createMockBucket();
+    const escaped = await recordAudit(bucket, {
+      actor: 'admin@example.com',
+      action: 'process.kill',
+      result: 'failure',
+      details: '\u0001'.repeat(MAX_DETAILS_LENGTH), // 6 bytes each once JSON-escaped
+    });
+    const multiByte = await recordAudit(bucket, {
+      actor: 'admin@example.com',
+      action: 'snapshot.restore',
+      target: '€'.repeat(300),
+      result: 'failure',
+      details: '€'.repeat(MAX_DETAILS_LENGTH),
+    });
+
+    for (const entry of [escaped, multiByte]) {
+      expect(entry.details?.endsWith('...')).toBe(true);
+      expect(entry.details!.length).toBeLessThan(MAX_DETAILS_LENGTH);
+    }
+    for (const object of objects.values()) {
+      const metadata = object.customMetadata?.entry ?? '';
+      expect(new TextEncoder().encode(metadata).length).toBeGreaterThan(MAX_ENTRY_BYTES - 10);
+      expect(new TextEncoder().encode(metadata).length).toBeLessThanOrEqual(MAX_ENTRY_BYTES);
+    }
+    expect((await listAudit(bucket)).entries).toHaveLength(2);
+  });
+
+  it('leaves out the metadata copy when an entry cannot be made to fit', async () => {
+    const { bucket, objects } = createMockBucket();
+    const entry = await recordAudit(bucket, {
+      actor: null,
+      action: 'cdp-token.revoke',
+      target: 'x'.repeat(MAX_ENTRY_BYTES),
+      result: 'success',
+      details: 'revoked',
+    });
+
+    expect(entry).not.toHaveProperty('details');
+    expect([...objects.values()][0].customMetadata).toBeUndefined();
+    expect((await listAudit(bucket)).entries).toEqual([entry]);
+  });
+
+  it('reads entries stored without metadata and skips unreadable ones', async () => {
+    const { bucket, objects } = createMockBucket();
+    const entry = await recordAudit(bucket, {
+      actor: null,
+      action: 'gateway.restart',
+      result: 'success',
+    });
+    for (const object of objects.values()) object.customMetadata = undefined;
+    objects.set(`${AUDIT_PREFIX}9999999999999-broken.json`, {
+      body: 'not json',
+      uploaded: new Date(),
+    });
+
+    const { entries } = await listAudit(bucket);
+    expect(entries).toEqual([entry]);
+  });
+});
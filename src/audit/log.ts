@@ -0,0 +1,150 @@
+/**
+ * Append-only audit log of admin actions, stored in R2.
+ *
+ * Every entry is its own object and is never rewritten, so concurrent requests cannot
+ * lose each other's entries. Keys start with an inverted timestamp, which makes R2's
+ * lexicographic listing return the newest entries first; the entry itself is also kept in
+ * the object's custom metadata (see MAX_ENTRY_BYTES) so a page of the log is read with a
+ * single list call.
+ */
+
+/** R2 key prefix for audit entries */
+export const AUDIT_PREFIX = 'audit/';
+
+/** Longest `details` kept per entry, in characters */
+export const MAX_DETAILS_LENGTH = 500;
+
+/**
+ * Largest serialized entry, in UTF-8 bytes. R2 limits custom metadata to 2 KB per object, so
+ * `details` is cut further when the whole entry would not fit.
+ */
+export const MAX_ENTRY_BYTES = 2000;
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Inverted timestamps stay 13 digits wide until the year 2286
+const MAX_TIMESTAMP = 9_999_999_999_999;
+
+export type AuditAction =
+  | 'device.approve'
+  | 'device.approve-all'
+  | 'gateway.restart'
+  | 'storage.sync'
+  | 'snapshot.create'
+  | 'snapshot.restore'
+  | 'process.kill'
+  | 'cdp-token.issue'
+  | 'cdp-token.revoke'
+  | 'browser-profile.delete'
+  | 'notification.test';
+
+export interface AuditEntry {
+  id: string;
+  timestamp: string;
+  actor: string | null; // Cloudflare Access email; null for the Worker's own cron runs
+  action: AuditAction;
+  target?: string;
+  result: 'success' | 'failure';
+  details?: string;
+}
+
+export type NewAuditEntry = Omit<AuditEntry, 'id' | 'timestamp'>;
+
+export interface AuditPage {
+  entries: AuditEntry[];
+  cursor?: string;
+}
+
+function byteLength(text: string): number {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Serialize an entry, cutting `details` (in place) to the longest prefix that keeps the
+ * result within MAX_ENTRY_BYTES. Multi-byte characters and JSON escapes make the body longer
+ * in bytes than in characters, so the cut is found by searching rather than counting.
+ */
+function fitEntry(entry: AuditEntry): string {
+  const body = JSON.stringify(entry);
+  if (!entry.details || byteLength(body) <= MAX_ENTRY_BYTES) return body;
+
+  const details = entry.details;
+  let low = 0;
+  let high = details.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    entry.details = `${details.slice(0, mid)}...`;
+    if (byteLength(JSON.stringify(entry)) <= MAX_ENTRY_BYTES) low = mid;
+    else high = mid - 1;
+  }
+  if (low > 0) entry.details = `${details.slice(0, low)}...`;
+  else delete entry.details;
+  return JSON.stringify(entry);
+}
+
+function auditKey(entry: AuditEntry): string {
+  const inverted = String(MAX_TIMESTAMP - new Date(entry.timestamp).getTime()).padStart(13, '0');
+  return `${AUDIT_PREFIX}${inverted}-${entry.id}.json`;
+}
+
+/**
+ * Append an entry to the audit log.
+ */
+export async function recordAudit(
+  bucket: R2Bucket,
+  entry: NewAuditEntry,
+  now: Date = new Date(),
+): Promise<AuditEntry> {
+  const stored: AuditEntry = {
+    id: crypto.randomUUID().slice(0, 8),
+    timestamp: now.toISOString(),
+    ...entry,
+  };
+  if (!stored.details) {
+    delete stored.details;
+  } else if (stored.details.length > MAX_DETAILS_LENGTH) {
+    stored.details = `${stored.details.slice(0, MAX_DETAILS_LENGTH - 3)}...`;
+  }
+
+  const body = fitEntry(stored);
+  await bucket.put(auditKey(stored), body, {
+    httpMetadata: { contentType: 'application/json' },
+    // Still too large (e.g. a very long target): listAudit reads the object body instead
+    customMetadata: byteLength(body) <= MAX_ENTRY_BYTES ? { entry: body } : undefined,
+  });
+  return stored;
+}
+
+/**
+ * Read one page of the audit log, newest first. Pass the returned cursor to get the next page.
+ */
+export async function listAudit(
+  bucket: R2Bucket,
+  options: { limit?: number; cursor?: string } = {},
+): Promise<AuditPage> {
+  const limit = Math.min(
+    Math.max(options.limit ?? DEFAULT_AUDIT_PAGE_SIZE, 1),
+    MAX_AUDIT_PAGE_SIZE,
+  );
+  const listOptions: R2ListOptions & { include?: Array<'httpMetadata' | 'customMetadata'> } = {
+    prefix: AUDIT_PREFIX,
+    limit,
+    cursor: options.cursor,
+    include: ['customMetadata'],
+  };
+  const listed = await bucket.list(listOptions);
+
+  const entries: AuditEntry[] = [];
+  for (const object of listed.objects) {
+    try {
+      const body =
+        // eslint-disable-next-line no-await-in-loop -- only for entries written without metadata
+        object.customMetadata?.entry ?? (await (await bucket.get(object.key))?.text());
+      if (body) entries.push(JSON.parse(body) as AuditEntry);
+    } catch {
+      console.error(`[audit] Ignoring unreadable entry ${object.key}`);
+    }
+  }
+  return { entries, cursor: listed.truncated ? listed.cursor : undefined };
+}
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  gatewayRestartEvent,
+  getNotificationChannels,
+  notify,
+  notifyNewPairingRequests,
+  PAIRING_SEEN_KEY,
+} from './notify';
+import { createMockBucket, createMockEnv, suppressConsole } from '../test-utils';
+
+const EVENT = { type: 'test' as const, title: 'Hello', message: 'World' };
+
+describe('notifications', () => {
+  let fetchMock: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    suppressConsole();
+    fetchMock = vi.fn().mockResolvedValue(new Response('ok'));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('only enables channels that are fully configured', () => {
+    expect(getNotificationChannels(createMockEnv())).toEqual([]);
+    expect(
+      getNotificationChannels(
+        createMockEnv({
+          NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x',
+          NOTIFY_TELEGRAM_CHAT_ID: '42',
+          NOTIFY_DISCORD_CHANNEL_ID: '7',
+          DISCORD_BOT_TOKEN: 'discord-token',
+        }),
+      ),
+    ).toEqual(['webhook', 'discord']);
+  });
+
+  it('sends each channel its own payload', async () => {
+    const env = createMockEnv({
+      NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x',
+      NOTIFY_TELEGRAM_CHAT_ID: '42',
+      TELEGRAM_BOT_TOKEN: 'tg-token',
+      NOTIFY_DISCORD_CHANNEL_ID: '7',
+      DISCORD_BOT_TOKEN: 'discord-token',
+    });
+
+    const results = await notify(env, EVENT);
+
+    expect(results).toEqual([
+      { channel: 'webhook', ok: true },
+      { channel: 'telegram', ok: true },
+      { channel: 'discord', ok: true },
+    ]);
+    const calls = new Map(
+      fetchMock.mock.calls.map(([url, init]) => [url as string, init as RequestInit]),
+    );
+    const webhook = JSON.parse(calls.get('https://hooks.example.com/x')!.body as string);
+    expect(webhook).toMatchObject({ event: 'test', title: 'Hello', message: 'World', data: {} });
+    const telegram = JSON.parse(
+      calls.get('https://api.telegram.org/bottg-token/sendMessage')!.body as string,
+    );
+    expect(telegram).toEqual({ chat_id: '42', text: 'Hello\nWorld' });
+    const discord = calls.get('https://discord.com/api/v10/channels/7/messages')!;
+    expect((discord.headers as Record<string, string>).Authorization).toBe('Bot discord-token');
+    expect(JSON.parse(discord.body as string)).toEqual({ content: 'Hello\nWorld' });
+  });
+
+  it('reports failed deliveries without throwing', async () => {
+    fetchMock
+      .mockResolvedValueOnce(new Response('nope', { status: 403 }))
+      .mockRejectedValueOnce(new Error('network down'));
+    const env = createMockEnv({
+      NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x',
+      NOTIFY_TELEGRAM_CHAT_ID: '42',
+      TELEGRAM_BOT_TOKEN: 'tg-token',
+    });
+
+    const results = await notify(env, EVENT);
+
+    expect(results).toEqual([
+      { channel: 'webhook', ok: false, error: 'HTTP 403' },
+      { channel: 'telegram', ok: false, error: 'network down' },
+    ]);
+  });
+
+  it('announces each pairing request once', async () => {
+    const { bucket } = createMockBucket();
+    const env = createMockEnv({
+      MOLTBOT_BUCKET: bucket,
+      NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x',
+    });
+
+    const first = await notifyNewPairingRequests(env, {
+      pending: [{ requestId: 'req-1', displayName: 'Laptop', platform: 'macos' }],
+    });
+    const second = await notifyNewPairingRequests(env, {
+      pending: [{ requestId: 'req-1' }, { requestId: 'req-2' }],
+    });
+    const third = await notifyNewPairingRequests(env, { pending: [{ requestId: 'req-2' }] });
+
+    expect(first).toEqual(['req-1']);
+    expect(second).toEqual(['req-2']);
+    expect(third).toEqual([]);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const payload = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(payload.title).toBe('1 new device pairing request');
+    expect(payload.message).toContain('Laptop (macos)');
+    expect(JSON.parse(await (await bucket.get(PAIRING_SEEN_KEY))!.text())).toEqual(['req-2']);
+  });
+
+  it('keeps the seen requests when the device listing could not be read', async () => {
+    const { bucket } = createMockBucket();
+    const env = createMockEnv({
+      MOLTBOT_BUCKET: bucket,
+      NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x',
+    });
+
+    await notifyNewPairingRequests(env, { pending: [{ requestId: 'req-1' }] });
+    const failed = await notifyNewPairingRequests(env, {
+      pending: [],
+      raw: 'gateway not reachable',
+    });
+    const unparsed = await notifyNewPairingRequests(env, {
+      pending: [],
+      raw: '{oops}',
+      parseError: 'Failed to parse CLI output',
+    });
+    const again = await notifyNewPairingRequests(env, { pending: [{ requestId: 'req-1' }] });
+
+    expect([failed, unparsed, again]).toEqual([[], [], []]);
+    expect(fetchMock).toHaveBeenCalledOnce();
+    expect(JSON.parse(await (await bucket.get(PAIRING_SEEN_KEY))!.text())).toEqual(['req-1']);
+  });
+
+  it('describes gateway restarts', () => {
+    expect(gatewayRestartEvent('Restarted from the admin UI', { actor: 'a@example.com' })).toEqual({
+      type: 'gateway-restart',
+      title: 'Gateway restarted',
+      message: 'Restarted from the admin UI (by a@example.com)',
+      data: { reason: 'Restarted from the admin UI', actor: 'a@example.com', failed: false },
+    });
+    expect(gatewayRestartEvent('Health check', { failed: true }).title).toBe(
+      'Gateway restart failed',
+    );
+  });
+});
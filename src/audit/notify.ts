@@ -0,0 +1,188 @@
+import type { MoltbotEnv } from '../types';
+
+/**
+ * Outbound notifications for events an operator should hear about without watching the
+ * admin UI: new device pairing requests and gateway restarts.
+ *
+ * Channels are enabled by configuration and all receive every event:
+ * - NOTIFY_WEBHOOK_URL: a JSON POST of the event
+ * - NOTIFY_TELEGRAM_CHAT_ID: a message from the bot configured with TELEGRAM_BOT_TOKEN
+ * - NOTIFY_DISCORD_CHANNEL_ID: a message from the bot configured with DISCORD_BOT_TOKEN
+ *
+ * Delivery is best effort: failures are logged and reported, never thrown.
+ */
+
+export const PAIRING_SEEN_KEY = 'notifications/pairing-seen.json';
+
+/** Pairing request ids remembered so each request is announced once */
+const MAX_SEEN_REQUESTS = 200;
+
+const NOTIFY_TIMEOUT_MS = 10_000;
+
+export type NotificationChannel = 'webhook' | 'telegram' | 'discord';
+
+export type NotificationEventType = 'pairing-request' | 'gateway-restart' | 'test';
+
+export interface NotificationEvent {
+  type: NotificationEventType;
+  title: string;
+  message: string;
+  data?: Record<string, unknown>;
+}
+
+export interface DeliveryResult {
+  channel: NotificationChannel;
+  ok: boolean;
+  error?: string;
+}
+
+/**
+ * The channels that are fully configured.
+ */
+export function getNotificationChannels(env: MoltbotEnv): NotificationChannel[] {
+  const channels: NotificationChannel[] = [];
+  if (env.NOTIFY_WEBHOOK_URL) channels.push('webhook');
+  if (env.NOTIFY_TELEGRAM_CHAT_ID && env.TELEGRAM_BOT_TOKEN) channels.push('telegram');
+  if (env.NOTIFY_DISCORD_CHANNEL_ID && env.DISCORD_BOT_TOKEN) channels.push('discord');
+  return channels;
+}
+
+function deliveryRequest(
+  channel: NotificationChannel,
+  env: MoltbotEnv,
+  event: NotificationEvent,
+): { url: string; init: RequestInit } {
+  const text = `${event.title}\n${event.message}`;
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+
+  if (channel === 'telegram') {
+    return {
+      url: `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      init: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ chat_id: env.NOTIFY_TELEGRAM_CHAT_ID, text }),
+      },
+    };
+  }
+  if (channel === 'discord') {
+    return {
+      url: `https://discord.com/api/v10/channels/${env.NOTIFY_DISCORD_CHANNEL_ID}/messages`,
+      init: {
+        method: 'POST',
+        headers: { ...headers, Authorization: `Bot ${env.DISCORD_BOT_TOKEN}` },
+        body: JSON.stringify({ content: text.slice(0, 2000) }),
+      },
+    };
+  }
+  return {
+    url: env.NOTIFY_WEBHOOK_URL!,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        event: event.type,
+        title: event.title,
+        message: event.message,
+        timestamp: new Date().toISOString(),
+        data: event.data ?? {},
+      }),
+    },
+  };
+}
+
+/**
+ * Send an event to every configured channel.
+ */
+export async function notify(env: MoltbotEnv, event: NotificationEvent): Promise<DeliveryResult[]> {
+  return Promise.all(
+    getNotificationChannels(env).map(async (channel): Promise<DeliveryResult> => {
+      const { url, init } = deliveryRequest(channel, env, event);
+      try {
+        const response = await fetch(url, {
+          ...init,
+          signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          const error = `HTTP ${response.status}`;
+          console.error(`[notify] ${channel} delivery failed: ${error}`);
+          return { channel, ok: false, error };
+        }
+        return { channel, ok: true };
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        console.error(`[notify] ${channel} delivery failed: ${message}`);
+        return { channel, ok: false, error: message };
+      }
+    }),
+  );
+}
+
+/**
+ * Announce pairing requests that have not been announced before. The ids already seen are
+ * kept in R2; ids no longer pending are forgotten so the list stays short.
+ * A listing whose CLI output could not be read (`raw` set) is skipped: its empty pending list
+ * would otherwise wipe the seen ids and repeat every announcement on the next listing.
+ * Returns the newly announced request ids.
+ */
+export async function notifyNewPairingRequests(
+  env: MoltbotEnv,
+  devices: {
+    pending: Array<{ requestId: string; displayName?: string; platform?: string }>;
+    raw?: string;
+    parseError?: string;
+  },
+): Promise<string[]> {
+  if (devices.raw !== undefined || devices.parseError) return [];
+  const { pending } = devices;
+  const bucket = env.MOLTBOT_BUCKET;
+  let seen: string[] = [];
+  const object = await bucket.get(PAIRING_SEEN_KEY);
+  if (object) {
+    try {
+      const stored = await object.json();
+      if (Array.isArray(stored)) seen = stored as string[];
+    } catch {
+      console.error('[notify] Ignoring unreadable pairing state');
+    }
+  }
+
+  const fresh = pending.filter((device) => !seen.includes(device.requestId));
+  const pendingIds = pending.map((device) => device.requestId);
+  const nextSeen = pendingIds.slice(-MAX_SEEN_REQUESTS);
+  if (fresh.length === 0 && nextSeen.length === seen.length) return [];
+
+  // Remember before sending so a slow channel can't cause a repeat on the next run
+  await bucket.put(PAIRING_SEEN_KEY, JSON.stringify(nextSeen), {
+    httpMetadata: { contentType: 'application/json' },
+  });
+  if (fresh.length === 0) return [];
+
+  const names = fresh.map(
+    (device) =>
+      `${device.displayName || device.requestId}${device.platform ? ` (${device.platform})` : ''}`,
+  );
+  await notify(env, {
+    type: 'pairing-request',
+    title: `${fresh.length} new device pairing request${fresh.length === 1 ? '' : 's'}`,
+    message: `${names.join(', ')}. Approve or ignore in the admin UI at /_admin/.`,
+    data: { requests: fresh },
+  });
+  return fresh.map((device) => device.requestId);
+}
+
+/**
+ * Event for a gateway restart, from the admin UI (`actor` set) or the cron health check.
+ */
+export function gatewayRestartEvent(
+  reason: string,
+  options: { actor?: string | null; failed?: boolean } = {},
+): NotificationEvent {
+  const actor = options.actor ?? null;
+  return {
+    type: 'gateway-restart',
+    title: options.failed ? 'Gateway restart failed' : 'Gateway restarted',
+    message: actor ? `${reason} (by ${actor})` : reason,
+    data: { reason, actor, failed: !!options.failed },
+  };
+}
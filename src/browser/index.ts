@@ -0,0 +1,20 @@
+export {
+  deleteProfile,
+  isValidProfileName,
+  listProfiles,
+  loadProfile,
+  mergeProfile,
+  restoreStorageScript,
+  saveProfile,
+  PROFILE_MARKER_KEY,
+} from './profiles';
+export type { BrowserProfile, ProfileCookie, ProfileSummary } from './profiles';
+export {
+  issueToken,
+  listTokens,
+  parseTokenRequest,
+  revokeToken,
+  scopeViolation,
+  verifyToken,
+} from './tokens';
+export type { TokenRecord, TokenScope } from './tokens';
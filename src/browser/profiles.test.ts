@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  deleteProfile,
+  isValidProfileName,
+  listProfiles,
+  loadProfile,
+  mergeProfile,
+  profileKey,
+  restoreStorageScript,
+  saveProfile,
+  PROFILE_MARKER_KEY,
+  type BrowserProfile,
+  type ProfileCookie,
+} from './profiles';
+import { createMockBucket, suppressConsole } from '../test-utils';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const NOW_SECONDS = NOW.getTime() / 1000;
+
+function cookie(overrides: Partial<ProfileCookie> = {}): ProfileCookie {
+  return {
+    name: 'sid',
+    value: 'abc',
+    domain: '.example.com',
+    path: '/',
+    expires: NOW_SECONDS + 3600,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Lax',
+    ...overrides,
+  };
+}
+
+function profile(overrides: Partial<BrowserProfile> = {}): BrowserProfile {
+  return {
+    version: 1,
+    name: 'shop',
+    updatedAt: '2026-02-28T10:00:00.000Z',
+    cookies: [cookie()],
+    origins: { 'https://example.com': { theme: 'dark' } },
+    ...overrides,
+  };
+}
+
+describe('profile names', () => {
+  it('accepts letters, digits, dashes and underscores', () => {
+    expect(isValidProfileName('work_account-2')).toBe(true);
+  });
+
+  it('rejects path separators, empty and overlong names', () => {
+    expect(isValidProfileName('../secrets')).toBe(false);
+    expect(isValidProfileName('a/b')).toBe(false);
+    expect(isValidProfileName('')).toBe(false);
+    expect(isValidProfileName('x'.repeat(65))).toBe(false);
+  });
+
+  it('builds keys under the profile prefix and refuses invalid names', () => {
+    expect(profileKey('shop')).toBe('browser-profiles/shop.json');
+    expect(() => profileKey('../x')).toThrow('Invalid profile name');
+  });
+});
+
+describe('profile storage', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('round-trips a profile through R2 with summary metadata', async () => {
+    const { bucket, objects } = createMockBucket();
+    await saveProfile(bucket, profile());
+
+    expect(objects.get('browser-profiles/shop.json')?.customMetadata).toEqual({
+      updatedAt: '2026-02-28T10:00:00.000Z',
+      cookies: '1',
+      origins: '1',
+    });
+    expect(await loadProfile(bucket, 'shop')).toEqual(profile());
+  });
+
+  it('returns null for missing or unreadable profiles', async () => {
+    const { bucket, objects } = createMockBucket();
+    expect(await loadProfile(bucket, 'missing')).toBeNull();
+
+    objects.set('browser-profiles/broken.json', { body: '{not json', uploaded: NOW });
+    expect(await loadProfile(bucket, 'broken')).toBeNull();
+  });
+
+  it('lists profiles across pages, sorted by name', async () => {
+    const { bucket } = createMockBucket({ pageSize: 1 });
+    await saveProfile(bucket, profile({ name: 'work' }));
+    await saveProfile(bucket, profile({ name: 'personal', cookies: [], origins: {} }));
+
+    const profiles = await listProfiles(bucket);
+
+    expect(profiles.map((p) => p.name)).toEqual(['personal', 'work']);
+    expect(profiles[0]).toMatchObject({ cookies: 0, origins: 0 });
+    expect(profiles[1]).toMatchObject({
+      cookies: 1,
+      origins: 1,
+      updatedAt: '2026-02-28T10:00:00.000Z',
+    });
+    expect(profiles[1].size).toBeGreaterThan(0);
+  });
+
+  it('deletes existing profiles and reports missing ones', async () => {
+    const { bucket, objects } = createMockBucket();
+    await saveProfile(bucket, profile());
+
+    expect(await deleteProfile(bucket, 'shop')).toBe(true);
+    expect(objects.size).toBe(0);
+    expect(await deleteProfile(bucket, 'shop')).toBe(false);
+  });
+});
+
+describe('mergeProfile', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('drops expired cookies and keeps session cookies', () => {
+    const cookies = [
+      cookie({ name: 'expired', expires: NOW_SECONDS - 1 }),
+      cookie({ name: 'session', expires: -1 }),
+      cookie({ name: 'valid' }),
+    ];
+
+    const merged = mergeProfile(null, 'shop', cookies, {}, NOW);
+
+    expect(merged.cookies.map((c) => c.name)).toEqual(['session', 'valid']);
+    expect(merged.updatedAt).toBe(NOW.toISOString());
+  });
+
+  it('keeps storage for origins not visited this session', () => {
+    const merged = mergeProfile(
+      profile(),
+      'shop',
+      [],
+      { 'https://other.test': { token: 'x' } },
+      NOW,
+    );
+
+    expect(merged.origins).toEqual({
+      'https://example.com': { theme: 'dark' },
+      'https://other.test': { token: 'x' },
+    });
+  });
+
+  it('replaces visited origins, strips the restore marker and forgets cleared storage', () => {
+    const merged = mergeProfile(
+      profile({
+        origins: { 'https://example.com': { theme: 'dark' }, 'https://gone.test': { a: '1' } },
+      }),
+      'shop',
+      [],
+      {
+        'https://example.com': { theme: 'light', [PROFILE_MARKER_KEY]: 'v1' },
+        'https://gone.test': { [PROFILE_MARKER_KEY]: 'v1' },
+      },
+      NOW,
+    );
+
+    expect(merged.origins).toEqual({ 'https://example.com': { theme: 'light' } });
+  });
+
+  it('skips non-http origins and oversized storage', () => {
+    const merged = mergeProfile(
+      null,
+      'shop',
+      [],
+      { null: { a: '1' }, 'https://big.test': { blob: 'x'.repeat(600 * 1024) } },
+      NOW,
+    );
+
+    expect(merged.origins).toEqual({});
+  });
+});
+
+describe('restoreStorageScript', () => {
+  it('fills localStorage once per profile version', () => {
+    const store = new Map<string, string>();
+    const localStorage = {
+      getItem: (key: string) => store.get(key) ?? null,
+      setItem: (key: string, value: string) => store.set(key, value),
+    };
+    const run = (origin: string) =>
+      new Function('location', 'localStorage', restoreStorageScript(profile()))(
+        { origin },
+        localStorage,
+      );
+
+    run('https://unrelated.test');
+    expect(store.size).toBe(0);
+
+    run('https://example.com');
+    expect(store.get('theme')).toBe('dark');
+    expect(store.get(PROFILE_MARKER_KEY)).toBe('2026-02-28T10:00:00.000Z');
+
+    // The page changed the value; later navigations must not overwrite it
+    store.set('theme', 'light');
+    run('https://example.com');
+    expect(store.get('theme')).toBe('light');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Named browser profiles for the /cdp shim, stored in R2.
+ *
+ * Each Browser Rendering session starts with an empty browser, so a profile carries the
+ * state worth keeping between sessions: cookies and localStorage per origin. The shim
+ * restores a profile when a client connects with `?profile=<name>` and saves it back when
+ * the WebSocket closes.
+ */
+
+/** R2 key prefix for stored profiles */
+export const PROFILE_PREFIX = 'browser-profiles/';
+
+/** localStorage key the restore script uses to avoid re-applying a profile on every navigation */
+export const PROFILE_MARKER_KEY = '__moltworkerProfile';
+
+/** Origins whose serialized localStorage is larger than this are not saved */
+export const MAX_ORIGIN_STORAGE_BYTES = 512 * 1024;
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export interface ProfileCookie {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+  expires: number; // seconds since epoch, -1 for session cookies
+  httpOnly: boolean;
+  secure: boolean;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+}
+
+export interface BrowserProfile {
+  version: 1;
+  name: string;
+  updatedAt: string;
+  cookies: ProfileCookie[];
+  origins: Record<string, Record<string, string>>; // origin -> localStorage entries
+}
+
+export interface ProfileSummary {
+  name: string;
+  updatedAt: string;
+  size: number;
+  cookies: number;
+  origins: number;
+}
+
+export function isValidProfileName(name: string): boolean {
+  return PROFILE_NAME_PATTERN.test(name);
+}
+
+export function profileKey(name: string): string {
+  if (!isValidProfileName(name)) {
+    throw new Error(`Invalid profile name "${name}" (use 1-64 letters, digits, "-" or "_")`);
+  }
+  return `${PROFILE_PREFIX}${name}.json`;
+}
+
+export async function loadProfile(bucket: R2Bucket, name: string): Promise<BrowserProfile | null> {
+  const object = await bucket.get(profileKey(name));
+  if (!object) return null;
+  try {
+    const data = (await object.json()) as Partial<BrowserProfile>;
+    return {
+      version: 1,
+      name,
+      updatedAt: data.updatedAt || object.uploaded.toISOString(),
+      cookies: Array.isArray(data.cookies) ? data.cookies : [],
+      origins: data.origins && typeof data.origins === 'object' ? data.origins : {},
+    };
+  } catch {
+    console.error(`[browser-profiles] Ignoring unreadable profile "${name}"`);
+    return null;
+  }
+}
+
+export async function saveProfile(bucket: R2Bucket, profile: BrowserProfile): Promise<void> {
+  await bucket.put(profileKey(profile.name), JSON.stringify(profile), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: {
+      updatedAt: profile.updatedAt,
+      cookies: String(profile.cookies.length),
+      origins: String(Object.keys(profile.origins).length),
+    },
+  });
+}
+
+export async function listProfiles(bucket: R2Bucket): Promise<ProfileSummary[]> {
+  const profiles: ProfileSummary[] = [];
+  let cursor: string | undefined;
+  do {
+    // `include` is supported by R2 but missing from the pinned workers-types
+    const options: R2ListOptions & { include?: Array<'httpMetadata' | 'customMetadata'> } = {
+      prefix: PROFILE_PREFIX,
+      cursor,
+      include: ['customMetadata'],
+    };
+    // eslint-disable-next-line no-await-in-loop -- R2 pagination is sequential
+    const page = await bucket.list(options);
+    for (const object of page.objects) {
+      const name = object.key.slice(PROFILE_PREFIX.length).replace(/\.json$/, '');
+      if (!isValidProfileName(name)) continue;
+      profiles.push({
+        name,
+        updatedAt: object.customMetadata?.updatedAt || object.uploaded.toISOString(),
+        size: object.size,
+        cookies: Number(object.customMetadata?.cookies || 0),
+        origins: Number(object.customMetadata?.origins || 0),
+      });
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  return profiles;
+}
+
+/**
+ * Delete a profile. Returns false if it did not exist.
+ */
+export async function deleteProfile(bucket: R2Bucket, name: string): Promise<boolean> {
+  const key = profileKey(name);
+  const existing = await bucket.head(key);
+  if (!existing) return false;
+  await bucket.delete(key);
+  return true;
+}
+
+/**
+ * Build the profile to save at the end of a session. Expired cookies are dropped and
+ * origins not visited this session keep their previously saved localStorage.
+ */
+export function mergeProfile(
+  previous: BrowserProfile | null,
+  name: string,
+  cookies: ProfileCookie[],
+  origins: Record<string, Record<string, string>>,
+  now: Date = new Date(),
+): BrowserProfile {
+  const nowSeconds = now.getTime() / 1000;
+  const merged: Record<string, Record<string, string>> = { ...previous?.origins };
+  for (const [origin, entries] of Object.entries(origins)) {
+    if (!origin.startsWith('http')) continue;
+    const { [PROFILE_MARKER_KEY]: _marker, ...rest } = entries;
+    if (JSON.stringify(rest).length > MAX_ORIGIN_STORAGE_BYTES) {
+      console.warn(`[browser-profiles] localStorage for ${origin} is too large to save`);
+      continue;
+    }
+    if (Object.keys(rest).length === 0) delete merged[origin];
+    else merged[origin] = rest;
+  }
+  return {
+    version: 1,
+    name,
+    updatedAt: now.toISOString(),
+    cookies: cookies.filter((cookie) => cookie.expires <= 0 || cookie.expires > nowSeconds),
+    origins: merged,
+  };
+}
+
+/**
+ * Script for Page.addScriptToEvaluateOnNewDocument that fills localStorage from the
+ * profile the first time each saved origin is loaded in this browser.
+ */
+export function restoreStorageScript(profile: BrowserProfile): string {
+  return `(() => {
+  const origins = ${JSON.stringify(profile.origins)};
+  const version = ${JSON.stringify(profile.updatedAt)};
+  try {
+    const entries = origins[location.origin];
+    if (!entries || localStorage.getItem(${JSON.stringify(PROFILE_MARKER_KEY)}) === version) return;
+    for (const [key, value] of Object.entries(entries)) localStorage.setItem(key, value);
+    localStorage.setItem(${JSON.stringify(PROFILE_MARKER_KEY)}, version);
+  } catch {
+    // Storage can be unavailable (sandboxed frames, opaque origins)
+  }
+})();`;
+}
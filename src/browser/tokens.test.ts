@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isUrlAllowed,
+  issueToken,
+  listTokens,
+  parseTokenRequest,
+  revokeToken,
+  scopeViolation,
+  verifyToken,
+  SCRIPT_METHODS,
+  TOKEN_PREFIX,
+} from './tokens';
+import { createMockBucket } from '../test-utils';
+
+const SECRET = 'test-cdp-secret';
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('parseTokenRequest', () => {
+  it('applies defaults to an empty request', () => {
+    expect(parseTokenRequest({})).toEqual({ label: 'unnamed', ttlSeconds: 86400, scope: {} });
+  });
+
+  it('keeps scope fields and lowercases domains', () => {
+    const parsed = parseTokenRequest({
+      label: ' scraper ',
+      expiresInSeconds: 3600,
+      allowedDomains: ['Example.com', '*.cdn.net'],
+      allowedMethods: ['Page.*', 'DOM.getDocument'],
+      deniedMethods: ['Runtime.evaluate'],
+      maxSessionSeconds: 600,
+      profiles: ['shop'],
+    });
+    expect(parsed).toEqual({
+      label: 'scraper',
+      ttlSeconds: 3600,
+      scope: {
+        allowedDomains: ['example.com', '*.cdn.net'],
+        allowedMethods: ['Page.*', 'DOM.getDocument'],
+        deniedMethods: ['Runtime.evaluate'],
+        maxSessionSeconds: 600,
+        profiles: ['shop'],
+      },
+    });
+  });
+
+  it('keeps only a false script flag', () => {
+    expect(parseTokenRequest({ script: false }).scope).toEqual({ script: false });
+    expect(parseTokenRequest({ script: true }).scope).toEqual({});
+  });
+
+  it('rejects invalid fields', () => {
+    expect(() => parseTokenRequest({ expiresInSeconds: 0 })).toThrow('expiresInSeconds');
+    expect(() => parseTokenRequest({ expiresInSeconds: 1e9 })).toThrow('expiresInSeconds');
+    expect(() => parseTokenRequest({ allowedDomains: 'example.com' })).toThrow('allowedDomains');
+    expect(() => parseTokenRequest({ allowedDomains: ['https://x.com/'] })).toThrow(
+      'allowedDomains',
+    );
+    expect(() => parseTokenRequest({ allowedMethods: ['evaluate'] })).toThrow('allowedMethods');
+    expect(() => parseTokenRequest({ maxSessionSeconds: 1.5 })).toThrow('maxSessionSeconds');
+    expect(() => parseTokenRequest({ profiles: ['../x'] })).toThrow('profiles');
+    expect(() => parseTokenRequest({ script: 'no' })).toThrow('script');
+    expect(() => parseTokenRequest({ label: 42 })).toThrow('label');
+  });
+});
+
+describe('issueToken / verifyToken', () => {
+  const request = { label: 'ci', ttlSeconds: 3600, scope: { deniedMethods: ['Runtime.evaluate'] } };
+
+  it('round-trips a token and stores its record', async () => {
+    const { bucket, objects } = createMockBucket();
+    const { token, record } = await issueToken(bucket, SECRET, request, NOW);
+
+    expect(token).toMatch(/^cdp1\.[\w-]+\.[\w-]+$/);
+    expect(record).toMatchObject({
+      label: 'ci',
+      createdAt: '2026-03-01T12:00:00.000Z',
+      expiresAt: '2026-03-01T13:00:00.000Z',
+      scope: request.scope,
+    });
+    expect(objects.has(`${TOKEN_PREFIX}${record.id}.json`)).toBe(true);
+    expect(objects.get(`${TOKEN_PREFIX}${record.id}.json`)!.body).not.toContain(token);
+
+    expect(await verifyToken(bucket, SECRET, token, NOW)).toEqual(record);
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const { bucket } = createMockBucket();
+    const { token } = await issueToken(bucket, SECRET, request, NOW);
+    expect(await verifyToken(bucket, 'other-secret', token, NOW)).toBeNull();
+  });
+
+  it('rejects tampered payloads', async () => {
+    const { bucket } = createMockBucket();
+    const { token } = await issueToken(bucket, SECRET, request, NOW);
+    const [version, payload, signature] = token.split('.');
+    const decoded = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    decoded.scope = {};
+    const forged = btoa(JSON.stringify(decoded))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+    expect(await verifyToken(bucket, SECRET, `${version}.${forged}.${signature}`, NOW)).toBeNull();
+  });
+
+  it('rejects malformed tokens and the raw secret', async () => {
+    const { bucket } = createMockBucket();
+    expect(await verifyToken(bucket, SECRET, SECRET, NOW)).toBeNull();
+    expect(await verifyToken(bucket, SECRET, 'cdp1.!!!.???', NOW)).toBeNull();
+  });
+
+  it('rejects expired tokens', async () => {
+    const { bucket } = createMockBucket();
+    const { token } = await issueToken(bucket, SECRET, request, NOW);
+    const later = new Date(NOW.getTime() + 3600 * 1000);
+    expect(await verifyToken(bucket, SECRET, token, later)).toBeNull();
+  });
+
+  it('rejects revoked tokens', async () => {
+    const { bucket } = createMockBucket();
+    const { token, record } = await issueToken(bucket, SECRET, request, NOW);
+    expect(await revokeToken(bucket, record.id)).toBe(true);
+    expect(await verifyToken(bucket, SECRET, token, NOW)).toBeNull();
+  });
+});
+
+describe('listTokens / revokeToken', () => {
+  it('lists newest first and flags expired tokens', async () => {
+    const { bucket } = createMockBucket({ pageSize: 1 });
+    await issueToken(bucket, SECRET, { label: 'old', ttlSeconds: 60, scope: {} }, NOW);
+    await issueToken(bucket, SECRET, { label: 'new', ttlSeconds: 86400 * 30, scope: {} });
+
+    const tokens = await listTokens(bucket);
+    expect(tokens.map((token) => [token.label, token.expired])).toEqual([
+      ['new', false],
+      ['old', true],
+    ]);
+  });
+
+  it('returns false for unknown or malformed ids', async () => {
+    const { bucket } = createMockBucket();
+    expect(await revokeToken(bucket, '00000000-0000-0000-0000-000000000000')).toBe(false);
+    expect(await revokeToken(bucket, '../browser-profiles/shop')).toBe(false);
+  });
+});
+
+describe('isUrlAllowed', () => {
+  it('allows everything without a domain list', () => {
+    expect(isUrlAllowed('https://anything.test/', undefined)).toBe(true);
+  });
+
+  it('matches hosts and subdomains', () => {
+    const domains = ['example.com', '*.cdn.net'];
+    expect(isUrlAllowed('https://example.com/a', domains)).toBe(true);
+    expect(isUrlAllowed('http://www.example.com/', domains)).toBe(true);
+    expect(isUrlAllowed('https://img.cdn.net/x.png', domains)).toBe(true);
+    expect(isUrlAllowed('https://cdn.net/', domains)).toBe(false);
+    expect(isUrlAllowed('https://notexample.com/', domains)).toBe(false);
+    expect(isUrlAllowed('https://example.com.evil.test/', domains)).toBe(false);
+  });
+
+  it('allows about:blank but no other schemes', () => {
+    expect(isUrlAllowed('about:blank', ['example.com'])).toBe(true);
+    expect(isUrlAllowed('file:///etc/passwd', ['example.com'])).toBe(false);
+    expect(isUrlAllowed('javascript:alert(1)', ['example.com'])).toBe(false);
+    expect(isUrlAllowed('not a url', ['example.com'])).toBe(false);
+  });
+});
+
+describe('scopeViolation', () => {
+  it('allows everything with an empty scope', () => {
+    expect(scopeViolation({}, 'Runtime.evaluate', {})).toBeNull();
+  });
+
+  it('enforces method allow and deny lists', () => {
+    const scope = { allowedMethods: ['Page.*', 'Runtime.*'], deniedMethods: ['Page.printToPDF'] };
+    expect(scopeViolation(scope, 'Page.navigate', { url: 'https://x.test/' })).toBeNull();
+    expect(scopeViolation(scope, 'Runtime.callFunctionOn', {})).toBeNull();
+    expect(scopeViolation(scope, 'Page.printToPDF', {})).toContain('Page.printToPDF');
+    expect(scopeViolation(scope, 'Input.insertText', {})).toContain('Input.insertText');
+  });
+
+  it('denies every script entry point when one of them is denied', () => {
+    for (const scope of [{ deniedMethods: ['Runtime.evaluate'] }, { script: false }]) {
+      for (const method of SCRIPT_METHODS) {
+        expect(scopeViolation(scope, method, {})).not.toBeNull();
+      }
+      expect(scopeViolation(scope, 'Page.navigate', { url: 'javascript:alert(1)' })).not.toBe(null);
+      expect(
+        scopeViolation(scope, 'Page.navigate', { url: 'data:text/html,<script>x()</script>' }),
+      ).not.toBe(null);
+      expect(
+        scopeViolation(scope, 'Target.createTarget', { url: 'data:text/html,<p onload=x()>' }),
+      ).not.toBe(null);
+      expect(scopeViolation(scope, 'Target.createTarget', { url: 'about:blank' })).toBeNull();
+      expect(
+        scopeViolation(scope, 'Fetch.fulfillRequest', { requestId: '1', responseCode: 200 }),
+      ).not.toBe(null);
+      expect(
+        scopeViolation(scope, 'DOM.setAttributeValue', { name: 'onclick', value: 'x()' }),
+      ).not.toBe(null);
+      expect(
+        scopeViolation(scope, 'DOM.setAttributeValue', { name: 'class', value: 'wide' }),
+      ).toBeNull();
+      expect(scopeViolation(scope, 'Page.navigate', { url: 'https://x.test/' })).toBeNull();
+    }
+  });
+
+  it('checks navigation targets against allowed domains', () => {
+    const scope = { allowedDomains: ['example.com'] };
+    expect(scopeViolation(scope, 'Page.navigate', { url: 'https://example.com/' })).toBeNull();
+    expect(scopeViolation(scope, 'Target.createTarget', {})).toBeNull();
+    expect(scopeViolation(scope, 'Page.navigate', { url: 'https://evil.test/' })).toContain(
+      'https://evil.test/',
+    );
+    expect(scopeViolation(scope, 'Target.createTarget', { url: 'https://evil.test/' })).not.toBe(
+      null,
+    );
+  });
+});
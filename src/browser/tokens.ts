@@ -0,0 +1,360 @@
+/**
+ * Scoped, expiring access tokens for the /cdp shim.
+ *
+ * A token is `cdp1.<payload>.<signature>`: a base64url JSON payload (id, expiry, scope) and
+ * an HMAC-SHA256 signature keyed from CDP_SECRET. Every issued token also has a record in
+ * R2 so it can be listed and revoked; deleting the record revokes the token even before it
+ * expires. The plain CDP_SECRET keeps working as an unrestricted credential.
+ */
+
+/** R2 key prefix for issued token records */
+export const TOKEN_PREFIX = 'cdp-tokens/';
+
+const TOKEN_VERSION = 'cdp1';
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_TTL_SECONDS = 90 * 24 * 60 * 60;
+const MAX_SESSION_SECONDS = 24 * 60 * 60;
+
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+const METHOD_PATTERN = /^[A-Z][A-Za-z]*\.(\*|[a-zA-Z]+)$/;
+const PROFILE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Methods that run JavaScript in the page. They are one capability: denying any of them
+ * (or setting `script: false`) denies all of them, since each can do what the others do.
+ */
+export const SCRIPT_METHODS = [
+  'Runtime.evaluate',
+  'Runtime.callFunctionOn',
+  'Runtime.compileScript',
+  'Runtime.runScript',
+  'Page.addScriptToEvaluateOnNewDocument',
+  'Page.setContent',
+];
+
+/**
+ * What a token may do. Omitted fields are unrestricted.
+ */
+export interface TokenScope {
+  // Hosts Page.navigate / Target.createTarget may open; "example.com" includes subdomains.
+  // Only those calls are checked: links, redirects and scripts can still leave the list.
+  allowedDomains?: string[];
+  allowedMethods?: string[]; // e.g. ["Page.*", "DOM.*", "Input.dispatchMouseEvent"]
+  deniedMethods?: string[]; // checked after allowedMethods, e.g. ["Page.printToPDF"]
+  script?: boolean; // false denies every way of running page JavaScript (SCRIPT_METHODS and more)
+  maxSessionSeconds?: number; // WebSocket is closed after this long
+  profiles?: string[]; // browser profiles the token may load with ?profile=
+}
+
+export interface TokenRecord {
+  id: string;
+  label: string;
+  createdAt: string;
+  expiresAt: string;
+  scope: TokenScope;
+}
+
+export interface TokenRequest {
+  label?: unknown;
+  expiresInSeconds?: unknown;
+  allowedDomains?: unknown;
+  allowedMethods?: unknown;
+  deniedMethods?: unknown;
+  script?: unknown;
+  maxSessionSeconds?: unknown;
+  profiles?: unknown;
+}
+
+interface TokenPayload {
+  jti: string;
+  iat: number;
+  exp: number;
+  scope: TokenScope;
+}
+
+const encoder = new TextEncoder();
+
+function base64url(bytes: Uint8Array): string {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(text: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function signingKey(secret: string): Promise<CryptoKey> {
+  // Domain-separate the key so a token signature can never double as the shared secret
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(`moltworker-cdp-token:${secret}`),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify'],
+  );
+}
+
+function stringList(value: unknown, field: string, pattern: RegExp): string[] | undefined {
+  if (value === undefined || value === null) return undefined;
+  if (
+    !Array.isArray(value) ||
+    value.some((item) => typeof item !== 'string' || !pattern.test(item))
+  ) {
+    throw new Error(`${field} must be a list of valid entries`);
+  }
+  return value as string[];
+}
+
+function positiveInteger(value: unknown, field: string, max: number): number | undefined {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`${field} must be an integer between 1 and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate an admin token request. Throws with a message suitable for a 400 response.
+ */
+export function parseTokenRequest(body: TokenRequest): {
+  label: string;
+  ttlSeconds: number;
+  scope: TokenScope;
+} {
+  if (body.label !== undefined && (typeof body.label !== 'string' || body.label.length > 100)) {
+    throw new Error('label must be a string of at most 100 characters');
+  }
+  const scope: TokenScope = {};
+  const allowedDomains = stringList(body.allowedDomains, 'allowedDomains', DOMAIN_PATTERN);
+  if (allowedDomains) scope.allowedDomains = allowedDomains.map((domain) => domain.toLowerCase());
+  const allowedMethods = stringList(body.allowedMethods, 'allowedMethods', METHOD_PATTERN);
+  if (allowedMethods) scope.allowedMethods = allowedMethods;
+  const deniedMethods = stringList(body.deniedMethods, 'deniedMethods', METHOD_PATTERN);
+  if (deniedMethods) scope.deniedMethods = deniedMethods;
+  if (body.script !== undefined && body.script !== null) {
+    if (typeof body.script !== 'boolean') throw new Error('script must be a boolean');
+    if (!body.script) scope.script = false;
+  }
+  const maxSessionSeconds = positiveInteger(
+    body.maxSessionSeconds,
+    'maxSessionSeconds',
+    MAX_SESSION_SECONDS,
+  );
+  if (maxSessionSeconds) scope.maxSessionSeconds = maxSessionSeconds;
+  const profiles = stringList(body.profiles, 'profiles', PROFILE_PATTERN);
+  if (profiles) scope.profiles = profiles;
+
+  return {
+    label: (body.label as string | undefined)?.trim() || 'unnamed',
+    ttlSeconds:
+      positiveInteger(body.expiresInSeconds, 'expiresInSeconds', MAX_TTL_SECONDS) ??
+      DEFAULT_TTL_SECONDS,
+    scope,
+  };
+}
+
+/**
+ * Sign a new token and record it in R2. The token string is only returned here.
+ */
+export async function issueToken(
+  bucket: R2Bucket,
+  secret: string,
+  request: { label: string; ttlSeconds: number; scope: TokenScope },
+  now: Date = new Date(),
+): Promise<{ token: string; record: TokenRecord }> {
+  const iat = Math.floor(now.getTime() / 1000);
+  const payload: TokenPayload = {
+    jti: crypto.randomUUID(),
+    iat,
+    exp: iat + request.ttlSeconds,
+    scope: request.scope,
+  };
+  const body = `${TOKEN_VERSION}.${base64url(encoder.encode(JSON.stringify(payload)))}`;
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await signingKey(secret),
+    encoder.encode(body),
+  );
+
+  const record: TokenRecord = {
+    id: payload.jti,
+    label: request.label,
+    createdAt: new Date(iat * 1000).toISOString(),
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    scope: request.scope,
+  };
+  await bucket.put(`${TOKEN_PREFIX}${record.id}.json`, JSON.stringify(record), {
+    httpMetadata: { contentType: 'application/json' },
+  });
+
+  return { token: `${body}.${base64url(new Uint8Array(signature))}`, record };
+}
+
+/**
+ * Check a token's signature, expiry and revocation. Returns its record, or null when the
+ * token is malformed, forged, expired or revoked.
+ */
+export async function verifyToken(
+  bucket: R2Bucket,
+  secret: string,
+  token: string,
+  now: Date = new Date(),
+): Promise<TokenRecord | null> {
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) return null;
+
+  let payload: TokenPayload;
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await signingKey(secret),
+      fromBase64url(parts[2]),
+      encoder.encode(`${parts[0]}.${parts[1]}`),
+    );
+    if (!valid) return null;
+    payload = JSON.parse(new TextDecoder().decode(fromBase64url(parts[1])));
+  } catch {
+    return null;
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now.getTime()) return null;
+
+  // Deleting the record revokes the token
+  const object = await bucket.get(`${TOKEN_PREFIX}${payload.jti}.json`);
+  if (!object) return null;
+  return (await object.json()) as TokenRecord;
+}
+
+export async function listTokens(
+  bucket: R2Bucket,
+): Promise<Array<TokenRecord & { expired: boolean }>> {
+  const keys: string[] = [];
+  let cursor: string | undefined;
+  do {
+    // eslint-disable-next-line no-await-in-loop -- R2 pagination is sequential
+    const page = await bucket.list({ prefix: TOKEN_PREFIX, cursor });
+    keys.push(...page.objects.map((object) => object.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  const now = Date.now();
+  const records = await Promise.all(
+    keys.map(async (key) => {
+      const object = await bucket.get(key);
+      if (!object) return null;
+      const record = (await object.json()) as TokenRecord;
+      return Object.assign(record, { expired: Date.parse(record.expiresAt) <= now });
+    }),
+  );
+  const tokens = records.filter((record) => record !== null);
+  tokens.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return tokens;
+}
+
+/**
+ * Revoke a token by id. Returns false if no such token was recorded.
+ */
+export async function revokeToken(bucket: R2Bucket, id: string): Promise<boolean> {
+  if (!/^[0-9a-f-]{36}$/.test(id)) return false;
+  const key = `${TOKEN_PREFIX}${id}.json`;
+  if (!(await bucket.head(key))) return false;
+  await bucket.delete(key);
+  return true;
+}
+
+function matchesMethod(pattern: string, method: string): boolean {
+  return pattern.endsWith('.*') ? method.startsWith(pattern.slice(0, -1)) : pattern === method;
+}
+
+/**
+ * Whether `url` may be opened under `allowedDomains`. "example.com" allows the host and its
+ * subdomains; "*.example.com" only subdomains. about:blank is always allowed.
+ */
+export function isUrlAllowed(url: string, allowedDomains: string[] | undefined): boolean {
+  if (!allowedDomains || url === 'about:blank') return true;
+  let host: string;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+    host = parsed.hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return allowedDomains.some((domain) =>
+    domain.startsWith('*.')
+      ? host.endsWith(domain.slice(1))
+      : host === domain || host.endsWith(`.${domain}`),
+  );
+}
+
+function scriptDenied(scope: TokenScope): boolean {
+  return (
+    scope.script === false ||
+    SCRIPT_METHODS.some((method) =>
+      scope.deniedMethods?.some((pattern) => matchesMethod(pattern, method)),
+    )
+  );
+}
+
+function isScriptUrl(value: unknown): boolean {
+  return typeof value === 'string' && /^\s*javascript:/i.test(value);
+}
+
+/** http(s) pages and about:blank; data:, blob:, javascript: and file: URLs can carry inline script */
+function isWebUrl(url: string): boolean {
+  if (url === 'about:blank') return true;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a command runs page JavaScript: a SCRIPT_METHODS call, navigation to anything but
+ * an http(s) page or about:blank, a fulfilled request (its body could be any HTML), or an
+ * event handler / srcdoc attribute.
+ */
+function runsScript(method: string, params: Record<string, unknown>): boolean {
+  if (SCRIPT_METHODS.includes(method) || method === 'Fetch.fulfillRequest') return true;
+  if (method === 'Page.navigate' || method === 'Target.createTarget') {
+    return !isWebUrl(typeof params.url === 'string' ? params.url : 'about:blank');
+  }
+  if (method === 'DOM.setAttributeValue') {
+    const name = typeof params.name === 'string' ? params.name.toLowerCase() : '';
+    return name.startsWith('on') || name === 'srcdoc' || isScriptUrl(params.value);
+  }
+  return false;
+}
+
+/**
+ * Reason a CDP command is outside the token scope, or null if it is allowed.
+ */
+export function scopeViolation(
+  scope: TokenScope,
+  method: string,
+  params: Record<string, unknown>,
+): string | null {
+  if (
+    scope.allowedMethods &&
+    !scope.allowedMethods.some((pattern) => matchesMethod(pattern, method))
+  ) {
+    return `${method} is not allowed by this token`;
+  }
+  if (scope.deniedMethods?.some((pattern) => matchesMethod(pattern, method))) {
+    return `${method} is not allowed by this token`;
+  }
+  if (scriptDenied(scope) && runsScript(method, params)) {
+    return `${method} runs page scripts, which this token does not allow`;
+  }
+  if (method === 'Page.navigate' || method === 'Target.createTarget') {
+    const url = typeof params.url === 'string' ? params.url : 'about:blank';
+    if (!isUrlAllowed(url, scope.allowedDomains)) {
+      return `Navigation to ${url} is not allowed by this token`;
+    }
+  }
+  return null;
+}
@@ -113,10 +113,23 @@ export async function restartGateway(): Promise<RestartGatewayResponse> {
   });
 }
 
+export interface SyncRecord {
+  startedAt: string;
+  trigger: 'scheduled' | 'manual';
+  success: boolean;
+  durationMs: number;
+  error?: string;
+  gateway?: 'healthy' | 'starting' | 'restarted' | 'restart-failed';
+}
+
 export interface StorageStatusResponse {
   configured: boolean;
   missing?: string[];
   lastSync: string | null;
+  lastSuccess?: string | null; // last successful sync recorded by the cron trigger or Backup Now
+  consecutiveFailures?: number;
+  stale?: boolean;
+  history: SyncRecord[];
   message: string;
 }
 
@@ -137,3 +150,267 @@ export async function triggerSync(): Promise<SyncResponse> {
     method: 'POST',
   });
 }
+
+export interface UsageTotals {
+  requests: number;
+  errors: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+}
+
+export interface UsageDay extends UsageTotals {
+  date: string;
+}
+
+export interface UsageModel extends UsageTotals {
+  model: string;
+}
+
+export interface UsageResponse {
+  updatedAt: string | null;
+  days: UsageDay[];
+  models: UsageModel[];
+  totals: UsageTotals;
+}
+
+export async function getUsage(days = 30): Promise<UsageResponse> {
+  return apiRequest<UsageResponse>(`/usage?days=${days}`);
+}
+
+export type SnapshotArea = 'openclaw' | 'workspace' | 'skills';
+
+export interface Snapshot {
+  id: string;
+  createdAt: string;
+  trigger: 'manual' | 'scheduled' | 'pre-restore';
+  areas: SnapshotArea[];
+  files: number;
+  bytes: number;
+}
+
+export interface SnapshotListResponse {
+  snapshots: Snapshot[];
+  retention: number;
+}
+
+export interface AreaDiff {
+  added: string[];
+  removed: string[];
+  changed: string[];
+  unchanged: number;
+  truncated: boolean;
+}
+
+export interface SnapshotDiffResponse {
+  snapshot: Snapshot;
+  diff: Partial<Record<SnapshotArea, AreaDiff>>;
+}
+
+export interface CreateSnapshotResponse {
+  success: boolean;
+  snapshot?: Snapshot;
+  pruned?: string[];
+  error?: string;
+  details?: string;
+}
+
+export interface RestoreSnapshotResponse {
+  success: boolean;
+  restored?: SnapshotArea[];
+  safetySnapshot?: string;
+  pruned?: string[];
+  message?: string;
+  error?: string;
+  details?: string;
+}
+
+export async function listSnapshots(): Promise<SnapshotListResponse> {
+  return apiRequest<SnapshotListResponse>('/snapshots');
+}
+
+export async function createSnapshot(): Promise<CreateSnapshotResponse> {
+  return apiRequest<CreateSnapshotResponse>('/snapshots', {
+    method: 'POST',
+  });
+}
+
+export async function diffSnapshot(id: string): Promise<SnapshotDiffResponse> {
+  return apiRequest<SnapshotDiffResponse>(`/snapshots/${id}/diff`);
+}
+
+export async function restoreSnapshot(
+  id: string,
+  areas: SnapshotArea[],
+): Promise<RestoreSnapshotResponse> {
+  return apiRequest<RestoreSnapshotResponse>(`/snapshots/${id}/restore`, {
+    method: 'POST',
+    body: JSON.stringify({ areas }),
+  });
+}
+
+export interface ProcessSummary {
+  id: string;
+  command: string;
+  status: string;
+  startTime?: string;
+  endTime?: string;
+  exitCode?: number;
+  gateway: boolean;
+}
+
+export interface ProcessListResponse {
+  count: number;
+  processes: ProcessSummary[];
+}
+
+export interface ProcessActionResponse {
+  success: boolean;
+  id: string;
+  message?: string;
+  error?: string;
+}
+
+export interface ContainerConfigResponse {
+  path: string | null;
+  config: unknown;
+  error?: string;
+}
+
+export interface AuditEntry {
+  id: string;
+  timestamp: string;
+  actor: string | null;
+  action: string;
+  target?: string;
+  result: 'success' | 'failure';
+  details?: string;
+}
+
+export type NotificationChannel = 'webhook' | 'telegram' | 'discord';
+
+export interface AuditResponse {
+  entries: AuditEntry[];
+  cursor?: string;
+  notifications: NotificationChannel[];
+}
+
+export interface TestNotificationResponse {
+  success: boolean;
+  results: Array<{ channel: NotificationChannel; ok: boolean; error?: string }>;
+}
+
+export interface MetricsPoint {
+  timestamp: string;
+  httpRequests: number;
+  httpErrors: number;
+  httpSeconds: number;
+  wsActive: number;
+  wsMessages: number;
+  cdpSessionsActive: number;
+  cdpCalls: number;
+  cdpErrors: number;
+  coldStarts: number;
+  coldStartSeconds: number;
+  syncs: number;
+  syncSeconds: number;
+}
+
+export interface MetricsSummaryResponse {
+  current: MetricsPoint;
+  history: MetricsPoint[];
+  routes: Array<{ route: string; requests: number; errors: number; avgMs: number }>;
+  cdpMethods: Array<{ method: string; calls: number; errors: number }>;
+}
+
+export type LogStream = 'stdout' | 'stderr';
+
+export interface LogSnapshot {
+  processId: string;
+  status: string;
+  stdout: string;
+  stderr: string;
+}
+
+export interface LogLine {
+  type: LogStream;
+  data: string;
+  timestamp: string;
+}
+
+export interface LogStreamHandlers {
+  onSnapshot: (snapshot: LogSnapshot) => void;
+  onLog: (line: LogLine) => void;
+  onExit: (exitCode?: number) => void;
+  onError: (message: string) => void;
+}
+
+export async function listProcesses(): Promise<ProcessListResponse> {
+  return apiRequest<ProcessListResponse>('/processes');
+}
+
+export async function killProcess(id: string): Promise<ProcessActionResponse> {
+  return apiRequest<ProcessActionResponse>(`/processes/${id}/kill`, {
+    method: 'POST',
+  });
+}
+
+export async function restartProcess(id: string): Promise<ProcessActionResponse> {
+  return apiRequest<ProcessActionResponse>(`/processes/${id}/restart`, {
+    method: 'POST',
+  });
+}
+
+export async function getContainerConfig(): Promise<ContainerConfigResponse> {
+  return apiRequest<ContainerConfigResponse>('/config');
+}
+
+export async function listAudit(cursor?: string): Promise<AuditResponse> {
+  const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+  return apiRequest<AuditResponse>(`/audit${query}`);
+}
+
+export async function sendTestNotification(): Promise<TestNotificationResponse> {
+  return apiRequest<TestNotificationResponse>('/notifications/test', {
+    method: 'POST',
+  });
+}
+
+export async function getMetricsSummary(): Promise<MetricsSummaryResponse> {
+  return apiRequest<MetricsSummaryResponse>('/metrics/summary');
+}
+
+/**
+ * Tail a process's logs over server-sent events ("gateway" for the gateway process).
+ * Returns a function that closes the stream.
+ */
+export function streamProcessLogs(id: string, handlers: LogStreamHandlers): () => void {
+  const source = new EventSource(`${API_BASE}/processes/${id}/logs`, { withCredentials: true });
+  // EventSource reconnects on its own, which would replay the snapshot; stop instead
+  const close = () => source.close();
+
+  source.addEventListener('snapshot', (event) => {
+    handlers.onSnapshot(JSON.parse(event.data) as LogSnapshot);
+  });
+  source.addEventListener('log', (event) => {
+    handlers.onLog(JSON.parse(event.data) as LogLine);
+  });
+  source.addEventListener('exit', (event) => {
+    close();
+    handlers.onExit((JSON.parse(event.data) as { exitCode?: number }).exitCode);
+  });
+  source.addEventListener('error', (event) => {
+    close();
+    const data = event instanceof MessageEvent ? (event.data as string | undefined) : undefined;
+    if (data) {
+      const parsed = JSON.parse(data) as { error?: string; data?: string };
+      handlers.onError(parsed.error || parsed.data || 'Log stream error');
+    } else {
+      handlers.onError('Log stream disconnected');
+    }
+  });
+
+  return close;
+}
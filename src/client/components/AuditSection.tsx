@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listAudit,
+  sendTestNotification,
+  AuthError,
+  type AuditEntry,
+  type NotificationChannel,
+} from '../api';
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  webhook: 'Webhook',
+  telegram: 'Telegram',
+  discord: 'Discord',
+};
+
+export default function AuditSection() {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [cursor, setCursor] = useState<string | undefined>();
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [testing, setTesting] = useState(false);
+  const [testMessage, setTestMessage] = useState<string | null>(null);
+
+  // Without a cursor the list starts over; with one the next page is appended
+  const fetchAudit = useCallback(async (from?: string) => {
+    setLoading(true);
+    try {
+      setError(null);
+      const data = await listAudit(from);
+      setEntries((current) => (from ? [...current, ...data.entries] : data.entries));
+      setCursor(data.cursor);
+      setChannels(data.notifications);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch audit log');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAudit();
+  }, [fetchAudit]);
+
+  const handleTest = async () => {
+    setTesting(true);
+    setTestMessage(null);
+    try {
+      setError(null);
+      const { results } = await sendTestNotification();
+      setTestMessage(
+        results
+          .map((r) => `${CHANNEL_LABELS[r.channel]}: ${r.ok ? 'sent' : `failed (${r.error})`}`)
+          .join(', '),
+      );
+      await fetchAudit();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send test notification');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <section className="devices-section audit-section">
+      <div className="section-header">
+        <h2>Audit Log</h2>
+        <div className="header-actions">
+          {channels.length > 0 && (
+            <button className="btn btn-secondary" onClick={handleTest} disabled={testing}>
+              {testing ? 'Sending...' : 'Send test notification'}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => fetchAudit()} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <p className="hint audit-channels">
+        {channels.length > 0
+          ? `Notifications: ${channels.map((channel) => CHANNEL_LABELS[channel]).join(', ')}`
+          : 'Notifications are off. Set NOTIFY_WEBHOOK_URL, NOTIFY_TELEGRAM_CHAT_ID or NOTIFY_DISCORD_CHANNEL_ID to hear about pairing requests and gateway restarts.'}
+      </p>
+      {testMessage && <p className="hint">{testMessage}</p>}
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          <p>{loading ? 'Loading audit log...' : 'No admin actions recorded yet'}</p>
+        </div>
+      ) : (
+        <>
+          <table className="usage-table audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} title={entry.details}>
+                  <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>{entry.actor ?? 'system'}</td>
+                  <td className="audit-action">{entry.action}</td>
+                  <td>{entry.target ?? '-'}</td>
+                  <td className={`audit-result-${entry.result}`}>{entry.result}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {cursor && (
+            <div className="audit-more">
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => fetchAudit(cursor)}
+                disabled={loading}
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
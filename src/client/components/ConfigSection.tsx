@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getContainerConfig, AuthError, type ContainerConfigResponse } from '../api';
+
+export default function ConfigSection() {
+  const [config, setConfig] = useState<ContainerConfigResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchConfig = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      setConfig(await getContainerConfig());
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch config');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConfig();
+  }, [fetchConfig]);
+
+  return (
+    <section className="devices-section config-section">
+      <div className="section-header">
+        <h2>Container Config</h2>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={fetchConfig} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {config?.config ? (
+        <>
+          <p className="hint config-path">
+            {config.path} &mdash; tokens, keys and passwords are redacted
+          </p>
+          <pre className="log-output config-output">{JSON.stringify(config.config, null, 2)}</pre>
+        </>
+      ) : (
+        <div className="empty-state">
+          <p>{loading ? 'Loading config...' : config?.error || 'No config available'}</p>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { streamProcessLogs, type LogStream } from '../api';
+
+// Older lines are dropped so a chatty process can't grow the page without bound
+const MAX_ENTRIES = 2000;
+
+interface LogEntry {
+  key: number;
+  type: LogStream;
+  text: string;
+}
+
+interface LogViewerProps {
+  /** Process id, or "gateway" for the current gateway process */
+  processId: string;
+  title: string;
+}
+
+export default function LogViewer({ processId, title }: LogViewerProps) {
+  const [entries, setEntries] = useState<LogEntry[]>([]);
+  const [shown, setShown] = useState<Record<LogStream, boolean>>({ stdout: true, stderr: true });
+  const [follow, setFollow] = useState(true);
+  const [state, setState] = useState<'connecting' | 'live' | 'ended'>('connecting');
+  const [message, setMessage] = useState<string | null>(null);
+  const [connection, setConnection] = useState(0);
+  const nextKey = useRef(0);
+  const outputRef = useRef<HTMLPreElement>(null);
+
+  const append = useCallback((type: LogStream, text: string) => {
+    if (!text) return;
+    const entry = { key: nextKey.current++, type, text };
+    setEntries((prev) => [...prev, entry].slice(-MAX_ENTRIES));
+  }, []);
+
+  useEffect(() => {
+    setEntries([]);
+    setState('connecting');
+    setMessage(null);
+
+    return streamProcessLogs(processId, {
+      onSnapshot: (snapshot) => {
+        // The tail arrives per stream, so stdout and stderr can't be interleaved here
+        append('stdout', snapshot.stdout);
+        append('stderr', snapshot.stderr);
+        setState('live');
+      },
+      onLog: (line) => append(line.type, line.data),
+      onExit: (exitCode) => {
+        setState('ended');
+        setMessage(`Process exited${exitCode !== undefined ? ` with code ${exitCode}` : ''}`);
+      },
+      onError: (error) => {
+        setState('ended');
+        setMessage(error);
+      },
+    });
+  }, [processId, connection, append]);
+
+  useEffect(() => {
+    if (follow && outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [entries, shown, follow]);
+
+  const toggleStream = (type: LogStream) => {
+    setShown((prev) => ({ ...prev, [type]: !prev[type] }));
+  };
+
+  const visible = entries.filter((entry) => shown[entry.type]);
+
+  return (
+    <div className="log-viewer">
+      <div className="log-toolbar">
+        <h3 className="usage-subheading">
+          {title} <span className={`log-state log-state-${state}`}>{state}</span>
+        </h3>
+        <div className="log-controls">
+          {(['stdout', 'stderr'] as const).map((type) => (
+            <label key={type}>
+              <input type="checkbox" checked={shown[type]} onChange={() => toggleStream(type)} />{' '}
+              {type}
+            </label>
+          ))}
+          <label>
+            <input type="checkbox" checked={follow} onChange={() => setFollow(!follow)} /> Follow
+          </label>
+          <button className="btn btn-secondary btn-sm" onClick={() => setEntries([])}>
+            Clear
+          </button>
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => setConnection((n) => n + 1)}
+            disabled={state === 'connecting'}
+          >
+            Reconnect
+          </button>
+        </div>
+      </div>
+      <pre className="log-output" ref={outputRef}>
+        {visible.length === 0 ? (
+          <span className="log-empty">
+            {state === 'connecting' ? 'Connecting...' : 'No output'}
+          </span>
+        ) : (
+          visible.map((entry) => (
+            <span key={entry.key} className={`log-${entry.type}`}>
+              {entry.text}
+            </span>
+          ))
+        )}
+      </pre>
+      {message && <p className="hint log-message">{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getMetricsSummary,
+  AuthError,
+  type MetricsPoint,
+  type MetricsSummaryResponse,
+} from '../api';
+
+const MAX_TABLE_ROWS = 10;
+
+interface ChartPoint {
+  timestamp: string;
+  value: number;
+}
+
+// Counters restart from zero when isolates are recycled; a drop means a reset, not negative traffic
+function increase(current: number, previous: number) {
+  return current >= previous ? current - previous : current;
+}
+
+function intervals(
+  history: MetricsPoint[],
+  value: (current: MetricsPoint, previous: MetricsPoint) => number,
+): ChartPoint[] {
+  return history.slice(1).map((point, i) => ({
+    timestamp: point.timestamp,
+    value: value(point, history[i]),
+  }));
+}
+
+function average(sum: number, count: number) {
+  return count > 0 ? sum / count : 0;
+}
+
+function formatDuration(seconds: number) {
+  if (seconds >= 60) return `${(seconds / 60).toFixed(1)}m`;
+  if (seconds >= 1) return `${seconds.toFixed(1)}s`;
+  return `${Math.round(seconds * 1000)}ms`;
+}
+
+function formatCount(value: number) {
+  return String(Math.round(value));
+}
+
+function Chart({
+  title,
+  points,
+  format,
+}: {
+  title: string;
+  points: ChartPoint[];
+  format: (value: number) => string;
+}) {
+  const max = Math.max(...points.map((p) => p.value), 0);
+  return (
+    <div className="metrics-chart">
+      <span className="usage-stat-label">
+        {title} {points.length > 0 && `(now ${format(points[points.length - 1].value)})`}
+      </span>
+      <div className="usage-chart">
+        {points.map((point) => (
+          <div
+            key={point.timestamp}
+            className="usage-bar"
+            title={`${new Date(point.timestamp).toLocaleString()}: ${format(point.value)}`}
+            style={{ height: `${max > 0 ? (point.value / max) * 100 : 0}%` }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function MetricsSection() {
+  const [summary, setSummary] = useState<MetricsSummaryResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchMetrics = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      setSummary(await getMetricsSummary());
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch metrics');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMetrics();
+  }, [fetchMetrics]);
+
+  const current = summary?.current;
+  const history = summary?.history ?? [];
+
+  return (
+    <section className="devices-section metrics-section">
+      <div className="section-header">
+        <h2>Worker Metrics</h2>
+        <div className="header-actions">
+          <a
+            className="btn btn-secondary"
+            href="/api/admin/metrics"
+            target="_blank"
+            rel="noreferrer"
+          >
+            Prometheus
+          </a>
+          <button className="btn btn-secondary" onClick={fetchMetrics} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {!current ? (
+        <div className="empty-state">
+          <p>{loading ? 'Loading metrics...' : 'No metrics available'}</p>
+        </div>
+      ) : (
+        <>
+          <div className="usage-totals">
+            <div className="usage-stat">
+              <span className="usage-stat-value">{current.httpRequests}</span>
+              <span className="usage-stat-label">
+                Requests{current.httpErrors > 0 && ` (${current.httpErrors} 5xx)`}
+              </span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">
+                {formatDuration(average(current.httpSeconds, current.httpRequests))}
+              </span>
+              <span className="usage-stat-label">Avg response time</span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{current.wsActive}</span>
+              <span className="usage-stat-label">
+                Open WebSockets ({current.wsMessages} messages)
+              </span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{current.cdpSessionsActive}</span>
+              <span className="usage-stat-label">
+                CDP sessions ({current.cdpCalls} calls
+                {current.cdpErrors > 0 && `, ${current.cdpErrors} failed`})
+              </span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">
+                {current.coldStarts > 0
+                  ? formatDuration(average(current.coldStartSeconds, current.coldStarts))
+                  : '-'}
+              </span>
+              <span className="usage-stat-label">Avg cold start ({current.coldStarts})</span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">
+                {current.syncs > 0
+                  ? formatDuration(average(current.syncSeconds, current.syncs))
+                  : '-'}
+              </span>
+              <span className="usage-stat-label">Avg sync ({current.syncs})</span>
+            </div>
+          </div>
+
+          {history.length < 2 ? (
+            <p className="hint">
+              Charts appear once the cron trigger has recorded a few points (every 5 minutes).
+            </p>
+          ) : (
+            <div className="metrics-charts">
+              <Chart
+                title="Requests per interval"
+                points={intervals(history, (p, prev) =>
+                  increase(p.httpRequests, prev.httpRequests),
+                )}
+                format={formatCount}
+              />
+              <Chart
+                title="Avg response time"
+                points={intervals(history, (p, prev) =>
+                  average(
+                    increase(p.httpSeconds, prev.httpSeconds),
+                    increase(p.httpRequests, prev.httpRequests),
+                  ),
+                )}
+                format={formatDuration}
+              />
+              <Chart
+                title="WebSocket messages per interval"
+                points={intervals(history, (p, prev) => increase(p.wsMessages, prev.wsMessages))}
+                format={formatCount}
+              />
+              <Chart
+                title="Open WebSockets"
+                points={intervals(history, (p) => p.wsActive)}
+                format={formatCount}
+              />
+              <Chart
+                title="CDP calls per interval"
+                points={intervals(history, (p, prev) => increase(p.cdpCalls, prev.cdpCalls))}
+                format={formatCount}
+              />
+            </div>
+          )}
+
+          {summary.routes.length > 0 && (
+            <>
+              <h3 className="usage-subheading">Busiest routes</h3>
+              <table className="usage-table">
+                <thead>
+                  <tr>
+                    <th>Route</th>
+                    <th>Requests</th>
+                    <th>5xx</th>
+                    <th>Avg</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.routes.slice(0, MAX_TABLE_ROWS).map((route) => (
+                    <tr key={route.route}>
+                      <td className="usage-model">{route.route}</td>
+                      <td>{route.requests}</td>
+                      <td>{route.errors}</td>
+                      <td>{formatDuration(route.avgMs / 1000)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {summary.cdpMethods.length > 0 && (
+            <>
+              <h3 className="usage-subheading">CDP methods</h3>
+              <table className="usage-table">
+                <thead>
+                  <tr>
+                    <th>Method</th>
+                    <th>Calls</th>
+                    <th>Failed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.cdpMethods.slice(0, MAX_TABLE_ROWS).map((method) => (
+                    <tr key={method.method}>
+                      <td className="usage-model">{method.method}</td>
+                      <td>{method.calls}</td>
+                      <td>{method.errors}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
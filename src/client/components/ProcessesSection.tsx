@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listProcesses, killProcess, restartProcess, AuthError, type ProcessSummary } from '../api';
+import LogViewer from './LogViewer';
+
+function formatStarted(process: ProcessSummary) {
+  return process.startTime ? new Date(process.startTime).toLocaleString() : '-';
+}
+
+function isActive(process: ProcessSummary) {
+  return process.status === 'running' || process.status === 'starting';
+}
+
+export default function ProcessesSection() {
+  const [processes, setProcesses] = useState<ProcessSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [actionInProgress, setActionInProgress] = useState<string | null>(null);
+  // Tail the gateway until another process is picked
+  const [logTarget, setLogTarget] = useState<{ id: string; title: string }>({
+    id: 'gateway',
+    title: 'Gateway logs',
+  });
+
+  const fetchProcesses = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      setProcesses((await listProcesses()).processes);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch processes');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProcesses();
+  }, [fetchProcesses]);
+
+  const handleKill = async (process: ProcessSummary) => {
+    const warning = process.gateway
+      ? ' This is the gateway: clients disconnect until it restarts.'
+      : '';
+    if (!confirm(`Kill process ${process.id}?${warning}`)) return;
+
+    setActionInProgress(`kill:${process.id}`);
+    try {
+      setError(null);
+      await killProcess(process.id);
+      await fetchProcesses();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to kill process');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleRestart = async (process: ProcessSummary) => {
+    if (!confirm(`Restart process ${process.id}?`)) return;
+
+    setActionInProgress(`restart:${process.id}`);
+    try {
+      setError(null);
+      const result = await restartProcess(process.id);
+      if (!result.success) {
+        setError(result.error || 'Restart failed');
+      }
+      await fetchProcesses();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Restart failed');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  return (
+    <section className="devices-section processes-section">
+      <div className="section-header">
+        <h2>Processes</h2>
+        <div className="header-actions">
+          <button className="btn btn-secondary" onClick={fetchProcesses} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {processes.length === 0 ? (
+        <div className="empty-state">
+          <p>{loading ? 'Loading processes...' : 'No processes in the container'}</p>
+        </div>
+      ) : (
+        <table className="usage-table process-table">
+          <thead>
+            <tr>
+              <th>Command</th>
+              <th>Status</th>
+              <th>Started</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {processes.map((process) => (
+              <tr key={process.id} className={logTarget.id === process.id ? 'selected' : undefined}>
+                <td className="process-command" title={process.id}>
+                  {process.gateway && <span className="process-badge">gateway</span>}
+                  {process.command}
+                </td>
+                <td className={`process-status process-status-${process.status}`}>
+                  {process.status}
+                  {process.exitCode !== undefined && !isActive(process) && ` (${process.exitCode})`}
+                </td>
+                <td>{formatStarted(process)}</td>
+                <td className="snapshot-actions">
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setLogTarget({ id: process.id, title: `Logs: ${process.id}` })}
+                  >
+                    Logs
+                  </button>
+                  {process.gateway && (
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleRestart(process)}
+                      disabled={actionInProgress !== null}
+                    >
+                      {actionInProgress === `restart:${process.id}` ? 'Restarting...' : 'Restart'}
+                    </button>
+                  )}
+                  {isActive(process) && (
+                    <button
+                      className="btn btn-danger btn-sm"
+                      onClick={() => handleKill(process)}
+                      disabled={actionInProgress !== null}
+                    >
+                      {actionInProgress === `kill:${process.id}` ? 'Killing...' : 'Kill'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <LogViewer processId={logTarget.id} title={logTarget.title} />
+    </section>
+  );
+}
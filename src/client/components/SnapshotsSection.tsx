@@ -0,0 +1,287 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listSnapshots,
+  createSnapshot,
+  diffSnapshot,
+  restoreSnapshot,
+  AuthError,
+  type Snapshot,
+  type SnapshotArea,
+  type SnapshotDiffResponse,
+} from '../api';
+
+const AREA_LABELS: Record<SnapshotArea, string> = {
+  openclaw: 'Config',
+  workspace: 'Workspace',
+  skills: 'Skills',
+};
+
+function formatBytes(bytes: number) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function PathList({ label, paths }: { label: string; paths: string[] }) {
+  if (paths.length === 0) return null;
+  return (
+    <details className="snapshot-paths">
+      <summary>
+        {label} ({paths.length})
+      </summary>
+      <ul>
+        {paths.map((path) => (
+          <li key={path}>{path}</li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default function SnapshotsSection() {
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [retention, setRetention] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [actionInProgress, setActionInProgress] = useState<string | null>(null);
+  const [diff, setDiff] = useState<SnapshotDiffResponse | null>(null);
+  const [restoreTarget, setRestoreTarget] = useState<Snapshot | null>(null);
+  const [restoreAreas, setRestoreAreas] = useState<SnapshotArea[]>([]);
+
+  const fetchSnapshots = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      const data = await listSnapshots();
+      setSnapshots(data.snapshots);
+      setRetention(data.retention);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch snapshots');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  const handleCreate = async () => {
+    setActionInProgress('create');
+    try {
+      setError(null);
+      const result = await createSnapshot();
+      if (!result.success) {
+        setError(result.error || 'Snapshot failed');
+      }
+      await fetchSnapshots();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Snapshot failed');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleDiff = async (snapshot: Snapshot) => {
+    setActionInProgress(`diff:${snapshot.id}`);
+    setRestoreTarget(null);
+    try {
+      setError(null);
+      setDiff(await diffSnapshot(snapshot.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to compare snapshot');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const openRestore = (snapshot: Snapshot) => {
+    setDiff(null);
+    setRestoreTarget(snapshot);
+    setRestoreAreas(snapshot.areas);
+  };
+
+  const toggleArea = (area: SnapshotArea) => {
+    setRestoreAreas((prev) =>
+      prev.includes(area) ? prev.filter((a) => a !== area) : [...prev, area],
+    );
+  };
+
+  const handleRestore = async () => {
+    if (!restoreTarget || restoreAreas.length === 0) return;
+    const labels = restoreAreas.map((area) => AREA_LABELS[area]).join(', ');
+    if (
+      !confirm(
+        `Restore ${labels} from ${new Date(restoreTarget.createdAt).toLocaleString()}? Current files are snapshotted first, then replaced, and the gateway restarts.`,
+      )
+    ) {
+      return;
+    }
+
+    setActionInProgress(`restore:${restoreTarget.id}`);
+    try {
+      setError(null);
+      const result = await restoreSnapshot(restoreTarget.id, restoreAreas);
+      if (result.success) {
+        setRestoreTarget(null);
+        alert(result.message || 'Snapshot restored.');
+      } else {
+        setError(result.error || 'Restore failed');
+      }
+      await fetchSnapshots();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Restore failed');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  return (
+    <section className="devices-section snapshots-section">
+      <div className="section-header">
+        <h2>Snapshots</h2>
+        <div className="header-actions">
+          <button
+            className="btn btn-primary"
+            onClick={handleCreate}
+            disabled={actionInProgress !== null}
+          >
+            {actionInProgress === 'create' ? 'Snapshotting...' : 'Snapshot Now'}
+          </button>
+          <button className="btn btn-secondary" onClick={fetchSnapshots} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {snapshots.length === 0 ? (
+        <div className="empty-state">
+          <p>{loading ? 'Loading snapshots...' : 'No snapshots yet'}</p>
+          {!loading && (
+            <p className="hint">
+              The container takes a snapshot of config, workspace and skills every few hours while
+              R2 storage is configured.
+            </p>
+          )}
+        </div>
+      ) : (
+        <>
+          <table className="usage-table snapshot-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Trigger</th>
+                <th>Contents</th>
+                <th>Files</th>
+                <th>Size</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {snapshots.map((snapshot) => (
+                <tr
+                  key={snapshot.id}
+                  className={
+                    diff?.snapshot.id === snapshot.id || restoreTarget?.id === snapshot.id
+                      ? 'selected'
+                      : undefined
+                  }
+                >
+                  <td title={snapshot.id}>{new Date(snapshot.createdAt).toLocaleString()}</td>
+                  <td>{snapshot.trigger}</td>
+                  <td>{snapshot.areas.map((area) => AREA_LABELS[area]).join(', ')}</td>
+                  <td>{snapshot.files}</td>
+                  <td>{formatBytes(snapshot.bytes)}</td>
+                  <td className="snapshot-actions">
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleDiff(snapshot)}
+                      disabled={actionInProgress !== null}
+                    >
+                      {actionInProgress === `diff:${snapshot.id}` ? 'Comparing...' : 'Diff'}
+                    </button>
+                    <button
+                      className="btn btn-danger btn-sm"
+                      onClick={() => openRestore(snapshot)}
+                      disabled={actionInProgress !== null}
+                    >
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {retention !== null && (
+            <p className="hint snapshot-retention">The newest {retention} snapshots are kept.</p>
+          )}
+        </>
+      )}
+
+      {diff && (
+        <div className="snapshot-panel">
+          <h3 className="usage-subheading">
+            Changes since {new Date(diff.snapshot.createdAt).toLocaleString()}
+          </h3>
+          {Object.entries(diff.diff).map(([area, areaDiff]) => (
+            <div key={area} className="snapshot-diff-area">
+              <strong>{AREA_LABELS[area as SnapshotArea]}</strong>{' '}
+              <span className="hint">
+                {areaDiff.added.length} added, {areaDiff.changed.length} changed,{' '}
+                {areaDiff.removed.length} deleted, {areaDiff.unchanged} unchanged
+                {areaDiff.truncated && ' (lists truncated)'}
+              </span>
+              <PathList label="Added" paths={areaDiff.added} />
+              <PathList label="Changed" paths={areaDiff.changed} />
+              <PathList label="Deleted" paths={areaDiff.removed} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {restoreTarget && (
+        <div className="snapshot-panel">
+          <h3 className="usage-subheading">
+            Restore from {new Date(restoreTarget.createdAt).toLocaleString()}
+          </h3>
+          <div className="snapshot-restore-areas">
+            {restoreTarget.areas.map((area) => (
+              <label key={area}>
+                <input
+                  type="checkbox"
+                  checked={restoreAreas.includes(area)}
+                  onChange={() => toggleArea(area)}
+                />{' '}
+                {AREA_LABELS[area]}
+              </label>
+            ))}
+          </div>
+          <div className="header-actions">
+            <button
+              className="btn btn-danger"
+              onClick={handleRestore}
+              disabled={actionInProgress !== null || restoreAreas.length === 0}
+            >
+              {actionInProgress === `restore:${restoreTarget.id}`
+                ? 'Restoring...'
+                : 'Restore and Restart Gateway'}
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setRestoreTarget(null)}
+              disabled={actionInProgress !== null}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
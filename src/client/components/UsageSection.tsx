@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getUsage, AuthError, type UsageResponse } from '../api';
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+function formatCost(usd: number) {
+  if (usd === 0) return '$0.00';
+  if (usd < 0.01) return `$${usd.toFixed(4)}`;
+  return `$${usd.toFixed(2)}`;
+}
+
+function formatTokens(count: number) {
+  if (count >= 1_000_000) return `${(count / 1_000_000).toFixed(1)}M`;
+  if (count >= 1_000) return `${(count / 1_000).toFixed(1)}k`;
+  return String(count);
+}
+
+export default function UsageSection() {
+  const [usage, setUsage] = useState<UsageResponse | null>(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchUsage = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError(null);
+      setUsage(await getUsage(days));
+    } catch (err) {
+      if (err instanceof AuthError) {
+        setError('Authentication required. Please log in via Cloudflare Access.');
+      } else {
+        setError(err instanceof Error ? err.message : 'Failed to fetch usage');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  const maxDailyCost = usage ? Math.max(...usage.days.map((d) => d.costUsd), 0) : 0;
+  // Most recent first, skipping days without traffic
+  const activeDays = usage
+    ? usage.days.filter((d) => d.requests > 0).map((_, i, arr) => arr[arr.length - 1 - i])
+    : [];
+
+  return (
+    <section className="devices-section usage-section">
+      <div className="section-header">
+        <h2>LLM Usage</h2>
+        <div className="header-actions">
+          <select
+            className="range-select"
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            disabled={loading}
+          >
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                Last {option} days
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-secondary" onClick={fetchUsage} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="usage-error">{error}</p>}
+
+      {!usage || usage.totals.requests === 0 ? (
+        <div className="empty-state">
+          <p>{loading ? 'Loading usage...' : 'No LLM requests recorded'}</p>
+          {!loading && (
+            <p className="hint">
+              Token usage and cost are recorded by the container's fetch interceptor as the agent
+              calls model providers.
+            </p>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="usage-totals">
+            <div className="usage-stat">
+              <span className="usage-stat-value">{formatCost(usage.totals.costUsd)}</span>
+              <span className="usage-stat-label">Estimated cost</span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{usage.totals.requests}</span>
+              <span className="usage-stat-label">
+                Requests{usage.totals.errors > 0 && ` (${usage.totals.errors} failed)`}
+              </span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{formatTokens(usage.totals.inputTokens)}</span>
+              <span className="usage-stat-label">Input tokens</span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{formatTokens(usage.totals.outputTokens)}</span>
+              <span className="usage-stat-label">Output tokens</span>
+            </div>
+            <div className="usage-stat">
+              <span className="usage-stat-value">{formatTokens(usage.totals.cacheReadTokens)}</span>
+              <span className="usage-stat-label">Cached tokens</span>
+            </div>
+          </div>
+
+          <div className="usage-chart" title="Daily cost">
+            {usage.days.map((day) => (
+              <div
+                key={day.date}
+                className="usage-bar"
+                title={`${day.date}: ${formatCost(day.costUsd)} (${day.requests} requests)`}
+                style={{
+                  height: `${maxDailyCost > 0 ? Math.max((day.costUsd / maxDailyCost) * 100, day.requests > 0 ? 2 : 0) : 0}%`,
+                }}
+              />
+            ))}
+          </div>
+
+          <h3 className="usage-subheading">By model</h3>
+          <table className="usage-table">
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th>Requests</th>
+                <th>Input</th>
+                <th>Output</th>
+                <th>Cached</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.models.map((model) => (
+                <tr key={model.model}>
+                  <td className="usage-model">{model.model}</td>
+                  <td>{model.requests}</td>
+                  <td>{formatTokens(model.inputTokens)}</td>
+                  <td>{formatTokens(model.outputTokens)}</td>
+                  <td>{formatTokens(model.cacheReadTokens)}</td>
+                  <td>{formatCost(model.costUsd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="usage-subheading">By day</h3>
+          <table className="usage-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Requests</th>
+                <th>Input</th>
+                <th>Output</th>
+                <th>Cached</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {activeDays.map((day) => (
+                <tr key={day.date}>
+                  <td>{day.date}</td>
+                  <td>{day.requests}</td>
+                  <td>{formatTokens(day.inputTokens)}</td>
+                  <td>{formatTokens(day.outputTokens)}</td>
+                  <td>{formatTokens(day.cacheReadTokens)}</td>
+                  <td>{formatCost(day.costUsd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+}
@@ -12,6 +12,12 @@ import {
   type DeviceListResponse,
   type StorageStatusResponse,
 } from '../api';
+import UsageSection from '../components/UsageSection';
+import SnapshotsSection from '../components/SnapshotsSection';
+import ProcessesSection from '../components/ProcessesSection';
+import ConfigSection from '../components/ConfigSection';
+import AuditSection from '../components/AuditSection';
+import MetricsSection from '../components/MetricsSection';
 import './AdminPage.css';
 
 // Small inline spinner for buttons
@@ -159,9 +165,10 @@ export default function AdminPage() {
     try {
       const result = await triggerSync();
       if (result.success) {
-        // Update the storage status with new lastSync time
+        // Update the storage status with new lastSync time and sync history
         setStorageStatus((prev) => (prev ? { ...prev, lastSync: result.lastSync || null } : null));
         setError(null);
+        await fetchStorageStatus();
       } else {
         setError(result.error || 'Sync failed');
       }
@@ -214,8 +221,17 @@ export default function AdminPage() {
                 R2 storage is configured. Your data will persist across container restarts.
               </span>
               <span className="last-sync">
-                Last backup: {formatSyncTime(storageStatus.lastSync)}
+                Last backup: {formatSyncTime(storageStatus.lastSuccess ?? storageStatus.lastSync)}
               </span>
+              {storageStatus.stale && (
+                <span className="sync-stale">
+                  Backups are stale
+                  {storageStatus.consecutiveFailures
+                    ? ` (${storageStatus.consecutiveFailures} failed in a row: ${storageStatus.history[0]?.error || 'unknown error'})`
+                    : ''}
+                  .
+                </span>
+              )}
             </div>
             <button
               className="btn btn-secondary btn-sm"
@@ -247,6 +263,10 @@ export default function AdminPage() {
         </p>
       </section>
 
+      {storageStatus?.configured && <SnapshotsSection />}
+
+      <UsageSection />
+
       {loading ? (
         <div className="loading">
           <div className="spinner"></div>
@@ -405,6 +425,14 @@ export default function AdminPage() {
           </section>
         </>
       )}
+
+      <MetricsSection />
+
+      <ProcessesSection />
+
+      <ConfigSection />
+
+      <AuditSection />
     </div>
   );
 }
@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  budgetExceededResponse,
+  createBudgetChecker,
+  loadBudgets,
+  parseBudgetLimits,
+  type Budget,
+} from '../fetch-interceptor-budget.cjs';
+import type { UsageSummary, UsageTotals } from '../fetch-interceptor-usage.cjs';
+
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+
+function totals(costUsd: number, tokens = 0): UsageTotals {
+  return {
+    requests: 1,
+    errors: 0,
+    inputTokens: tokens,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    costUsd,
+  };
+}
+
+/** Today: Anthropic $4 / 1000 tokens, Google $1 / 500 tokens. Earlier this month: Anthropic $10 */
+const SUMMARY: UsageSummary = {
+  version: 1,
+  updatedAt: '2026-03-15T11:00:00.000Z',
+  days: {
+    '2026-03-15': {
+      ...totals(5, 1500),
+      models: {
+        'anthropic/claude-sonnet-4-5': totals(4, 1000),
+        'google/gemini-2.5-flash': totals(1, 500),
+      },
+    },
+    '2026-03-02': {
+      ...totals(10, 2000),
+      models: { 'anthropic/claude-sonnet-4-5': totals(10, 2000) },
+    },
+    '2026-02-28': {
+      ...totals(100, 9000),
+      models: { 'anthropic/claude-sonnet-4-5': totals(100, 9000) },
+    },
+  },
+};
+
+function checker(budgets: Budget[], warnPercent?: number) {
+  const warn = vi.fn();
+  const check = createBudgetChecker({
+    budgets,
+    readSummary: () => SUMMARY,
+    warnPercent,
+    now: () => NOW,
+    warn,
+  });
+  return { check, warn };
+}
+
+function budget(overrides: Partial<Budget>): Budget {
+  return { scope: null, period: 'daily', metric: 'usd', limit: 10, ...overrides };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('loadBudgets', () => {
+  it('reads overall and per-provider caps from the environment', () => {
+    expect(
+      loadBudgets({
+        LLM_BUDGET_DAILY_USD: '5',
+        LLM_BUDGET_MONTHLY_TOKENS: '1e6',
+        LLM_BUDGET_PROVIDERS: '{"anthropic":{"monthlyUsd":20}}',
+      }),
+    ).toEqual([
+      { scope: null, period: 'daily', metric: 'usd', limit: 5 },
+      { scope: null, period: 'monthly', metric: 'tokens', limit: 1_000_000 },
+      { scope: 'anthropic', period: 'monthly', metric: 'usd', limit: 20 },
+    ]);
+  });
+
+  it('skips malformed limits and provider JSON', () => {
+    expect(
+      loadBudgets({
+        LLM_BUDGET_DAILY_USD: 'lots',
+        LLM_BUDGET_MONTHLY_USD: '-1',
+        LLM_BUDGET_PROVIDERS: '{not json',
+      }),
+    ).toEqual([]);
+    expect(
+      parseBudgetLimits({ weeklyUsd: 5, dailyTokens: 'x', dailyUsd: 2 }, 'openai', 'openai'),
+    ).toEqual([{ scope: 'openai', period: 'daily', metric: 'usd', limit: 2 }]);
+  });
+});
+
+describe('checkBudgets', () => {
+  it('enforces daily caps on today only', () => {
+    expect(checker([budget({ limit: 6 })]).check('anthropic')).toBeNull();
+    expect(checker([budget({ limit: 5 })]).check('anthropic')).toEqual({
+      budget: budget({ limit: 5 }),
+      used: 5,
+    });
+  });
+
+  it('enforces monthly caps on the calendar month', () => {
+    const monthly = budget({ period: 'monthly', limit: 15 });
+    expect(checker([monthly]).check('google')).toEqual({ budget: monthly, used: 15 });
+
+    const tokens = budget({ period: 'monthly', metric: 'tokens', limit: 3501 });
+    expect(checker([tokens]).check('google')).toBeNull();
+  });
+
+  it('scopes provider caps to that provider', () => {
+    const anthropic = budget({ scope: 'anthropic', limit: 4 });
+    const { check } = checker([anthropic]);
+    expect(check('anthropic')).toEqual({ budget: anthropic, used: 4 });
+    expect(check('google')).toBeNull();
+
+    const google = budget({ scope: 'google', metric: 'tokens', limit: 501 });
+    expect(checker([google]).check('google')).toBeNull();
+  });
+
+  it('does not read the summary when no budget applies', () => {
+    const readSummary = vi.fn(() => SUMMARY);
+    const check = createBudgetChecker({
+      budgets: [budget({ scope: 'openai', limit: 0 })],
+      readSummary,
+    });
+    expect(check('anthropic')).toBeNull();
+    expect(readSummary).not.toHaveBeenCalled();
+  });
+
+  it('warns once per period when usage crosses the warning threshold', () => {
+    const { check, warn } = checker([budget({ limit: 6 })]);
+    check('anthropic');
+    check('anthropic');
+    expect(warn).toHaveBeenCalledOnce();
+    expect(warn.mock.calls[0][0]).toContain('83% of daily budget of $6 used');
+
+    const quiet = checker([budget({ limit: 6 })], 90);
+    quiet.check('anthropic');
+    expect(quiet.warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('budgetExceededResponse', () => {
+  const exceeded = { budget: budget({ scope: 'anthropic', limit: 5 }), used: 5.2 };
+
+  it('answers with a non-retryable 429', async () => {
+    const response = budgetExceededResponse('openai', exceeded);
+    expect(response.status).toBe(429);
+    expect(response.headers.get('x-should-retry')).toBe('false');
+    expect(response.headers.get('x-moltworker-budget')).toBe('exceeded');
+    expect(await response.json()).toEqual({
+      error: {
+        message: expect.stringContaining('anthropic daily budget of $5 reached ($5.20 used)'),
+        type: 'insufficient_quota',
+        param: null,
+        code: 'budget_exceeded',
+      },
+    });
+  });
+
+  it("uses each provider's error shape", async () => {
+    expect(await budgetExceededResponse('anthropic', exceeded).json()).toEqual({
+      type: 'error',
+      error: { type: 'rate_limit_error', message: expect.any(String) },
+    });
+    expect(await budgetExceededResponse('google', exceeded).json()).toEqual({
+      error: { code: 429, message: expect.any(String), status: 'RESOURCE_EXHAUSTED' },
+    });
+  });
+
+  it('reports token budgets in tokens', async () => {
+    const response = budgetExceededResponse('openai', {
+      budget: budget({ metric: 'tokens', limit: 1000 }),
+      used: 1200,
+    });
+    const body = (await response.json()) as { error: { message: string } };
+    expect(body.error.message).toContain('daily budget of 1000 tokens reached (1200 tokens used)');
+  });
+});
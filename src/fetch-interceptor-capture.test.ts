@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  REDACTED,
+  createTrafficCapture,
+  createTrafficRecorder,
+  redactHeaders,
+  redactUrl,
+} from '../fetch-interceptor-capture.cjs';
+
+const GEMINI_KEY = 'gemini-secret-value-123';
+const AIG_TOKEN = 'aig-secret-token-456';
+const ENV = { GEMINI_API_KEY: GEMINI_KEY, CF_AIG_AUTHORIZATION: `Bearer ${AIG_TOKEN}` };
+
+let dir: string | null = null;
+
+function tempFile() {
+  dir = mkdtempSync(join(tmpdir(), 'llm-capture-'));
+  return join(dir, 'traffic.jsonl');
+}
+
+afterEach(() => {
+  if (dir) rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+describe('redaction', () => {
+  it('redacts credential headers', () => {
+    expect(
+      redactHeaders({
+        Authorization: 'Bearer sk-provider',
+        'x-goog-api-key': GEMINI_KEY,
+        'cf-aig-authorization': `Bearer ${AIG_TOKEN}`,
+        'x-custom-token': 'abc',
+        'content-type': 'application/json',
+      }),
+    ).toEqual({
+      authorization: REDACTED,
+      'x-goog-api-key': REDACTED,
+      'cf-aig-authorization': REDACTED,
+      'x-custom-token': REDACTED,
+      'content-type': 'application/json',
+    });
+  });
+
+  it('redacts credential query parameters', () => {
+    const url = redactUrl(
+      `https://generativelanguage.googleapis.com/v1beta/x?alt=sse&key=${GEMINI_KEY}`,
+    );
+
+    expect(url).not.toContain(GEMINI_KEY);
+    expect(url).toContain('alt=sse');
+  });
+});
+
+describe('traffic capture', () => {
+  it('records both sides of a rewritten exchange without any secrets', async () => {
+    const file = tempFile();
+    const recorder = createTrafficRecorder({ file, maxBytes: 1024 * 1024, env: ENV });
+    const capture = createTrafficCapture({ recorder, bodyLimit: 4096, shouldCapture: () => true });
+
+    const upstream = vi.fn(async () =>
+      Response.json({ echo: `key was ${GEMINI_KEY}` }, { headers: { 'x-request-id': 'r1' } }),
+    );
+    // Stand-in for the routing layer: rewrite the URL and swap credentials
+    const routed = capture.wrapInner(upstream);
+    const fetch = capture.wrapOuter(async (_input, init) =>
+      routed(
+        'https://gateway.ai.cloudflare.com/v1/a/g/google-ai-studio/v1beta/models/m:generateContent',
+        {
+          ...init,
+          headers: { 'cf-aig-authorization': `Bearer ${AIG_TOKEN}` },
+        },
+      ),
+    );
+
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/m:generateContent?key=${GEMINI_KEY}`,
+      {
+        method: 'POST',
+        headers: { 'x-goog-api-key': GEMINI_KEY },
+        body: JSON.stringify({
+          prompt: 'hi',
+          leaked: `${GEMINI_KEY} sk-ant-REDACTED`,
+        }),
+      },
+    );
+    expect(await response.json()).toEqual({ echo: `key was ${GEMINI_KEY}` });
+    await vi.waitFor(() => expect(existsSync(file)).toBe(true));
+
+    const raw = readFileSync(file, 'utf8');
+    expect(raw).not.toContain(GEMINI_KEY);
+    expect(raw).not.toContain(AIG_TOKEN);
+    expect(raw).not.toContain('sk-ant-api03');
+
+    const entry = JSON.parse(raw.trim());
+    expect(entry).toMatchObject({
+      method: 'POST',
+      upstreamUrl:
+        'https://gateway.ai.cloudflare.com/v1/a/g/google-ai-studio/v1beta/models/m:generateContent',
+      requestHeaders: { 'x-goog-api-key': REDACTED },
+      upstreamHeaders: { 'cf-aig-authorization': REDACTED },
+      status: 200,
+      responseHeaders: { 'x-request-id': 'r1' },
+      responseBody: `{"echo":"key was ${REDACTED}"}`,
+      responseBodyTruncated: false,
+    });
+    expect(entry.url).toContain('key=%5BREDACTED%5D');
+  });
+
+  it('truncates bodies to the limit', async () => {
+    const records: Record<string, unknown>[] = [];
+    const capture = createTrafficCapture({
+      recorder: { record: (entry) => records.push(entry) },
+      bodyLimit: 10,
+      shouldCapture: () => true,
+    });
+    const fetch = capture.wrapOuter(async () => new Response('x'.repeat(100)));
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      body: 'y'.repeat(50),
+    });
+
+    expect(await response.text()).toHaveLength(100);
+    await vi.waitFor(() => expect(records).toHaveLength(1));
+    expect(records[0]).toMatchObject({
+      requestBody: 'y'.repeat(10),
+      requestBodyTruncated: true,
+      responseBody: 'x'.repeat(10),
+      responseBodyTruncated: true,
+    });
+  });
+
+  it('records network errors and skips exchanges it should not capture', async () => {
+    const records: Record<string, unknown>[] = [];
+    const capture = createTrafficCapture({
+      recorder: { record: (entry) => records.push(entry) },
+      bodyLimit: 100,
+      shouldCapture: ({ original }) => original.url.includes('anthropic'),
+    });
+    const fetch = capture.wrapOuter(async (input) => {
+      if (String(input).includes('anthropic')) throw new TypeError('fetch failed');
+      return new Response('ok');
+    });
+
+    await expect(fetch('https://api.anthropic.com/v1/messages')).rejects.toThrow('fetch failed');
+    await fetch('https://api.telegram.org/bot123/getUpdates');
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ method: 'GET', error: 'fetch failed' });
+  });
+
+  it('rotates the file when it would exceed the size limit', () => {
+    const file = tempFile();
+    const recorder = createTrafficRecorder({ file, maxBytes: 100, env: {} });
+
+    recorder.record({ n: 1, pad: 'a'.repeat(60) });
+    recorder.record({ n: 2, pad: 'b'.repeat(60) });
+
+    expect(JSON.parse(readFileSync(`${file}.1`, 'utf8')).n).toBe(1);
+    expect(JSON.parse(readFileSync(file, 'utf8')).n).toBe(2);
+  });
+});
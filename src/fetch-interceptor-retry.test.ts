@@ -0,0 +1,308 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createResilientFetch,
+  directRoute,
+  loadRetryOptions,
+  upstreamKey,
+} from '../fetch-interceptor-retry.cjs';
+
+const GATEWAY = 'https://gateway.ai.cloudflare.com/v1/acct/gw';
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+type FakeResponse = number | Response | Error;
+
+/** Fake fetch that returns the given statuses/responses/errors in order */
+function createFakeFetch(...results: FakeResponse[]) {
+  return vi.fn(async (_input: string | URL | Request, _init?: RequestInit) => {
+    const next = results.length > 1 ? results.shift()! : results[0];
+    if (next instanceof Error) throw next;
+    if (next instanceof Response) return next;
+    return new Response(JSON.stringify({ status: next }), { status: next });
+  });
+}
+
+function createTestFetch(
+  fakeFetch: ReturnType<typeof createFakeFetch>,
+  options: Parameters<typeof createResilientFetch>[1] = {},
+) {
+  const log = vi.fn();
+  const sleep = vi.fn(async (_ms: number) => {});
+  let clock = 0;
+  const resilientFetch = createResilientFetch(fakeFetch, {
+    baseDelayMs: 100,
+    maxDelayMs: 1000,
+    log,
+    sleep,
+    now: () => clock,
+    random: () => 1,
+    env: {},
+    ...options,
+  });
+  const advance = (ms: number) => {
+    clock += ms;
+  };
+  const events = () => log.mock.calls.map((call) => JSON.parse(call[1] as string).event);
+  return { resilientFetch, log, sleep, advance, events };
+}
+
+const post = { method: 'POST', body: '{"model":"claude-sonnet-4-5"}' };
+
+describe('retries', () => {
+  it('retries 5xx responses with exponential backoff', async () => {
+    const fakeFetch = createFakeFetch(503, 529, 200);
+    const { resilientFetch, sleep, events } = createTestFetch(fakeFetch);
+    const context: { attempts?: number } = {};
+
+    const response = await resilientFetch(ANTHROPIC_URL, post, context);
+
+    expect(response.status).toBe(200);
+    expect(fakeFetch).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map((call) => call[0])).toEqual([100, 200]);
+    expect(context.attempts).toBe(3);
+    expect(events()).toEqual(['llm_retry', 'llm_retry']);
+  });
+
+  it('honors Retry-After on 429 responses', async () => {
+    const limited = new Response('{}', { status: 429, headers: { 'retry-after': '0.5' } });
+    const fakeFetch = createFakeFetch(limited, 200);
+    const { resilientFetch, sleep } = createTestFetch(fakeFetch);
+
+    const response = await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(response.status).toBe(200);
+    expect(sleep).toHaveBeenCalledWith(500);
+  });
+
+  it('returns the response when Retry-After exceeds the maximum delay', async () => {
+    const limited = new Response('{}', { status: 429, headers: { 'retry-after': '60' } });
+    const fakeFetch = createFakeFetch(limited);
+    const { resilientFetch, sleep, events } = createTestFetch(fakeFetch);
+
+    const response = await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(response.status).toBe(429);
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(events()).toContain('llm_retry_skipped');
+  });
+
+  it('retries network errors and rethrows the last one', async () => {
+    const fakeFetch = createFakeFetch(new TypeError('fetch failed'));
+    const { resilientFetch } = createTestFetch(fakeFetch);
+
+    await expect(resilientFetch(ANTHROPIC_URL, post)).rejects.toThrow('fetch failed');
+    expect(fakeFetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors or aborted requests', async () => {
+    const badRequest = createFakeFetch(400);
+    const { resilientFetch } = createTestFetch(badRequest);
+    expect((await resilientFetch(ANTHROPIC_URL, post)).status).toBe(400);
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const abortError = new DOMException('aborted', 'AbortError');
+    const aborted = createFakeFetch(abortError);
+    const { resilientFetch: abortingFetch } = createTestFetch(aborted);
+    await expect(abortingFetch(ANTHROPIC_URL, post)).rejects.toBe(abortError);
+    expect(aborted).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry requests with streamed bodies', async () => {
+    const fakeFetch = createFakeFetch(503);
+    const { resilientFetch } = createTestFetch(fakeFetch);
+
+    const response = await resilientFetch(ANTHROPIC_URL, {
+      method: 'POST',
+      body: new ReadableStream(),
+    });
+
+    expect(response.status).toBe(503);
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('replays Request bodies on every attempt', async () => {
+    const bodies: string[] = [];
+    const fakeFetch = vi.fn(async (input: string | URL | Request) => {
+      bodies.push(await (input as Request).text());
+      return new Response('{}', { status: bodies.length < 2 ? 502 : 200 });
+    });
+    const { resilientFetch } = createTestFetch(fakeFetch);
+
+    await resilientFetch(new Request(ANTHROPIC_URL, post));
+
+    expect(bodies).toEqual([post.body, post.body]);
+  });
+});
+
+describe('failover', () => {
+  const env = { ANTHROPIC_API_KEY: 'sk-ant-direct' };
+
+  it('sends the request directly to the provider after the gateway keeps failing', async () => {
+    const fakeFetch = createFakeFetch(502, 502, 200);
+    const { resilientFetch, events } = createTestFetch(fakeFetch, {
+      maxAttempts: 2,
+      failover: true,
+      env,
+    });
+    const context: { failover?: boolean } = {};
+
+    const response = await resilientFetch(
+      `${GATEWAY}/anthropic/v1/messages`,
+      { ...post, headers: { 'cf-aig-authorization': 'Bearer aig', 'x-api-key': 'gateway-key' } },
+      context,
+    );
+
+    expect(response.status).toBe(200);
+    expect(context.failover).toBe(true);
+    const [url, init] = fakeFetch.mock.calls[2];
+    expect(url).toBe(ANTHROPIC_URL);
+    const headers = new Headers(init?.headers);
+    expect(headers.get('x-api-key')).toBe('sk-ant-direct');
+    expect(headers.has('cf-aig-authorization')).toBe(false);
+    expect(init?.body).toBe(post.body);
+    expect(events()).toContain('llm_failover');
+  });
+
+  it('does not fail over unless enabled', async () => {
+    const fakeFetch = createFakeFetch(502);
+    const { resilientFetch } = createTestFetch(fakeFetch, { maxAttempts: 1, env });
+
+    const response = await resilientFetch(`${GATEWAY}/anthropic/v1/messages`, post);
+
+    expect(response.status).toBe(502);
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('maps gateway routes to direct provider URLs when a key is available', () => {
+    expect(
+      directRoute(`${GATEWAY}/google-ai-studio/models/gemini-2.5-flash:generateContent`, {
+        GEMINI_API_KEY: 'g-key',
+      }),
+    ).toEqual({
+      url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+      headers: { 'x-goog-api-key': 'g-key' },
+    });
+    expect(directRoute(`${GATEWAY}/openai/chat/completions`, { OPENAI_API_KEY: 'sk' })?.url).toBe(
+      'https://api.openai.com/v1/chat/completions',
+    );
+    expect(directRoute(`${GATEWAY}/anthropic/v1/messages`, {})).toBeNull();
+    expect(directRoute(ANTHROPIC_URL, env)).toBeNull();
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after repeated failures and fails fast in the provider format', async () => {
+    const fakeFetch = createFakeFetch(500);
+    const { resilientFetch, events } = createTestFetch(fakeFetch, {
+      maxAttempts: 1,
+      circuitThreshold: 2,
+      circuitCooldownMs: 10000,
+    });
+
+    await resilientFetch(ANTHROPIC_URL, post);
+    await resilientFetch(ANTHROPIC_URL, post);
+    const rejected = await resilientFetch(ANTHROPIC_URL, post, { format: 'anthropic' });
+
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+    expect(resilientFetch.circuitState('api.anthropic.com')).toBe('open');
+    expect(rejected.status).toBe(503);
+    expect(rejected.headers.get('retry-after')).toBe('10');
+    expect(await rejected.json()).toMatchObject({
+      type: 'error',
+      error: { type: 'overloaded_error' },
+    });
+    expect(events()).toEqual(['circuit_open', 'circuit_rejected']);
+  });
+
+  it('lets one trial request through after the cooldown and closes on success', async () => {
+    const fakeFetch = createFakeFetch(500, 200);
+    const { resilientFetch, advance, events } = createTestFetch(fakeFetch, {
+      maxAttempts: 1,
+      circuitThreshold: 1,
+      circuitCooldownMs: 5000,
+    });
+
+    await resilientFetch(ANTHROPIC_URL, post);
+    advance(5000);
+    const response = await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(response.status).toBe(200);
+    expect(resilientFetch.circuitState('api.anthropic.com')).toBe('closed');
+    expect(events()).toEqual(['circuit_open', 'circuit_half_open', 'circuit_closed']);
+  });
+
+  it('frees the trial slot when the half-open trial is aborted', async () => {
+    const abortError = new DOMException('aborted', 'AbortError');
+    const fakeFetch = createFakeFetch(500, abortError, 200);
+    const { resilientFetch, advance } = createTestFetch(fakeFetch, {
+      maxAttempts: 1,
+      circuitThreshold: 1,
+      circuitCooldownMs: 5000,
+    });
+
+    await resilientFetch(ANTHROPIC_URL, post);
+    advance(5000);
+    await expect(resilientFetch(ANTHROPIC_URL, post)).rejects.toBe(abortError);
+    const response = await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(fakeFetch).toHaveBeenCalledTimes(3);
+    expect(response.status).toBe(200);
+    expect(resilientFetch.circuitState('api.anthropic.com')).toBe('closed');
+  });
+
+  it('frees the trial slot when the half-open trial is rate limited', async () => {
+    const fakeFetch = createFakeFetch(500, 429, 200);
+    const { resilientFetch, advance } = createTestFetch(fakeFetch, {
+      maxAttempts: 1,
+      circuitThreshold: 1,
+      circuitCooldownMs: 5000,
+    });
+
+    await resilientFetch(ANTHROPIC_URL, post);
+    advance(5000);
+    expect((await resilientFetch(ANTHROPIC_URL, post)).status).toBe(429);
+    const response = await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(response.status).toBe(200);
+    expect(fakeFetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not count rate limiting towards the breaker', async () => {
+    const fakeFetch = createFakeFetch(429);
+    const { resilientFetch } = createTestFetch(fakeFetch, { maxAttempts: 1, circuitThreshold: 1 });
+
+    await resilientFetch(ANTHROPIC_URL, post);
+
+    expect(resilientFetch.circuitState('api.anthropic.com')).toBe('closed');
+  });
+
+  it('tracks AI Gateway providers separately', () => {
+    expect(upstreamKey(`${GATEWAY}/anthropic/v1/messages`)).toBe(
+      'gateway.ai.cloudflare.com/anthropic',
+    );
+    expect(upstreamKey(`${GATEWAY}/openai/chat/completions`)).toBe(
+      'gateway.ai.cloudflare.com/openai',
+    );
+    expect(upstreamKey(ANTHROPIC_URL)).toBe('api.anthropic.com');
+  });
+});
+
+describe('loadRetryOptions', () => {
+  it('uses defaults and parses overrides', () => {
+    expect(loadRetryOptions({})).toEqual({
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      failover: false,
+      circuitThreshold: 5,
+      circuitCooldownMs: 30000,
+    });
+    expect(
+      loadRetryOptions({
+        LLM_RETRY_MAX_ATTEMPTS: '0',
+        LLM_FAILOVER: 'true',
+        LLM_RETRY_BASE_DELAY_MS: 'x',
+      }),
+    ).toMatchObject({ maxAttempts: 1, failover: true, baseDelayMs: 1000 });
+  });
+});
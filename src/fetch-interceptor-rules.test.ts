@@ -0,0 +1,264 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_RULES,
+  compileRules,
+  createRoutedFetch,
+  loadRules,
+  mergeRules,
+  routeRequest,
+} from '../fetch-interceptor-rules.cjs';
+
+const GATEWAY = 'https://gateway.ai.cloudflare.com/v1/acct/gw';
+const BYOK_ENV = {
+  AI_GATEWAY_BASE_URL: `${GATEWAY}/google-ai-studio/`,
+  CF_AIG_AUTHORIZATION: 'Bearer aig-token',
+};
+const silent = () => {};
+
+function createFakeFetch() {
+  return vi.fn(async (_input: string | URL | Request, _init?: RequestInit) => new Response('ok'));
+}
+
+function sentRequest(fakeFetch: ReturnType<typeof createFakeFetch>) {
+  const [input, init] = fakeFetch.mock.calls[0];
+  const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+  const headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : {}));
+  return { url, headers };
+}
+
+function routedFetch(env: Record<string, string>, rules = compileRules(DEFAULT_RULES)) {
+  const fakeFetch = createFakeFetch();
+  const fetch = createRoutedFetch(fakeFetch, { rules, env, log: silent });
+  return { fetch, fakeFetch };
+}
+
+describe('default routing rules', () => {
+  it('redirects native Google API requests to the gateway with BYOK headers', async () => {
+    const { fetch, fakeFetch } = routedFetch(BYOK_ENV);
+
+    await fetch(
+      'https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash:generateContent?alt=sse',
+      { method: 'POST', headers: { 'x-goog-api-key': 'real-key' } },
+    );
+
+    const { url, headers } = sentRequest(fakeFetch);
+    expect(url).toBe(
+      `${GATEWAY}/google-ai-studio/v1beta/models/gemini-3-flash:generateContent?alt=sse`,
+    );
+    expect(headers.has('x-goog-api-key')).toBe(false);
+    expect(headers.get('cf-aig-authorization')).toBe('Bearer aig-token');
+  });
+
+  it('leaves Google requests alone when the gateway is not configured for Google', async () => {
+    const { fetch, fakeFetch } = routedFetch({});
+    const target = 'https://generativelanguage.googleapis.com/v1beta/models/gemini:generateContent';
+
+    await fetch(target, { headers: { 'x-goog-api-key': 'real-key' } });
+
+    expect(fakeFetch).toHaveBeenCalledWith(target, { headers: { 'x-goog-api-key': 'real-key' } });
+  });
+
+  it('sends native Google embedding requests directly with the real key', async () => {
+    const { fetch, fakeFetch } = routedFetch(BYOK_ENV);
+    const target =
+      'https://generativelanguage.googleapis.com/v1beta/models/gemini-embedding-001:batchEmbedContents';
+
+    await fetch(target, { method: 'POST', headers: { 'x-goog-api-key': 'real-key' } });
+
+    const { url, headers } = sentRequest(fakeFetch);
+    expect(url).toBe(target);
+    expect(headers.get('x-goog-api-key')).toBe('real-key');
+    expect(headers.has('cf-aig-authorization')).toBe(false);
+  });
+
+  it('redirects gateway embedding requests to Google and repairs the /v1beta prefix', async () => {
+    const { fetch, fakeFetch } = routedFetch(BYOK_ENV);
+
+    await fetch(`${GATEWAY}/google-ai-studio/models/gemini-embedding-001:embedContent`, {
+      method: 'POST',
+      headers: { 'x-goog-api-key': 'real-key' },
+    });
+
+    const { url, headers } = sentRequest(fakeFetch);
+    expect(url).toBe(
+      'https://generativelanguage.googleapis.com/v1beta/models/gemini-embedding-001:embedContent',
+    );
+    expect(headers.get('x-goog-api-key')).toBe('real-key');
+  });
+
+  it('keeps an existing version prefix on gateway embedding requests', () => {
+    const result = routeRequest(
+      { url: `${GATEWAY}/google-ai-studio/v1/models/text-embedding-004:embedContent` },
+      compileRules(DEFAULT_RULES),
+      BYOK_ENV,
+      silent,
+    );
+
+    expect(result.url).toBe(
+      'https://generativelanguage.googleapis.com/v1/models/text-embedding-004:embedContent',
+    );
+    expect(result.matched).toEqual(['gateway-embeddings-direct']);
+  });
+
+  it('strips Authorization for custom gateway providers in BYOK mode', async () => {
+    const { fetch, fakeFetch } = routedFetch(BYOK_ENV);
+
+    await fetch(
+      new Request(`${GATEWAY}/custom-kimi/v1/chat/completions`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer sk-provider' },
+      }),
+    );
+
+    const { url, headers } = sentRequest(fakeFetch);
+    expect(url).toBe(`${GATEWAY}/custom-kimi/v1/chat/completions`);
+    expect(headers.has('Authorization')).toBe(false);
+    expect(headers.get('cf-aig-authorization')).toBe('Bearer aig-token');
+  });
+
+  it('does not touch headers when BYOK is disabled', () => {
+    const result = routeRequest(
+      {
+        url: `${GATEWAY}/custom-kimi/v1/chat/completions`,
+        headers: { Authorization: 'Bearer sk-provider' },
+      },
+      compileRules(DEFAULT_RULES),
+      {},
+      silent,
+    );
+
+    expect(result.headersChanged).toBe(false);
+    expect(result.headers.get('Authorization')).toBe('Bearer sk-provider');
+  });
+
+  it('does not override an existing cf-aig-authorization header', () => {
+    const result = routeRequest(
+      {
+        url: `${GATEWAY}/google-ai-studio/v1beta/models/gemini:generateContent`,
+        headers: { 'cf-aig-authorization': 'Bearer other' },
+      },
+      compileRules(DEFAULT_RULES),
+      BYOK_ENV,
+      silent,
+    );
+
+    expect(result.headers.get('cf-aig-authorization')).toBe('Bearer other');
+  });
+
+  it('passes unrelated requests through unchanged', async () => {
+    const { fetch, fakeFetch } = routedFetch(BYOK_ENV);
+    const init = { headers: { Authorization: 'Bearer sk-ant' } };
+
+    await fetch('https://api.anthropic.com/v1/messages', init);
+
+    expect(fakeFetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages', init);
+  });
+});
+
+describe('custom routing rules', () => {
+  const mistralRule = {
+    name: 'mistral-via-gateway',
+    match: { host: 'api.mistral.ai', method: 'POST' },
+    actions: {
+      rewrite: { from: '^https://api\\.mistral\\.ai', to: '${MISTRAL_GATEWAY_URL}' },
+      setHeaders: { 'cf-aig-authorization': '${CF_AIG_AUTHORIZATION}' },
+      removeHeaders: ['Authorization'],
+    },
+  };
+
+  it('rewrites and injects headers for a new provider', async () => {
+    const rules = compileRules(mergeRules([mistralRule]));
+    const { fetch, fakeFetch } = routedFetch(
+      { ...BYOK_ENV, MISTRAL_GATEWAY_URL: `${GATEWAY}/mistral/` },
+      rules,
+    );
+
+    await fetch('https://api.mistral.ai/v1/chat/completions', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer mistral-key' },
+    });
+
+    const { url, headers } = sentRequest(fakeFetch);
+    expect(url).toBe(`${GATEWAY}/mistral/v1/chat/completions`);
+    expect(headers.has('Authorization')).toBe(false);
+    expect(headers.get('cf-aig-authorization')).toBe('Bearer aig-token');
+  });
+
+  it('skips rules that reference unset environment variables', () => {
+    const result = routeRequest(
+      { url: 'https://api.mistral.ai/v1/chat/completions', method: 'POST' },
+      compileRules([mistralRule]),
+      {},
+      silent,
+    );
+
+    expect(result.url).toBe('https://api.mistral.ai/v1/chat/completions');
+    expect(result.matched).toEqual([]);
+  });
+
+  it('only matches the configured methods', () => {
+    const result = routeRequest(
+      { url: 'https://api.mistral.ai/v1/models', method: 'GET' },
+      compileRules([mistralRule]),
+      { MISTRAL_GATEWAY_URL: `${GATEWAY}/mistral` },
+      silent,
+    );
+
+    expect(result.matched).toEqual([]);
+  });
+
+  it('lets custom rules disable or replace defaults by name', () => {
+    const disabled = compileRules(mergeRules([{ name: 'google-to-gateway', enabled: false }]));
+    const result = routeRequest(
+      { url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini:generateContent' },
+      disabled,
+      BYOK_ENV,
+      silent,
+    );
+
+    expect(result.url).toBe(
+      'https://generativelanguage.googleapis.com/v1beta/models/gemini:generateContent',
+    );
+    expect(disabled).toHaveLength(DEFAULT_RULES.length);
+    expect(compileRules(mergeRules([mistralRule], false))).toHaveLength(1);
+  });
+
+  it('stops at final rules', () => {
+    const rules = compileRules([
+      { name: 'first', match: { host: 'example.com' }, final: true },
+      { name: 'second', match: { host: 'example.com' } },
+    ]);
+
+    expect(routeRequest({ url: 'https://example.com/' }, rules, {}, silent).matched).toEqual([
+      'first',
+    ]);
+  });
+
+  it('rejects malformed rules with the rule name', () => {
+    expect(() => compileRules([{ name: 'broken', match: { path: '(' } }])).toThrow(
+      /Rule "broken": invalid path pattern/,
+    );
+    expect(() =>
+      compileRules([{ name: 'no-target', actions: { rewrite: { from: 'x' } as never } }]),
+    ).toThrow(/Rule "no-target": rewrite needs/);
+  });
+
+  it('loads inline JSON rules from FETCH_INTERCEPTOR_RULES', () => {
+    const rules = loadRules(
+      { FETCH_INTERCEPTOR_RULES: JSON.stringify({ rules: [mistralRule], includeDefaults: false }) },
+      silent,
+    );
+
+    expect(rules.map((rule) => rule.name)).toEqual(['mistral-via-gateway']);
+  });
+
+  it('falls back to the defaults when the custom rules are invalid', () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const rules = loadRules({ FETCH_INTERCEPTOR_RULES: '[{"match":{"path":"("}}]' }, silent);
+
+    expect(rules.map((rule) => rule.name)).toEqual(DEFAULT_RULES.map((rule) => rule.name));
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
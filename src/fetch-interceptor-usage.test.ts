@@ -0,0 +1,376 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  accountResponse,
+  computeCost,
+  createSseParser,
+  createUsageCollector,
+  detectLlmRequest,
+  findPrice,
+  includeStreamUsage,
+  readSummary,
+  updateSummary,
+  type LedgerEntry,
+  type Usage,
+} from '../fetch-interceptor-usage.cjs';
+
+const encoder = new TextEncoder();
+
+let dir: string | null = null;
+
+function tempFile() {
+  dir = mkdtempSync(join(tmpdir(), 'llm-usage-'));
+  return join(dir, 'summary.json');
+}
+
+afterEach(() => {
+  if (dir) rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+function entry(overrides: Partial<LedgerEntry> = {}): LedgerEntry {
+  return {
+    ts: '2026-03-01T12:00:00.000Z',
+    provider: 'anthropic',
+    model: 'claude-sonnet-4-5',
+    status: 200,
+    inputTokens: 100,
+    outputTokens: 50,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    costUsd: 0.001,
+    ...overrides,
+  };
+}
+
+describe('detectLlmRequest', () => {
+  it('recognizes direct provider endpoints', () => {
+    expect(detectLlmRequest('https://api.anthropic.com/v1/messages')).toEqual({
+      provider: 'anthropic',
+      format: 'anthropic',
+      via: 'direct',
+    });
+    expect(
+      detectLlmRequest(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:streamGenerateContent',
+      ),
+    ).toEqual({ provider: 'google', format: 'google', via: 'direct' });
+  });
+
+  it('takes the provider from an AI Gateway path', () => {
+    expect(
+      detectLlmRequest('https://gateway.ai.cloudflare.com/v1/acct/gw/openai/chat/completions'),
+    ).toEqual({ provider: 'openai', format: 'openai', via: 'gateway' });
+    expect(
+      detectLlmRequest(
+        'https://gateway.ai.cloudflare.com/v1/acct/gw/google-ai-studio/v1beta/models/gemini-2.5-flash:generateContent',
+      ),
+    ).toEqual({ provider: 'google', format: 'google', via: 'gateway' });
+  });
+
+  it('ignores other endpoints and invalid URLs', () => {
+    expect(detectLlmRequest('https://api.anthropic.com/v1/models')).toBeNull();
+    expect(detectLlmRequest('https://example.com/v1/chat/completions')).toBeNull();
+    expect(detectLlmRequest('not a url')).toBeNull();
+  });
+});
+
+describe('includeStreamUsage', () => {
+  const url = 'https://api.openai.com/v1/chat/completions';
+
+  it('asks OpenAI-compatible streams to report usage', () => {
+    const init = includeStreamUsage(url, 'openai', {
+      method: 'POST',
+      body: '{"model":"gpt-4o","stream":true}',
+    });
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body as string)).toEqual({
+      model: 'gpt-4o',
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+  });
+
+  it('leaves other requests alone', () => {
+    const streamed = { body: '{"stream":true}' };
+    const optedOut = { body: '{"stream":true,"stream_options":{"include_usage":false}}' };
+    const unstreamed = { body: '{"stream":false}' };
+    expect(includeStreamUsage(url, 'openai', optedOut)).toBe(optedOut);
+    expect(includeStreamUsage(url, 'openai', unstreamed)).toBe(unstreamed);
+    expect(includeStreamUsage(url, 'anthropic', streamed)).toBe(streamed);
+    expect(includeStreamUsage('https://api.openai.com/v1/responses', 'openai', streamed)).toBe(
+      streamed,
+    );
+    expect(includeStreamUsage(url, 'openai', undefined)).toBeUndefined();
+  });
+});
+
+describe('findPrice', () => {
+  it('uses the longest matching model prefix', () => {
+    expect(findPrice('claude-opus-4-5-20251101')).toEqual(
+      expect.objectContaining({ input: 5, output: 25 }),
+    );
+    expect(findPrice('claude-opus-4-1-20250805')).toEqual(
+      expect.objectContaining({ input: 15, output: 75 }),
+    );
+    expect(findPrice('gpt-4o-mini-2024-07-18')).toEqual(expect.objectContaining({ input: 0.15 }));
+  });
+
+  it('ignores provider prefixes and case', () => {
+    expect(findPrice('anthropic/Claude-Sonnet-4-5')).toEqual(
+      expect.objectContaining({ input: 3, output: 15 }),
+    );
+  });
+
+  it('returns null for unknown or missing models', () => {
+    expect(findPrice('some-local-model')).toBeNull();
+    expect(findPrice(null)).toBeNull();
+  });
+
+  it('prices cache tokens at the input price when not listed', () => {
+    const usage: Usage = {
+      model: 'x',
+      inputTokens: 1_000_000,
+      outputTokens: 1_000_000,
+      cacheReadTokens: 1_000_000,
+      cacheWriteTokens: 0,
+      found: true,
+    };
+    expect(computeCost(usage, { input: 2, output: 8 })).toBe(12);
+  });
+});
+
+describe('createSseParser', () => {
+  it('parses events split across chunks', () => {
+    const events: unknown[] = [];
+    const parser = createSseParser((obj) => events.push(obj));
+    parser.push(encoder.encode('event: message_start\ndata: {"type":"mess'));
+    parser.push(encoder.encode('age_start","n":1}\r\n\r\ndata: [DONE]\n'));
+    parser.push(encoder.encode(': keep-alive\ndata: {"n":2}'));
+    expect(events).toEqual([{ type: 'message_start', n: 1 }]);
+    parser.end();
+    expect(events).toEqual([{ type: 'message_start', n: 1 }, { n: 2 }]);
+  });
+
+  it('handles multi-byte characters split between chunks', () => {
+    const events: unknown[] = [];
+    const parser = createSseParser((obj) => events.push(obj));
+    const bytes = encoder.encode('data: {"text":"héllo"}\n');
+    parser.push(bytes.slice(0, 17));
+    parser.push(bytes.slice(17));
+    expect(events).toEqual([{ text: 'héllo' }]);
+  });
+});
+
+describe('createUsageCollector', () => {
+  it('combines Anthropic streaming events', () => {
+    const collector = createUsageCollector('anthropic');
+    collector.ingest({
+      type: 'message_start',
+      message: {
+        model: 'claude-sonnet-4-5',
+        usage: { input_tokens: 10, output_tokens: 1, cache_read_input_tokens: 5 },
+      },
+    });
+    collector.ingest({ type: 'message_delta', usage: { output_tokens: 42 } });
+    expect(collector.result()).toEqual({
+      model: 'claude-sonnet-4-5',
+      inputTokens: 10,
+      outputTokens: 42,
+      cacheReadTokens: 5,
+      cacheWriteTokens: 0,
+      found: true,
+    });
+  });
+
+  it('reads Google array-of-chunks streaming bodies', () => {
+    const collector = createUsageCollector('google');
+    collector.ingest([
+      { modelVersion: 'gemini-2.5-flash', usageMetadata: { promptTokenCount: 20 } },
+      null,
+      {
+        modelVersion: 'gemini-2.5-flash',
+        usageMetadata: {
+          promptTokenCount: 20,
+          cachedContentTokenCount: 5,
+          candidatesTokenCount: 30,
+          thoughtsTokenCount: 10,
+        },
+      },
+    ]);
+    expect(collector.result()).toEqual(
+      expect.objectContaining({
+        model: 'gemini-2.5-flash',
+        inputTokens: 15,
+        cacheReadTokens: 5,
+        outputTokens: 40,
+      }),
+    );
+  });
+
+  it('subtracts cached tokens from OpenAI prompt tokens', () => {
+    const collector = createUsageCollector('openai');
+    collector.ingest({
+      model: 'gpt-4o',
+      usage: {
+        prompt_tokens: 100,
+        completion_tokens: 20,
+        prompt_tokens_details: { cached_tokens: 40 },
+      },
+    });
+    expect(collector.result()).toEqual(
+      expect.objectContaining({ inputTokens: 60, cacheReadTokens: 40, outputTokens: 20 }),
+    );
+  });
+
+  it('reports no usage for bodies without it', () => {
+    const collector = createUsageCollector('openai');
+    collector.ingest({ error: { message: 'bad request' } });
+    expect(collector.result().found).toBe(false);
+  });
+});
+
+describe('accountResponse', () => {
+  it('passes SSE bodies through unchanged and reports usage at the end', async () => {
+    const sse =
+      'data: {"type":"message_start","message":{"model":"claude-haiku-4-5","usage":{"input_tokens":7}}}\n\n' +
+      'data: {"type":"message_delta","usage":{"output_tokens":3}}\n\n';
+    const onUsage = vi.fn();
+    const meta: { stream?: boolean } = {};
+    const response = accountResponse(
+      new Response(sse, { headers: { 'content-type': 'text/event-stream' } }),
+      'anthropic',
+      meta,
+      onUsage,
+    );
+
+    expect(await response.text()).toBe(sse);
+    expect(meta.stream).toBe(true);
+    expect(onUsage).toHaveBeenCalledOnce();
+    expect(onUsage.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ model: 'claude-haiku-4-5', inputTokens: 7, outputTokens: 3 }),
+    );
+  });
+
+  it('reports the usage seen so far when the reader cancels the stream', async () => {
+    const onUsage = vi.fn();
+    const upstream = new ReadableStream<Uint8Array>({
+      start(controller) {
+        controller.enqueue(
+          encoder.encode(
+            'data: {"type":"message_start","message":{"model":"claude-haiku-4-5","usage":{"input_tokens":7}}}\n\n',
+          ),
+        );
+        // No more events: the stream stays open until cancelled
+      },
+    });
+    const response = accountResponse(
+      new Response(upstream, { headers: { 'content-type': 'text/event-stream' } }),
+      'anthropic',
+      {},
+      onUsage,
+    );
+
+    const reader = response.body!.getReader();
+    await reader.read();
+    await reader.cancel();
+    await reader.cancel();
+
+    expect(onUsage).toHaveBeenCalledOnce();
+    expect(onUsage.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ model: 'claude-haiku-4-5', inputTokens: 7, found: true }),
+    );
+  });
+
+  it('reports the usage seen so far when the upstream stream fails', async () => {
+    const onUsage = vi.fn();
+    let source: ReadableStreamDefaultController<Uint8Array> | undefined;
+    const upstream = new ReadableStream<Uint8Array>({
+      start(controller) {
+        controller.enqueue(
+          encoder.encode('data: {"model":"gpt-4o","usage":{"prompt_tokens":12}}\n\n'),
+        );
+        source = controller;
+      },
+    });
+    const response = accountResponse(
+      new Response(upstream, { headers: { 'content-type': 'text/event-stream' } }),
+      'openai',
+      {},
+      onUsage,
+    );
+
+    const reader = response.body!.getReader();
+    await reader.read();
+    source!.error(new Error('socket hang up'));
+    await expect(reader.read()).rejects.toThrow('socket hang up');
+
+    expect(onUsage).toHaveBeenCalledOnce();
+    expect(onUsage.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ model: 'gpt-4o', inputTokens: 12 }),
+    );
+  });
+
+  it('parses JSON bodies from a clone', async () => {
+    const onUsage = vi.fn();
+    const body = JSON.stringify({
+      model: 'gpt-4o',
+      usage: { prompt_tokens: 9, completion_tokens: 1 },
+    });
+    const response = accountResponse(
+      new Response(body, { headers: { 'content-type': 'application/json' } }),
+      'openai',
+      {},
+      onUsage,
+    );
+
+    expect(await response.text()).toBe(body);
+    await vi.waitFor(() => expect(onUsage).toHaveBeenCalledOnce());
+    expect(onUsage.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ inputTokens: 9, outputTokens: 1 }),
+    );
+  });
+});
+
+describe('updateSummary', () => {
+  it('adds entries to the day and model totals', () => {
+    const file = tempFile();
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    updateSummary(file, entry(), now);
+    updateSummary(file, entry({ status: 500, model: null, costUsd: 0 }), now);
+
+    const day = readSummary(file).days['2026-03-01'];
+    expect(day).toEqual(
+      expect.objectContaining({ requests: 2, errors: 1, inputTokens: 200, costUsd: 0.001 }),
+    );
+    expect(Object.keys(day.models)).toEqual(['anthropic/claude-sonnet-4-5', 'anthropic/unknown']);
+  });
+
+  it('drops days past the retention period', () => {
+    const file = tempFile();
+    updateSummary(file, entry({ ts: '2025-11-01T00:00:00.000Z' }), Date.parse('2025-11-01'));
+    updateSummary(file, entry(), Date.parse('2026-03-01T12:00:00Z'));
+    expect(Object.keys(readSummary(file).days)).toEqual(['2026-03-01']);
+  });
+
+  it('releases its lock and breaks locks left by a crashed process', () => {
+    const file = tempFile();
+    writeFileSync(`${file}.lock`, '');
+    const stale = new Date(Date.now() - 60_000);
+    utimesSync(`${file}.lock`, stale, stale);
+
+    updateSummary(file, entry(), Date.parse('2026-03-01T12:00:00Z'));
+    expect(readSummary(file).days['2026-03-01'].requests).toBe(1);
+    expect(existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  it('starts fresh when the summary is missing', () => {
+    expect(readSummary(join(tmpdir(), 'missing-llm-summary.json'))).toEqual({
+      version: 1,
+      updatedAt: null,
+      days: {},
+    });
+  });
+});
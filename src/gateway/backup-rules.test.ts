@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { buildFilterFile, getBackupRules, parseBackupRules } from './backup-rules';
+import { createMockEnv, suppressConsole } from '../test-utils';
+
+describe('parseBackupRules', () => {
+  it('returns the defaults when unset', () => {
+    const rules = parseBackupRules(undefined);
+    expect(rules.openclaw.exclude).toEqual(['*.lock', '*.log', '*.tmp', '.git/**']);
+    expect(rules.workspace.exclude).toEqual(['.git/**', 'node_modules/**']);
+    expect(rules.skills).toEqual({ include: [], exclude: [] });
+  });
+
+  it('maps the config key to the openclaw area and keeps unmentioned defaults', () => {
+    const rules = parseBackupRules(
+      '{"config":{"include":["openclaw.json","agents/**"]},"workspace":{"exclude":[]}}',
+    );
+    expect(rules.openclaw).toEqual({
+      include: ['openclaw.json', 'agents/**'],
+      exclude: ['*.lock', '*.log', '*.tmp', '.git/**'],
+    });
+    expect(rules.workspace.exclude).toEqual([]);
+  });
+
+  it('rejects malformed rules', () => {
+    expect(() => parseBackupRules('nope')).toThrow('not valid JSON');
+    expect(() => parseBackupRules('[]')).toThrow('must be a JSON object');
+    expect(() => parseBackupRules('{"media":{}}')).toThrow('Unknown backup area "media"');
+    expect(() => parseBackupRules('{"skills":{"exclude":"*.zip"}}')).toThrow('skills.exclude');
+    expect(() => parseBackupRules('{"skills":{"include":["a\\n- **"]}}')).toThrow('single-line');
+  });
+});
+
+describe('getBackupRules', () => {
+  it('falls back to the defaults on invalid rules', () => {
+    suppressConsole();
+    const rules = getBackupRules(createMockEnv({ R2_BACKUP_RULES: '{"media":{}}' }));
+    expect(rules).toEqual(parseBackupRules(undefined));
+  });
+});
+
+describe('buildFilterFile', () => {
+  it('always keeps skills out of the workspace', () => {
+    expect(buildFilterFile('workspace', { include: [], exclude: ['*.mp4'] })).toBe(
+      '- skills/**\n- *.mp4\n',
+    );
+  });
+
+  it('excludes everything not included once includes are given', () => {
+    expect(buildFilterFile('openclaw', { include: ['openclaw.json'], exclude: ['*.lock'] })).toBe(
+      '- *.lock\n+ openclaw.json\n- **\n',
+    );
+  });
+});
@@ -0,0 +1,133 @@
+import type { MoltbotEnv } from '../types';
+
+/**
+ * Include/exclude rules for the areas backed up to R2.
+ *
+ * Rules come from R2_BACKUP_RULES, a JSON object keyed by area (`config`, `workspace`,
+ * `skills`), e.g. `{"workspace":{"exclude":["*.mp4"]},"config":{"include":["openclaw.json"]}}`.
+ * `exclude` replaces the area's default excludes; `include` limits the area to matching
+ * paths. Patterns use rclone filter syntax. ensureRcloneConfig writes one rclone filter file
+ * per area, which syncToR2, the snapshots and the sync loop in start-openclaw.sh all read
+ * with `--filter-from`.
+ */
+
+export const BACKUP_AREAS = ['openclaw', 'workspace', 'skills'] as const;
+export type BackupArea = (typeof BACKUP_AREAS)[number];
+
+export interface AreaRules {
+  include: string[];
+  exclude: string[];
+}
+
+export type BackupRules = Record<BackupArea, AreaRules>;
+
+export const FILTER_DIR = '/root/.config/rclone/filters';
+
+export const DEFAULT_BACKUP_RULES: BackupRules = {
+  openclaw: { include: [], exclude: ['*.lock', '*.log', '*.tmp', '.git/**'] },
+  workspace: { include: [], exclude: ['.git/**', 'node_modules/**'] },
+  skills: { include: [], exclude: [] },
+};
+
+// Skills are backed up as their own area, so the workspace never includes them
+const FIXED_EXCLUDES: Record<BackupArea, string[]> = {
+  openclaw: [],
+  workspace: ['skills/**'],
+  skills: [],
+};
+
+// Keys accepted in R2_BACKUP_RULES
+const RULE_KEYS: Record<string, BackupArea> = {
+  config: 'openclaw',
+  workspace: 'workspace',
+  skills: 'skills',
+};
+
+function patternList(value: unknown, field: string): string[] {
+  if (
+    !Array.isArray(value) ||
+    value.some(
+      (pattern) => typeof pattern !== 'string' || !pattern.trim() || /[\r\n]/.test(pattern),
+    )
+  ) {
+    throw new Error(`${field} must be an array of non-empty, single-line patterns`);
+  }
+  return value as string[];
+}
+
+/**
+ * Parse an R2_BACKUP_RULES value. Areas that are not mentioned keep their defaults.
+ */
+export function parseBackupRules(value: string | undefined): BackupRules {
+  const rules: BackupRules = {
+    openclaw: { ...DEFAULT_BACKUP_RULES.openclaw },
+    workspace: { ...DEFAULT_BACKUP_RULES.workspace },
+    skills: { ...DEFAULT_BACKUP_RULES.skills },
+  };
+  if (!value?.trim()) return rules;
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error('R2_BACKUP_RULES is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('R2_BACKUP_RULES must be a JSON object');
+  }
+
+  for (const [key, areaValue] of Object.entries(parsed)) {
+    const area = RULE_KEYS[key];
+    if (!area) {
+      throw new Error(`Unknown backup area "${key}" (use ${Object.keys(RULE_KEYS).join(', ')})`);
+    }
+    if (!areaValue || typeof areaValue !== 'object' || Array.isArray(areaValue)) {
+      throw new Error(`Rules for "${key}" must be an object`);
+    }
+    const { include, exclude } = areaValue as Record<string, unknown>;
+    if (include !== undefined) rules[area].include = patternList(include, `${key}.include`);
+    if (exclude !== undefined) rules[area].exclude = patternList(exclude, `${key}.exclude`);
+  }
+  return rules;
+}
+
+/**
+ * Backup rules from the environment, falling back to the defaults when R2_BACKUP_RULES is
+ * invalid so a typo never stops backups altogether.
+ */
+export function getBackupRules(env: MoltbotEnv): BackupRules {
+  try {
+    return parseBackupRules(env.R2_BACKUP_RULES);
+  } catch (error) {
+    console.error(
+      '[backup] Ignoring R2_BACKUP_RULES:',
+      error instanceof Error ? error.message : error,
+    );
+    return parseBackupRules(undefined);
+  }
+}
+
+/**
+ * Render an area's rules as an rclone filter file. rclone applies the first matching rule,
+ * so excludes come first and, when there are includes, everything else is excluded last.
+ */
+export function buildFilterFile(area: BackupArea, rules: AreaRules): string {
+  const lines = [
+    ...FIXED_EXCLUDES[area].map((pattern) => `- ${pattern}`),
+    ...rules.exclude.map((pattern) => `- ${pattern}`),
+    ...rules.include.map((pattern) => `+ ${pattern}`),
+  ];
+  if (rules.include.length > 0) lines.push('- **');
+  return `${lines.join('\n')}\n`;
+}
+
+export function filterFilePath(area: BackupArea): string {
+  return `${FILTER_DIR}/${area}.txt`;
+}
+
+/**
+ * rclone flag applying an area's filter file.
+ */
+export function filterFlag(area: BackupArea): string {
+  return `--filter-from ${filterFilePath(area)}`;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { approveDevice, listDevices } from './devices';
+import { createMockEnv, createMockProcess, createMockSandbox } from '../test-utils';
+
+describe('listDevices', () => {
+  it('parses the JSON from the CLI output', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockResolvedValue(
+      createMockProcess(
+        'Connecting...\n{"pending":[{"requestId":"req-1","platform":"ios"}],"paired":[{"deviceId":"d1"}]}',
+      ),
+    );
+
+    const result = await listDevices(sandbox, createMockEnv({ MOLTBOT_GATEWAY_TOKEN: 'secret' }));
+
+    expect(result.pending).toEqual([{ requestId: 'req-1', platform: 'ios' }]);
+    expect(result.paired).toEqual([{ deviceId: 'd1' }]);
+    expect(startProcessMock.mock.calls[0][0]).toBe(
+      'openclaw devices list --json --url ws://localhost:18789 --token secret',
+    );
+  });
+
+  it('returns the raw output when there is no JSON', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockResolvedValue(
+      createMockProcess('gateway not reachable', { stderr: 'ECONNREFUSED' }),
+    );
+
+    const result = await listDevices(sandbox, createMockEnv());
+
+    expect(result).toEqual({
+      pending: [],
+      paired: [],
+      raw: 'gateway not reachable',
+      stderr: 'ECONNREFUSED',
+    });
+  });
+
+  it('flags output that looks like JSON but does not parse', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockResolvedValue(createMockProcess('{"pending": [}'));
+
+    const result = await listDevices(sandbox, createMockEnv());
+
+    expect(result.parseError).toBe('Failed to parse CLI output');
+    expect(result.pending).toEqual([]);
+  });
+});
+
+describe('approveDevice', () => {
+  it('reports success from the CLI output', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockResolvedValue(createMockProcess('Approved req-1', { exitCode: 1 }));
+
+    const result = await approveDevice(sandbox, createMockEnv(), 'req-1');
+
+    expect(result).toEqual({ success: true, stdout: 'Approved req-1', stderr: '' });
+    expect(startProcessMock.mock.calls[0][0]).toMatch(/^openclaw devices approve req-1 --url /);
+  });
+
+  it('reports failure when the CLI exits non-zero', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockResolvedValue(
+      createMockProcess('', { exitCode: 1, stderr: 'unknown request' }),
+    );
+
+    const result = await approveDevice(sandbox, createMockEnv(), 'req-9');
+
+    expect(result.success).toBe(false);
+    expect(result.stderr).toBe('unknown request');
+  });
+});
@@ -0,0 +1,93 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+import type { MoltbotEnv } from '../types';
+import { MOLTBOT_PORT } from '../config';
+import { waitForProcess } from './utils';
+
+// CLI commands can take 10-15 seconds to complete due to WebSocket connection overhead
+export const CLI_TIMEOUT_MS = 20000;
+
+export interface PendingDevice {
+  requestId: string;
+  deviceId?: string;
+  displayName?: string;
+  platform?: string;
+  [key: string]: unknown;
+}
+
+export interface DeviceList {
+  pending: PendingDevice[];
+  paired: Record<string, unknown>[];
+  raw?: string;
+  stderr?: string;
+  parseError?: string;
+}
+
+export interface ApproveResult {
+  success: boolean;
+  stdout: string;
+  stderr: string;
+}
+
+// Must specify --url and --token (OpenClaw v2026.2.3 requires explicit credentials with --url)
+function connectionArgs(env: MoltbotEnv): string {
+  const token = env.MOLTBOT_GATEWAY_TOKEN;
+  return ` --url ws://localhost:${MOLTBOT_PORT}${token ? ` --token ${token}` : ''}`;
+}
+
+/**
+ * List pending pairing requests and paired devices with the OpenClaw CLI.
+ * The gateway must be running. When the output has no parseable JSON, the lists are empty
+ * and the raw output is returned for debugging.
+ */
+export async function listDevices(sandbox: Sandbox, env: MoltbotEnv): Promise<DeviceList> {
+  const proc = await sandbox.startProcess(`openclaw devices list --json${connectionArgs(env)}`);
+  await waitForProcess(proc, CLI_TIMEOUT_MS);
+
+  const logs = await proc.getLogs();
+  const stdout = logs.stdout || '';
+  const stderr = logs.stderr || '';
+
+  // Find JSON in output (may have other log lines)
+  const jsonMatch = stdout.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { pending: [], paired: [], raw: stdout, stderr };
+  }
+  try {
+    const data = JSON.parse(jsonMatch[0]);
+    return {
+      ...data,
+      pending: Array.isArray(data.pending) ? data.pending : [],
+      paired: Array.isArray(data.paired) ? data.paired : [],
+    };
+  } catch {
+    return {
+      pending: [],
+      paired: [],
+      raw: stdout,
+      stderr,
+      parseError: 'Failed to parse CLI output',
+    };
+  }
+}
+
+/**
+ * Approve a pending pairing request with the OpenClaw CLI.
+ */
+export async function approveDevice(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  requestId: string,
+): Promise<ApproveResult> {
+  const proc = await sandbox.startProcess(
+    `openclaw devices approve ${requestId}${connectionArgs(env)}`,
+  );
+  await waitForProcess(proc, CLI_TIMEOUT_MS);
+
+  const logs = await proc.getLogs();
+  const stdout = logs.stdout || '';
+  const stderr = logs.stderr || '';
+
+  // Check for success indicators (case-insensitive, CLI outputs "Approved ...")
+  const success = stdout.toLowerCase().includes('approved') || proc.exitCode === 0;
+  return { success, stdout, stderr };
+}
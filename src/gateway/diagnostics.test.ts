@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  listProcessSummaries,
+  readContainerConfig,
+  redactCommand,
+  redactConfig,
+  tailLog,
+} from './diagnostics';
+import { createMockExecResult, createMockSandbox } from '../test-utils';
+
+describe('redactConfig', () => {
+  it('redacts string values under secret-looking keys, at any depth', () => {
+    const config = {
+      gateway: { port: 18789, auth: { token: 'abc' } },
+      channels: { telegram: { botToken: '123:xyz', dmPolicy: 'pairing' } },
+      models: { providers: { openai: { apiKey: 'sk-1', baseUrl: 'https://x' } } },
+      env: { OPENAI_API_KEY: 'sk-2' },
+    };
+    expect(redactConfig(config)).toEqual({
+      gateway: { port: 18789, auth: { token: '[REDACTED]' } },
+      channels: { telegram: { botToken: '[REDACTED]', dmPolicy: 'pairing' } },
+      models: { providers: { openai: { apiKey: '[REDACTED]', baseUrl: 'https://x' } } },
+      env: { OPENAI_API_KEY: '[REDACTED]' },
+    });
+  });
+
+  it('redacts everything below a secret key and keeps empty strings visible', () => {
+    expect(redactConfig({ credentials: { list: ['a', 'b'], user: 'me' }, password: '' })).toEqual({
+      credentials: { list: ['[REDACTED]', '[REDACTED]'], user: '[REDACTED]' },
+      password: '',
+    });
+  });
+});
+
+describe('redactCommand', () => {
+  it('redacts secret flag values', () => {
+    expect(redactCommand('openclaw devices list --token abc --json')).toBe(
+      'openclaw devices list --token [REDACTED] --json',
+    );
+    expect(redactCommand('tool --api-key=sk-1')).toBe('tool --api-key=[REDACTED]');
+  });
+});
+
+describe('listProcessSummaries', () => {
+  it('sorts running processes first, newest first, and flags the gateway', async () => {
+    const { sandbox } = createMockSandbox({
+      processes: [
+        {
+          id: 'old',
+          command: 'openclaw devices list --token abc',
+          status: 'completed',
+          startTime: new Date('2026-01-01T00:00:00Z'),
+          exitCode: 0,
+        },
+        {
+          id: 'new',
+          command: 'ls',
+          status: 'failed',
+          startTime: new Date('2026-01-02T00:00:00Z'),
+          exitCode: 1,
+        },
+        {
+          id: 'gw',
+          command: '/usr/local/bin/start-openclaw.sh',
+          status: 'running',
+          startTime: new Date('2025-12-31T00:00:00Z'),
+        },
+      ],
+    });
+
+    const summaries = await listProcessSummaries(sandbox);
+
+    expect(summaries.map((p) => p.id)).toEqual(['gw', 'old', 'new']);
+    expect(summaries[0].gateway).toBe(true);
+    expect(summaries[1].gateway).toBe(false);
+    expect(summaries[1].command).toBe('openclaw devices list --token [REDACTED]');
+    expect(summaries[2].startTime).toBe('2026-01-02T00:00:00.000Z');
+  });
+});
+
+describe('tailLog', () => {
+  it('returns short logs unchanged', () => {
+    expect(tailLog('a\nb\n', 100)).toBe('a\nb\n');
+  });
+
+  it('cuts long logs at a line boundary', () => {
+    expect(tailLog('first line\nsecond\nthird\n', 10)).toBe('third\n');
+  });
+});
+
+describe('readContainerConfig', () => {
+  it('returns the redacted config', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('openclaw'))
+      .mockResolvedValueOnce(createMockExecResult('{"gateway":{"auth":{"token":"abc"}}}'));
+
+    const result = await readContainerConfig(sandbox);
+
+    expect(execMock.mock.calls[1][0]).toBe('cat /root/.openclaw/openclaw.json');
+    expect(result).toEqual({
+      path: '/root/.openclaw/openclaw.json',
+      config: { gateway: { auth: { token: '[REDACTED]' } } },
+    });
+  });
+
+  it('never returns an unparseable file', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('clawdbot'))
+      .mockResolvedValueOnce(createMockExecResult('{"token": "abc",'));
+
+    const result = await readContainerConfig(sandbox);
+
+    expect(result.path).toBe('/root/.clawdbot/clawdbot.json');
+    expect(result.config).toBeNull();
+    expect(result.error).toBe('Config is not valid JSON');
+    expect(JSON.stringify(result)).not.toContain('abc');
+  });
+
+  it('reports a missing config', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock.mockResolvedValueOnce(createMockExecResult('none'));
+
+    const result = await readContainerConfig(sandbox);
+
+    expect(result.path).toBeNull();
+    expect(result.error).toBe('No config file found in the container');
+  });
+});
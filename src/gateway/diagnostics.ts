@@ -0,0 +1,118 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+import { isGatewayCommand } from './process';
+import { detectConfigDir } from './sync';
+
+/**
+ * Container diagnostics for the admin UI: the process table, log tails and the effective
+ * OpenClaw config, with secrets redacted. The /debug routes expose the same data raw.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+/** Bytes of each log stream sent before live tailing starts */
+export const LOG_TAIL_BYTES = 64 * 1024;
+
+// Config keys whose string values are secrets (botToken, apiKey, password, ...)
+const SECRET_KEY_PATTERN =
+  /(^key$|token|secret|password|passwd|api[-_]?key|private[-_]?key|credential|authorization|cookie)/i;
+
+// CLI flags followed by a secret value, e.g. `openclaw devices list --token abc`
+const SECRET_FLAG_PATTERN = /(--(?:token|password|secret|api-key)(?:=|\s+))(\S+)/gi;
+
+export interface ProcessSummary {
+  id: string;
+  command: string;
+  status: string;
+  startTime?: string;
+  endTime?: string;
+  exitCode?: number;
+  gateway: boolean;
+}
+
+export interface ContainerConfig {
+  path: string | null;
+  config: unknown;
+  error?: string;
+}
+
+export function redactCommand(command: string): string {
+  return command.replace(SECRET_FLAG_PATTERN, `$1${REDACTED}`);
+}
+
+/**
+ * Copy of a parsed JSON value with the string values of secret-looking keys replaced.
+ */
+export function redactConfig(value: unknown, secret = false): unknown {
+  if (Array.isArray(value)) return value.map((item) => redactConfig(item, secret));
+  if (value && typeof value === 'object') {
+    const redacted: Record<string, unknown> = {};
+    for (const [key, child] of Object.entries(value)) {
+      redacted[key] = redactConfig(child, secret || SECRET_KEY_PATTERN.test(key));
+    }
+    return redacted;
+  }
+  if (secret && typeof value === 'string' && value !== '') return REDACTED;
+  return value;
+}
+
+const STATUS_ORDER: Record<string, number> = {
+  running: 0,
+  starting: 1,
+  completed: 2,
+  failed: 3,
+};
+
+/**
+ * All sandbox processes, running first and newest first within a status.
+ */
+export async function listProcessSummaries(sandbox: Sandbox): Promise<ProcessSummary[]> {
+  const processes = await sandbox.listProcesses();
+  const summaries: ProcessSummary[] = processes.map((p) => ({
+    id: p.id,
+    command: redactCommand(p.command),
+    status: p.status,
+    startTime: p.startTime?.toISOString(),
+    endTime: p.endTime?.toISOString(),
+    exitCode: p.exitCode ?? undefined,
+    gateway: isGatewayCommand(p.command),
+  }));
+  summaries.sort((a, b) => {
+    const byStatus = (STATUS_ORDER[a.status] ?? 99) - (STATUS_ORDER[b.status] ?? 99);
+    if (byStatus !== 0) return byStatus;
+    return (b.startTime || '').localeCompare(a.startTime || '');
+  });
+  return summaries;
+}
+
+/**
+ * The last `bytes` of a log, cut at a line boundary.
+ */
+export function tailLog(log: string, bytes: number = LOG_TAIL_BYTES): string {
+  if (log.length <= bytes) return log;
+  const tail = log.slice(-bytes);
+  const newline = tail.indexOf('\n');
+  return newline === -1 ? tail : tail.slice(newline + 1);
+}
+
+/**
+ * Read the effective OpenClaw config from the container, with secrets redacted.
+ */
+export async function readContainerConfig(sandbox: Sandbox): Promise<ContainerConfig> {
+  const configDir = await detectConfigDir(sandbox);
+  if (!configDir) {
+    return { path: null, config: null, error: 'No config file found in the container' };
+  }
+
+  const path = `${configDir}/${configDir.endsWith('.clawdbot') ? 'clawdbot' : 'openclaw'}.json`;
+  const result = await sandbox.exec(`cat ${path}`);
+  if (!result.success) {
+    return { path, config: null, error: result.stderr?.trim() || 'Failed to read config' };
+  }
+
+  try {
+    return { path, config: redactConfig(JSON.parse(result.stdout)) };
+  } catch {
+    // Never return the raw file: it is the one place secrets are not redacted
+    return { path, config: null, error: 'Config is not valid JSON' };
+  }
+}
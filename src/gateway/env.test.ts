@@ -144,6 +144,91 @@ describe('buildEnvVars', () => {
     expect(result.CF_ACCOUNT_ID).toBe('acct-123');
   });
 
+  it('passes CDP_TOKEN to container instead of CDP_SECRET', () => {
+    const env = createMockEnv({ CDP_SECRET: 'shared-secret', CDP_TOKEN: 'cdp1.payload.sig' });
+    const result = buildEnvVars(env);
+    expect(result.CDP_TOKEN).toBe('cdp1.payload.sig');
+    expect(result.CDP_SECRET).toBeUndefined();
+  });
+
+  it('passes CDP_SECRET to container when no CDP_TOKEN is set', () => {
+    const env = createMockEnv({ CDP_SECRET: 'shared-secret' });
+    const result = buildEnvVars(env);
+    expect(result.CDP_SECRET).toBe('shared-secret');
+  });
+
+  it('passes FETCH_INTERCEPTOR_RULES to container', () => {
+    const rules = '[{"name":"example","match":{"host":"api.mistral.ai"}}]';
+    const env = createMockEnv({ FETCH_INTERCEPTOR_RULES: rules });
+    const result = buildEnvVars(env);
+    expect(result.FETCH_INTERCEPTOR_RULES).toBe(rules);
+  });
+
+  it('passes LLM budget caps to container', () => {
+    const env = createMockEnv({
+      LLM_BUDGET_DAILY_USD: '5',
+      LLM_BUDGET_MONTHLY_USD: '100',
+      LLM_BUDGET_DAILY_TOKENS: '2000000',
+      LLM_BUDGET_MONTHLY_TOKENS: '50000000',
+      LLM_BUDGET_PROVIDERS: '{"anthropic":{"dailyUsd":3}}',
+      LLM_BUDGET_WARN_PERCENT: '90',
+    });
+    const result = buildEnvVars(env);
+
+    expect(result.LLM_BUDGET_DAILY_USD).toBe('5');
+    expect(result.LLM_BUDGET_MONTHLY_USD).toBe('100');
+    expect(result.LLM_BUDGET_DAILY_TOKENS).toBe('2000000');
+    expect(result.LLM_BUDGET_MONTHLY_TOKENS).toBe('50000000');
+    expect(result.LLM_BUDGET_PROVIDERS).toBe('{"anthropic":{"dailyUsd":3}}');
+    expect(result.LLM_BUDGET_WARN_PERCENT).toBe('90');
+  });
+
+  it('passes LLM retry and failover settings to container', () => {
+    const env = createMockEnv({
+      LLM_RETRY_MAX_ATTEMPTS: '4',
+      LLM_RETRY_BASE_DELAY_MS: '500',
+      LLM_RETRY_MAX_DELAY_MS: '20000',
+      LLM_FAILOVER: 'true',
+      LLM_CIRCUIT_THRESHOLD: '3',
+      LLM_CIRCUIT_COOLDOWN_MS: '60000',
+    });
+    const result = buildEnvVars(env);
+
+    expect(result.LLM_RETRY_MAX_ATTEMPTS).toBe('4');
+    expect(result.LLM_RETRY_BASE_DELAY_MS).toBe('500');
+    expect(result.LLM_RETRY_MAX_DELAY_MS).toBe('20000');
+    expect(result.LLM_FAILOVER).toBe('true');
+    expect(result.LLM_CIRCUIT_THRESHOLD).toBe('3');
+    expect(result.LLM_CIRCUIT_COOLDOWN_MS).toBe('60000');
+  });
+
+  it('passes LLM traffic capture settings to container', () => {
+    const env = createMockEnv({
+      LLM_CAPTURE: 'true',
+      LLM_CAPTURE_MAX_BYTES: '1048576',
+      LLM_CAPTURE_BODY_LIMIT: '1024',
+    });
+    const result = buildEnvVars(env);
+
+    expect(result.LLM_CAPTURE).toBe('true');
+    expect(result.LLM_CAPTURE_MAX_BYTES).toBe('1048576');
+    expect(result.LLM_CAPTURE_BODY_LIMIT).toBe('1024');
+  });
+
+  it('passes snapshot settings to container', () => {
+    const env = createMockEnv({ SNAPSHOT_INTERVAL_HOURS: '12', SNAPSHOT_RETENTION: '30' });
+    const result = buildEnvVars(env);
+    expect(result.SNAPSHOT_INTERVAL_HOURS).toBe('12');
+    expect(result.SNAPSHOT_RETENTION).toBe('30');
+  });
+
+  it('flags encrypted backups without passing the key to container', () => {
+    const env = createMockEnv({ R2_BACKUP_ENCRYPTION_KEY: 'correct horse battery staple' });
+    const result = buildEnvVars(env);
+    expect(result.R2_BACKUP_ENCRYPTED).toBe('true');
+    expect(Object.values(result)).not.toContain('correct horse battery staple');
+  });
+
   it('combines all env vars correctly', () => {
     const env = createMockEnv({
       ANTHROPIC_API_KEY: 'sk-key',
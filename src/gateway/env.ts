@@ -47,7 +47,9 @@ export function buildEnvVars(env: MoltbotEnv): Record<string, string> {
   if (env.SLACK_APP_TOKEN) envVars.SLACK_APP_TOKEN = env.SLACK_APP_TOKEN;
   if (env.CF_AI_GATEWAY_MODEL) envVars.CF_AI_GATEWAY_MODEL = env.CF_AI_GATEWAY_MODEL;
   if (env.CF_ACCOUNT_ID) envVars.CF_ACCOUNT_ID = env.CF_ACCOUNT_ID;
-  if (env.CDP_SECRET) envVars.CDP_SECRET = env.CDP_SECRET;
+  // A scoped token keeps the unrestricted secret out of the container
+  if (env.CDP_TOKEN) envVars.CDP_TOKEN = env.CDP_TOKEN;
+  else if (env.CDP_SECRET) envVars.CDP_SECRET = env.CDP_SECRET;
   if (env.WORKER_URL) envVars.WORKER_URL = env.WORKER_URL;
 
   // Google AI Studio / BYOK
@@ -68,10 +70,40 @@ export function buildEnvVars(env: MoltbotEnv): Record<string, string> {
   // Telegram extras
   if (env.TELEGRAM_DM_ALLOW_FROM) envVars.TELEGRAM_DM_ALLOW_FROM = env.TELEGRAM_DM_ALLOW_FROM;
 
+  // Custom routing rules for fetch-cost-interceptor.cjs
+  if (env.FETCH_INTERCEPTOR_RULES) envVars.FETCH_INTERCEPTOR_RULES = env.FETCH_INTERCEPTOR_RULES;
+
+  // LLM budget caps (enforced by fetch-cost-interceptor.cjs)
+  if (env.LLM_BUDGET_DAILY_USD) envVars.LLM_BUDGET_DAILY_USD = env.LLM_BUDGET_DAILY_USD;
+  if (env.LLM_BUDGET_MONTHLY_USD) envVars.LLM_BUDGET_MONTHLY_USD = env.LLM_BUDGET_MONTHLY_USD;
+  if (env.LLM_BUDGET_DAILY_TOKENS) envVars.LLM_BUDGET_DAILY_TOKENS = env.LLM_BUDGET_DAILY_TOKENS;
+  if (env.LLM_BUDGET_MONTHLY_TOKENS) {
+    envVars.LLM_BUDGET_MONTHLY_TOKENS = env.LLM_BUDGET_MONTHLY_TOKENS;
+  }
+  if (env.LLM_BUDGET_PROVIDERS) envVars.LLM_BUDGET_PROVIDERS = env.LLM_BUDGET_PROVIDERS;
+  if (env.LLM_BUDGET_WARN_PERCENT) envVars.LLM_BUDGET_WARN_PERCENT = env.LLM_BUDGET_WARN_PERCENT;
+
+  // LLM retries, failover and circuit breaking (fetch-cost-interceptor.cjs)
+  if (env.LLM_RETRY_MAX_ATTEMPTS) envVars.LLM_RETRY_MAX_ATTEMPTS = env.LLM_RETRY_MAX_ATTEMPTS;
+  if (env.LLM_RETRY_BASE_DELAY_MS) envVars.LLM_RETRY_BASE_DELAY_MS = env.LLM_RETRY_BASE_DELAY_MS;
+  if (env.LLM_RETRY_MAX_DELAY_MS) envVars.LLM_RETRY_MAX_DELAY_MS = env.LLM_RETRY_MAX_DELAY_MS;
+  if (env.LLM_FAILOVER) envVars.LLM_FAILOVER = env.LLM_FAILOVER;
+  if (env.LLM_CIRCUIT_THRESHOLD) envVars.LLM_CIRCUIT_THRESHOLD = env.LLM_CIRCUIT_THRESHOLD;
+  if (env.LLM_CIRCUIT_COOLDOWN_MS) envVars.LLM_CIRCUIT_COOLDOWN_MS = env.LLM_CIRCUIT_COOLDOWN_MS;
+
+  // Redacted LLM traffic capture (fetch-cost-interceptor.cjs)
+  if (env.LLM_CAPTURE) envVars.LLM_CAPTURE = env.LLM_CAPTURE;
+  if (env.LLM_CAPTURE_MAX_BYTES) envVars.LLM_CAPTURE_MAX_BYTES = env.LLM_CAPTURE_MAX_BYTES;
+  if (env.LLM_CAPTURE_BODY_LIMIT) envVars.LLM_CAPTURE_BODY_LIMIT = env.LLM_CAPTURE_BODY_LIMIT;
+
   // R2 persistence credentials (used by rclone in start-openclaw.sh)
   if (env.R2_ACCESS_KEY_ID) envVars.R2_ACCESS_KEY_ID = env.R2_ACCESS_KEY_ID;
   if (env.R2_SECRET_ACCESS_KEY) envVars.R2_SECRET_ACCESS_KEY = env.R2_SECRET_ACCESS_KEY;
   if (env.R2_BUCKET_NAME) envVars.R2_BUCKET_NAME = env.R2_BUCKET_NAME;
+  // Only the fact that backups are encrypted; the key stays in the Worker (see ensureRcloneConfig)
+  if (env.R2_BACKUP_ENCRYPTION_KEY) envVars.R2_BACKUP_ENCRYPTED = 'true';
+  if (env.SNAPSHOT_INTERVAL_HOURS) envVars.SNAPSHOT_INTERVAL_HOURS = env.SNAPSHOT_INTERVAL_HOURS;
+  if (env.SNAPSHOT_RETENTION) envVars.SNAPSHOT_RETENTION = env.SNAPSHOT_RETENTION;
 
   return envVars;
 }
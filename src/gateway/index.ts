@@ -1,4 +1,34 @@
-export { ensureMoltbotGateway, findExistingMoltbotProcess } from './process';
+export { ensureMoltbotGateway, findExistingMoltbotProcess, isGatewayCommand } from './process';
+export {
+  listProcessSummaries,
+  readContainerConfig,
+  redactConfig,
+  redactCommand,
+  tailLog,
+} from './diagnostics';
+export type { ContainerConfig, ProcessSummary } from './diagnostics';
 export { waitForProcess } from './utils';
+export { approveDevice, listDevices } from './devices';
+export type { DeviceList, PendingDevice } from './devices';
 export { ensureRcloneConfig } from './r2';
 export { syncToR2 } from './sync';
+export {
+  getSyncStatus,
+  readSyncHistory,
+  runRecordedSync,
+  runScheduledMaintenance,
+} from './maintenance';
+export type { SyncRecord } from './maintenance';
+export {
+  createSnapshot,
+  diffSnapshot,
+  getSnapshotRetention,
+  isSnapshotArea,
+  isValidSnapshotId,
+  listSnapshots,
+  pruneSnapshots,
+  restoreSnapshot,
+} from './snapshots';
+export type { SnapshotArea, SnapshotManifest } from './snapshots';
+export { getUsageReport } from './usage';
+export { readLlmTraffic } from './llm-traffic';
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { readLlmTraffic, LLM_TRAFFIC_FILE } from './llm-traffic';
+import { createMockExecResult, createMockSandbox } from '../test-utils';
+
+describe('readLlmTraffic', () => {
+  it('reads a page of entries newest first from both capture files', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock.mockResolvedValueOnce(
+      createMockExecResult(
+        '42\n{"ts":"2026-02-10T12:00:02Z","status":200}\n{"ts":"2026-02-10T12:00:01Z","status":404}\n',
+      ),
+    );
+
+    const page = await readLlmTraffic(sandbox, 10, 2);
+
+    const command = execMock.mock.calls[0][0] as string;
+    expect(command).toContain(`${LLM_TRAFFIC_FILE}.1 ${LLM_TRAFFIC_FILE}`);
+    expect(command).toContain('tac');
+    expect(command).toContain("sed -n '11,12p'");
+    expect(page).toEqual({
+      total: 42,
+      offset: 10,
+      limit: 2,
+      entries: [
+        { ts: '2026-02-10T12:00:02Z', status: 200 },
+        { ts: '2026-02-10T12:00:01Z', status: 404 },
+      ],
+    });
+  });
+
+  it('returns an empty page when nothing has been captured', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock.mockResolvedValueOnce(createMockExecResult('0\n'));
+
+    const page = await readLlmTraffic(sandbox, 0, 20);
+
+    expect(page.total).toBe(0);
+    expect(page.entries).toEqual([]);
+  });
+
+  it('skips partially written lines', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock.mockResolvedValueOnce(createMockExecResult('2\n{"ts":"a"\n{"ts":"b"}\n'));
+
+    const page = await readLlmTraffic(sandbox, 0, 20);
+
+    expect(page.entries).toEqual([{ ts: 'b' }]);
+  });
+});
@@ -0,0 +1,46 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+
+/**
+ * Capture file written by fetch-cost-interceptor.cjs when LLM_CAPTURE=true.
+ * When it fills up it is rotated to `${LLM_TRAFFIC_FILE}.1`.
+ */
+export const LLM_TRAFFIC_FILE = '/tmp/llm-traffic.jsonl';
+
+export interface LlmTrafficPage {
+  total: number;
+  offset: number;
+  limit: number;
+  entries: Record<string, unknown>[];
+}
+
+/**
+ * Read a page of captured LLM exchanges, newest first.
+ * Entries are already redacted by the interceptor before they are written.
+ */
+export async function readLlmTraffic(
+  sandbox: Sandbox,
+  offset: number,
+  limit: number,
+): Promise<LlmTrafficPage> {
+  const files = `${LLM_TRAFFIC_FILE}.1 ${LLM_TRAFFIC_FILE}`;
+  const first = offset + 1;
+  const last = offset + limit;
+  // First line of output is the total count, then the requested page (newest first)
+  const result = await sandbox.exec(
+    `cat ${files} 2>/dev/null | wc -l; cat ${files} 2>/dev/null | tac | sed -n '${first},${last}p'`,
+  );
+
+  const lines = (result.stdout || '').split('\n');
+  const total = parseInt(lines.shift() || '0', 10) || 0;
+  const entries: Record<string, unknown>[] = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line) as Record<string, unknown>);
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  return { total, offset, limit, entries };
+}
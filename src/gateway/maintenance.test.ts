@@ -0,0 +1,282 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Process } from '@cloudflare/sandbox';
+import {
+  checkGateway,
+  getSyncStatus,
+  MAX_SYNC_HISTORY,
+  readSyncHistory,
+  recordSync,
+  runRecordedSync,
+  runScheduledMaintenance,
+  SYNC_HISTORY_PREFIX,
+  type SyncRecord,
+} from './maintenance';
+import { listAudit } from '../audit';
+import {
+  createMockBucket,
+  createMockEnv,
+  createMockEnvWithR2,
+  createMockExecResult,
+  createMockProcess,
+  createMockSandbox,
+  suppressConsole,
+} from '../test-utils';
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+
+function record(overrides: Partial<SyncRecord> = {}): SyncRecord {
+  return {
+    startedAt: '2026-03-01T11:55:00.000Z',
+    trigger: 'scheduled',
+    success: true,
+    durationMs: 1200,
+    ...overrides,
+  };
+}
+
+function gatewayProcess(overrides: Partial<Process> = {}): Process {
+  return {
+    id: 'gw-1',
+    command: '/usr/local/bin/start-openclaw.sh',
+    status: 'running',
+    waitForPort: vi.fn().mockResolvedValue(undefined),
+    kill: vi.fn().mockResolvedValue(undefined),
+    getLogs: vi.fn().mockResolvedValue({ stdout: '', stderr: '' }),
+    ...overrides,
+  } as unknown as Process;
+}
+
+describe('sync history', () => {
+  it('records runs newest first and caps the history', async () => {
+    const { bucket, objects } = createMockBucket();
+    for (let i = 0; i < MAX_SYNC_HISTORY + 5; i++) {
+      const startedAt = new Date(NOW.getTime() + i * 1000).toISOString();
+      // eslint-disable-next-line no-await-in-loop -- each write trims the history
+      await recordSync(bucket, record({ startedAt, durationMs: i }));
+    }
+
+    const history = await readSyncHistory(bucket);
+    expect(history).toHaveLength(MAX_SYNC_HISTORY);
+    expect(history[0].durationMs).toBe(MAX_SYNC_HISTORY + 4);
+    expect(objects.size).toBe(MAX_SYNC_HISTORY);
+  });
+
+  it('keeps both records when two runs are recorded at once', async () => {
+    const { bucket } = createMockBucket();
+    await Promise.all([
+      recordSync(bucket, record({ trigger: 'scheduled' })),
+      recordSync(bucket, record({ trigger: 'manual' })),
+    ]);
+
+    const triggers = (await readSyncHistory(bucket)).map((r) => r.trigger);
+    triggers.sort();
+    expect(triggers).toEqual(['manual', 'scheduled']);
+  });
+
+  it('skips unreadable records', async () => {
+    const { bucket, objects } = createMockBucket();
+    await recordSync(bucket, record());
+    objects.set(`${SYNC_HISTORY_PREFIX}0000000000000-broken.json`, {
+      body: 'not json',
+      uploaded: NOW,
+    });
+    suppressConsole();
+
+    expect(await readSyncHistory(bucket)).toEqual([record()]);
+  });
+});
+
+describe('getSyncStatus', () => {
+  it('reports a recent success as fresh', () => {
+    const status = getSyncStatus([record()], NOW);
+    expect(status).toEqual({
+      lastSuccess: '2026-03-01T11:55:00.000Z',
+      consecutiveFailures: 0,
+      stale: false,
+    });
+  });
+
+  it('counts failures since the last success and flags old backups', () => {
+    const status = getSyncStatus(
+      [
+        record({ success: false, startedAt: '2026-03-01T11:55:00.000Z' }),
+        record({ success: false, startedAt: '2026-03-01T11:50:00.000Z' }),
+        record({ startedAt: '2026-03-01T11:00:00.000Z' }),
+      ],
+      NOW,
+    );
+    expect(status).toEqual({
+      lastSuccess: '2026-03-01T11:00:00.000Z',
+      consecutiveFailures: 2,
+      stale: true,
+    });
+  });
+
+  it('is stale when nothing ever succeeded, but not before the first run', () => {
+    expect(getSyncStatus([record({ success: false })], NOW).stale).toBe(true);
+    expect(getSyncStatus([], NOW).stale).toBe(false);
+  });
+});
+
+describe('runRecordedSync', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('records a failed sync with its error', async () => {
+    const { sandbox } = createMockSandbox();
+    const { bucket } = createMockBucket();
+    const env = createMockEnv({ MOLTBOT_BUCKET: bucket });
+
+    const result = await runRecordedSync(sandbox, env, 'manual');
+
+    expect(result.success).toBe(false);
+    const [entry] = await readSyncHistory(bucket);
+    expect(entry).toMatchObject({
+      trigger: 'manual',
+      success: false,
+      error: 'R2 storage is not configured',
+    });
+    expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('checkGateway', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('reports a reachable gateway as healthy', async () => {
+    const proc = gatewayProcess();
+    const { sandbox, startProcessMock } = createMockSandbox({ processes: [proc] });
+
+    expect(await checkGateway(sandbox, createMockEnv())).toBe('healthy');
+    expect(startProcessMock).not.toHaveBeenCalled();
+  });
+
+  it('leaves a starting gateway alone', async () => {
+    const proc = gatewayProcess({ status: 'starting' });
+    const { sandbox } = createMockSandbox({ processes: [proc] });
+
+    expect(await checkGateway(sandbox, createMockEnv())).toBe('starting');
+    expect(proc.waitForPort).not.toHaveBeenCalled();
+  });
+
+  it('kills an unreachable gateway and starts a new one', async () => {
+    const stuck = gatewayProcess({
+      waitForPort: vi.fn().mockRejectedValue(new Error('timeout')),
+    });
+    const { sandbox, listProcessesMock, startProcessMock } = createMockSandbox();
+    listProcessesMock.mockResolvedValueOnce([stuck]).mockResolvedValue([]);
+    startProcessMock.mockResolvedValue(gatewayProcess({ id: 'gw-2' }));
+
+    expect(await checkGateway(sandbox, createMockEnv())).toBe('restarted');
+    expect(stuck.kill).toHaveBeenCalled();
+    expect(startProcessMock).toHaveBeenCalledWith('/usr/local/bin/start-openclaw.sh', {
+      env: undefined,
+    });
+  });
+
+  it('reports a failed restart', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockRejectedValue(new Error('container unavailable'));
+
+    expect(await checkGateway(sandbox, createMockEnv())).toBe('restart-failed');
+  });
+});
+
+describe('runScheduledMaintenance', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('syncs a healthy gateway and records the run', async () => {
+    const { sandbox, execMock } = createMockSandbox({ processes: [gatewayProcess()] });
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes')) // rclone configured
+      .mockResolvedValueOnce(createMockExecResult('openclaw')) // config detect
+      .mockResolvedValue(createMockExecResult('2026-03-01T12:00:00+00:00'));
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(sandbox, createMockEnvWithR2({ MOLTBOT_BUCKET: bucket }));
+
+    const [entry] = await readSyncHistory(bucket);
+    expect(entry).toMatchObject({ trigger: 'scheduled', success: true, gateway: 'healthy' });
+    expect(execMock.mock.calls[2][0]).toMatch(/^rclone sync \/root\/.openclaw\//);
+  });
+
+  it('records a skipped sync when the gateway cannot be restarted', async () => {
+    const { sandbox, execMock, startProcessMock } = createMockSandbox();
+    startProcessMock.mockRejectedValue(new Error('container unavailable'));
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(sandbox, createMockEnvWithR2({ MOLTBOT_BUCKET: bucket }));
+
+    const [entry] = await readSyncHistory(bucket);
+    expect(entry).toMatchObject({ success: false, gateway: 'restart-failed' });
+    expect(execMock.mock.calls.some(([cmd]) => String(cmd).startsWith('rclone sync'))).toBe(false);
+  });
+
+  it('does nothing when the sandbox is allowed to sleep', async () => {
+    const { sandbox, listProcessesMock } = createMockSandbox();
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(
+      sandbox,
+      createMockEnvWithR2({ MOLTBOT_BUCKET: bucket, SANDBOX_SLEEP_AFTER: '10m' }),
+    );
+
+    expect(listProcessesMock).not.toHaveBeenCalled();
+    expect(bucket.put).not.toHaveBeenCalled();
+  });
+
+  it('checks the gateway without recording anything when R2 is not configured', async () => {
+    const { sandbox } = createMockSandbox({ processes: [gatewayProcess()] });
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(sandbox, createMockEnv({ MOLTBOT_BUCKET: bucket }));
+
+    expect(bucket.put).not.toHaveBeenCalled();
+  });
+
+  it('audits a failed restart', async () => {
+    const { sandbox, startProcessMock } = createMockSandbox();
+    startProcessMock.mockRejectedValue(new Error('container unavailable'));
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(sandbox, createMockEnv({ MOLTBOT_BUCKET: bucket }));
+
+    const { entries } = await listAudit(bucket);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: null,
+        action: 'gateway.restart',
+        target: 'health-check',
+        result: 'failure',
+      }),
+    ]);
+  });
+
+  it('announces new pairing requests when a channel is configured', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(new Response('ok'));
+    vi.stubGlobal('fetch', fetchMock);
+    const { sandbox, startProcessMock } = createMockSandbox({ processes: [gatewayProcess()] });
+    startProcessMock.mockResolvedValue(
+      createMockProcess('{"pending":[{"requestId":"req-1"}],"paired":[]}'),
+    );
+    const { bucket } = createMockBucket();
+
+    await runScheduledMaintenance(
+      sandbox,
+      createMockEnv({ MOLTBOT_BUCKET: bucket, NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/x' }),
+    );
+    vi.unstubAllGlobals();
+
+    expect(startProcessMock.mock.calls[0][0]).toMatch(/^openclaw devices list --json/);
+    expect(fetchMock).toHaveBeenCalledOnce();
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+      event: 'pairing-request',
+      data: { requests: [{ requestId: 'req-1' }] },
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+import type { MoltbotEnv } from '../types';
+import { MOLTBOT_PORT } from '../config';
+import {
+  gatewayRestartEvent,
+  getNotificationChannels,
+  notify,
+  notifyNewPairingRequests,
+  recordAudit,
+} from '../audit';
+import { observeMetric } from '../metrics';
+import { listDevices } from './devices';
+import { ensureMoltbotGateway, findExistingMoltbotProcess } from './process';
+import { syncToR2, type SyncResult } from './sync';
+
+/**
+ * Background maintenance run by the Worker's cron trigger.
+ *
+ * The sync loop in start-openclaw.sh only runs while the container is healthy, and nobody
+ * notices when it dies. The cron trigger checks the gateway from outside the container,
+ * restarts it when it stops answering, runs a full `syncToR2` and records the outcome in
+ * R2 so GET /api/admin/storage can report sync history and staleness. Restarts are written
+ * to the audit log and, like new pairing requests, announced on the notification channels.
+ */
+
+/** One object per run, keyed so that listing returns the newest first (like the audit log) */
+export const SYNC_HISTORY_PREFIX = 'maintenance/sync-history/';
+
+/** Runs kept in the sync history */
+export const MAX_SYNC_HISTORY = 50;
+
+/** A sync is stale when the last successful one is older than this (6 cron intervals) */
+export const SYNC_STALE_AFTER_MS = 30 * 60 * 1000;
+
+/** How long a running gateway gets to accept a TCP connection before it counts as unhealthy */
+const HEALTH_CHECK_TIMEOUT_MS = 10_000;
+
+export type GatewayHealth = 'healthy' | 'starting' | 'restarted' | 'restart-failed';
+
+export interface SyncRecord {
+  startedAt: string;
+  trigger: 'scheduled' | 'manual';
+  success: boolean;
+  durationMs: number;
+  error?: string;
+  gateway?: GatewayHealth; // scheduled runs only
+}
+
+export interface SyncStatus {
+  lastSuccess: string | null;
+  consecutiveFailures: number;
+  stale: boolean;
+}
+
+const MAX_TIMESTAMP = 9_999_999_999_999;
+
+function syncRecordKey(record: SyncRecord): string {
+  const inverted = String(MAX_TIMESTAMP - new Date(record.startedAt).getTime()).padStart(13, '0');
+  return `${SYNC_HISTORY_PREFIX}${inverted}-${crypto.randomUUID().slice(0, 8)}.json`;
+}
+
+/**
+ * Read the sync history, newest first. Unreadable records are skipped.
+ */
+export async function readSyncHistory(bucket: R2Bucket): Promise<SyncRecord[]> {
+  const listOptions: R2ListOptions & { include?: Array<'httpMetadata' | 'customMetadata'> } = {
+    prefix: SYNC_HISTORY_PREFIX,
+    limit: MAX_SYNC_HISTORY,
+    include: ['customMetadata'],
+  };
+  const listed = await bucket.list(listOptions);
+
+  const history: SyncRecord[] = [];
+  for (const object of listed.objects.slice(0, MAX_SYNC_HISTORY)) {
+    try {
+      const body =
+        // eslint-disable-next-line no-await-in-loop -- only for records written without metadata
+        object.customMetadata?.record ?? (await (await bucket.get(object.key))?.text());
+      if (body) history.push(JSON.parse(body) as SyncRecord);
+    } catch {
+      console.error(`[maintenance] Ignoring unreadable sync record ${object.key}`);
+    }
+  }
+  return history;
+}
+
+/**
+ * Add a run to the sync history and delete runs beyond the newest MAX_SYNC_HISTORY.
+ * Each run is its own object, so a cron sync and a manual sync finishing together can't
+ * overwrite each other's record.
+ */
+export async function recordSync(bucket: R2Bucket, record: SyncRecord): Promise<void> {
+  const body = JSON.stringify(record);
+  await bucket.put(syncRecordKey(record), body, {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: { record: body },
+  });
+
+  const keys: string[] = [];
+  let cursor: string | undefined;
+  do {
+    // eslint-disable-next-line no-await-in-loop -- R2 pagination is sequential
+    const page = await bucket.list({ prefix: SYNC_HISTORY_PREFIX, cursor });
+    keys.push(...page.objects.map((object) => object.key));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  const expired = keys.slice(MAX_SYNC_HISTORY);
+  if (expired.length > 0) await bucket.delete(expired);
+}
+
+/**
+ * Summarize the sync history. With no successful sync on record, the backup is stale once
+ * the history shows at least one attempt.
+ */
+export function getSyncStatus(history: SyncRecord[], now: Date = new Date()): SyncStatus {
+  const lastSuccess = history.find((record) => record.success)?.startedAt ?? null;
+  const failures = history.findIndex((record) => record.success);
+  return {
+    lastSuccess,
+    consecutiveFailures: failures === -1 ? history.length : failures,
+    stale: lastSuccess
+      ? now.getTime() - new Date(lastSuccess).getTime() > SYNC_STALE_AFTER_MS
+      : history.length > 0,
+  };
+}
+
+/**
+ * Run `syncToR2` and record the outcome in the sync history and the sync duration metric.
+ */
+export async function runRecordedSync(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  trigger: SyncRecord['trigger'],
+  gateway?: GatewayHealth,
+): Promise<SyncResult> {
+  const startedAt = new Date();
+  let result: SyncResult;
+  try {
+    result = await syncToR2(sandbox, env);
+  } catch (error) {
+    result = { success: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+
+  const record: SyncRecord = {
+    startedAt: startedAt.toISOString(),
+    trigger,
+    success: result.success,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+  if (result.error) record.error = result.error;
+  if (gateway) record.gateway = gateway;
+  observeMetric(
+    'moltworker_sync_duration_seconds',
+    { trigger, result: result.success ? 'success' : 'failure' },
+    record.durationMs / 1000,
+  );
+
+  try {
+    await recordSync(env.MOLTBOT_BUCKET, record);
+  } catch (error) {
+    console.error('[maintenance] Failed to record sync:', error);
+  }
+  return result;
+}
+
+/**
+ * Check that the gateway answers on its port and restart it if it does not.
+ * A gateway that is still starting is left alone.
+ */
+export async function checkGateway(sandbox: Sandbox, env: MoltbotEnv): Promise<GatewayHealth> {
+  const proc = await findExistingMoltbotProcess(sandbox);
+  if (proc?.status === 'starting') return 'starting';
+
+  if (proc) {
+    try {
+      await proc.waitForPort(MOLTBOT_PORT, { mode: 'tcp', timeout: HEALTH_CHECK_TIMEOUT_MS });
+      return 'healthy';
+    } catch {
+      console.log('[maintenance] Gateway not reachable, restarting');
+      try {
+        await proc.kill();
+      } catch (killError) {
+        console.log('[maintenance] Failed to kill gateway:', killError);
+      }
+    }
+  } else {
+    console.log('[maintenance] Gateway not running, starting');
+  }
+
+  try {
+    await ensureMoltbotGateway(sandbox, env);
+    return 'restarted';
+  } catch (error) {
+    console.error('[maintenance] Gateway restart failed:', error);
+    return 'restart-failed';
+  }
+}
+
+/**
+ * Audit and announce a restart made by the health check.
+ */
+async function reportGatewayRestart(env: MoltbotEnv, gateway: 'restarted' | 'restart-failed') {
+  const failed = gateway === 'restart-failed';
+  const reason = failed
+    ? 'The gateway stopped answering and could not be restarted'
+    : 'The gateway stopped answering and was restarted by the health check';
+  await recordAudit(env.MOLTBOT_BUCKET, {
+    actor: null,
+    action: 'gateway.restart',
+    target: 'health-check',
+    result: failed ? 'failure' : 'success',
+    details: reason,
+  }).catch((error: unknown) => console.error('[maintenance] Failed to audit restart:', error));
+  await notify(env, gatewayRestartEvent(reason, { failed }));
+}
+
+/**
+ * Announce pairing requests that arrived since the last run. Only runs when a notification
+ * channel is configured, since listing devices takes a CLI round trip.
+ */
+async function checkPairingRequests(sandbox: Sandbox, env: MoltbotEnv) {
+  if (getNotificationChannels(env).length === 0) return;
+  try {
+    const announced = await notifyNewPairingRequests(env, await listDevices(sandbox, env));
+    if (announced.length > 0) {
+      console.log(`[maintenance] Announced ${announced.length} pairing request(s)`);
+    }
+  } catch (error) {
+    console.error('[maintenance] Pairing request check failed:', error);
+  }
+}
+
+/**
+ * Entry point for the cron trigger: health check, pairing notifications, then sync when R2
+ * is configured.
+ */
+export async function runScheduledMaintenance(sandbox: Sandbox, env: MoltbotEnv): Promise<void> {
+  // Every sandbox call counts as activity, so a cron run would keep a sleeping container awake
+  const sleepAfter = env.SANDBOX_SLEEP_AFTER?.toLowerCase() || 'never';
+  if (sleepAfter !== 'never') {
+    console.log('[maintenance] Skipped: SANDBOX_SLEEP_AFTER is set');
+    return;
+  }
+
+  const gateway = await checkGateway(sandbox, env);
+  console.log(`[maintenance] Gateway: ${gateway}`);
+  if (gateway === 'restarted' || gateway === 'restart-failed') {
+    await reportGatewayRestart(env, gateway);
+  }
+  if (gateway === 'healthy' || gateway === 'restarted') {
+    await checkPairingRequests(sandbox, env);
+  }
+
+  if (!(env.R2_ACCESS_KEY_ID && env.R2_SECRET_ACCESS_KEY && env.CF_ACCOUNT_ID)) return;
+  // A starting gateway may not have restored its config yet; the next run syncs it
+  if (gateway === 'starting') return;
+  if (gateway === 'restart-failed') {
+    await recordSync(env.MOLTBOT_BUCKET, {
+      startedAt: new Date().toISOString(),
+      trigger: 'scheduled',
+      success: false,
+      durationMs: 0,
+      error: 'Gateway restart failed, sync skipped',
+      gateway,
+    }).catch((error: unknown) => console.error('[maintenance] Failed to record sync:', error));
+    return;
+  }
+
+  const result = await runRecordedSync(sandbox, env, 'scheduled', gateway);
+  console.log(`[maintenance] Sync ${result.success ? 'completed' : `failed: ${result.error}`}`);
+}
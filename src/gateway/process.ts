@@ -1,9 +1,30 @@
 import type { Sandbox, Process } from '@cloudflare/sandbox';
 import type { MoltbotEnv } from '../types';
 import { MOLTBOT_PORT, STARTUP_TIMEOUT_MS } from '../config';
+import { observeMetric } from '../metrics';
 import { buildEnvVars } from './env';
 import { ensureRcloneConfig } from './r2';
 
+/**
+ * Whether a process command starts the OpenClaw gateway (not a CLI command like
+ * "openclaw devices list")
+ */
+export function isGatewayCommand(command: string): boolean {
+  const isGatewayProcess =
+    command.includes('start-openclaw.sh') ||
+    command.includes('openclaw gateway') ||
+    // Legacy: match old startup script during transition
+    command.includes('start-moltbot.sh') ||
+    command.includes('clawdbot gateway');
+  const isCliCommand =
+    command.includes('openclaw devices') ||
+    command.includes('openclaw --version') ||
+    command.includes('openclaw onboard') ||
+    command.includes('clawdbot devices') ||
+    command.includes('clawdbot --version');
+  return isGatewayProcess && !isCliCommand;
+}
+
 /**
  * Find an existing OpenClaw gateway process
  *
@@ -14,22 +35,7 @@ export async function findExistingMoltbotProcess(sandbox: Sandbox): Promise<Proc
   try {
     const processes = await sandbox.listProcesses();
     for (const proc of processes) {
-      // Match gateway process (openclaw gateway or legacy clawdbot gateway)
-      // Don't match CLI commands like "openclaw devices list"
-      const isGatewayProcess =
-        proc.command.includes('start-openclaw.sh') ||
-        proc.command.includes('openclaw gateway') ||
-        // Legacy: match old startup script during transition
-        proc.command.includes('start-moltbot.sh') ||
-        proc.command.includes('clawdbot gateway');
-      const isCliCommand =
-        proc.command.includes('openclaw devices') ||
-        proc.command.includes('openclaw --version') ||
-        proc.command.includes('openclaw onboard') ||
-        proc.command.includes('clawdbot devices') ||
-        proc.command.includes('clawdbot --version');
-
-      if (isGatewayProcess && !isCliCommand) {
+      if (isGatewayCommand(proc.command)) {
         if (proc.status === 'starting' || proc.status === 'running') {
           return proc;
         }
@@ -49,6 +55,8 @@ export async function findExistingMoltbotProcess(sandbox: Sandbox): Promise<Proc
  * 2. Check for an existing gateway process
  * 3. Wait for it to be ready, or start a new one
  *
+ * Cold starts are timed in the moltworker_gateway_cold_start_seconds metric.
+ *
  * @param sandbox - The sandbox instance
  * @param env - Worker environment bindings
  * @returns The running gateway process
@@ -96,6 +104,14 @@ export async function ensureMoltbotGateway(sandbox: Sandbox, env: MoltbotEnv): P
   console.log('Starting process with command:', command);
   console.log('Environment vars being passed:', Object.keys(envVars));
 
+  const startedAt = Date.now();
+  const recordColdStart = (result: 'success' | 'failure') =>
+    observeMetric(
+      'moltworker_gateway_cold_start_seconds',
+      { result },
+      (Date.now() - startedAt) / 1000,
+    );
+
   let process: Process;
   try {
     process = await sandbox.startProcess(command, {
@@ -104,6 +120,7 @@ export async function ensureMoltbotGateway(sandbox: Sandbox, env: MoltbotEnv): P
     console.log('Process started with id:', process.id, 'status:', process.status);
   } catch (startErr) {
     console.error('Failed to start process:', startErr);
+    recordColdStart('failure');
     throw startErr;
   }
 
@@ -112,12 +129,14 @@ export async function ensureMoltbotGateway(sandbox: Sandbox, env: MoltbotEnv): P
     console.log('[Gateway] Waiting for OpenClaw gateway to be ready on port', MOLTBOT_PORT);
     await process.waitForPort(MOLTBOT_PORT, { mode: 'tcp', timeout: STARTUP_TIMEOUT_MS });
     console.log('[Gateway] OpenClaw gateway is ready!');
+    recordColdStart('success');
 
     const logs = await process.getLogs();
     if (logs.stdout) console.log('[Gateway] stdout:', logs.stdout);
     if (logs.stderr) console.log('[Gateway] stderr:', logs.stderr);
   } catch (e) {
     console.error('[Gateway] waitForPort failed:', e);
+    recordColdStart('failure');
     try {
       const logs = await process.getLogs();
       console.error('[Gateway] startup failed. Stderr:', logs.stderr);
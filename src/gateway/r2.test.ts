@@ -40,7 +40,7 @@ describe('ensureRcloneConfig', () => {
   });
 
   describe('configuration behavior', () => {
-    it('skips setup if already configured (flag file exists)', async () => {
+    it('skips setup if already configured with the same settings', async () => {
       const { sandbox, execMock, writeFileMock } = createMockSandbox();
       execMock.mockResolvedValue(createMockExecResult('yes'));
       const env = createMockEnvWithR2();
@@ -49,12 +49,35 @@ describe('ensureRcloneConfig', () => {
       expect(writeFileMock).not.toHaveBeenCalled();
     });
 
+    it('compares the flag file with a digest of the settings', async () => {
+      const { sandbox, execMock, writeFileMock } = createMockSandbox();
+      execMock.mockResolvedValue(createMockExecResult('no'));
+      await ensureRcloneConfig(sandbox, createMockEnvWithR2());
+      const plainFlag = writeFileMock.mock.calls.find(
+        ([path]) => path === '/tmp/.rclone-configured',
+      );
+      expect(plainFlag?.[1]).toMatch(/^[0-9a-f]{64}$/);
+      expect(execMock.mock.calls[0][0]).toContain(plainFlag?.[1]);
+
+      // Adding the encryption key changes the digest, so a configured container is rewritten
+      writeFileMock.mockClear();
+      execMock.mockClear();
+      execMock.mockResolvedValueOnce(createMockExecResult('no')); // flag check
+      const env = createMockEnvWithR2({ R2_BACKUP_ENCRYPTION_KEY: 'passphrase' });
+      expect(await ensureRcloneConfig(sandbox, env)).toBe(true);
+      const cryptFlag = writeFileMock.mock.calls.find(
+        ([path]) => path === '/tmp/.rclone-configured',
+      );
+      expect(cryptFlag?.[1]).not.toBe(plainFlag?.[1]);
+      expect(execMock.mock.calls[0][0]).toContain(cryptFlag?.[1]);
+      expect(writeFileMock.mock.calls[0][1]).toContain('[r2crypt]');
+    });
+
     it('writes rclone config and sets flag when not configured', async () => {
       const { sandbox, execMock, writeFileMock } = createMockSandbox();
       execMock
         .mockResolvedValueOnce(createMockExecResult('no')) // flag check
-        .mockResolvedValueOnce(createMockExecResult()) // mkdir
-        .mockResolvedValueOnce(createMockExecResult()); // touch flag
+        .mockResolvedValueOnce(createMockExecResult()); // mkdir
 
       const env = createMockEnvWithR2({
         R2_ACCESS_KEY_ID: 'mykey',
@@ -68,6 +91,71 @@ describe('ensureRcloneConfig', () => {
       expect(writtenConfig).toContain('access_key_id = mykey');
       expect(writtenConfig).toContain('secret_access_key = mysecret');
       expect(writtenConfig).toContain('endpoint = https://myaccount.r2.cloudflarestorage.com');
+      expect(writtenConfig).not.toContain('[r2crypt]');
+    });
+
+    it('writes a filter file per backup area', async () => {
+      const { sandbox, execMock, writeFileMock } = createMockSandbox();
+      execMock.mockResolvedValueOnce(createMockExecResult('no'));
+
+      const env = createMockEnvWithR2({
+        R2_BACKUP_RULES: '{"workspace":{"exclude":["*.mp4"]}}',
+      });
+
+      expect(await ensureRcloneConfig(sandbox, env)).toBe(true);
+
+      const files = Object.fromEntries(
+        writeFileMock.mock.calls.map(([path, body]) => [path, body]),
+      );
+      expect(files['/root/.config/rclone/filters/workspace.txt']).toBe('- skills/**\n- *.mp4\n');
+      expect(files['/root/.config/rclone/filters/openclaw.txt']).toContain('- *.lock');
+      expect(files['/root/.config/rclone/filters/skills.txt']).toBe('\n');
+    });
+
+    it('adds a crypt remote with the key obscured the way rclone does', async () => {
+      const { sandbox, execMock, writeFileMock } = createMockSandbox();
+      execMock.mockResolvedValue(createMockExecResult('no'));
+
+      const env = createMockEnvWithR2({ R2_BACKUP_ENCRYPTION_KEY: 'pässphrase' });
+
+      expect(await ensureRcloneConfig(sandbox, env)).toBe(true);
+
+      const writtenConfig: string = writeFileMock.mock.calls[0][1];
+      expect(writtenConfig).toContain('[r2crypt]');
+      expect(writtenConfig).toContain('remote = r2:moltbot-data/encrypted/');
+      expect(writtenConfig).not.toContain('pässphrase');
+
+      // `rclone reveal`: base64url of IV + AES-256-CTR ciphertext under rclone's fixed key
+      const password = writtenConfig.match(/^password = ([A-Za-z0-9_-]+)$/m)![1];
+      const bytes = Uint8Array.from(atob(password.replace(/-/g, '+').replace(/_/g, '/')), (c) =>
+        c.charCodeAt(0),
+      );
+      const key = await crypto.subtle.importKey(
+        'raw',
+        Uint8Array.from(
+          '9c935b48730a554d6bfd7c63c886a92bd390198eb8128afbf4de162b8b95f638'.match(/../g)!,
+          (h) => parseInt(h, 16),
+        ),
+        'AES-CTR',
+        false,
+        ['decrypt'],
+      );
+      const revealed = await crypto.subtle.decrypt(
+        { name: 'AES-CTR', counter: bytes.slice(0, 16), length: 128 },
+        key,
+        bytes.slice(16),
+      );
+      expect(new TextDecoder().decode(revealed)).toBe('pässphrase');
+    });
+
+    it('never passes the key to a command in the container', async () => {
+      const { sandbox, execMock } = createMockSandbox();
+      execMock.mockResolvedValue(createMockExecResult('no'));
+
+      const env = createMockEnvWithR2({ R2_BACKUP_ENCRYPTION_KEY: 'passphrase' });
+
+      expect(await ensureRcloneConfig(sandbox, env)).toBe(true);
+      expect(JSON.stringify(execMock.mock.calls)).not.toContain('passphrase');
     });
   });
 });
@@ -1,13 +1,84 @@
 import type { Sandbox } from '@cloudflare/sandbox';
 import type { MoltbotEnv } from '../types';
 import { getR2BucketName } from '../config';
+import {
+  BACKUP_AREAS,
+  buildFilterFile,
+  FILTER_DIR,
+  filterFilePath,
+  getBackupRules,
+} from './backup-rules';
 
 const RCLONE_CONF_PATH = '/root/.config/rclone/rclone.conf';
 const CONFIGURED_FLAG = '/tmp/.rclone-configured';
 
+/** rclone remote that encrypts everything written through it (see R2_BACKUP_ENCRYPTION_KEY) */
+export const CRYPT_REMOTE = 'r2crypt';
+
+/** Bucket prefix holding the encrypted backup */
+export const ENCRYPTED_PREFIX = 'encrypted/';
+
+export function isBackupEncrypted(env: MoltbotEnv): boolean {
+  return !!env.R2_BACKUP_ENCRYPTION_KEY;
+}
+
+/**
+ * Digest of everything the rclone setup is built from, kept in the flag file so that a
+ * change (e.g. a newly added encryption key) rewrites the config in a running container.
+ */
+async function configDigest(env: MoltbotEnv): Promise<string> {
+  const inputs = JSON.stringify([
+    env.R2_ACCESS_KEY_ID,
+    env.R2_SECRET_ACCESS_KEY,
+    env.CF_ACCOUNT_ID,
+    getR2BucketName(env),
+    env.R2_BACKUP_ENCRYPTION_KEY ?? '',
+    env.R2_BACKUP_RULES ?? '',
+  ]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(inputs));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Fixed key rclone uses for `rclone obscure`; obscuring hides a secret from a glance, nothing more
+const RCLONE_OBSCURE_KEY = new Uint8Array([
+  0x9c, 0x93, 0x5b, 0x48, 0x73, 0x0a, 0x55, 0x4d, 0x6b, 0xfd, 0x7c, 0x63, 0xc8, 0x86, 0xa9, 0x2b,
+  0xd3, 0x90, 0x19, 0x8e, 0xb8, 0x12, 0x8a, 0xfb, 0xf4, 0xde, 0x16, 0x2b, 0x8b, 0x95, 0xf6, 0x38,
+]);
+
+/**
+ * Same output format as `rclone obscure`: base64url (unpadded) of a random IV followed by the
+ * AES-256-CTR encryption of the value under RCLONE_OBSCURE_KEY. Done in the Worker so the
+ * passphrase is never passed to a command in the container.
+ */
+async function rcloneObscure(value: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey('raw', RCLONE_OBSCURE_KEY, 'AES-CTR', false, [
+    'encrypt',
+  ]);
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-CTR', counter: iv, length: 128 },
+    key,
+    new TextEncoder().encode(value),
+  );
+  const bytes = new Uint8Array(16 + encrypted.byteLength);
+  bytes.set(iv);
+  bytes.set(new Uint8Array(encrypted), 16);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
 /**
  * Ensure rclone is configured in the container for R2 access.
- * Idempotent — checks for a flag file to skip re-configuration.
+ * Idempotent — skips re-configuration while the flag file holds the digest of the current
+ * settings (configDigest).
+ *
+ * With R2_BACKUP_ENCRYPTION_KEY set, a `crypt` remote wrapping `encrypted/` in the bucket is
+ * added; file contents and names are encrypted in the container before upload. The password
+ * is obscured in the Worker and only written to rclone.conf, but obscuring is reversible
+ * (`rclone reveal`): anyone who can read files in the container can recover the key.
+ * Also writes the per-area filter files built from R2_BACKUP_RULES.
  *
  * @returns true if rclone is configured, false if credentials are missing
  */
@@ -19,12 +90,15 @@ export async function ensureRcloneConfig(sandbox: Sandbox, env: MoltbotEnv): Pro
     return false;
   }
 
-  const check = await sandbox.exec(`test -f ${CONFIGURED_FLAG} && echo yes || echo no`);
+  const digest = await configDigest(env);
+  const check = await sandbox.exec(
+    `test "$(cat ${CONFIGURED_FLAG} 2>/dev/null)" = "${digest}" && echo yes || echo no`,
+  );
   if (check.stdout?.trim() === 'yes') {
     return true;
   }
 
-  const rcloneConfig = [
+  const rcloneConfig: string[] = [
     '[r2]',
     'type = s3',
     'provider = Cloudflare',
@@ -33,12 +107,34 @@ export async function ensureRcloneConfig(sandbox: Sandbox, env: MoltbotEnv): Pro
     `endpoint = https://${env.CF_ACCOUNT_ID}.r2.cloudflarestorage.com`,
     'acl = private',
     'no_check_bucket = true',
-  ].join('\n');
+  ];
 
-  await sandbox.exec(`mkdir -p $(dirname ${RCLONE_CONF_PATH})`);
-  await sandbox.writeFile(RCLONE_CONF_PATH, rcloneConfig);
-  await sandbox.exec(`touch ${CONFIGURED_FLAG}`);
+  if (env.R2_BACKUP_ENCRYPTION_KEY) {
+    const password = await rcloneObscure(env.R2_BACKUP_ENCRYPTION_KEY);
+    rcloneConfig.push(
+      '',
+      `[${CRYPT_REMOTE}]`,
+      'type = crypt',
+      `remote = r2:${getR2BucketName(env)}/${ENCRYPTED_PREFIX}`,
+      'filename_encryption = standard',
+      'directory_name_encryption = true',
+      `password = ${password}`,
+    );
+  }
+
+  await sandbox.exec(`mkdir -p $(dirname ${RCLONE_CONF_PATH}) ${FILTER_DIR}`);
+  await sandbox.writeFile(RCLONE_CONF_PATH, rcloneConfig.join('\n'));
+  const rules = getBackupRules(env);
+  for (const area of BACKUP_AREAS) {
+    // eslint-disable-next-line no-await-in-loop -- three small files
+    await sandbox.writeFile(filterFilePath(area), buildFilterFile(area, rules[area]));
+  }
+  await sandbox.writeFile(CONFIGURED_FLAG, digest);
 
-  console.log('Rclone configured for R2 bucket:', getR2BucketName(env));
+  console.log(
+    'Rclone configured for R2 bucket:',
+    getR2BucketName(env),
+    isBackupEncrypted(env) ? '(encrypted)' : '',
+  );
   return true;
 }
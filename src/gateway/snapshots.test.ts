@@ -0,0 +1,327 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createSnapshot,
+  diffSnapshot,
+  getSnapshotRetention,
+  isValidSnapshotId,
+  listSnapshots,
+  parseCheckOutput,
+  pruneSnapshots,
+  restoreSnapshot,
+  snapshotId,
+  type SnapshotManifest,
+} from './snapshots';
+import {
+  createMockEnv,
+  createMockEnvWithR2,
+  createMockExecResult,
+  createMockSandbox,
+  suppressConsole,
+} from '../test-utils';
+
+const NOW = new Date('2026-03-01T12:34:56.789Z');
+
+function manifest(id: string, overrides: Partial<SnapshotManifest> = {}): SnapshotManifest {
+  return {
+    id,
+    createdAt: '2026-03-01T12:34:56.789Z',
+    trigger: 'scheduled',
+    areas: ['openclaw', 'workspace', 'skills'],
+    files: 3,
+    bytes: 1024,
+    ...overrides,
+  };
+}
+
+const failed = (stderr: string) => createMockExecResult('', { exitCode: 1, stderr });
+
+describe('snapshotId', () => {
+  it('formats a sortable UTC timestamp', () => {
+    expect(snapshotId(NOW)).toBe('20260301T123456789Z');
+  });
+
+  it('accepts ids with and without milliseconds', () => {
+    expect(isValidSnapshotId('20260301T123456789Z')).toBe(true);
+    expect(isValidSnapshotId('20260301T123456Z')).toBe(true);
+    expect(isValidSnapshotId('20260301T1234567Z')).toBe(false);
+    expect(isValidSnapshotId('../20260301T123456Z')).toBe(false);
+  });
+});
+
+describe('getSnapshotRetention', () => {
+  it('defaults to 14 and rejects invalid values', () => {
+    expect(getSnapshotRetention(createMockEnv())).toBe(14);
+    expect(getSnapshotRetention(createMockEnv({ SNAPSHOT_RETENTION: '0' }))).toBe(14);
+    expect(getSnapshotRetention(createMockEnv({ SNAPSHOT_RETENTION: 'many' }))).toBe(14);
+    expect(getSnapshotRetention(createMockEnv({ SNAPSHOT_RETENTION: '30' }))).toBe(30);
+  });
+});
+
+describe('createSnapshot', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('returns error when R2 is not configured', async () => {
+    const { sandbox } = createMockSandbox();
+    const result = await createSnapshot(sandbox, createMockEnv(), 'manual', NOW);
+    expect(result).toEqual({ success: false, error: 'R2 storage is not configured' });
+  });
+
+  it('copies each area with --copy-dest and writes the manifest last', async () => {
+    const { sandbox, execMock, writeFileMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes')) // rclone configured
+      .mockResolvedValueOnce(createMockExecResult('openclaw')) // config detect
+      .mockResolvedValueOnce(createMockExecResult('copied\n')) // openclaw
+      .mockResolvedValueOnce(createMockExecResult('copied\n')) // workspace
+      .mockResolvedValueOnce(createMockExecResult('')) // no skills dir
+      .mockResolvedValueOnce(createMockExecResult('{"count":12,"bytes":3456,"sizeless":0}'))
+      .mockResolvedValueOnce(createMockExecResult()); // copyto manifest
+
+    const result = await createSnapshot(sandbox, createMockEnvWithR2(), 'manual', NOW);
+
+    expect(result.success).toBe(true);
+    expect(result.snapshot).toEqual({
+      id: '20260301T123456789Z',
+      createdAt: '2026-03-01T12:34:56.789Z',
+      trigger: 'manual',
+      areas: ['openclaw', 'workspace'],
+      files: 12,
+      bytes: 3456,
+    });
+
+    const configCmd = execMock.mock.calls[2][0];
+    expect(configCmd).toContain('rclone copy /root/.openclaw/');
+    expect(configCmd).toContain('r2:moltbot-data/snapshots/20260301T123456789Z/openclaw/');
+    expect(configCmd).toContain('--copy-dest r2:moltbot-data/openclaw/');
+    expect(execMock.mock.calls[3][0]).toContain(
+      '--filter-from /root/.config/rclone/filters/workspace.txt',
+    );
+
+    expect(JSON.parse(writeFileMock.mock.calls[0][1])).toEqual(result.snapshot);
+    expect(execMock.mock.calls[6][0]).toContain(
+      'r2:moltbot-data/snapshots/20260301T123456789Z/manifest.json',
+    );
+  });
+
+  it('purges a partial snapshot when a copy fails', async () => {
+    const { sandbox, execMock, writeFileMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(createMockExecResult('openclaw'))
+      .mockResolvedValueOnce(failed('rclone error'))
+      .mockResolvedValueOnce(createMockExecResult()); // purge
+
+    const result = await createSnapshot(sandbox, createMockEnvWithR2(), 'manual', NOW);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Snapshot of openclaw failed');
+    expect(execMock.mock.calls[3][0]).toMatch(/^rclone purge r2:moltbot-data\/snapshots\/\w+\//);
+    expect(writeFileMock).not.toHaveBeenCalled();
+  });
+
+  it('fails when the container has nothing to snapshot', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(createMockExecResult('none'))
+      .mockResolvedValue(createMockExecResult(''));
+
+    const result = await createSnapshot(sandbox, createMockEnvWithR2(), 'pre-restore', NOW);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Nothing to snapshot');
+  });
+});
+
+describe('listSnapshots / pruneSnapshots', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('moves plaintext snapshots into the crypt remote before listing encrypted ones', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(createMockExecResult('moved\n'))
+      .mockResolvedValueOnce(createMockExecResult(JSON.stringify(manifest('20260301T000000Z'))));
+
+    const env = createMockEnvWithR2({ R2_BACKUP_ENCRYPTION_KEY: 'passphrase' });
+    const snapshots = await listSnapshots(sandbox, env);
+
+    expect(execMock.mock.calls[1][0]).toContain(
+      'rclone move r2:moltbot-data/snapshots/ r2crypt:snapshots/',
+    );
+    expect(execMock.mock.calls[2][0]).toContain('rclone cat r2crypt:snapshots/');
+    expect(snapshots.map((s) => s.id)).toEqual(['20260301T000000Z']);
+  });
+
+  it('parses manifests newest first and skips unreadable lines', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(
+        createMockExecResult(
+          [
+            JSON.stringify(manifest('20260228T000000Z')),
+            'not json',
+            JSON.stringify(manifest('20260301T000000Z')),
+            JSON.stringify(manifest('../../evil')),
+            '',
+          ].join('\n'),
+        ),
+      );
+
+    const snapshots = await listSnapshots(sandbox, createMockEnvWithR2());
+
+    expect(snapshots.map((s) => s.id)).toEqual(['20260301T000000Z', '20260228T000000Z']);
+    expect(execMock.mock.calls[1][0]).toContain("--include '/*/manifest.json'");
+  });
+
+  it('returns an empty list when R2 is not configured', async () => {
+    const { sandbox } = createMockSandbox();
+    expect(await listSnapshots(sandbox, createMockEnv())).toEqual([]);
+  });
+
+  it('purges snapshots beyond the retention count', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(
+        createMockExecResult(
+          ['20260301T000000Z', '20260227T000000Z', '20260228T000000Z']
+            .map((id) => JSON.stringify(manifest(id)))
+            .join('\n'),
+        ),
+      );
+
+    const pruned = await pruneSnapshots(sandbox, createMockEnvWithR2(), 2);
+
+    expect(pruned).toEqual(['20260227T000000Z']);
+    expect(execMock.mock.calls[2][0]).toContain(
+      'rclone purge r2:moltbot-data/snapshots/20260227T000000Z/',
+    );
+  });
+
+  it('applies the retention count to each trigger separately', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    const snapshots = [
+      manifest('20260301T120000001Z', { trigger: 'manual', createdAt: '2026-03-01T12:00:00.001Z' }),
+      manifest('20260301T120000000Z', { trigger: 'manual', createdAt: '2026-03-01T12:00:00.000Z' }),
+      manifest('20260301T110000000Z', { trigger: 'manual', createdAt: '2026-03-01T11:00:00.000Z' }),
+      manifest('20260301T060000000Z', { createdAt: '2026-03-01T06:00:00.000Z' }),
+      manifest('20260301T000000Z', { createdAt: '2026-03-01T00:00:00.000Z' }),
+      manifest('20260228T180000Z', { createdAt: '2026-02-28T18:00:00.000Z' }),
+    ];
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(
+        createMockExecResult(snapshots.map((s) => JSON.stringify(s)).join('\n')),
+      );
+
+    const pruned = await pruneSnapshots(sandbox, createMockEnvWithR2(), 2);
+
+    expect(pruned).toEqual(['20260301T110000000Z', '20260228T180000Z']);
+  });
+});
+
+describe('parseCheckOutput', () => {
+  it('classifies rclone check --combined lines', () => {
+    const diff = parseCheckOutput(
+      ['= same.md', '- new.md', '+ deleted.md', '* edited.md', '! unreadable.md', ''].join('\n'),
+    );
+    expect(diff).toEqual({
+      added: ['new.md'],
+      removed: ['deleted.md'],
+      changed: ['edited.md', 'unreadable.md'],
+      unchanged: 1,
+      truncated: false,
+    });
+  });
+
+  it('caps long path lists', () => {
+    const lines = Array.from({ length: 600 }, (_, i) => `- file-${i}.md`).join('\n');
+    const diff = parseCheckOutput(lines);
+    expect(diff.added).toHaveLength(500);
+    expect(diff.truncated).toBe(true);
+  });
+});
+
+describe('diffSnapshot', () => {
+  it('checks each area of the snapshot against the container', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(createMockExecResult('openclaw'))
+      .mockResolvedValueOnce(createMockExecResult('= openclaw.json\n* agents/main.json\n'));
+
+    const diff = await diffSnapshot(
+      sandbox,
+      createMockEnvWithR2(),
+      manifest('20260301T000000Z', { areas: ['openclaw'] }),
+    );
+
+    expect(diff).toEqual({
+      openclaw: {
+        added: [],
+        removed: [],
+        changed: ['agents/main.json'],
+        unchanged: 1,
+        truncated: false,
+      },
+    });
+    expect(execMock.mock.calls[2][0]).toContain('rclone check');
+    expect(execMock.mock.calls[2][0]).not.toContain('--download');
+    expect(execMock.mock.calls[2][0]).toContain(
+      'r2:moltbot-data/snapshots/20260301T000000Z/openclaw/',
+    );
+  });
+});
+
+describe('restoreSnapshot', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('syncs areas back into the container and updates the mirror', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes')) // rclone configured
+      .mockResolvedValueOnce(createMockExecResult('openclaw')) // config detect
+      .mockResolvedValueOnce(createMockExecResult()) // restore workspace
+      .mockResolvedValueOnce(createMockExecResult('yes')) // syncToR2: rclone configured
+      .mockResolvedValueOnce(createMockExecResult('openclaw')) // syncToR2: config detect
+      .mockResolvedValue(createMockExecResult('2026-03-01T12:00:00+00:00'));
+
+    const snapshot = manifest('20260301T000000Z');
+    const result = await restoreSnapshot(sandbox, createMockEnvWithR2(), snapshot, ['workspace']);
+
+    expect(result).toEqual({ success: true, snapshot });
+    const restoreCmd = execMock.mock.calls[2][0];
+    expect(restoreCmd).toContain(
+      'rclone sync r2:moltbot-data/snapshots/20260301T000000Z/workspace/ /root/clawd/',
+    );
+    expect(restoreCmd).toContain('--filter-from /root/.config/rclone/filters/workspace.txt');
+    expect(execMock.mock.calls[5][0]).toMatch(/^rclone sync \/root\/.openclaw\//);
+  });
+
+  it('stops at the first failed area', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult('yes'))
+      .mockResolvedValueOnce(createMockExecResult('openclaw'))
+      .mockResolvedValueOnce(failed('not found'));
+
+    const result = await restoreSnapshot(
+      sandbox,
+      createMockEnvWithR2(),
+      manifest('20260301T000000Z'),
+      ['openclaw', 'skills'],
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Restoring openclaw failed');
+    expect(execMock).toHaveBeenCalledTimes(3);
+  });
+});
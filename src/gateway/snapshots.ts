@@ -0,0 +1,337 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+import type { MoltbotEnv } from '../types';
+import { BACKUP_AREAS, filterFlag, type BackupArea } from './backup-rules';
+import { getR2BucketName } from '../config';
+import { ensureRcloneConfig, isBackupEncrypted } from './r2';
+import { detectConfigDir, RCLONE_FLAGS, rcloneRemote, syncToR2 } from './sync';
+
+/**
+ * Point-in-time snapshots of the R2 backup.
+ *
+ * `syncToR2` mirrors the container with `rclone sync`, so a file deleted in the container is
+ * deleted from the backup too. Snapshots are immutable copies under `snapshots/<id>/<area>/`;
+ * files that match the mirror are copied server-side (`--copy-dest`) instead of uploaded
+ * again. `manifest.json` is written last, so a snapshot without one is incomplete and ignored.
+ * The background loop in start-openclaw.sh takes periodic snapshots with the same layout.
+ */
+
+export const SNAPSHOT_PREFIX = 'snapshots/';
+export const SNAPSHOT_AREAS = BACKUP_AREAS;
+export type SnapshotArea = BackupArea;
+
+/** Snapshots kept per trigger when SNAPSHOT_RETENTION is not set */
+export const DEFAULT_SNAPSHOT_RETENTION = 14;
+
+// Ids taken before millisecond resolution was added have no milliseconds
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}(\d{3})?Z$/;
+const MANIFEST_TMP_FILE = '/tmp/.snapshot-manifest.json';
+const MAX_DIFF_PATHS = 500;
+
+export interface SnapshotManifest {
+  id: string; // UTC timestamp with milliseconds, e.g. 20260301T120000123Z
+  createdAt: string;
+  trigger: 'manual' | 'scheduled' | 'pre-restore';
+  areas: SnapshotArea[]; // areas that existed in the container when the snapshot was taken
+  files: number;
+  bytes: number;
+}
+
+export interface SnapshotResult {
+  success: boolean;
+  snapshot?: SnapshotManifest;
+  error?: string;
+  details?: string;
+}
+
+export interface AreaDiff {
+  added: string[]; // only in the container
+  removed: string[]; // only in the snapshot
+  changed: string[];
+  unchanged: number;
+  truncated: boolean; // path lists were cut at MAX_DIFF_PATHS
+}
+
+interface AreaSource {
+  dir: string;
+  mirror: string;
+  filter: string;
+}
+
+function areaSources(configDir: string): Record<SnapshotArea, AreaSource> {
+  return {
+    openclaw: { dir: configDir, mirror: 'openclaw/', filter: filterFlag('openclaw') },
+    workspace: { dir: '/root/clawd', mirror: 'workspace/', filter: filterFlag('workspace') },
+    skills: { dir: '/root/clawd/skills', mirror: 'skills/', filter: filterFlag('skills') },
+  };
+}
+
+export function snapshotId(date: Date): string {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+export function isValidSnapshotId(id: string): boolean {
+  return SNAPSHOT_ID_PATTERN.test(id);
+}
+
+export function isSnapshotArea(value: unknown): value is SnapshotArea {
+  return SNAPSHOT_AREAS.includes(value as SnapshotArea);
+}
+
+/**
+ * Number of snapshots to keep of each trigger (SNAPSHOT_RETENTION, at least 1).
+ */
+export function getSnapshotRetention(env: MoltbotEnv): number {
+  const value = parseInt(env.SNAPSHOT_RETENTION || '', 10);
+  return Number.isNaN(value) || value < 1 ? DEFAULT_SNAPSHOT_RETENTION : value;
+}
+
+/**
+ * Copy the container's config, workspace and skills into a new snapshot.
+ */
+export async function createSnapshot(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  trigger: SnapshotManifest['trigger'],
+  now: Date = new Date(),
+): Promise<SnapshotResult> {
+  if (!(await ensureRcloneConfig(sandbox, env))) {
+    return { success: false, error: 'R2 storage is not configured' };
+  }
+
+  const configDir = (await detectConfigDir(sandbox)) ?? '/root/.openclaw';
+  const id = snapshotId(now);
+  const target = (path: string) => rcloneRemote(env, `${SNAPSHOT_PREFIX}${id}/${path}`);
+
+  const areas: SnapshotArea[] = [];
+  for (const [area, source] of Object.entries(areaSources(configDir))) {
+    // eslint-disable-next-line no-await-in-loop -- one rclone transfer at a time
+    const result = await sandbox.exec(
+      `if [ -d ${source.dir} ]; then rclone copy ${source.dir}/ ${target(`${area}/`)} --copy-dest ${rcloneRemote(env, source.mirror)} ${RCLONE_FLAGS} ${source.filter} && echo copied; fi`,
+      { timeout: 120000 },
+    );
+    if (!result.success) {
+      // eslint-disable-next-line no-await-in-loop -- cleanup before bailing out
+      await sandbox.exec(`rclone purge ${target('')} ${RCLONE_FLAGS} || true`, { timeout: 60000 });
+      return {
+        success: false,
+        error: `Snapshot of ${area} failed`,
+        details: result.stderr?.slice(-500),
+      };
+    }
+    if (result.stdout?.includes('copied')) areas.push(area as SnapshotArea);
+  }
+
+  if (areas.length === 0) {
+    return {
+      success: false,
+      error: 'Nothing to snapshot',
+      details: 'No config, workspace or skills directory found in the container.',
+    };
+  }
+
+  let size = { count: 0, bytes: 0 };
+  const sizeResult = await sandbox.exec(`rclone size --json ${target('')} ${RCLONE_FLAGS}`, {
+    timeout: 60000,
+  });
+  try {
+    size = JSON.parse(sizeResult.stdout || '');
+  } catch {
+    // Size is informational only
+  }
+
+  const snapshot: SnapshotManifest = {
+    id,
+    createdAt: now.toISOString(),
+    trigger,
+    areas,
+    files: size.count || 0,
+    bytes: size.bytes || 0,
+  };
+  await sandbox.writeFile(MANIFEST_TMP_FILE, `${JSON.stringify(snapshot)}\n`);
+  const manifestResult = await sandbox.exec(
+    `rclone copyto ${MANIFEST_TMP_FILE} ${target('manifest.json')} ${RCLONE_FLAGS}`,
+    { timeout: 60000 },
+  );
+  if (!manifestResult.success) {
+    return {
+      success: false,
+      error: 'Writing snapshot manifest failed',
+      details: manifestResult.stderr?.slice(-500),
+    };
+  }
+
+  console.log(`[snapshots] Created ${id} (${trigger}): ${areas.join(', ')}`);
+  return { success: true, snapshot };
+}
+
+/**
+ * Move snapshots taken before backups were encrypted into the crypt remote, deleting the
+ * plaintext copies. start-openclaw.sh does this at boot; this covers a key added while the
+ * container was running.
+ */
+async function encryptPlaintextSnapshots(sandbox: Sandbox, env: MoltbotEnv): Promise<void> {
+  const plaintext = `r2:${getR2BucketName(env)}/${SNAPSHOT_PREFIX}`;
+  const result = await sandbox.exec(
+    `if [ -n "$(rclone lsf ${plaintext} --max-depth 1 ${RCLONE_FLAGS} 2>/dev/null | head -n 1)" ]; then rclone move ${plaintext} ${rcloneRemote(env, SNAPSHOT_PREFIX)} ${RCLONE_FLAGS} && echo moved; fi`,
+    { timeout: 300000 },
+  );
+  if (!result.success) {
+    console.error('[snapshots] Encrypting plaintext snapshots failed:', result.stderr?.slice(-500));
+  } else if (result.stdout?.includes('moved')) {
+    console.log('[snapshots] Encrypted plaintext snapshots');
+  }
+}
+
+/**
+ * List complete snapshots, newest first.
+ */
+export async function listSnapshots(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+): Promise<SnapshotManifest[]> {
+  if (!(await ensureRcloneConfig(sandbox, env))) return [];
+  if (isBackupEncrypted(env)) await encryptPlaintextSnapshots(sandbox, env);
+
+  // One manifest per line; `rclone cat` concatenates every match
+  const result = await sandbox.exec(
+    `rclone cat ${rcloneRemote(env, SNAPSHOT_PREFIX)} --include '/*/manifest.json' ${RCLONE_FLAGS} 2>/dev/null || true`,
+    { timeout: 60000 },
+  );
+
+  const snapshots: SnapshotManifest[] = [];
+  for (const line of (result.stdout || '').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const manifest = JSON.parse(line) as SnapshotManifest;
+      if (isValidSnapshotId(manifest.id)) snapshots.push(manifest);
+    } catch {
+      console.error('[snapshots] Ignoring unreadable manifest:', line.slice(0, 200));
+    }
+  }
+  snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  return snapshots;
+}
+
+/**
+ * Delete all but the newest `keep` snapshots of each trigger, so a burst of manual snapshots
+ * cannot push out the scheduled restore points. Returns the deleted ids.
+ */
+export async function pruneSnapshots(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  keep: number,
+): Promise<string[]> {
+  const kept = new Map<SnapshotManifest['trigger'], number>();
+  const expired: string[] = [];
+  for (const snapshot of await listSnapshots(sandbox, env)) {
+    const count = (kept.get(snapshot.trigger) ?? 0) + 1;
+    kept.set(snapshot.trigger, count);
+    if (count > keep) expired.push(snapshot.id);
+  }
+  for (const id of expired) {
+    // eslint-disable-next-line no-await-in-loop -- purges run one at a time
+    await sandbox.exec(
+      `rclone purge ${rcloneRemote(env, `${SNAPSHOT_PREFIX}${id}/`)} ${RCLONE_FLAGS}`,
+      { timeout: 120000 },
+    );
+  }
+  if (expired.length > 0) console.log(`[snapshots] Pruned ${expired.join(', ')}`);
+  return expired;
+}
+
+/**
+ * Parse `rclone check --combined -` output (`= same`, `- source only`, `+ dest only`,
+ * `* differs`, `! error`) with the container as source and the snapshot as destination.
+ */
+export function parseCheckOutput(output: string): AreaDiff {
+  const diff: AreaDiff = { added: [], removed: [], changed: [], unchanged: 0, truncated: false };
+  const add = (list: string[], path: string) => {
+    if (list.length < MAX_DIFF_PATHS) list.push(path);
+    else diff.truncated = true;
+  };
+  for (const line of output.split('\n')) {
+    const path = line.slice(2);
+    if (!path) continue;
+    if (line.startsWith('= ')) diff.unchanged++;
+    else if (line.startsWith('- ')) add(diff.added, path);
+    else if (line.startsWith('+ ')) add(diff.removed, path);
+    else if (line.startsWith('* ') || line.startsWith('! ')) add(diff.changed, path);
+  }
+  return diff;
+}
+
+/**
+ * Compare the live container with a snapshot, per area.
+ */
+export async function diffSnapshot(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  snapshot: SnapshotManifest,
+  areas: SnapshotArea[] = snapshot.areas,
+): Promise<Partial<Record<SnapshotArea, AreaDiff>>> {
+  if (!(await ensureRcloneConfig(sandbox, env))) {
+    throw new Error('R2 storage is not configured');
+  }
+  const sources = areaSources((await detectConfigDir(sandbox)) ?? '/root/.openclaw');
+  // Encrypted files have no hashes to compare, so compare their contents instead
+  const checkMode = isBackupEncrypted(env) ? ' --download' : '';
+
+  const diff: Partial<Record<SnapshotArea, AreaDiff>> = {};
+  for (const area of areas) {
+    const source = sources[area];
+    // A missing directory is compared as empty
+    // eslint-disable-next-line no-await-in-loop -- one rclone check at a time
+    const result = await sandbox.exec(
+      `rclone check "$(test -d ${source.dir} && echo ${source.dir} || mktemp -d)/" ${rcloneRemote(env, `${SNAPSHOT_PREFIX}${snapshot.id}/${area}/`)} --combined -${checkMode} ${RCLONE_FLAGS} ${source.filter} 2>/dev/null || true`,
+      { timeout: 120000 },
+    );
+    diff[area] = parseCheckOutput(result.stdout || '');
+  }
+  return diff;
+}
+
+/**
+ * Replace areas in the container with their contents in a snapshot, then bring the R2
+ * mirror in line so the next gateway start does not restore the old files over them.
+ * The caller stops the gateway first and starts it again afterwards.
+ */
+export async function restoreSnapshot(
+  sandbox: Sandbox,
+  env: MoltbotEnv,
+  snapshot: SnapshotManifest,
+  areas: SnapshotArea[],
+): Promise<SnapshotResult> {
+  if (!(await ensureRcloneConfig(sandbox, env))) {
+    return { success: false, error: 'R2 storage is not configured' };
+  }
+  const sources = areaSources((await detectConfigDir(sandbox)) ?? '/root/.openclaw');
+
+  for (const area of areas) {
+    const source = sources[area];
+    // Filtered-out paths (e.g. skills/ inside the workspace) are left alone by rclone sync
+    // eslint-disable-next-line no-await-in-loop -- one rclone transfer at a time
+    const result = await sandbox.exec(
+      `mkdir -p ${source.dir} && rclone sync ${rcloneRemote(env, `${SNAPSHOT_PREFIX}${snapshot.id}/${area}/`)} ${source.dir}/ ${RCLONE_FLAGS} ${source.filter}`,
+      { timeout: 120000 },
+    );
+    if (!result.success) {
+      return {
+        success: false,
+        error: `Restoring ${area} failed`,
+        details: result.stderr?.slice(-500),
+      };
+    }
+  }
+
+  const syncResult = await syncToR2(sandbox, env);
+  if (!syncResult.success) {
+    return {
+      success: false,
+      error: 'Snapshot restored, but updating the R2 backup failed',
+      details: syncResult.error,
+    };
+  }
+
+  console.log(`[snapshots] Restored ${areas.join(', ')} from ${snapshot.id}`);
+  return { success: true, snapshot };
+}
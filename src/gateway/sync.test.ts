@@ -116,7 +116,7 @@ describe('syncToR2', () => {
       expect(configCmd).toMatch(/^rclone sync /);
     });
 
-    it('rclone commands include --transfers=16 and exclude .git', async () => {
+    it('rclone commands include --transfers=16 and the area filter file', async () => {
       const { sandbox, execMock } = createMockSandbox();
       execMock
         .mockResolvedValueOnce(createMockExecResult('yes'))
@@ -132,9 +132,27 @@ describe('syncToR2', () => {
 
       const configCmd = execMock.mock.calls[2][0];
       expect(configCmd).toContain('--transfers=16');
-      expect(configCmd).toContain("--exclude='.git/**'");
+      expect(configCmd).toContain('--filter-from /root/.config/rclone/filters/openclaw.txt');
       expect(configCmd).toContain('/root/.openclaw/');
       expect(configCmd).toContain('r2:moltbot-data/openclaw/');
+      expect(execMock.mock.calls[3][0]).toContain(
+        '--filter-from /root/.config/rclone/filters/workspace.txt',
+      );
+    });
+
+    it('syncs through the crypt remote when backups are encrypted', async () => {
+      const { sandbox, execMock } = createMockSandbox();
+      execMock
+        .mockResolvedValueOnce(createMockExecResult('yes'))
+        .mockResolvedValueOnce(createMockExecResult('openclaw'))
+        .mockResolvedValue(createMockExecResult());
+
+      const env = createMockEnvWithR2({ R2_BACKUP_ENCRYPTION_KEY: 'passphrase' });
+      await syncToR2(sandbox, env);
+
+      const configCmd = execMock.mock.calls[2][0];
+      expect(configCmd).toContain(' r2crypt:openclaw/ ');
+      expect(configCmd).not.toContain('r2:moltbot-data');
     });
 
     it('uses custom bucket name', async () => {
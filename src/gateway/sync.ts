@@ -1,7 +1,8 @@
 import type { Sandbox } from '@cloudflare/sandbox';
 import type { MoltbotEnv } from '../types';
 import { getR2BucketName } from '../config';
-import { ensureRcloneConfig } from './r2';
+import { filterFlag } from './backup-rules';
+import { CRYPT_REMOTE, ensureRcloneConfig, isBackupEncrypted } from './r2';
 
 export interface SyncResult {
   success: boolean;
@@ -10,17 +11,21 @@ export interface SyncResult {
   details?: string;
 }
 
-const RCLONE_FLAGS = '--transfers=16 --fast-list --s3-no-check-bucket';
+export const RCLONE_FLAGS = '--transfers=16 --fast-list --s3-no-check-bucket';
 const LAST_SYNC_FILE = '/tmp/.last-sync';
 
-function rcloneRemote(env: MoltbotEnv, prefix: string): string {
+/**
+ * rclone path for a prefix of the backup, through the crypt remote when backups are encrypted.
+ */
+export function rcloneRemote(env: MoltbotEnv, prefix: string): string {
+  if (isBackupEncrypted(env)) return `${CRYPT_REMOTE}:${prefix}`;
   return `r2:${getR2BucketName(env)}/${prefix}`;
 }
 
 /**
  * Detect which config directory exists in the container.
  */
-async function detectConfigDir(sandbox: Sandbox): Promise<string | null> {
+export async function detectConfigDir(sandbox: Sandbox): Promise<string | null> {
   const check = await sandbox.exec(
     'test -f /root/.openclaw/openclaw.json && echo openclaw || ' +
       '(test -f /root/.clawdbot/clawdbot.json && echo clawdbot || echo none)',
@@ -53,7 +58,7 @@ export async function syncToR2(sandbox: Sandbox, env: MoltbotEnv): Promise<SyncR
 
   // Sync config (rclone sync propagates deletions)
   const configResult = await sandbox.exec(
-    `rclone sync ${configDir}/ ${remote('openclaw/')} ${RCLONE_FLAGS} --exclude='*.lock' --exclude='*.log' --exclude='*.tmp' --exclude='.git/**'`,
+    `rclone sync ${configDir}/ ${remote('openclaw/')} ${RCLONE_FLAGS} ${filterFlag('openclaw')}`,
     { timeout: 120000 },
   );
   if (!configResult.success) {
@@ -66,13 +71,13 @@ export async function syncToR2(sandbox: Sandbox, env: MoltbotEnv): Promise<SyncR
 
   // Sync workspace (non-fatal, rclone sync propagates deletions)
   await sandbox.exec(
-    `test -d /root/clawd && rclone sync /root/clawd/ ${remote('workspace/')} ${RCLONE_FLAGS} --exclude='skills/**' --exclude='.git/**' || true`,
+    `test -d /root/clawd && rclone sync /root/clawd/ ${remote('workspace/')} ${RCLONE_FLAGS} ${filterFlag('workspace')} || true`,
     { timeout: 120000 },
   );
 
   // Sync skills (non-fatal)
   await sandbox.exec(
-    `test -d /root/clawd/skills && rclone sync /root/clawd/skills/ ${remote('skills/')} ${RCLONE_FLAGS} || true`,
+    `test -d /root/clawd/skills && rclone sync /root/clawd/skills/ ${remote('skills/')} ${RCLONE_FLAGS} ${filterFlag('skills')} || true`,
     { timeout: 120000 },
   );
 
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { buildUsageReport, getUsageReport, USAGE_SUMMARY_FILE } from './usage';
+import { createMockExecResult, createMockSandbox, suppressConsole } from '../test-utils';
+
+const NOW = new Date('2026-02-10T15:00:00Z');
+
+const summary = {
+  updatedAt: '2026-02-10T14:59:00.000Z',
+  days: {
+    '2026-02-01': {
+      requests: 50,
+      costUsd: 9,
+      models: { 'anthropic/claude-opus-4-5': { requests: 50, costUsd: 9 } },
+    },
+    '2026-02-09': {
+      requests: 3,
+      errors: 1,
+      inputTokens: 1000,
+      outputTokens: 200,
+      cacheReadTokens: 500,
+      cacheWriteTokens: 0,
+      costUsd: 0.0123,
+      models: {
+        'anthropic/claude-sonnet-4-5': { requests: 2, inputTokens: 800, costUsd: 0.01 },
+        'google/gemini-2.5-flash': { requests: 1, inputTokens: 200, costUsd: 0.0023 },
+      },
+    },
+    '2026-02-10': {
+      requests: 1,
+      inputTokens: 100,
+      outputTokens: 50,
+      costUsd: 0.002,
+      models: { 'anthropic/claude-sonnet-4-5': { requests: 1, inputTokens: 100, costUsd: 0.002 } },
+    },
+  },
+};
+
+describe('buildUsageReport', () => {
+  it('returns zero-filled days when there is no summary', () => {
+    const report = buildUsageReport(null, 3, NOW);
+
+    expect(report.updatedAt).toBeNull();
+    expect(report.days.map((d) => d.date)).toEqual(['2026-02-08', '2026-02-09', '2026-02-10']);
+    expect(report.days.every((d) => d.requests === 0 && d.costUsd === 0)).toBe(true);
+    expect(report.models).toEqual([]);
+    expect(report.totals.requests).toBe(0);
+  });
+
+  it('only includes days inside the window', () => {
+    const report = buildUsageReport(summary, 3, NOW);
+
+    expect(report.totals.requests).toBe(4);
+    expect(report.totals.errors).toBe(1);
+    expect(report.totals.inputTokens).toBe(1100);
+    expect(report.totals.cacheReadTokens).toBe(500);
+    expect(report.totals.costUsd).toBeCloseTo(0.0143);
+    expect(report.models.map((m) => m.model)).not.toContain('anthropic/claude-opus-4-5');
+  });
+
+  it('aggregates per-model totals across days sorted by cost', () => {
+    const report = buildUsageReport(summary, 30, NOW);
+
+    expect(report.models.map((m) => m.model)).toEqual([
+      'anthropic/claude-opus-4-5',
+      'anthropic/claude-sonnet-4-5',
+      'google/gemini-2.5-flash',
+    ]);
+    const sonnet = report.models[1];
+    expect(sonnet.requests).toBe(3);
+    expect(sonnet.inputTokens).toBe(900);
+    expect(sonnet.costUsd).toBeCloseTo(0.012);
+    expect(report.updatedAt).toBe('2026-02-10T14:59:00.000Z');
+  });
+});
+
+describe('getUsageReport', () => {
+  beforeEach(() => {
+    suppressConsole();
+  });
+
+  it('reads the summary file from the container', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock.mockResolvedValueOnce(createMockExecResult(JSON.stringify(summary)));
+
+    const report = await getUsageReport(sandbox, 90);
+
+    expect(execMock.mock.calls[0][0]).toContain(USAGE_SUMMARY_FILE);
+    expect(report.updatedAt).toBe(summary.updatedAt);
+    expect(report.days).toHaveLength(90);
+  });
+
+  it('returns an empty report when the summary is missing or invalid', async () => {
+    const { sandbox, execMock } = createMockSandbox();
+    execMock
+      .mockResolvedValueOnce(createMockExecResult(''))
+      .mockResolvedValueOnce(createMockExecResult('{not json'));
+
+    const missing = await getUsageReport(sandbox, 7);
+    const invalid = await getUsageReport(sandbox, 7);
+
+    expect(missing.totals.requests).toBe(0);
+    expect(invalid.totals.requests).toBe(0);
+    expect(invalid.days).toHaveLength(7);
+  });
+});
@@ -0,0 +1,124 @@
+import type { Sandbox } from '@cloudflare/sandbox';
+
+/**
+ * Summary file maintained by fetch-cost-interceptor.cjs inside the container.
+ * Lives under the config directory so it is backed up to R2 with the rest of the config.
+ */
+export const USAGE_SUMMARY_FILE = '/root/.openclaw/usage/summary.json';
+
+export interface UsageTotals {
+  requests: number;
+  errors: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  costUsd: number;
+}
+
+export interface UsageDay extends UsageTotals {
+  date: string;
+}
+
+export interface UsageModel extends UsageTotals {
+  model: string;
+}
+
+export interface UsageReport {
+  updatedAt: string | null;
+  days: UsageDay[];
+  models: UsageModel[];
+  totals: UsageTotals;
+}
+
+interface UsageSummaryFile {
+  updatedAt?: string | null;
+  days?: Record<string, Partial<UsageTotals> & { models?: Record<string, Partial<UsageTotals>> }>;
+}
+
+function emptyTotals(): UsageTotals {
+  return {
+    requests: 0,
+    errors: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    costUsd: 0,
+  };
+}
+
+function addTotals(target: UsageTotals, source: Partial<UsageTotals>): void {
+  target.requests += source.requests || 0;
+  target.errors += source.errors || 0;
+  target.inputTokens += source.inputTokens || 0;
+  target.outputTokens += source.outputTokens || 0;
+  target.cacheReadTokens += source.cacheReadTokens || 0;
+  target.cacheWriteTokens += source.cacheWriteTokens || 0;
+  // Round to avoid floating point noise accumulating across many small costs
+  target.costUsd = Math.round((target.costUsd + (source.costUsd || 0)) * 1e6) / 1e6;
+}
+
+/**
+ * Build a usage report for the last `days` days (UTC, including today) from the
+ * interceptor's summary file. Days without traffic are included with zero totals
+ * so the result can be charted directly.
+ */
+export function buildUsageReport(
+  summary: UsageSummaryFile | null,
+  days: number,
+  now: Date = new Date(),
+): UsageReport {
+  const byModel = new Map<string, UsageModel>();
+  const totals = emptyTotals();
+  const dayList: UsageDay[] = [];
+
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(now.getTime() - i * 86400000).toISOString().slice(0, 10);
+    const entry = summary?.days?.[date];
+    const day: UsageDay = { date, ...emptyTotals() };
+    if (entry) {
+      addTotals(day, entry);
+      for (const [model, modelTotals] of Object.entries(entry.models || {})) {
+        let aggregate = byModel.get(model);
+        if (!aggregate) {
+          aggregate = { model, ...emptyTotals() };
+          byModel.set(model, aggregate);
+        }
+        addTotals(aggregate, modelTotals);
+      }
+    }
+    addTotals(totals, day);
+    dayList.push(day);
+  }
+
+  const models = Array.from(byModel.values());
+  models.sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+
+  return {
+    updatedAt: summary?.updatedAt ?? null,
+    days: dayList,
+    models,
+    totals,
+  };
+}
+
+/**
+ * Read the usage summary from the container and build a report.
+ * Returns an empty report if no LLM traffic has been recorded yet.
+ */
+export async function getUsageReport(sandbox: Sandbox, days: number): Promise<UsageReport> {
+  const result = await sandbox.exec(`cat ${USAGE_SUMMARY_FILE} 2>/dev/null || echo ""`);
+  const raw = result.stdout?.trim();
+
+  let summary: UsageSummaryFile | null = null;
+  if (raw) {
+    try {
+      summary = JSON.parse(raw) as UsageSummaryFile;
+    } catch {
+      console.error('[Usage] Failed to parse usage summary');
+    }
+  }
+
+  return buildUsageReport(summary, days);
+}
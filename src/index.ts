@@ -20,13 +20,19 @@
  * - SLACK_BOT_TOKEN + SLACK_APP_TOKEN: Slack tokens
  */
 
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
+import { routePath } from 'hono/route';
 import { getSandbox, Sandbox, type SandboxOptions } from '@cloudflare/sandbox';
 
 import type { AppEnv, MoltbotEnv } from './types';
 import { MOLTBOT_PORT } from './config';
 import { createAccessMiddleware } from './auth';
-import { ensureMoltbotGateway, findExistingMoltbotProcess } from './gateway';
+import {
+  ensureMoltbotGateway,
+  findExistingMoltbotProcess,
+  runScheduledMaintenance,
+} from './gateway';
+import { flushMetricsSoon, incMetric, observeMetric, recordMetricsHistory } from './metrics';
 import { publicRoutes, api, adminUi, debug, cdp } from './routes';
 import { redactSensitiveParams } from './utils/logging';
 import loadingPageHtml from './assets/loading.html';
@@ -114,6 +120,27 @@ function buildSandboxOptions(env: MoltbotEnv): SandboxOptions {
   return { sleepAfter };
 }
 
+/**
+ * Route label for request metrics: the pattern of the route that answered, so ids in the
+ * path don't create a series each. Requests answered by a catch-all - the gateway proxy, or
+ * middleware such as the auth check - are labelled by area.
+ */
+function routeLabel(c: Context<AppEnv>): string {
+  const path = routePath(c);
+  if (path && path !== '*' && path !== '/*') return path;
+  const area = ['/api/', '/_admin', '/debug/', '/cdp'].find((prefix) =>
+    c.req.path.startsWith(prefix),
+  );
+  return area ? `${area.replace(/\/$/, '')}/*` : '/*';
+}
+
+const HTTP_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+
+// Request methods come from the client; non-standard ones share a label so they can't add series
+function methodLabel(method: string): string {
+  return HTTP_METHODS.has(method) ? method : 'OTHER';
+}
+
 // Main app
 const app = new Hono<AppEnv>();
 
@@ -132,6 +159,24 @@ app.use('*', async (c, next) => {
   await next();
 });
 
+// Middleware: Record request count and latency
+app.use('*', async (c, next) => {
+  const startedAt = Date.now();
+  await next();
+  const route = routeLabel(c);
+  incMetric('moltworker_http_requests_total', {
+    route,
+    method: methodLabel(c.req.method),
+    status: String(c.res.status),
+  });
+  observeMetric(
+    'moltworker_http_request_duration_seconds',
+    { route },
+    (Date.now() - startedAt) / 1000,
+  );
+  flushMetricsSoon(c.env.MOLTBOT_BUCKET, c.executionCtx);
+});
+
 // Middleware: Initialize sandbox for all requests
 app.use('*', async (c, next) => {
   const options = buildSandboxOptions(c.env);
@@ -321,6 +366,17 @@ app.all('*', async (c) => {
     serverWs.accept();
     containerWs.accept();
 
+    incMetric('moltworker_websocket_relays_total');
+    incMetric('moltworker_websocket_relays_active', {}, 1);
+    // Close and error events fire on both sides; the relay ends once
+    let relayOpen = true;
+    const endRelay = () => {
+      if (!relayOpen) return;
+      relayOpen = false;
+      incMetric('moltworker_websocket_relays_active', {}, -1);
+      flushMetricsSoon(c.env.MOLTBOT_BUCKET, c.executionCtx);
+    };
+
     if (debugLogs) {
       console.log('[WS] Both WebSockets accepted');
       console.log('[WS] containerWs.readyState:', containerWs.readyState);
@@ -329,6 +385,7 @@ app.all('*', async (c) => {
 
     // Relay messages from client to container
     serverWs.addEventListener('message', (event) => {
+      incMetric('moltworker_websocket_messages_total', { direction: 'client_to_gateway' });
       if (debugLogs) {
         console.log(
           '[WS] Client -> Container:',
@@ -345,6 +402,7 @@ app.all('*', async (c) => {
 
     // Relay messages from container to client, with error transformation
     containerWs.addEventListener('message', (event) => {
+      incMetric('moltworker_websocket_messages_total', { direction: 'gateway_to_client' });
       if (debugLogs) {
         console.log(
           '[WS] Container -> Client (raw):',
@@ -387,6 +445,7 @@ app.all('*', async (c) => {
 
     // Handle close events
     serverWs.addEventListener('close', (event) => {
+      endRelay();
       if (debugLogs) {
         console.log('[WS] Client closed:', event.code, event.reason);
       }
@@ -394,6 +453,7 @@ app.all('*', async (c) => {
     });
 
     containerWs.addEventListener('close', (event) => {
+      endRelay();
       if (debugLogs) {
         console.log('[WS] Container closed:', event.code, event.reason);
       }
@@ -411,11 +471,13 @@ app.all('*', async (c) => {
     // Handle errors
     serverWs.addEventListener('error', (event) => {
       console.error('[WS] Client error:', event);
+      endRelay();
       containerWs.close(1011, 'Client error');
     });
 
     containerWs.addEventListener('error', (event) => {
       console.error('[WS] Container error:', event);
+      endRelay();
       serverWs.close(1011, 'Container error');
     });
 
@@ -444,6 +506,30 @@ app.all('*', async (c) => {
   });
 });
 
+/**
+ * Cron trigger (see `triggers` in wrangler.jsonc): restart an unhealthy gateway and back up
+ * to R2, independently of the sync loop inside the container, then add a point to the
+ * metrics history charted in the admin UI.
+ */
+async function scheduled(
+  _controller: ScheduledController,
+  env: MoltbotEnv,
+  ctx: ExecutionContext,
+): Promise<void> {
+  const sandbox = getSandbox(env.Sandbox, 'moltbot', buildSandboxOptions(env));
+  ctx.waitUntil(
+    runScheduledMaintenance(sandbox, env)
+      .catch((error: unknown) => {
+        console.error('[cron] Scheduled maintenance failed:', error);
+      })
+      .then(() => recordMetricsHistory(env.MOLTBOT_BUCKET))
+      .catch((error: unknown) => {
+        console.error('[cron] Failed to record metrics history:', error);
+      }),
+  );
+}
+
 export default {
   fetch: app.fetch,
+  scheduled,
 };
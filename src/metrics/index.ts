@@ -0,0 +1,19 @@
+export {
+  formatPrometheus,
+  incMetric,
+  mergeSnapshots,
+  METRICS,
+  observeMetric,
+  snapshotMetrics,
+} from './registry';
+export type { Labels, MetricName, MetricsSnapshot } from './registry';
+export {
+  breakdownMetrics,
+  collectMetrics,
+  flushMetrics,
+  flushMetricsSoon,
+  readMetricsHistory,
+  recordMetricsHistory,
+  summarizeMetrics,
+} from './store';
+export type { CdpMethodStats, MetricsPoint, RouteStats } from './store';
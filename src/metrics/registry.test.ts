@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  formatPrometheus,
+  incMetric,
+  MAX_SERIES_PER_METRIC,
+  mergeSnapshots,
+  observeMetric,
+  resetMetrics,
+  snapshotMetrics,
+} from './registry';
+import { suppressConsole } from '../test-utils';
+
+describe('metrics registry', () => {
+  beforeEach(() => {
+    resetMetrics();
+    suppressConsole();
+  });
+
+  it('counts per label set regardless of label order', () => {
+    incMetric('moltworker_http_requests_total', { route: '/api/status', status: '200' });
+    incMetric('moltworker_http_requests_total', { status: '200', route: '/api/status' }, 2);
+    incMetric('moltworker_http_requests_total', { route: '/api/status', status: '500' });
+
+    const series = snapshotMetrics().moltworker_http_requests_total!;
+    expect(series.map((s) => s.value)).toEqual([3, 1]);
+  });
+
+  it('moves gauges both ways', () => {
+    incMetric('moltworker_websocket_relays_active', {}, 1);
+    incMetric('moltworker_websocket_relays_active', {}, 1);
+    incMetric('moltworker_websocket_relays_active', {}, -1);
+
+    expect(snapshotMetrics().moltworker_websocket_relays_active).toEqual([
+      { labels: {}, value: 1 },
+    ]);
+  });
+
+  it('puts histogram observations in the first bucket that fits', () => {
+    observeMetric('moltworker_sync_duration_seconds', { trigger: 'manual' }, 3);
+    observeMetric('moltworker_sync_duration_seconds', { trigger: 'manual' }, 5);
+    observeMetric('moltworker_sync_duration_seconds', { trigger: 'manual' }, 9000);
+
+    const [series] = snapshotMetrics().moltworker_sync_duration_seconds!;
+    expect(series.counts![1]).toBe(2); // le=5
+    expect(series.counts!.at(-1)).toBe(1); // +Inf
+    expect(series).toMatchObject({ sum: 9008, count: 3 });
+  });
+
+  it('stops adding series at the limit', () => {
+    for (let i = 0; i <= MAX_SERIES_PER_METRIC; i++) {
+      incMetric('moltworker_cdp_calls_total', { method: `Page.m${i}`, result: 'ok' });
+    }
+    incMetric('moltworker_cdp_calls_total', { method: 'Page.m0', result: 'ok' });
+
+    const series = snapshotMetrics().moltworker_cdp_calls_total!;
+    expect(series).toHaveLength(MAX_SERIES_PER_METRIC);
+    expect(series[0].value).toBe(2);
+  });
+
+  it('returns snapshots that later updates do not change', () => {
+    incMetric('moltworker_websocket_relays_total');
+    const snapshot = snapshotMetrics();
+    incMetric('moltworker_websocket_relays_total');
+
+    expect(snapshot.moltworker_websocket_relays_total![0].value).toBe(1);
+  });
+
+  it('merges snapshots series by series', () => {
+    incMetric('moltworker_websocket_messages_total', { direction: 'client_to_gateway' }, 4);
+    observeMetric('moltworker_gateway_cold_start_seconds', { result: 'success' }, 40);
+    const snapshot = snapshotMetrics();
+
+    const merged = mergeSnapshots([
+      snapshot,
+      snapshot,
+      {
+        moltworker_gateway_cold_start_seconds: [
+          { labels: { result: 'success' }, counts: [1], sum: 1, count: 1 }, // other buckets
+        ],
+      },
+    ]);
+
+    expect(merged.moltworker_websocket_messages_total).toEqual([
+      { labels: { direction: 'client_to_gateway' }, value: 8 },
+    ]);
+    expect(merged.moltworker_gateway_cold_start_seconds![0]).toMatchObject({ sum: 80, count: 2 });
+    expect(snapshot.moltworker_gateway_cold_start_seconds![0].count).toBe(1);
+  });
+
+  it('formats the Prometheus text exposition', () => {
+    incMetric('moltworker_http_requests_total', {
+      route: '/api/admin/processes/:id/kill',
+      method: 'POST',
+      status: '200',
+    });
+    incMetric('moltworker_cdp_calls_total', { method: 'say "hi"\\', result: 'ok' });
+    observeMetric('moltworker_http_request_duration_seconds', { route: '/' }, 0.2);
+
+    const text = formatPrometheus(snapshotMetrics());
+
+    expect(text).toContain('# TYPE moltworker_http_requests_total counter');
+    expect(text).toContain(
+      'moltworker_http_requests_total{route="/api/admin/processes/:id/kill",method="POST",status="200"} 1',
+    );
+    expect(text).toContain('moltworker_cdp_calls_total{method="say \\"hi\\"\\\\",result="ok"} 1');
+    expect(text).toContain('moltworker_http_request_duration_seconds_bucket{route="/",le="0.1"} 0');
+    expect(text).toContain(
+      'moltworker_http_request_duration_seconds_bucket{route="/",le="0.25"} 1',
+    );
+    expect(text).toContain(
+      'moltworker_http_request_duration_seconds_bucket{route="/",le="+Inf"} 1',
+    );
+    expect(text).toContain('moltworker_http_request_duration_seconds_count{route="/"} 1');
+    expect(text).toContain('# TYPE moltworker_websocket_relays_active gauge');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+});
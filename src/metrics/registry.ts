@@ -0,0 +1,250 @@
+/**
+ * In-memory metrics for the Worker: counters, gauges and histograms with labels, in the
+ * shape Prometheus expects.
+ *
+ * Values live in the isolate that recorded them. Workers run many isolates and recycle them
+ * at will, so store.ts saves each isolate's snapshot to R2 and merges them when the metrics
+ * are read; nothing here touches I/O.
+ */
+
+export type MetricType = 'counter' | 'gauge' | 'histogram';
+
+interface MetricDefinition {
+  type: MetricType;
+  help: string;
+  buckets?: number[]; // histogram upper bounds in seconds, ascending
+}
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SLOW_BUCKETS = [1, 5, 10, 20, 30, 60, 120, 180, 300, 600];
+
+export const METRICS = {
+  moltworker_http_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests handled by the Worker, by route, method and status',
+  },
+  moltworker_http_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to produce a response (WebSocket upgrades: until the relay is set up)',
+    buckets: DURATION_BUCKETS,
+  },
+  moltworker_websocket_relays_active: {
+    type: 'gauge',
+    help: 'Open WebSocket relays between clients and the gateway',
+  },
+  moltworker_websocket_relays_total: {
+    type: 'counter',
+    help: 'WebSocket relays opened to the gateway',
+  },
+  moltworker_websocket_messages_total: {
+    type: 'counter',
+    help: 'Messages relayed between clients and the gateway, by direction',
+  },
+  moltworker_gateway_cold_start_seconds: {
+    type: 'histogram',
+    help: 'Time for a newly started gateway to accept connections, by result',
+    buckets: SLOW_BUCKETS,
+  },
+  moltworker_cdp_sessions_active: {
+    type: 'gauge',
+    help: 'Open CDP sessions backed by Browser Rendering',
+  },
+  moltworker_cdp_sessions_total: {
+    type: 'counter',
+    help: 'CDP sessions opened, by result of the browser launch',
+  },
+  moltworker_cdp_calls_total: {
+    type: 'counter',
+    help: 'CDP method calls, by method and result',
+  },
+  moltworker_sync_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of R2 backup syncs, by trigger and result',
+    buckets: SLOW_BUCKETS,
+  },
+} satisfies Record<string, MetricDefinition>;
+
+export type MetricName = keyof typeof METRICS;
+
+type MetricsOfType<T extends MetricType> = {
+  [K in MetricName]: (typeof METRICS)[K]['type'] extends T ? K : never;
+}[MetricName];
+
+export type Labels = Record<string, string>;
+
+/** One labelled series. Histograms carry per-bucket counts (not cumulative; the last is +Inf) */
+export interface SeriesSnapshot {
+  labels: Labels;
+  value?: number;
+  counts?: number[];
+  sum?: number;
+  count?: number;
+}
+
+export type MetricsSnapshot = Partial<Record<MetricName, SeriesSnapshot[]>>;
+
+/** Series kept per metric; more would mean an unbounded label value slipped through */
+export const MAX_SERIES_PER_METRIC = 200;
+
+const registry = new Map<MetricName, Map<string, SeriesSnapshot>>();
+const warnedFull = new Set<MetricName>();
+
+function seriesKey(labels: Labels): string {
+  const entries = Object.entries(labels);
+  entries.sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify(entries);
+}
+
+function getSeries(name: MetricName, labels: Labels): SeriesSnapshot | null {
+  let series = registry.get(name);
+  if (!series) {
+    series = new Map();
+    registry.set(name, series);
+  }
+  const key = seriesKey(labels);
+  const existing = series.get(key);
+  if (existing) return existing;
+
+  if (series.size >= MAX_SERIES_PER_METRIC) {
+    if (!warnedFull.has(name)) {
+      warnedFull.add(name);
+      console.warn(`[metrics] ${name} has ${MAX_SERIES_PER_METRIC} series, dropping new labels`);
+    }
+    return null;
+  }
+  const definition: MetricDefinition = METRICS[name];
+  const created: SeriesSnapshot =
+    definition.type === 'histogram'
+      ? {
+          labels,
+          counts: Array.from({ length: definition.buckets!.length + 1 }, () => 0),
+          sum: 0,
+          count: 0,
+        }
+      : { labels, value: 0 };
+  series.set(key, created);
+  return created;
+}
+
+/**
+ * Add to a counter (or move a gauge by `value`, which may be negative).
+ */
+export function incMetric(
+  name: MetricsOfType<'counter' | 'gauge'>,
+  labels: Labels = {},
+  value = 1,
+): void {
+  const series = getSeries(name, labels);
+  if (series) series.value! += value;
+}
+
+/**
+ * Record a histogram observation, in seconds.
+ */
+export function observeMetric(
+  name: MetricsOfType<'histogram'>,
+  labels: Labels,
+  seconds: number,
+): void {
+  const series = getSeries(name, labels);
+  if (!series) return;
+  const buckets: number[] = (METRICS[name] as MetricDefinition).buckets!;
+  const index = buckets.findIndex((bound) => seconds <= bound);
+  series.counts![index === -1 ? buckets.length : index]++;
+  series.sum! += seconds;
+  series.count!++;
+}
+
+/**
+ * Copy of everything recorded in this isolate, safe to serialize.
+ */
+export function snapshotMetrics(): MetricsSnapshot {
+  const snapshot: MetricsSnapshot = {};
+  for (const [name, series] of registry) {
+    snapshot[name] = Array.from(series.values(), (s) => structuredClone(s));
+  }
+  return snapshot;
+}
+
+/** Forget all recorded values (tests) */
+export function resetMetrics(): void {
+  registry.clear();
+  warnedFull.clear();
+}
+
+/**
+ * Sum snapshots from several isolates series by series. Series of unknown metrics, or
+ * histograms recorded with different buckets, are skipped.
+ */
+export function mergeSnapshots(snapshots: MetricsSnapshot[]): MetricsSnapshot {
+  const merged = new Map<MetricName, Map<string, SeriesSnapshot>>();
+  for (const snapshot of snapshots) {
+    for (const [name, list] of Object.entries(snapshot) as [MetricName, SeriesSnapshot[]][]) {
+      const definition: MetricDefinition | undefined = METRICS[name];
+      if (!definition || !Array.isArray(list)) continue;
+      const target = merged.get(name) ?? new Map<string, SeriesSnapshot>();
+      merged.set(name, target);
+      for (const series of list) {
+        const key = seriesKey(series.labels);
+        const existing = target.get(key);
+        if (definition.type !== 'histogram') {
+          if (existing) existing.value! += series.value ?? 0;
+          else target.set(key, { labels: series.labels, value: series.value ?? 0 });
+          continue;
+        }
+        if (series.counts?.length !== definition.buckets!.length + 1) continue;
+        if (!existing) {
+          target.set(key, structuredClone(series));
+          continue;
+        }
+        series.counts.forEach((n, i) => (existing.counts![i] += n));
+        existing.sum! += series.sum ?? 0;
+        existing.count! += series.count ?? 0;
+      }
+    }
+  }
+
+  const result: MetricsSnapshot = {};
+  for (const [name, series] of merged) result[name] = Array.from(series.values());
+  return result;
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels, extra?: [string, string]): string {
+  const entries = Object.entries(labels);
+  if (extra) entries.push(extra);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render a snapshot in the Prometheus text exposition format (version 0.0.4).
+ */
+export function formatPrometheus(snapshot: MetricsSnapshot): string {
+  const lines: string[] = [];
+  for (const [name, definition] of Object.entries(METRICS) as [MetricName, MetricDefinition][]) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+    for (const series of snapshot[name] ?? []) {
+      if (definition.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value ?? 0}`);
+        continue;
+      }
+      let cumulative = 0;
+      definition.buckets!.forEach((bound, i) => {
+        cumulative += series.counts![i];
+        lines.push(
+          `${name}_bucket${formatLabels(series.labels, ['le', String(bound)])} ${cumulative}`,
+        );
+      });
+      lines.push(
+        `${name}_bucket${formatLabels(series.labels, ['le', '+Inf'])} ${series.count}`,
+        `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${name}_count${formatLabels(series.labels)} ${series.count}`,
+      );
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
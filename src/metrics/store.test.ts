@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  incMetric,
+  observeMetric,
+  resetMetrics,
+  snapshotMetrics,
+  type MetricsSnapshot,
+} from './registry';
+import {
+  breakdownMetrics,
+  collectMetrics,
+  flushMetrics,
+  flushMetricsSoon,
+  FLUSH_INTERVAL_MS,
+  ISOLATE_PREFIX,
+  ISOLATE_RETENTION_MS,
+  MAX_METRICS_HISTORY,
+  METRICS_HISTORY_KEY,
+  readMetricsHistory,
+  recordMetricsHistory,
+  summarizeMetrics,
+} from './store';
+import { createMockBucket, suppressConsole, type MockBucket } from '../test-utils';
+
+function storeIsolate(
+  { objects }: MockBucket,
+  id: string,
+  metrics: MetricsSnapshot,
+  updatedAt: Date,
+): void {
+  objects.set(`${ISOLATE_PREFIX}${id}.json`, {
+    body: JSON.stringify({ isolate: id, updatedAt: updatedAt.toISOString(), metrics }),
+    uploaded: updatedAt,
+  });
+}
+
+describe('metrics store', () => {
+  beforeEach(() => {
+    resetMetrics();
+    suppressConsole();
+  });
+
+  it('merges live values with other isolates and drops stale gauges', async () => {
+    const mock = createMockBucket();
+    const now = new Date();
+    incMetric('moltworker_websocket_relays_total');
+    incMetric('moltworker_websocket_relays_active', {}, 1);
+    storeIsolate(
+      mock,
+      'fresh',
+      {
+        moltworker_websocket_relays_total: [{ labels: {}, value: 2 }],
+        moltworker_websocket_relays_active: [{ labels: {}, value: 1 }],
+      },
+      now,
+    );
+    storeIsolate(
+      mock,
+      'quiet',
+      {
+        moltworker_websocket_relays_total: [{ labels: {}, value: 4 }],
+        moltworker_websocket_relays_active: [{ labels: {}, value: 3 }],
+      },
+      new Date(now.getTime() - 60 * 60 * 1000),
+    );
+
+    const merged = await collectMetrics(mock.bucket, now);
+
+    expect(merged.moltworker_websocket_relays_total![0].value).toBe(7);
+    expect(merged.moltworker_websocket_relays_active![0].value).toBe(2);
+  });
+
+  it('deletes snapshots past the retention', async () => {
+    const mock = createMockBucket();
+    const now = new Date();
+    storeIsolate(
+      mock,
+      'gone',
+      { moltworker_websocket_relays_total: [{ labels: {}, value: 9 }] },
+      new Date(now.getTime() - ISOLATE_RETENTION_MS - 1000),
+    );
+
+    const merged = await collectMetrics(mock.bucket, now);
+
+    expect(merged.moltworker_websocket_relays_total).toBeUndefined();
+    expect(mock.objects.has(`${ISOLATE_PREFIX}gone.json`)).toBe(false);
+  });
+
+  it('counts its own snapshot once', async () => {
+    const { bucket } = createMockBucket();
+    incMetric('moltworker_websocket_relays_total');
+    await flushMetrics(bucket);
+    incMetric('moltworker_websocket_relays_total');
+
+    const merged = await collectMetrics(bucket);
+
+    expect(merged.moltworker_websocket_relays_total![0].value).toBe(2);
+  });
+
+  it('flushes at most once per interval', async () => {
+    const { bucket } = createMockBucket();
+    const waitUntil = vi.fn();
+    const start = new Date('2030-01-01T00:00:00.000Z');
+
+    flushMetricsSoon(bucket, { waitUntil }, start);
+    await waitUntil.mock.calls[0][0];
+    flushMetricsSoon(bucket, { waitUntil }, new Date(start.getTime() + FLUSH_INTERVAL_MS - 1));
+    flushMetricsSoon(bucket, { waitUntil }, new Date(start.getTime() + FLUSH_INTERVAL_MS));
+
+    expect(waitUntil).toHaveBeenCalledTimes(2);
+  });
+
+  it('summarizes totals and breaks them down by route and CDP method', () => {
+    incMetric('moltworker_http_requests_total', { route: '/*', method: 'GET', status: '200' }, 3);
+    incMetric('moltworker_http_requests_total', { route: '/*', method: 'GET', status: '503' });
+    incMetric('moltworker_http_requests_total', {
+      route: '/api/status',
+      method: 'GET',
+      status: '200',
+    });
+    observeMetric('moltworker_http_request_duration_seconds', { route: '/*' }, 0.1);
+    observeMetric('moltworker_http_request_duration_seconds', { route: '/*' }, 0.3);
+    incMetric('moltworker_cdp_calls_total', { method: 'Page.navigate', result: 'ok' }, 2);
+    incMetric('moltworker_cdp_calls_total', { method: 'Page.navigate', result: 'rejected' });
+    observeMetric('moltworker_gateway_cold_start_seconds', { result: 'success' }, 42);
+
+    const snapshot = snapshotMetrics();
+    const point = summarizeMetrics(snapshot, new Date('2030-01-01T00:00:00.000Z'));
+    const { routes, cdpMethods } = breakdownMetrics(snapshot);
+
+    expect(point).toMatchObject({
+      timestamp: '2030-01-01T00:00:00.000Z',
+      httpRequests: 5,
+      httpErrors: 1,
+      cdpCalls: 3,
+      cdpErrors: 1,
+      coldStarts: 1,
+      coldStartSeconds: 42,
+    });
+    expect(routes).toEqual([
+      { route: '/*', requests: 4, errors: 1, avgMs: 200 },
+      { route: '/api/status', requests: 1, errors: 0, avgMs: 0 },
+    ]);
+    expect(cdpMethods).toEqual([{ method: 'Page.navigate', calls: 3, errors: 1 }]);
+  });
+
+  it('appends to a capped history', async () => {
+    const { bucket, objects } = createMockBucket();
+    const old = Array.from({ length: MAX_METRICS_HISTORY }, (_, i) => ({ timestamp: String(i) }));
+    objects.set(METRICS_HISTORY_KEY, { body: JSON.stringify(old), uploaded: new Date() });
+    incMetric('moltworker_websocket_relays_total');
+
+    const point = await recordMetricsHistory(bucket);
+    const history = await readMetricsHistory(bucket);
+
+    expect(history).toHaveLength(MAX_METRICS_HISTORY);
+    expect(history[0].timestamp).toBe('1');
+    expect(history.at(-1)).toEqual(point);
+    expect(Array.from(objects.keys()).some((key) => key.startsWith(ISOLATE_PREFIX))).toBe(true);
+  });
+});
@@ -0,0 +1,271 @@
+import {
+  mergeSnapshots,
+  snapshotMetrics,
+  type MetricName,
+  type MetricsSnapshot,
+  type SeriesSnapshot,
+} from './registry';
+
+/**
+ * Persistence of the in-memory metrics so they survive isolate churn.
+ *
+ * Each isolate writes its own snapshot to `metrics/isolates/<id>.json` at most once per
+ * FLUSH_INTERVAL_MS; reading the metrics merges the live values of the current isolate with
+ * the snapshots of the others. Counters of isolates that stopped writing are kept for a day
+ * (Prometheus treats the drop when they expire as a counter reset); their gauges only count
+ * while they are fresh, since an evicted isolate has no open connections left.
+ *
+ * The cron trigger also appends a summary to METRICS_HISTORY_KEY for the admin UI's charts.
+ */
+
+export const ISOLATE_PREFIX = 'metrics/isolates/';
+export const METRICS_HISTORY_KEY = 'metrics/history.json';
+
+export const FLUSH_INTERVAL_MS = 60_000;
+export const GAUGE_FRESH_MS = 10 * 60 * 1000;
+export const ISOLATE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/** Points kept in the history: 24 hours at the 5 minute cron interval */
+export const MAX_METRICS_HISTORY = 288;
+
+const GAUGES: MetricName[] = [
+  'moltworker_websocket_relays_active',
+  'moltworker_cdp_sessions_active',
+];
+
+interface IsolateSnapshot {
+  isolate: string;
+  updatedAt: string;
+  metrics: MetricsSnapshot;
+}
+
+/** Totals at one point in time; counters are cumulative, so charts plot the differences */
+export interface MetricsPoint {
+  timestamp: string;
+  httpRequests: number;
+  httpErrors: number; // 5xx responses
+  httpSeconds: number; // sum of request durations
+  wsActive: number;
+  wsMessages: number;
+  cdpSessionsActive: number;
+  cdpCalls: number;
+  cdpErrors: number;
+  coldStarts: number;
+  coldStartSeconds: number;
+  syncs: number;
+  syncSeconds: number;
+}
+
+// crypto.randomUUID() is not allowed at global scope in Workers, so the id is made lazily
+let isolateId: string | null = null;
+let lastFlushAt = 0;
+
+function isolateKey(): string {
+  isolateId ??= crypto.randomUUID();
+  return `${ISOLATE_PREFIX}${isolateId}.json`;
+}
+
+/**
+ * Write this isolate's snapshot to R2.
+ */
+export async function flushMetrics(bucket: R2Bucket, now: Date = new Date()): Promise<void> {
+  lastFlushAt = now.getTime();
+  const key = isolateKey();
+  const snapshot: IsolateSnapshot = {
+    isolate: isolateId!,
+    updatedAt: now.toISOString(),
+    metrics: snapshotMetrics(),
+  };
+  await bucket.put(key, JSON.stringify(snapshot), {
+    httpMetadata: { contentType: 'application/json' },
+  });
+}
+
+/**
+ * Flush in the background unless this isolate flushed within FLUSH_INTERVAL_MS.
+ */
+export function flushMetricsSoon(
+  bucket: R2Bucket,
+  ctx: { waitUntil(promise: Promise<unknown>): void },
+  now: Date = new Date(),
+): void {
+  if (now.getTime() - lastFlushAt < FLUSH_INTERVAL_MS) return;
+  ctx.waitUntil(
+    flushMetrics(bucket, now).catch((error: unknown) => {
+      console.error('[metrics] Failed to flush metrics:', error);
+    }),
+  );
+}
+
+function withoutGauges(snapshot: MetricsSnapshot): MetricsSnapshot {
+  const copy = { ...snapshot };
+  for (const name of GAUGES) delete copy[name];
+  return copy;
+}
+
+/**
+ * Metrics of all isolates: this one's live values plus the snapshots of the others.
+ * Snapshots past ISOLATE_RETENTION_MS are deleted.
+ */
+export async function collectMetrics(
+  bucket: R2Bucket,
+  now: Date = new Date(),
+): Promise<MetricsSnapshot> {
+  const ownKey = isolateKey();
+  const objects: R2Object[] = [];
+  let cursor: string | undefined;
+  do {
+    // eslint-disable-next-line no-await-in-loop -- each page needs the previous cursor
+    const listed = await bucket.list({ prefix: ISOLATE_PREFIX, cursor });
+    objects.push(...listed.objects);
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  const expired: string[] = [];
+  const current: R2Object[] = [];
+  for (const object of objects) {
+    if (object.key === ownKey) continue;
+    if (now.getTime() - object.uploaded.getTime() > ISOLATE_RETENTION_MS) expired.push(object.key);
+    else current.push(object);
+  }
+  if (expired.length > 0) {
+    await bucket.delete(expired).catch((error: unknown) => {
+      console.error('[metrics] Failed to delete expired snapshots:', error);
+    });
+  }
+
+  const others = await Promise.all(
+    current.map(async (object): Promise<MetricsSnapshot> => {
+      try {
+        const stored = (await (await bucket.get(object.key))?.json()) as
+          | IsolateSnapshot
+          | undefined;
+        if (!stored?.metrics) return {};
+        const age = now.getTime() - new Date(stored.updatedAt).getTime();
+        return age > GAUGE_FRESH_MS ? withoutGauges(stored.metrics) : stored.metrics;
+      } catch {
+        console.error(`[metrics] Ignoring unreadable snapshot ${object.key}`);
+        return {};
+      }
+    }),
+  );
+  return mergeSnapshots([snapshotMetrics(), ...others]);
+}
+
+function sumValues(series: SeriesSnapshot[] | undefined, filter?: (s: SeriesSnapshot) => boolean) {
+  return (series ?? []).filter((s) => !filter || filter(s)).reduce((n, s) => n + (s.value ?? 0), 0);
+}
+
+function sumHistogram(series: SeriesSnapshot[] | undefined) {
+  return (series ?? []).reduce(
+    (totals, s) => ({ count: totals.count + (s.count ?? 0), sum: totals.sum + (s.sum ?? 0) }),
+    { count: 0, sum: 0 },
+  );
+}
+
+/**
+ * Reduce a snapshot to the totals the admin UI charts.
+ */
+export function summarizeMetrics(snapshot: MetricsSnapshot, now: Date = new Date()): MetricsPoint {
+  const http = sumHistogram(snapshot.moltworker_http_request_duration_seconds);
+  const coldStarts = sumHistogram(snapshot.moltworker_gateway_cold_start_seconds);
+  const syncs = sumHistogram(snapshot.moltworker_sync_duration_seconds);
+  return {
+    timestamp: now.toISOString(),
+    httpRequests: sumValues(snapshot.moltworker_http_requests_total),
+    httpErrors: sumValues(snapshot.moltworker_http_requests_total, (s) =>
+      s.labels.status?.startsWith('5'),
+    ),
+    httpSeconds: http.sum,
+    wsActive: sumValues(snapshot.moltworker_websocket_relays_active),
+    wsMessages: sumValues(snapshot.moltworker_websocket_messages_total),
+    cdpSessionsActive: sumValues(snapshot.moltworker_cdp_sessions_active),
+    cdpCalls: sumValues(snapshot.moltworker_cdp_calls_total),
+    cdpErrors: sumValues(snapshot.moltworker_cdp_calls_total, (s) => s.labels.result !== 'ok'),
+    coldStarts: coldStarts.count,
+    coldStartSeconds: coldStarts.sum,
+    syncs: syncs.count,
+    syncSeconds: syncs.sum,
+  };
+}
+
+export interface RouteStats {
+  route: string;
+  requests: number;
+  errors: number; // 5xx responses
+  avgMs: number;
+}
+
+export interface CdpMethodStats {
+  method: string;
+  calls: number;
+  errors: number; // errors and scope rejections
+}
+
+/**
+ * Per-route and per-CDP-method totals, busiest first.
+ */
+export function breakdownMetrics(snapshot: MetricsSnapshot): {
+  routes: RouteStats[];
+  cdpMethods: CdpMethodStats[];
+} {
+  const routes = new Map<string, RouteStats>();
+  for (const series of snapshot.moltworker_http_requests_total ?? []) {
+    const route = series.labels.route;
+    const stats = routes.get(route) ?? { route, requests: 0, errors: 0, avgMs: 0 };
+    stats.requests += series.value ?? 0;
+    if (series.labels.status?.startsWith('5')) stats.errors += series.value ?? 0;
+    routes.set(route, stats);
+  }
+  for (const series of snapshot.moltworker_http_request_duration_seconds ?? []) {
+    const stats = routes.get(series.labels.route);
+    if (stats && series.count) stats.avgMs = Math.round(((series.sum ?? 0) / series.count) * 1000);
+  }
+
+  const methods = new Map<string, CdpMethodStats>();
+  for (const series of snapshot.moltworker_cdp_calls_total ?? []) {
+    const method = series.labels.method;
+    const stats = methods.get(method) ?? { method, calls: 0, errors: 0 };
+    stats.calls += series.value ?? 0;
+    if (series.labels.result !== 'ok') stats.errors += series.value ?? 0;
+    methods.set(method, stats);
+  }
+
+  const routeStats = Array.from(routes.values());
+  routeStats.sort((a, b) => b.requests - a.requests);
+  const methodStats = Array.from(methods.values());
+  methodStats.sort((a, b) => b.calls - a.calls);
+  return { routes: routeStats, cdpMethods: methodStats };
+}
+
+/**
+ * Read the chart history, oldest first.
+ */
+export async function readMetricsHistory(bucket: R2Bucket): Promise<MetricsPoint[]> {
+  const object = await bucket.get(METRICS_HISTORY_KEY);
+  if (!object) return [];
+  try {
+    const history = await object.json();
+    return Array.isArray(history) ? (history as MetricsPoint[]) : [];
+  } catch {
+    console.error('[metrics] Ignoring unreadable metrics history');
+    return [];
+  }
+}
+
+/**
+ * Append the current totals to the chart history (from the cron trigger) and flush this
+ * isolate's snapshot.
+ */
+export async function recordMetricsHistory(
+  bucket: R2Bucket,
+  now: Date = new Date(),
+): Promise<MetricsPoint> {
+  const point = summarizeMetrics(await collectMetrics(bucket, now), now);
+  const history = [...(await readMetricsHistory(bucket)), point].slice(-MAX_METRICS_HISTORY);
+  await bucket.put(METRICS_HISTORY_KEY, JSON.stringify(history), {
+    httpMetadata: { contentType: 'application/json' },
+  });
+  await flushMetrics(bucket, now);
+  return point;
+}
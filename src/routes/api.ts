@@ -1,15 +1,110 @@
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
+import { streamSSE } from 'hono/streaming';
+import { parseSSEStream, type LogEvent, type Sandbox } from '@cloudflare/sandbox';
 import type { AppEnv } from '../types';
 import { createAccessMiddleware } from '../auth';
 import {
+  gatewayRestartEvent,
+  getNotificationChannels,
+  listAudit,
+  notify,
+  notifyNewPairingRequests,
+  recordAudit,
+  type AuditAction,
+  type NewAuditEntry,
+} from '../audit';
+import {
+  deleteProfile,
+  isValidProfileName,
+  issueToken,
+  listProfiles,
+  listTokens,
+  parseTokenRequest,
+  revokeToken,
+} from '../browser';
+import {
+  approveDevice,
+  createSnapshot,
+  diffSnapshot,
   ensureMoltbotGateway,
   findExistingMoltbotProcess,
-  syncToR2,
-  waitForProcess,
+  getSnapshotRetention,
+  getSyncStatus,
+  getUsageReport,
+  isGatewayCommand,
+  isSnapshotArea,
+  isValidSnapshotId,
+  listDevices,
+  listProcessSummaries,
+  listSnapshots,
+  pruneSnapshots,
+  readContainerConfig,
+  readSyncHistory,
+  redactCommand,
+  restoreSnapshot,
+  runRecordedSync,
+  tailLog,
+  type SnapshotArea,
+  type SyncRecord,
 } from '../gateway';
+import {
+  breakdownMetrics,
+  collectMetrics,
+  formatPrometheus,
+  readMetricsHistory,
+  summarizeMetrics,
+} from '../metrics';
 
-// CLI commands can take 10-15 seconds to complete due to WebSocket connection overhead
-const CLI_TIMEOUT_MS = 20000;
+/**
+ * Kill the running gateway process, if any. Returns the killed process.
+ */
+async function stopGateway(sandbox: Sandbox) {
+  const existingProcess = await findExistingMoltbotProcess(sandbox);
+
+  if (existingProcess) {
+    console.log('Killing existing gateway process:', existingProcess.id);
+    try {
+      await existingProcess.kill();
+    } catch (killErr) {
+      console.error('Error killing process:', killErr);
+    }
+    // Wait a moment for the process to die
+    await new Promise((r) => setTimeout(r, 2000));
+  }
+
+  return existingProcess;
+}
+
+/**
+ * Record an admin action in the audit log, with the Cloudflare Access user as the actor,
+ * without delaying the response. A failure to record never fails the action.
+ */
+function audit(
+  c: Context<AppEnv>,
+  action: AuditAction,
+  result: NewAuditEntry['result'],
+  fields: { target?: string; details?: string } = {},
+) {
+  const entry: NewAuditEntry = {
+    actor: c.get('accessUser')?.email ?? null,
+    action,
+    result,
+    ...fields,
+  };
+  c.executionCtx.waitUntil(
+    recordAudit(c.env.MOLTBOT_BUCKET, entry).catch((error: unknown) => {
+      console.error('[audit] Failed to record admin action:', error);
+    }),
+  );
+}
+
+/**
+ * Announce a gateway restart requested from the admin UI.
+ */
+function announceRestart(c: Context<AppEnv>, reason: string) {
+  const actor = c.get('accessUser')?.email;
+  c.executionCtx.waitUntil(notify(c.env, gatewayRestartEvent(reason, { actor })));
+}
 
 /**
  * API routes
@@ -36,43 +131,17 @@ adminApi.get('/devices', async (c) => {
     await ensureMoltbotGateway(sandbox, c.env);
 
     // Run OpenClaw CLI to list devices
-    // Must specify --url and --token (OpenClaw v2026.2.3 requires explicit credentials with --url)
-    const token = c.env.MOLTBOT_GATEWAY_TOKEN;
-    const tokenArg = token ? ` --token ${token}` : '';
-    const proc = await sandbox.startProcess(
-      `openclaw devices list --json --url ws://localhost:18789${tokenArg}`,
-    );
-    await waitForProcess(proc, CLI_TIMEOUT_MS);
-
-    const logs = await proc.getLogs();
-    const stdout = logs.stdout || '';
-    const stderr = logs.stderr || '';
-
-    // Try to parse JSON output
-    try {
-      // Find JSON in output (may have other log lines)
-      const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-        return c.json(data);
-      }
-
-      // If no JSON found, return raw output for debugging
-      return c.json({
-        pending: [],
-        paired: [],
-        raw: stdout,
-        stderr,
-      });
-    } catch {
-      return c.json({
-        pending: [],
-        paired: [],
-        raw: stdout,
-        stderr,
-        parseError: 'Failed to parse CLI output',
-      });
+    const devices = await listDevices(sandbox, c.env);
+
+    // The cron check is skipped while SANDBOX_SLEEP_AFTER is set, so announce from here too
+    if (getNotificationChannels(c.env).length > 0) {
+      c.executionCtx.waitUntil(
+        notifyNewPairingRequests(c.env, devices).catch((error: unknown) => {
+          console.error('[notify] Failed to announce pairing requests:', error);
+        }),
+      );
     }
+    return c.json(devices);
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     return c.json({ error: errorMessage }, 500);
@@ -93,19 +162,8 @@ adminApi.post('/devices/:requestId/approve', async (c) => {
     await ensureMoltbotGateway(sandbox, c.env);
 
     // Run OpenClaw CLI to approve the device
-    const token = c.env.MOLTBOT_GATEWAY_TOKEN;
-    const tokenArg = token ? ` --token ${token}` : '';
-    const proc = await sandbox.startProcess(
-      `openclaw devices approve ${requestId} --url ws://localhost:18789${tokenArg}`,
-    );
-    await waitForProcess(proc, CLI_TIMEOUT_MS);
-
-    const logs = await proc.getLogs();
-    const stdout = logs.stdout || '';
-    const stderr = logs.stderr || '';
-
-    // Check for success indicators (case-insensitive, CLI outputs "Approved ...")
-    const success = stdout.toLowerCase().includes('approved') || proc.exitCode === 0;
+    const { success, stdout, stderr } = await approveDevice(sandbox, c.env, requestId);
+    audit(c, 'device.approve', success ? 'success' : 'failure', { target: requestId });
 
     return c.json({
       success,
@@ -116,6 +174,7 @@ adminApi.post('/devices/:requestId/approve', async (c) => {
     });
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    audit(c, 'device.approve', 'failure', { target: requestId, details: errorMessage });
     return c.json({ error: errorMessage }, 500);
   }
 });
@@ -129,27 +188,11 @@ adminApi.post('/devices/approve-all', async (c) => {
     await ensureMoltbotGateway(sandbox, c.env);
 
     // First, get the list of pending devices
-    const token = c.env.MOLTBOT_GATEWAY_TOKEN;
-    const tokenArg = token ? ` --token ${token}` : '';
-    const listProc = await sandbox.startProcess(
-      `openclaw devices list --json --url ws://localhost:18789${tokenArg}`,
-    );
-    await waitForProcess(listProc, CLI_TIMEOUT_MS);
-
-    const listLogs = await listProc.getLogs();
-    const stdout = listLogs.stdout || '';
-
-    // Parse pending devices
-    let pending: Array<{ requestId: string }> = [];
-    try {
-      const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-        pending = data.pending || [];
-      }
-    } catch {
-      return c.json({ error: 'Failed to parse device list', raw: stdout }, 500);
+    const devices = await listDevices(sandbox, c.env);
+    if (devices.parseError) {
+      return c.json({ error: 'Failed to parse device list', raw: devices.raw }, 500);
     }
+    const pending = devices.pending;
 
     if (pending.length === 0) {
       return c.json({ approved: [], message: 'No pending devices to approve' });
@@ -161,17 +204,7 @@ adminApi.post('/devices/approve-all', async (c) => {
     for (const device of pending) {
       try {
         // eslint-disable-next-line no-await-in-loop -- sequential device approval required
-        const approveProc = await sandbox.startProcess(
-          `openclaw devices approve ${device.requestId} --url ws://localhost:18789${tokenArg}`,
-        );
-        // eslint-disable-next-line no-await-in-loop
-        await waitForProcess(approveProc, CLI_TIMEOUT_MS);
-
-        // eslint-disable-next-line no-await-in-loop
-        const approveLogs = await approveProc.getLogs();
-        const success =
-          approveLogs.stdout?.toLowerCase().includes('approved') || approveProc.exitCode === 0;
-
+        const { success } = await approveDevice(sandbox, c.env, device.requestId);
         results.push({ requestId: device.requestId, success });
       } catch (err) {
         results.push({
@@ -182,19 +215,33 @@ adminApi.post('/devices/approve-all', async (c) => {
       }
     }
 
-    const approvedCount = results.filter((r) => r.success).length;
+    const approved = results.filter((r) => r.success).map((r) => r.requestId);
+    const failed = results.filter((r) => !r.success);
+    audit(c, 'device.approve-all', failed.length === 0 ? 'success' : 'failure', {
+      target: `${pending.length} device(s)`,
+      details: [
+        approved.length > 0 ? `approved ${approved.join(', ')}` : '',
+        failed.length > 0 ? `failed ${failed.map((r) => r.requestId).join(', ')}` : '',
+      ]
+        .filter(Boolean)
+        .join('; '),
+    });
     return c.json({
-      approved: results.filter((r) => r.success).map((r) => r.requestId),
-      failed: results.filter((r) => !r.success),
-      message: `Approved ${approvedCount} of ${pending.length} device(s)`,
+      approved,
+      failed,
+      message: `Approved ${approved.length} of ${pending.length} device(s)`,
     });
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    audit(c, 'device.approve-all', 'failure', { details: errorMessage });
     return c.json({ error: errorMessage }, 500);
   }
 });
 
-// GET /api/admin/storage - Get R2 storage status and last sync time
+// Sync runs returned by GET /api/admin/storage
+const SYNC_HISTORY_LIMIT = 20;
+
+// GET /api/admin/storage - Get R2 storage status, last sync time and sync history
 adminApi.get('/storage', async (c) => {
   const sandbox = c.get('sandbox');
   const hasCredentials = !!(
@@ -222,10 +269,19 @@ adminApi.get('/storage', async (c) => {
     }
   }
 
+  let history: SyncRecord[] = [];
+  try {
+    history = await readSyncHistory(c.env.MOLTBOT_BUCKET);
+  } catch {
+    // History is informational only
+  }
+
   return c.json({
     configured: hasCredentials,
     missing: missing.length > 0 ? missing : undefined,
     lastSync,
+    ...(hasCredentials ? getSyncStatus(history) : {}),
+    history: history.slice(0, SYNC_HISTORY_LIMIT),
     message: hasCredentials
       ? 'R2 storage is configured. Your data will persist across container restarts.'
       : 'R2 storage is not configured. Paired devices and conversations will be lost when the container restarts.',
@@ -236,7 +292,8 @@ adminApi.get('/storage', async (c) => {
 adminApi.post('/storage/sync', async (c) => {
   const sandbox = c.get('sandbox');
 
-  const result = await syncToR2(sandbox, c.env);
+  const result = await runRecordedSync(sandbox, c.env, 'manual');
+  audit(c, 'storage.sync', result.success ? 'success' : 'failure', { details: result.error });
 
   if (result.success) {
     return c.json({
@@ -257,30 +314,293 @@ adminApi.post('/storage/sync', async (c) => {
   }
 });
 
+// GET /api/admin/snapshots - List point-in-time R2 snapshots, newest first
+adminApi.get('/snapshots', async (c) => {
+  const sandbox = c.get('sandbox');
+
+  try {
+    const snapshots = await listSnapshots(sandbox, c.env);
+    return c.json({ snapshots, retention: getSnapshotRetention(c.env) });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/snapshots - Take a snapshot now and apply the retention policy
+adminApi.post('/snapshots', async (c) => {
+  const sandbox = c.get('sandbox');
+
+  try {
+    const result = await createSnapshot(sandbox, c.env, 'manual');
+    audit(c, 'snapshot.create', result.success ? 'success' : 'failure', {
+      target: result.snapshot?.id,
+      details: result.error,
+    });
+    if (!result.success) {
+      const status = result.error?.includes('not configured') ? 400 : 500;
+      return c.json({ success: false, error: result.error, details: result.details }, status);
+    }
+    const pruned = await pruneSnapshots(sandbox, c.env, getSnapshotRetention(c.env));
+    return c.json({ success: true, snapshot: result.snapshot, pruned });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/snapshots/:id/diff - Compare a snapshot with the live container
+adminApi.get('/snapshots/:id/diff', async (c) => {
+  const sandbox = c.get('sandbox');
+  const id = c.req.param('id');
+
+  if (!isValidSnapshotId(id)) {
+    return c.json({ error: 'Invalid snapshot id' }, 400);
+  }
+
+  try {
+    const snapshot = (await listSnapshots(sandbox, c.env)).find((s) => s.id === id);
+    if (!snapshot) {
+      return c.json({ error: `Snapshot not found: ${id}` }, 404);
+    }
+    const diff = await diffSnapshot(sandbox, c.env, snapshot);
+    return c.json({ snapshot, diff });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/snapshots/:id/restore - Restore config, workspace and/or skills from a snapshot
+adminApi.post('/snapshots/:id/restore', async (c) => {
+  const sandbox = c.get('sandbox');
+  const id = c.req.param('id');
+
+  if (!isValidSnapshotId(id)) {
+    return c.json({ error: 'Invalid snapshot id' }, 400);
+  }
+
+  const body = (await c.req.json().catch(() => ({}))) as { areas?: unknown };
+  if (
+    body.areas !== undefined &&
+    (!Array.isArray(body.areas) || body.areas.length === 0 || !body.areas.every(isSnapshotArea))
+  ) {
+    return c.json({ error: 'areas must be a non-empty list of openclaw, workspace, skills' }, 400);
+  }
+
+  try {
+    const snapshot = (await listSnapshots(sandbox, c.env)).find((s) => s.id === id);
+    if (!snapshot) {
+      return c.json({ error: `Snapshot not found: ${id}` }, 404);
+    }
+    const areas = (body.areas as SnapshotArea[] | undefined) ?? snapshot.areas;
+    const missing = areas.filter((area) => !snapshot.areas.includes(area));
+    if (missing.length > 0) {
+      return c.json({ error: `Snapshot ${id} does not contain: ${missing.join(', ')}` }, 400);
+    }
+
+    // Keep the current state restorable too; an empty container has nothing to keep
+    const safety = await createSnapshot(sandbox, c.env, 'pre-restore');
+    if (!safety.success && safety.error !== 'Nothing to snapshot') {
+      return c.json(
+        {
+          success: false,
+          error: `Could not snapshot the current state before restoring: ${safety.error}`,
+          details: safety.details,
+        },
+        500,
+      );
+    }
+
+    await stopGateway(sandbox);
+    const result = await restoreSnapshot(sandbox, c.env, snapshot, areas);
+
+    // Apply retention once the restore is done, so the snapshot being restored can't be pruned
+    let pruned: string[] = [];
+    if (safety.success) {
+      pruned = await pruneSnapshots(sandbox, c.env, getSnapshotRetention(c.env)).catch(
+        (error: unknown) => {
+          console.error('Snapshot pruning after restore failed:', error);
+          return [];
+        },
+      );
+    }
+
+    // Start the gateway again whether or not the restore succeeded
+    const bootPromise = ensureMoltbotGateway(sandbox, c.env).catch((err) => {
+      console.error('Gateway restart after restore failed:', err);
+    });
+    c.executionCtx.waitUntil(bootPromise);
+    audit(c, 'snapshot.restore', result.success ? 'success' : 'failure', {
+      target: id,
+      details: result.success ? `areas: ${areas.join(', ')}` : result.error,
+    });
+    announceRestart(c, `Snapshot ${id} restored (${areas.join(', ')})`);
+
+    if (!result.success) {
+      return c.json({ success: false, error: result.error, details: result.details }, 500);
+    }
+    return c.json({
+      success: true,
+      restored: areas,
+      snapshot,
+      safetySnapshot: safety.snapshot?.id,
+      pruned,
+      message: 'Snapshot restored, gateway restarting...',
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/usage - Get LLM token usage and cost totals recorded by the fetch interceptor
+adminApi.get('/usage', async (c) => {
+  const sandbox = c.get('sandbox');
+  const requestedDays = parseInt(c.req.query('days') || '30', 10);
+  const days = Math.min(Math.max(Number.isNaN(requestedDays) ? 30 : requestedDays, 1), 90);
+
+  try {
+    const report = await getUsageReport(sandbox, days);
+    return c.json(report);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/metrics - Worker metrics of all isolates in the Prometheus text format
+adminApi.get('/metrics', async (c) => {
+  try {
+    const snapshot = await collectMetrics(c.env.MOLTBOT_BUCKET);
+    return c.text(formatPrometheus(snapshot), 200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/metrics/summary - Current totals, per-route breakdown and chart history
+adminApi.get('/metrics/summary', async (c) => {
+  try {
+    const [snapshot, history] = await Promise.all([
+      collectMetrics(c.env.MOLTBOT_BUCKET),
+      readMetricsHistory(c.env.MOLTBOT_BUCKET),
+    ]);
+    return c.json({
+      current: summarizeMetrics(snapshot),
+      history,
+      ...breakdownMetrics(snapshot),
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/browser-profiles - List browser profiles saved by the CDP shim
+adminApi.get('/browser-profiles', async (c) => {
+  try {
+    const profiles = await listProfiles(c.env.MOLTBOT_BUCKET);
+    return c.json({ profiles });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// DELETE /api/admin/browser-profiles/:name - Delete a browser profile and its saved cookies/storage
+adminApi.delete('/browser-profiles/:name', async (c) => {
+  const name = c.req.param('name');
+
+  if (!isValidProfileName(name)) {
+    return c.json({ error: 'Invalid profile name' }, 400);
+  }
+
+  try {
+    const deleted = await deleteProfile(c.env.MOLTBOT_BUCKET, name);
+    if (!deleted) {
+      return c.json({ error: `Profile not found: ${name}` }, 404);
+    }
+    audit(c, 'browser-profile.delete', 'success', { target: name });
+    return c.json({ success: true, name, message: 'Profile deleted' });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/cdp-tokens - List issued CDP access tokens (without the token strings)
+adminApi.get('/cdp-tokens', async (c) => {
+  try {
+    const tokens = await listTokens(c.env.MOLTBOT_BUCKET);
+    return c.json({ tokens });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/cdp-tokens - Issue a scoped, expiring CDP access token
+adminApi.post('/cdp-tokens', async (c) => {
+  if (!c.env.CDP_SECRET) {
+    return c.json({ error: 'CDP_SECRET is not configured; tokens are signed with it' }, 503);
+  }
+
+  let request: ReturnType<typeof parseTokenRequest>;
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    request = parseTokenRequest(body && typeof body === 'object' ? body : {});
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Invalid request';
+    return c.json({ error: errorMessage }, 400);
+  }
+
+  try {
+    const { token, record } = await issueToken(c.env.MOLTBOT_BUCKET, c.env.CDP_SECRET, request);
+    audit(c, 'cdp-token.issue', 'success', { target: record.id, details: record.label });
+    // The token string is only shown once; R2 keeps just the record
+    return c.json({ token, ...record });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// DELETE /api/admin/cdp-tokens/:id - Revoke a CDP access token
+adminApi.delete('/cdp-tokens/:id', async (c) => {
+  const id = c.req.param('id');
+
+  try {
+    const revoked = await revokeToken(c.env.MOLTBOT_BUCKET, id);
+    if (!revoked) {
+      return c.json({ error: `Token not found: ${id}` }, 404);
+    }
+    audit(c, 'cdp-token.revoke', 'success', { target: id });
+    return c.json({ success: true, id, message: 'Token revoked' });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
 // POST /api/admin/gateway/restart - Kill the current gateway and start a new one
 adminApi.post('/gateway/restart', async (c) => {
   const sandbox = c.get('sandbox');
 
   try {
     // Find and kill the existing gateway process
-    const existingProcess = await findExistingMoltbotProcess(sandbox);
-
-    if (existingProcess) {
-      console.log('Killing existing gateway process:', existingProcess.id);
-      try {
-        await existingProcess.kill();
-      } catch (killErr) {
-        console.error('Error killing process:', killErr);
-      }
-      // Wait a moment for the process to die
-      await new Promise((r) => setTimeout(r, 2000));
-    }
+    const existingProcess = await stopGateway(sandbox);
 
     // Start a new gateway in the background
     const bootPromise = ensureMoltbotGateway(sandbox, c.env).catch((err) => {
       console.error('Gateway restart failed:', err);
     });
     c.executionCtx.waitUntil(bootPromise);
+    audit(c, 'gateway.restart', 'success', { target: existingProcess?.id });
+    announceRestart(c, 'Gateway restarted from the admin UI');
 
     return c.json({
       success: true,
@@ -291,10 +611,199 @@ adminApi.post('/gateway/restart', async (c) => {
     });
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    audit(c, 'gateway.restart', 'failure', { details: errorMessage });
     return c.json({ error: errorMessage }, 500);
   }
 });
 
+// GET /api/admin/processes - List container processes, running first (secrets in commands redacted)
+adminApi.get('/processes', async (c) => {
+  const sandbox = c.get('sandbox');
+
+  try {
+    const processes = await listProcessSummaries(sandbox);
+    return c.json({ count: processes.length, processes });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/processes/:id/kill - Kill a container process
+adminApi.post('/processes/:id/kill', async (c) => {
+  const sandbox = c.get('sandbox');
+  const id = c.req.param('id');
+
+  try {
+    const proc = await sandbox.getProcess(id);
+    if (!proc) {
+      return c.json({ error: `Process not found: ${id}` }, 404);
+    }
+    await proc.kill();
+    audit(c, 'process.kill', 'success', { target: id, details: redactCommand(proc.command) });
+    return c.json({ success: true, id, message: 'Process killed' });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    audit(c, 'process.kill', 'failure', { target: id, details: errorMessage });
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/processes/:id/restart - Restart the gateway process, like POST /gateway/restart.
+// Other processes are not restartable: the sandbox does not report the environment they were
+// started with, so running the command again could behave differently.
+adminApi.post('/processes/:id/restart', async (c) => {
+  const sandbox = c.get('sandbox');
+  const id = c.req.param('id');
+
+  try {
+    const proc = await sandbox.getProcess(id);
+    if (!proc) {
+      return c.json({ error: `Process not found: ${id}` }, 404);
+    }
+    if (!isGatewayCommand(proc.command)) {
+      return c.json({ error: 'Only the gateway process can be restarted' }, 400);
+    }
+
+    await stopGateway(sandbox);
+    const bootPromise = ensureMoltbotGateway(sandbox, c.env).catch((err) => {
+      console.error('Gateway restart failed:', err);
+    });
+    c.executionCtx.waitUntil(bootPromise);
+    audit(c, 'gateway.restart', 'success', { target: id });
+    announceRestart(c, 'Gateway process restarted from the admin UI');
+    return c.json({
+      success: true,
+      id,
+      message: 'Gateway process killed, new instance starting...',
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    audit(c, 'gateway.restart', 'failure', { target: id, details: errorMessage });
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/processes/:id/logs - Server-sent events: the log tail, then live output.
+// Use "gateway" as the id for the current gateway process.
+adminApi.get('/processes/:id/logs', async (c) => {
+  const sandbox = c.get('sandbox');
+  const id = c.req.param('id');
+
+  let proc;
+  try {
+    proc =
+      id === 'gateway' ? await findExistingMoltbotProcess(sandbox) : await sandbox.getProcess(id);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+  if (!proc) {
+    return c.json(
+      { error: id === 'gateway' ? 'Gateway is not running' : `Process not found: ${id}` },
+      404,
+    );
+  }
+  const target = proc;
+
+  return streamSSE(
+    c,
+    async (stream) => {
+      const logs = await target.getLogs();
+      await stream.writeSSE({
+        event: 'snapshot',
+        data: JSON.stringify({
+          processId: target.id,
+          status: target.status,
+          stdout: tailLog(logs.stdout || ''),
+          stderr: tailLog(logs.stderr || ''),
+        }),
+      });
+      if (target.status !== 'running' && target.status !== 'starting') {
+        await stream.writeSSE({
+          event: 'exit',
+          data: JSON.stringify({ exitCode: target.exitCode }),
+        });
+        return;
+      }
+
+      const abort = new AbortController();
+      stream.onAbort(() => abort.abort());
+      const events = await sandbox.streamProcessLogs(target.id, { signal: abort.signal });
+      for await (const event of parseSSEStream<LogEvent>(events, abort.signal)) {
+        if (event.type === 'exit') {
+          // eslint-disable-next-line no-await-in-loop -- events are forwarded in order
+          await stream.writeSSE({
+            event: 'exit',
+            data: JSON.stringify({ exitCode: event.exitCode }),
+          });
+          break;
+        }
+        // eslint-disable-next-line no-await-in-loop -- events are forwarded in order
+        await stream.writeSSE({
+          event: event.type === 'error' ? 'error' : 'log',
+          data: JSON.stringify({ type: event.type, data: event.data, timestamp: event.timestamp }),
+        });
+      }
+    },
+    async (error, stream) => {
+      await stream.writeSSE({ event: 'error', data: JSON.stringify({ error: error.message }) });
+    },
+  );
+});
+
+// GET /api/admin/config - The effective openclaw.json in the container, secrets redacted
+adminApi.get('/config', async (c) => {
+  const sandbox = c.get('sandbox');
+
+  try {
+    const result = await readContainerConfig(sandbox);
+    return c.json(result, result.path ? 200 : 404);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// GET /api/admin/audit - Page through the audit log, newest first (?limit=50&cursor=...)
+adminApi.get('/audit', async (c) => {
+  const requestedLimit = parseInt(c.req.query('limit') || '', 10);
+
+  try {
+    const page = await listAudit(c.env.MOLTBOT_BUCKET, {
+      limit: Number.isNaN(requestedLimit) ? undefined : requestedLimit,
+      cursor: c.req.query('cursor') || undefined,
+    });
+    return c.json({ ...page, notifications: getNotificationChannels(c.env) });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ error: errorMessage }, 500);
+  }
+});
+
+// POST /api/admin/notifications/test - Send a test message to every notification channel
+adminApi.post('/notifications/test', async (c) => {
+  const channels = getNotificationChannels(c.env);
+  if (channels.length === 0) {
+    return c.json({ error: 'No notification channels are configured' }, 400);
+  }
+
+  const results = await notify(c.env, {
+    type: 'test',
+    title: 'Test notification',
+    message: `Notifications from the moltworker admin UI are working (sent by ${c.get('accessUser')?.email ?? 'unknown user'}).`,
+  });
+  const success = results.every((r) => r.ok);
+  audit(c, 'notification.test', success ? 'success' : 'failure', {
+    target: channels.join(', '),
+    details: results
+      .filter((r) => !r.ok)
+      .map((r) => `${r.channel}: ${r.error}`)
+      .join('; '),
+  });
+  return c.json({ success, results });
+});
+
 // Mount admin API routes under /admin
 api.route('/admin', adminApi);
 
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { methodLabel } from './cdp';
+
+describe('methodLabel', () => {
+  it('labels implemented methods by name', () => {
+    expect(methodLabel('Page.navigate')).toBe('Page.navigate');
+    expect(methodLabel('Fetch.fulfillRequest')).toBe('Fetch.fulfillRequest');
+  });
+
+  it('labels made-up methods as other, even in a known domain', () => {
+    expect(methodLabel('Runtime.x1')).toBe('other');
+    expect(methodLabel('Runtime.evaluate.x')).toBe('other');
+    expect(methodLabel('Tracing.start')).toBe('other');
+    expect(methodLabel('constructor.name')).toBe('other');
+  });
+});
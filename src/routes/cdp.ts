@@ -1,6 +1,26 @@
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import type { AppEnv, MoltbotEnv } from '../types';
-import puppeteer, { type Browser, type Page } from '@cloudflare/puppeteer';
+import {
+  isValidProfileName,
+  loadProfile,
+  mergeProfile,
+  restoreStorageScript,
+  saveProfile,
+  scopeViolation,
+  verifyToken,
+  type BrowserProfile,
+  type ProfileCookie,
+  type TokenScope,
+} from '../browser';
+import { flushMetricsSoon, incMetric } from '../metrics';
+import puppeteer, {
+  type Browser,
+  type CDPSession as PuppeteerCDPSession,
+  type ConsoleMessage,
+  type HTTPRequest,
+  type HTTPResponse,
+  type Page,
+} from '@cloudflare/puppeteer';
 
 /**
  * CDP (Chrome DevTools Protocol) WebSocket shim
@@ -8,21 +28,126 @@ import puppeteer, { type Browser, type Page } from '@cloudflare/puppeteer';
  * Implements a subset of the CDP protocol over WebSocket, translating commands
  * to Cloudflare Browser Rendering binding calls (Puppeteer interface).
  *
- * Authentication: Pass secret as query param `?secret=<secret>` on WebSocket connect.
- * This route is intentionally NOT protected by Cloudflare Access.
+ * Authentication: Pass secret as query param `?secret=<secret>` on WebSocket connect,
+ * or a scoped token issued by /api/admin/cdp-tokens as `?token=<token>` (see
+ * src/browser/tokens.ts). This route is intentionally NOT protected by Cloudflare Access.
+ *
+ * Profiles: `?profile=<name>` restores cookies and localStorage saved in R2 under that
+ * name, and saves them back when the WebSocket closes (see src/browser/profiles.ts).
  *
  * Supported CDP domains:
  * - Browser: getVersion, close
  * - Target: createTarget, closeTarget, getTargets
- * - Page: navigate, reload, getFrameTree, captureScreenshot, getLayoutMetrics
- * - Runtime: evaluate
+ * - Page: navigate, reload, getFrameTree, captureScreenshot, getLayoutMetrics,
+ *   startScreencast/screencastFrameAck/stopScreencast (screencastFrame events)
+ * - Runtime: evaluate, enable (consoleAPICalled, exceptionThrown events)
  * - DOM: getDocument, querySelector, querySelectorAll, getOuterHTML, getAttributes
  * - Input: dispatchMouseEvent, dispatchKeyEvent, insertText
- * - Network: enable, disable, setCacheDisabled
+ * - Network: enable (requestWillBeSent, responseReceived, loadingFinished, loadingFailed
+ *   events), disable, getResponseBody, setCacheDisabled
  * - Emulation: setDeviceMetricsOverride, setUserAgentOverride
+ *
+ * Metrics: sessions and method calls are counted in the moltworker_cdp_* metrics.
  */
 const cdp = new Hono<AppEnv>();
 
+// Commands the shim implements, by domain (keep in sync with the handle* switches below)
+const CDP_METHODS: Record<string, string[]> = {
+  Browser: ['getVersion', 'close'],
+  Target: ['createTarget', 'closeTarget', 'getTargets', 'attachToTarget'],
+  Page: [
+    'navigate',
+    'reload',
+    'getFrameTree',
+    'captureScreenshot',
+    'getLayoutMetrics',
+    'startScreencast',
+    'screencastFrameAck',
+    'stopScreencast',
+    'bringToFront',
+    'setContent',
+    'printToPDF',
+    'addScriptToEvaluateOnNewDocument',
+    'removeScriptToEvaluateOnNewDocument',
+    'handleJavaScriptDialog',
+    'stopLoading',
+    'getNavigationHistory',
+    'navigateToHistoryEntry',
+    'setBypassCSP',
+    'enable',
+    'disable',
+  ],
+  Runtime: [
+    'evaluate',
+    'callFunctionOn',
+    'getProperties',
+    'releaseObject',
+    'releaseObjectGroup',
+    'enable',
+    'disable',
+  ],
+  DOM: [
+    'getDocument',
+    'querySelector',
+    'querySelectorAll',
+    'getOuterHTML',
+    'getAttributes',
+    'setAttributeValue',
+    'focus',
+    'getBoxModel',
+    'scrollIntoViewIfNeeded',
+    'removeNode',
+    'setNodeValue',
+    'setFileInputFiles',
+    'enable',
+    'disable',
+  ],
+  Input: ['dispatchMouseEvent', 'dispatchKeyEvent', 'insertText'],
+  Network: [
+    'enable',
+    'disable',
+    'getResponseBody',
+    'setCacheDisabled',
+    'setExtraHTTPHeaders',
+    'setCookie',
+    'setCookies',
+    'getCookies',
+    'deleteCookies',
+    'clearBrowserCookies',
+    'setUserAgentOverride',
+  ],
+  Emulation: [
+    'setDeviceMetricsOverride',
+    'setUserAgentOverride',
+    'clearDeviceMetricsOverride',
+    'setGeolocationOverride',
+    'clearGeolocationOverride',
+    'setTimezoneOverride',
+    'setTouchEmulationEnabled',
+    'setEmulatedMedia',
+    'setDefaultBackgroundColorOverride',
+  ],
+  Fetch: [
+    'enable',
+    'disable',
+    'continueRequest',
+    'fulfillRequest',
+    'failRequest',
+    'getResponseBody',
+  ],
+};
+
+// Method names come from the client; anything the shim does not implement shares one label
+// so clients can't add series
+export function methodLabel(method: string): string {
+  const [domain, command, ...rest] = method.split('.');
+  return rest.length === 0 &&
+    Object.hasOwn(CDP_METHODS, domain) &&
+    CDP_METHODS[domain].includes(command)
+    ? method
+    : 'other';
+}
+
 /**
  * CDP Message types
  */
@@ -41,6 +166,7 @@ interface CDPResponse {
 interface CDPEvent {
   method: string;
   params?: Record<string, unknown>;
+  sessionId?: string; // targetId of the page the event belongs to
 }
 
 /**
@@ -58,12 +184,31 @@ interface CDPSession {
   extraHTTPHeaders: Map<string, string>; // header name -> value
   requestInterceptionEnabled: boolean;
   pendingRequests: Map<string, { request: Request; resolve: (response: Response) => void }>;
+  eventForwarders: Map<string, () => void>; // `${targetId}:${domain}` -> detach listeners
+  responses: Map<string, HTTPResponse>; // requestId -> response (for Network.getResponseBody)
+  requestIds: WeakMap<HTTPRequest, string>; // stable Network requestIds
+  requestIdCounter: number;
+  screencasts: Map<string, PuppeteerCDPSession>; // targetId -> raw session streaming frames
+  profile: ProfileState | null; // set when connected with ?profile=<name>
+  scope: TokenScope | null; // set when connected with a scoped ?token=
 }
 
+/**
+ * Browser profile attached to a session
+ */
+interface ProfileState {
+  name: string;
+  stored: BrowserProfile | null; // profile as loaded at connect time
+  origins: Record<string, Record<string, string>>; // localStorage captured from closed pages
+}
+
+/** Responses kept for Network.getResponseBody; oldest are dropped first */
+const MAX_TRACKED_RESPONSES = 500;
+
 /**
  * GET /cdp - WebSocket upgrade endpoint
  *
- * Connect with: ws://host/cdp?secret=<CDP_SECRET>
+ * Connect with: ws://host/cdp?secret=<CDP_SECRET> or ws://host/cdp?token=<token>
  */
 cdp.get('/', async (c) => {
   // Check for WebSocket upgrade
@@ -97,7 +242,12 @@ cdp.get('/', async (c) => {
         'Page.getNavigationHistory',
         'Page.navigateToHistoryEntry',
         'Page.setBypassCSP',
+        'Page.startScreencast',
+        'Page.screencastFrameAck',
+        'Page.stopScreencast',
         // Runtime
+        'Runtime.enable',
+        'Runtime.disable',
         'Runtime.evaluate',
         'Runtime.callFunctionOn',
         'Runtime.getProperties',
@@ -123,6 +273,7 @@ cdp.get('/', async (c) => {
         // Network
         'Network.enable',
         'Network.disable',
+        'Network.getResponseBody',
         'Network.setCacheDisabled',
         'Network.setExtraHTTPHeaders',
         'Network.setCookie',
@@ -152,34 +303,31 @@ cdp.get('/', async (c) => {
     });
   }
 
-  // Verify secret from query param
+  // Verify secret or token from query param
   const url = new URL(c.req.url);
-  const providedSecret = url.searchParams.get('secret');
-  const expectedSecret = c.env.CDP_SECRET;
+  const auth = await authorize(c, url);
+  if (auth instanceof Response) return auth;
 
-  if (!expectedSecret) {
+  if (!c.env.BROWSER) {
     return c.json(
       {
-        error: 'CDP endpoint not configured',
-        hint: 'Set CDP_SECRET via: wrangler secret put CDP_SECRET',
+        error: 'Browser Rendering not configured',
+        hint: 'Add browser binding to wrangler.jsonc',
       },
       503,
     );
   }
 
-  if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
-    return c.json({ error: 'Unauthorized' }, 401);
-  }
-
-  if (!c.env.BROWSER) {
+  const profileName = url.searchParams.get('profile');
+  if (profileName !== null && !isValidProfileName(profileName)) {
     return c.json(
-      {
-        error: 'Browser Rendering not configured',
-        hint: 'Add browser binding to wrangler.jsonc',
-      },
-      503,
+      { error: 'Invalid profile name', hint: 'Use 1-64 letters, digits, "-" or "_"' },
+      400,
     );
   }
+  if (profileName !== null && auth.scope?.profiles && !auth.scope.profiles.includes(profileName)) {
+    return c.json({ error: `Profile "${profileName}" is not allowed by this token` }, 403);
+  }
 
   // Create WebSocket pair
   const webSocketPair = new WebSocketPair();
@@ -189,7 +337,7 @@ cdp.get('/', async (c) => {
   server.accept();
 
   // Initialize CDP session asynchronously
-  initCDPSession(server, c.env).catch((err) => {
+  initCDPSession(server, c.env, c.executionCtx, profileName, auth.scope).catch((err) => {
     console.error('[CDP] Failed to initialize session:', err);
     server.close(1011, 'Failed to initialize browser session');
   });
@@ -204,27 +352,13 @@ cdp.get('/', async (c) => {
  * GET /json/version - CDP discovery endpoint
  *
  * Returns browser version info and WebSocket URL for Moltbot/Playwright compatibility.
- * Authentication: Pass secret as query param `?secret=<CDP_SECRET>`
+ * Authentication: Pass secret as query param `?secret=<CDP_SECRET>` or `?token=<token>`
  */
 cdp.get('/json/version', async (c) => {
-  // Verify secret from query param
+  // Verify secret or token from query param
   const url = new URL(c.req.url);
-  const providedSecret = url.searchParams.get('secret');
-  const expectedSecret = c.env.CDP_SECRET;
-
-  if (!expectedSecret) {
-    return c.json(
-      {
-        error: 'CDP endpoint not configured',
-        hint: 'Set CDP_SECRET via: wrangler secret put CDP_SECRET',
-      },
-      503,
-    );
-  }
-
-  if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
-    return c.json({ error: 'Unauthorized' }, 401);
-  }
+  const auth = await authorize(c, url);
+  if (auth instanceof Response) return auth;
 
   if (!c.env.BROWSER) {
     return c.json(
@@ -236,9 +370,9 @@ cdp.get('/json/version', async (c) => {
     );
   }
 
-  // Build the WebSocket URL - preserve the secret in the WS URL
+  // Build the WebSocket URL - preserve the secret or token in the WS URL
   const wsProtocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${wsProtocol}//${url.host}/cdp?secret=${encodeURIComponent(providedSecret)}`;
+  const wsUrl = `${wsProtocol}//${url.host}/cdp?${auth.credential}`;
 
   return c.json({
     Browser: 'Cloudflare-Browser-Rendering/1.0',
@@ -256,27 +390,13 @@ cdp.get('/json/version', async (c) => {
  * Returns a list of available browser targets for Moltbot/Playwright compatibility.
  * Note: Since we create targets on-demand per WebSocket connection, this returns
  * a placeholder target that will be created when connecting.
- * Authentication: Pass secret as query param `?secret=<CDP_SECRET>`
+ * Authentication: Pass secret as query param `?secret=<CDP_SECRET>` or `?token=<token>`
  */
 cdp.get('/json/list', async (c) => {
-  // Verify secret from query param
+  // Verify secret or token from query param
   const url = new URL(c.req.url);
-  const providedSecret = url.searchParams.get('secret');
-  const expectedSecret = c.env.CDP_SECRET;
-
-  if (!expectedSecret) {
-    return c.json(
-      {
-        error: 'CDP endpoint not configured',
-        hint: 'Set CDP_SECRET via: wrangler secret put CDP_SECRET',
-      },
-      503,
-    );
-  }
-
-  if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
-    return c.json({ error: 'Unauthorized' }, 401);
-  }
+  const auth = await authorize(c, url);
+  if (auth instanceof Response) return auth;
 
   if (!c.env.BROWSER) {
     return c.json(
@@ -290,7 +410,7 @@ cdp.get('/json/list', async (c) => {
 
   // Build the WebSocket URL
   const wsProtocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${wsProtocol}//${url.host}/cdp?secret=${encodeURIComponent(providedSecret)}`;
+  const wsUrl = `${wsProtocol}//${url.host}/cdp?${auth.credential}`;
 
   // Return a placeholder target - actual target is created on WS connect
   return c.json([
@@ -314,23 +434,9 @@ cdp.get('/json', async (c) => {
   const url = new URL(c.req.url);
   url.pathname = url.pathname.replace(/\/json\/?$/, '/json/list');
 
-  // Verify secret from query param
-  const providedSecret = url.searchParams.get('secret');
-  const expectedSecret = c.env.CDP_SECRET;
-
-  if (!expectedSecret) {
-    return c.json(
-      {
-        error: 'CDP endpoint not configured',
-        hint: 'Set CDP_SECRET via: wrangler secret put CDP_SECRET',
-      },
-      503,
-    );
-  }
-
-  if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
-    return c.json({ error: 'Unauthorized' }, 401);
-  }
+  // Verify secret or token from query param
+  const auth = await authorize(c, url);
+  if (auth instanceof Response) return auth;
 
   if (!c.env.BROWSER) {
     return c.json(
@@ -344,7 +450,7 @@ cdp.get('/json', async (c) => {
 
   // Build the WebSocket URL
   const wsProtocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${wsProtocol}//${url.host}/cdp?secret=${encodeURIComponent(providedSecret)}`;
+  const wsUrl = `${wsProtocol}//${url.host}/cdp?${auth.credential}`;
 
   return c.json([
     {
@@ -359,11 +465,54 @@ cdp.get('/json', async (c) => {
   ]);
 });
 
+/**
+ * Check the `?secret=` or `?token=` credential of a /cdp request. Returns the query string
+ * to reuse in WebSocket URLs and the token scope (null for the unrestricted secret), or an
+ * error response.
+ */
+async function authorize(
+  c: Context<AppEnv>,
+  url: URL,
+): Promise<Response | { credential: string; scope: TokenScope | null }> {
+  const expectedSecret = c.env.CDP_SECRET;
+  if (!expectedSecret) {
+    return c.json(
+      {
+        error: 'CDP endpoint not configured',
+        hint: 'Set CDP_SECRET via: wrangler secret put CDP_SECRET',
+      },
+      503,
+    );
+  }
+
+  const token = url.searchParams.get('token');
+  if (token) {
+    const record = await verifyToken(c.env.MOLTBOT_BUCKET, expectedSecret, token);
+    if (!record) {
+      return c.json({ error: 'Invalid, expired or revoked token' }, 401);
+    }
+    return { credential: `token=${encodeURIComponent(token)}`, scope: record.scope };
+  }
+
+  const providedSecret = url.searchParams.get('secret');
+  if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
+    return c.json({ error: 'Unauthorized' }, 401);
+  }
+  return { credential: `secret=${encodeURIComponent(providedSecret)}`, scope: null };
+}
+
 /**
  * Initialize a CDP session for a WebSocket connection
  */
-async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
+async function initCDPSession(
+  ws: WebSocket,
+  env: MoltbotEnv,
+  ctx: ExecutionContext,
+  profileName: string | null,
+  scope: TokenScope | null,
+): Promise<void> {
   let session: CDPSession | null = null;
+  let sessionTimer: ReturnType<typeof setTimeout> | undefined;
 
   try {
     // Launch browser
@@ -372,6 +521,20 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
     const page = await browser.newPage();
     const targetId = crypto.randomUUID();
 
+    let profile: ProfileState | null = null;
+    if (profileName) {
+      profile = {
+        name: profileName,
+        stored: await loadProfile(env.MOLTBOT_BUCKET, profileName),
+        origins: {},
+      };
+      await applyProfile(page, profile, true);
+      console.log(
+        `[CDP] Profile "${profileName}"`,
+        profile.stored ? `restored (${profile.stored.cookies.length} cookies)` : 'is new',
+      );
+    }
+
     session = {
       browser,
       pages: new Map([[targetId, page]]),
@@ -384,8 +547,22 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
       extraHTTPHeaders: new Map(),
       requestInterceptionEnabled: false,
       pendingRequests: new Map(),
+      eventForwarders: new Map(),
+      responses: new Map(),
+      requestIds: new WeakMap(),
+      requestIdCounter: 1,
+      screencasts: new Map(),
+      profile,
+      scope,
     };
 
+    if (scope?.maxSessionSeconds) {
+      sessionTimer = setTimeout(() => {
+        console.log('[CDP] Session duration limit reached, closing');
+        ws.close(1008, 'Session duration limit reached');
+      }, scope.maxSessionSeconds * 1000);
+    }
+
     // Send initial target created event
     sendEvent(ws, 'Target.targetCreated', {
       targetInfo: {
@@ -398,8 +575,11 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
     });
 
     console.log('[CDP] Session initialized, targetId:', targetId);
+    incMetric('moltworker_cdp_sessions_total', { result: 'started' });
+    incMetric('moltworker_cdp_sessions_active', {}, 1);
   } catch (err) {
     console.error('[CDP] Browser launch failed:', err);
+    incMetric('moltworker_cdp_sessions_total', { result: 'failed' });
     ws.close(1011, 'Browser launch failed');
     return;
   }
@@ -418,25 +598,61 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
 
     console.log('[CDP] Request:', request.method, request.params);
 
+    const violation = session.scope
+      ? scopeViolation(session.scope, request.method, request.params || {})
+      : null;
+    if (violation) {
+      console.warn('[CDP] Rejected by token scope:', violation);
+      incMetric('moltworker_cdp_calls_total', {
+        method: methodLabel(request.method),
+        result: 'rejected',
+      });
+      sendError(ws, request.id, -32000, violation);
+      return;
+    }
+
     try {
       const result = await handleCDPMethod(session, request.method, request.params || {}, ws);
+      incMetric('moltworker_cdp_calls_total', {
+        method: methodLabel(request.method),
+        result: 'ok',
+      });
       sendResponse(ws, request.id, result);
     } catch (err) {
       console.error('[CDP] Method error:', request.method, err);
+      incMetric('moltworker_cdp_calls_total', {
+        method: methodLabel(request.method),
+        result: 'error',
+      });
       sendError(ws, request.id, -32000, err instanceof Error ? err.message : 'Unknown error');
     }
   });
 
   // Handle close
-  ws.addEventListener('close', async () => {
+  ws.addEventListener('close', () => {
     console.log('[CDP] WebSocket closed, cleaning up');
-    if (session) {
+    clearTimeout(sessionTimer);
+    if (!session) return;
+    const closing = session;
+    session = null;
+    incMetric('moltworker_cdp_sessions_active', {}, -1);
+    flushMetricsSoon(env.MOLTBOT_BUCKET, ctx);
+    const cleanup = async () => {
+      // The profile has to be read before the browser goes away
+      if (closing.profile) {
+        try {
+          await saveSessionProfile(closing, env.MOLTBOT_BUCKET);
+        } catch (err) {
+          console.error('[CDP] Error saving profile:', err);
+        }
+      }
       try {
-        await session.browser.close();
+        await closing.browser.close();
       } catch (err) {
         console.error('[CDP] Error closing browser:', err);
       }
-    }
+    };
+    ctx.waitUntil(cleanup());
   });
 
   ws.addEventListener('error', (event) => {
@@ -444,6 +660,98 @@ async function initCDPSession(ws: WebSocket, env: MoltbotEnv): Promise<void> {
   });
 }
 
+/**
+ * Restore a profile into a page. Cookies are browser-wide, so they are only set once;
+ * localStorage is filled per origin by a script that runs on every new document.
+ */
+async function applyProfile(
+  page: Page,
+  profile: ProfileState,
+  withCookies: boolean,
+): Promise<void> {
+  if (!profile.stored) return;
+  if (withCookies && profile.stored.cookies.length > 0) {
+    await page.setCookie(
+      ...profile.stored.cookies.map((cookie) => ({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite,
+        // Session cookies carry no expiry
+        ...(cookie.expires > 0 ? { expires: cookie.expires } : {}),
+      })),
+    );
+  }
+  if (Object.keys(profile.stored.origins).length > 0) {
+    await page.evaluateOnNewDocument(restoreStorageScript(profile.stored));
+  }
+}
+
+/**
+ * Record the localStorage of the page's current origin into `origins`.
+ */
+async function captureStorage(
+  page: Page,
+  origins: Record<string, Record<string, string>>,
+): Promise<void> {
+  try {
+    const storage = await page.evaluate(() => {
+      const entries: Record<string, string> = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key !== null) entries[key] = localStorage.getItem(key) ?? '';
+      }
+      return { origin: location.origin, entries };
+    });
+    if (storage.origin.startsWith('http')) origins[storage.origin] = storage.entries;
+  } catch (err) {
+    // about:blank, crashed pages and opaque origins have no readable storage
+    console.log('[CDP] Skipping localStorage capture:', err instanceof Error ? err.message : err);
+  }
+}
+
+/**
+ * Save cookies and localStorage from every open page back to the session's profile.
+ */
+async function saveSessionProfile(session: CDPSession, bucket: R2Bucket): Promise<void> {
+  const profile = session.profile;
+  const page = session.pages.get(session.defaultTargetId) ?? session.pages.values().next().value;
+  if (!profile || !page) return;
+
+  for (const openPage of session.pages.values()) {
+    // eslint-disable-next-line no-await-in-loop -- pages are read one at a time
+    await captureStorage(openPage, profile.origins);
+  }
+
+  // Network.getAllCookies covers every domain, unlike page.cookies() which is scoped to the page URL
+  const client = await page.createCDPSession();
+  let cookies: ProfileCookie[];
+  try {
+    const result = await client.send('Network.getAllCookies');
+    cookies = result.cookies.map((cookie) => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.session ? -1 : cookie.expires,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure,
+      sameSite: cookie.sameSite,
+    }));
+  } finally {
+    await client.detach().catch(() => {});
+  }
+
+  const saved = mergeProfile(profile.stored, profile.name, cookies, profile.origins);
+  await saveProfile(bucket, saved);
+  console.log(
+    `[CDP] Saved profile "${profile.name}" (${saved.cookies.length} cookies, ${Object.keys(saved.origins).length} origins)`,
+  );
+}
+
 /**
  * Handle a CDP method call
  */
@@ -468,11 +776,11 @@ async function handleCDPMethod(
 
     case 'Page':
       if (!page) throw new Error(`Target not found: ${targetId}`);
-      return handlePage(session, page, command, params, ws);
+      return handlePage(session, page, targetId, command, params, ws);
 
     case 'Runtime':
       if (!page) throw new Error(`Target not found: ${targetId}`);
-      return handleRuntime(session, page, command, params);
+      return handleRuntime(session, page, targetId, command, params, ws);
 
     case 'DOM':
       if (!page) throw new Error(`Target not found: ${targetId}`);
@@ -483,7 +791,7 @@ async function handleCDPMethod(
       return handleInput(page, command, params);
 
     case 'Network':
-      return handleNetwork(session, page, command, params);
+      return handleNetwork(session, page, targetId, command, params, ws);
 
     case 'Emulation':
       if (!page) throw new Error(`Target not found: ${targetId}`);
@@ -491,7 +799,7 @@ async function handleCDPMethod(
 
     case 'Fetch':
       if (!page) throw new Error(`Target not found: ${targetId}`);
-      return handleFetch(session, page, command, params, ws);
+      return handleFetch(session, page, targetId, command, params, ws);
 
     default:
       throw new Error(`Unknown domain: ${domain}`);
@@ -541,6 +849,7 @@ async function handleTarget(
       const targetId = crypto.randomUUID();
 
       session.pages.set(targetId, page);
+      if (session.profile) await applyProfile(page, session.profile, false);
 
       if (url !== 'about:blank') {
         await page.goto(url);
@@ -567,6 +876,9 @@ async function handleTarget(
         throw new Error(`Target not found: ${targetId}`);
       }
 
+      stopEventForwarding(session, targetId);
+      await stopScreencast(session, targetId);
+      if (session.profile) await captureStorage(page, session.profile.origins);
       await page.close();
       session.pages.delete(targetId);
 
@@ -605,6 +917,7 @@ async function handleTarget(
 async function handlePage(
   session: CDPSession,
   page: Page,
+  targetId: string,
   command: string,
   params: Record<string, unknown>,
   ws: WebSocket,
@@ -618,21 +931,31 @@ async function handlePage(
         waitUntil: 'load',
       });
 
-      sendEvent(ws, 'Page.frameNavigated', {
-        frame: {
-          id: session.defaultTargetId,
-          url: page.url(),
-          securityOrigin: new URL(page.url()).origin,
-          mimeType: 'text/html',
+      sendEvent(
+        ws,
+        'Page.frameNavigated',
+        {
+          frame: {
+            id: targetId,
+            url: page.url(),
+            securityOrigin: new URL(page.url()).origin,
+            mimeType: 'text/html',
+          },
         },
-      });
+        targetId,
+      );
 
-      sendEvent(ws, 'Page.loadEventFired', {
-        timestamp: Date.now() / 1000,
-      });
+      sendEvent(
+        ws,
+        'Page.loadEventFired',
+        {
+          timestamp: Date.now() / 1000,
+        },
+        targetId,
+      );
 
       return {
-        frameId: session.defaultTargetId,
+        frameId: targetId,
         loaderId: crypto.randomUUID(),
         errorText: response?.ok() ? undefined : 'Navigation failed',
       };
@@ -647,7 +970,7 @@ async function handlePage(
       return {
         frameTree: {
           frame: {
-            id: session.defaultTargetId,
+            id: targetId,
             loaderId: crypto.randomUUID(),
             url: page.url(),
             securityOrigin: page.url() ? new URL(page.url()).origin : '',
@@ -709,6 +1032,43 @@ async function handlePage(
       };
     }
 
+    case 'startScreencast': {
+      // Screencasting has no Puppeteer API, so drive it over a raw CDP session on the page
+      let client = session.screencasts.get(targetId);
+      if (!client) {
+        client = await page.createCDPSession();
+        client.on('Page.screencastFrame', (frame) => {
+          sendEvent(ws, 'Page.screencastFrame', { ...frame }, targetId);
+        });
+        client.on('Page.screencastVisibilityChanged', (event) => {
+          sendEvent(ws, 'Page.screencastVisibilityChanged', { ...event }, targetId);
+        });
+        session.screencasts.set(targetId, client);
+      }
+
+      await client.send('Page.startScreencast', {
+        format: (params.format as 'jpeg' | 'png') || 'jpeg',
+        quality: params.quality as number | undefined,
+        maxWidth: params.maxWidth as number | undefined,
+        maxHeight: params.maxHeight as number | undefined,
+        everyNthFrame: params.everyNthFrame as number | undefined,
+      });
+      return {};
+    }
+
+    case 'screencastFrameAck': {
+      const client = session.screencasts.get(targetId);
+      // Frames can still be in flight after stopScreencast; acking those is harmless
+      if (client) {
+        await client.send('Page.screencastFrameAck', { sessionId: params.sessionId as number });
+      }
+      return {};
+    }
+
+    case 'stopScreencast':
+      await stopScreencast(session, targetId);
+      return {};
+
     case 'bringToFront':
       await page.bringToFront();
       return {};
@@ -839,14 +1199,31 @@ async function handlePage(
   }
 }
 
+/**
+ * Stop a page's screencast (if any) and release its raw CDP session
+ */
+async function stopScreencast(session: CDPSession, targetId: string): Promise<void> {
+  const client = session.screencasts.get(targetId);
+  if (!client) return;
+  session.screencasts.delete(targetId);
+  try {
+    await client.send('Page.stopScreencast');
+    await client.detach();
+  } catch (err) {
+    console.error('[CDP] Error stopping screencast:', err);
+  }
+}
+
 /**
  * Runtime domain handlers
  */
 async function handleRuntime(
   session: CDPSession,
   page: Page,
+  targetId: string,
   command: string,
   params: Record<string, unknown>,
+  ws: WebSocket,
 ): Promise<unknown> {
   switch (command) {
     case 'evaluate': {
@@ -990,7 +1367,13 @@ async function handleRuntime(
     }
 
     case 'enable':
+      startEventForwarding(session, targetId, 'Runtime', () =>
+        forwardRuntimeEvents(page, targetId, ws),
+      );
+      return {};
+
     case 'disable':
+      stopEventForwarding(session, targetId, 'Runtime');
       return {};
 
     default:
@@ -1184,9 +1567,9 @@ async function handleDOM(
         const el = document.querySelector(sel);
         if (!el) return null;
 
+        // Viewport-relative, like Chrome's DOM.getBoxModel, so quads can be fed
+        // straight into Input.dispatchMouseEvent
         const rect = el.getBoundingClientRect();
-        const scrollX = window.scrollX;
-        const scrollY = window.scrollY;
 
         // Content box (innermost)
         const style = window.getComputedStyle(el);
@@ -1200,22 +1583,22 @@ async function handleDOM(
         const borderLeft = parseFloat(style.borderLeftWidth);
 
         const content = {
-          x: rect.left + scrollX + borderLeft + paddingLeft,
-          y: rect.top + scrollY + borderTop + paddingTop,
+          x: rect.left + borderLeft + paddingLeft,
+          y: rect.top + borderTop + paddingTop,
           width: rect.width - borderLeft - borderRight - paddingLeft - paddingRight,
           height: rect.height - borderTop - borderBottom - paddingTop - paddingBottom,
         };
 
         const padding = {
-          x: rect.left + scrollX + borderLeft,
-          y: rect.top + scrollY + borderTop,
+          x: rect.left + borderLeft,
+          y: rect.top + borderTop,
           width: rect.width - borderLeft - borderRight,
           height: rect.height - borderTop - borderBottom,
         };
 
         const border = {
-          x: rect.left + scrollX,
-          y: rect.top + scrollY,
+          x: rect.left,
+          y: rect.top,
           width: rect.width,
           height: rect.height,
         };
@@ -1227,8 +1610,8 @@ async function handleDOM(
         const marginLeft = parseFloat(style.marginLeft);
 
         const margin = {
-          x: rect.left + scrollX - marginLeft,
-          y: rect.top + scrollY - marginTop,
+          x: rect.left - marginLeft,
+          y: rect.top - marginTop,
           width: rect.width + marginLeft + marginRight,
           height: rect.height + marginTop + marginBottom,
         };
@@ -1416,21 +1799,296 @@ async function handleInput(
   }
 }
 
+/**
+ * Start forwarding a page's Puppeteer events for a CDP domain (idempotent per target)
+ */
+function startEventForwarding(
+  session: CDPSession,
+  targetId: string,
+  domain: string,
+  attach: () => () => void,
+): void {
+  const key = `${targetId}:${domain}`;
+  if (!session.eventForwarders.has(key)) {
+    session.eventForwarders.set(key, attach());
+  }
+}
+
+/**
+ * Stop forwarding events for one domain, or all domains when omitted
+ */
+function stopEventForwarding(session: CDPSession, targetId: string, domain?: string): void {
+  for (const [key, detach] of session.eventForwarders) {
+    if (key === `${targetId}:${domain}` || (!domain && key.startsWith(`${targetId}:`))) {
+      detach();
+      session.eventForwarders.delete(key);
+    }
+  }
+}
+
+/** CDP resource types are capitalized; Puppeteer lowercases them */
+const RESOURCE_TYPES: Record<string, string> = {
+  xhr: 'XHR',
+  eventsource: 'EventSource',
+  websocket: 'WebSocket',
+  texttrack: 'TextTrack',
+  signedexchange: 'SignedExchange',
+  cspviolationreport: 'CSPViolationReport',
+};
+
+/** CDP event timestamps are monotonic seconds */
+const monotonicSeconds = () => performance.now() / 1000;
+
+function toResourceType(type: string): string {
+  return RESOURCE_TYPES[type] || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Forward request/response activity as Network.* events. Returns a detach function.
+ */
+function forwardNetworkEvents(
+  session: CDPSession,
+  page: Page,
+  targetId: string,
+  ws: WebSocket,
+): () => void {
+  const requestIdFor = (request: HTTPRequest) => {
+    let requestId = session.requestIds.get(request);
+    if (!requestId) {
+      requestId = `req-${session.requestIdCounter++}`;
+      session.requestIds.set(request, requestId);
+    }
+    return requestId;
+  };
+
+  const onRequest = (request: HTTPRequest) => {
+    sendEvent(
+      ws,
+      'Network.requestWillBeSent',
+      {
+        requestId: requestIdFor(request),
+        loaderId: targetId,
+        documentURL: page.url(),
+        request: {
+          url: request.url(),
+          method: request.method(),
+          headers: request.headers(),
+          postData: request.postData(),
+          hasPostData: request.hasPostData(),
+        },
+        timestamp: monotonicSeconds(),
+        wallTime: Date.now() / 1000,
+        initiator: request.initiator() || { type: 'other' },
+        type: toResourceType(request.resourceType()),
+        frameId: targetId,
+      },
+      targetId,
+    );
+  };
+
+  const onResponse = (response: HTTPResponse) => {
+    const request = response.request();
+    session.responses.set(requestIdFor(request), response);
+    if (session.responses.size > MAX_TRACKED_RESPONSES) {
+      const oldest = session.responses.keys().next().value;
+      if (oldest !== undefined) session.responses.delete(oldest);
+    }
+
+    const headers = response.headers();
+    const remote = response.remoteAddress();
+    sendEvent(
+      ws,
+      'Network.responseReceived',
+      {
+        requestId: requestIdFor(request),
+        loaderId: targetId,
+        timestamp: monotonicSeconds(),
+        type: toResourceType(request.resourceType()),
+        frameId: targetId,
+        response: {
+          url: response.url(),
+          status: response.status(),
+          statusText: response.statusText(),
+          headers,
+          mimeType: (headers['content-type'] || '').split(';')[0].trim(),
+          remoteIPAddress: remote.ip,
+          remotePort: remote.port,
+          fromDiskCache: response.fromCache(),
+          fromServiceWorker: response.fromServiceWorker(),
+          timing: response.timing() ?? undefined,
+        },
+      },
+      targetId,
+    );
+  };
+
+  const onRequestFinished = (request: HTTPRequest) => {
+    const contentLength = request.response()?.headers()['content-length'];
+    sendEvent(
+      ws,
+      'Network.loadingFinished',
+      {
+        requestId: requestIdFor(request),
+        timestamp: monotonicSeconds(),
+        encodedDataLength: contentLength ? Number(contentLength) : 0,
+      },
+      targetId,
+    );
+  };
+
+  const onRequestFailed = (request: HTTPRequest) => {
+    const errorText = request.failure()?.errorText || 'net::ERR_FAILED';
+    sendEvent(
+      ws,
+      'Network.loadingFailed',
+      {
+        requestId: requestIdFor(request),
+        timestamp: monotonicSeconds(),
+        type: toResourceType(request.resourceType()),
+        errorText,
+        canceled: errorText.includes('ERR_ABORTED'),
+      },
+      targetId,
+    );
+  };
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+  page.on('requestfinished', onRequestFinished);
+  page.on('requestfailed', onRequestFailed);
+
+  return () => {
+    page.off('request', onRequest);
+    page.off('response', onResponse);
+    page.off('requestfinished', onRequestFinished);
+    page.off('requestfailed', onRequestFailed);
+  };
+}
+
+/** Puppeteer renames CDP's 'warning' console type to 'warn' */
+const toConsoleType = (type: string) => (type === 'warn' ? 'warning' : type);
+
+/**
+ * Forward console output and uncaught page errors as Runtime.consoleAPICalled /
+ * Runtime.exceptionThrown events. Returns a detach function.
+ */
+function forwardRuntimeEvents(page: Page, targetId: string, ws: WebSocket): () => void {
+  let exceptionId = 1;
+
+  // Clients wait for a default context before evaluating or reading console args
+  sendEvent(
+    ws,
+    'Runtime.executionContextCreated',
+    {
+      context: {
+        id: 1,
+        origin: page.url().startsWith('http') ? new URL(page.url()).origin : '',
+        name: '',
+        uniqueId: `${targetId}-1`,
+        auxData: { isDefault: true, type: 'default', frameId: targetId },
+      },
+    },
+    targetId,
+  );
+
+  const onConsole = (message: ConsoleMessage) => {
+    sendEvent(
+      ws,
+      'Runtime.consoleAPICalled',
+      {
+        type: toConsoleType(message.type()),
+        args: message.args().map((arg) => arg.remoteObject()),
+        executionContextId: 1,
+        timestamp: Date.now(),
+        stackTrace: {
+          callFrames: message.stackTrace().map((frame) => ({
+            functionName: '',
+            scriptId: '',
+            url: frame.url || '',
+            lineNumber: frame.lineNumber ?? 0,
+            columnNumber: frame.columnNumber ?? 0,
+          })),
+        },
+      },
+      targetId,
+    );
+  };
+
+  const onPageError = (error: Error) => {
+    const location = page.url();
+    sendEvent(
+      ws,
+      'Runtime.exceptionThrown',
+      {
+        timestamp: Date.now(),
+        exceptionDetails: {
+          exceptionId: exceptionId++,
+          text: 'Uncaught',
+          lineNumber: 0,
+          columnNumber: 0,
+          url: location,
+          executionContextId: 1,
+          exception: {
+            type: 'object',
+            subtype: 'error',
+            className: error.name || 'Error',
+            description: error.stack || `${error.name}: ${error.message}`,
+          },
+        },
+      },
+      targetId,
+    );
+  };
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+
+  return () => {
+    page.off('console', onConsole);
+    page.off('pageerror', onPageError);
+  };
+}
+
 /**
  * Network domain handlers
  */
 async function handleNetwork(
   session: CDPSession,
   page: Page | undefined,
+  targetId: string,
   command: string,
   params: Record<string, unknown>,
+  ws: WebSocket,
 ): Promise<unknown> {
   switch (command) {
-    case 'enable':
+    case 'enable': {
+      if (!page) throw new Error(`Target not found: ${targetId}`);
+      startEventForwarding(session, targetId, 'Network', () =>
+        forwardNetworkEvents(session, page, targetId, ws),
+      );
+      return {};
+    }
+
     case 'disable':
-      // Network events not fully supported, no-op
+      stopEventForwarding(session, targetId, 'Network');
       return {};
 
+    case 'getResponseBody': {
+      const requestId = params.requestId as string;
+      const response = session.responses.get(requestId);
+      if (!response) {
+        throw new Error(`No response body available for request: ${requestId}`);
+      }
+
+      const buffer = await response.buffer();
+      const contentType = response.headers()['content-type'] || '';
+      const isText = /^text\/|json|javascript|xml|svg|urlencoded/i.test(contentType);
+
+      return isText
+        ? { body: buffer.toString('utf8'), base64Encoded: false }
+        : { body: buffer.toString('base64'), base64Encoded: true };
+    }
+
     case 'setCacheDisabled': {
       if (page) {
         await page.setCacheEnabled(!(params.cacheDisabled as boolean));
@@ -1698,6 +2356,7 @@ async function handleEmulation(
 async function handleFetch(
   session: CDPSession,
   page: Page,
+  targetId: string,
   command: string,
   params: Record<string, unknown>,
   ws: WebSocket,
@@ -1740,17 +2399,22 @@ async function handleFetch(
           });
 
           // Send Fetch.requestPaused event
-          sendEvent(ws, 'Fetch.requestPaused', {
-            requestId,
-            request: {
-              url: request.url(),
-              method: request.method(),
-              headers: request.headers(),
-              postData: request.postData(),
+          sendEvent(
+            ws,
+            'Fetch.requestPaused',
+            {
+              requestId,
+              request: {
+                url: request.url(),
+                method: request.method(),
+                headers: request.headers(),
+                postData: request.postData(),
+              },
+              frameId: targetId,
+              resourceType: request.resourceType(),
             },
-            frameId: session.defaultTargetId,
-            resourceType: request.resourceType(),
-          });
+            targetId,
+          );
         } else {
           await request.continue();
         }
@@ -1894,10 +2558,16 @@ function sendError(ws: WebSocket, id: number, code: number, message: string): vo
 }
 
 /**
- * Send a CDP event
+ * Send a CDP event. Page-scoped events carry the page's targetId as `sessionId`
+ * (the value Target.attachToTarget returns) so clients can route them per tab.
  */
-function sendEvent(ws: WebSocket, method: string, params?: Record<string, unknown>): void {
-  const event: CDPEvent = { method, params };
+function sendEvent(
+  ws: WebSocket,
+  method: string,
+  params?: Record<string, unknown>,
+  sessionId?: string,
+): void {
+  const event: CDPEvent = sessionId ? { method, params, sessionId } : { method, params };
   ws.send(JSON.stringify(event));
 }
 
@@ -1,6 +1,6 @@
 import { Hono } from 'hono';
 import type { AppEnv } from '../types';
-import { findExistingMoltbotProcess, waitForProcess } from '../gateway';
+import { findExistingMoltbotProcess, readLlmTraffic, waitForProcess } from '../gateway';
 
 /**
  * Debug routes for inspecting container state
@@ -337,6 +337,28 @@ debug.get('/ws-test', async (c) => {
   return c.html(html);
 });
 
+// GET /debug/llm-traffic - Page through redacted LLM exchanges captured by the fetch interceptor
+debug.get('/llm-traffic', async (c) => {
+  const sandbox = c.get('sandbox');
+  const offset = Math.max(parseInt(c.req.query('offset') || '0', 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '20', 10) || 20, 1), 100);
+
+  try {
+    const page = await readLlmTraffic(sandbox, offset, limit);
+    return c.json({
+      capture_enabled: c.env.LLM_CAPTURE === 'true',
+      total: page.total,
+      offset: page.offset,
+      limit: page.limit,
+      next_offset: offset + page.entries.length < page.total ? offset + page.entries.length : null,
+      entries: page.entries,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    return c.json({ status: 'error', message: `Failed to read LLM traffic: ${errorMessage}` }, 500);
+  }
+});
+
 // GET /debug/env - Show environment configuration (sanitized)
 debug.get('/env', async (c) => {
   return c.json({
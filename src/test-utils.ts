@@ -94,3 +94,73 @@ export function suppressConsole() {
   vi.spyOn(console, 'error').mockImplementation(() => {});
   vi.spyOn(console, 'warn').mockImplementation(() => {});
 }
+
+export interface MockBucket {
+  bucket: R2Bucket;
+  objects: Map<string, { body: string; customMetadata?: Record<string, string>; uploaded: Date }>;
+}
+
+/**
+ * In-memory R2 bucket supporting get/head/put/delete/list with prefix and cursor paging.
+ */
+export function createMockBucket(options: { pageSize?: number } = {}): MockBucket {
+  const objects: MockBucket['objects'] = new Map();
+  const pageSize = options.pageSize ?? 1000;
+
+  const objectInfo = (key: string) => {
+    const object = objects.get(key)!;
+    return {
+      key,
+      size: object.body.length,
+      uploaded: object.uploaded,
+      customMetadata: object.customMetadata,
+    };
+  };
+
+  const bucket = {
+    get: vi.fn(async (key: string) => {
+      const object = objects.get(key);
+      if (!object) return null;
+      return {
+        ...objectInfo(key),
+        text: async () => object.body,
+        json: async () => JSON.parse(object.body),
+      };
+    }),
+    head: vi.fn(async (key: string) => (objects.has(key) ? objectInfo(key) : null)),
+    put: vi.fn(
+      async (
+        key: string,
+        body: string,
+        putOptions?: { customMetadata?: Record<string, string> },
+      ) => {
+        objects.set(key, {
+          body,
+          customMetadata: putOptions?.customMetadata,
+          uploaded: new Date(),
+        });
+        return objectInfo(key);
+      },
+    ),
+    delete: vi.fn(async (keys: string | string[]) => {
+      for (const key of Array.isArray(keys) ? keys : [keys]) objects.delete(key);
+    }),
+    list: vi.fn(async (listOptions: { prefix?: string; cursor?: string } = {}) => {
+      const keys = Array.from(objects.keys()).filter((key) =>
+        key.startsWith(listOptions.prefix ?? ''),
+      );
+      keys.sort();
+      const start = listOptions.cursor ? Number(listOptions.cursor) : 0;
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+      return {
+        objects: page.map(objectInfo),
+        truncated,
+        cursor: truncated ? String(start + pageSize) : undefined,
+        delimitedPrefixes: [],
+      };
+    }),
+  } as unknown as R2Bucket;
+
+  return { bucket, objects };
+}
@@ -38,6 +38,14 @@ export interface MoltbotEnv {
   R2_SECRET_ACCESS_KEY?: string;
   R2_BUCKET_NAME?: string; // Override bucket name (default: 'moltbot-data')
   CF_ACCOUNT_ID?: string; // Cloudflare account ID for R2 endpoint
+  R2_BACKUP_ENCRYPTION_KEY?: string; // Encrypt backups client-side with this passphrase (rclone crypt)
+  R2_BACKUP_RULES?: string; // JSON include/exclude rules per backup area (config, workspace, skills)
+  SNAPSHOT_INTERVAL_HOURS?: string; // Hours between automatic R2 snapshots (default: 6, 0 disables)
+  SNAPSHOT_RETENTION?: string; // Number of R2 snapshots to keep per trigger (default: 14)
+  // Notifications for new pairing requests and gateway restarts (Worker-side only)
+  NOTIFY_WEBHOOK_URL?: string; // POST a JSON event to this URL
+  NOTIFY_TELEGRAM_CHAT_ID?: string; // Send with TELEGRAM_BOT_TOKEN to this chat
+  NOTIFY_DISCORD_CHANNEL_ID?: string; // Send with DISCORD_BOT_TOKEN to this channel
   // Google AI Studio / BYOK
   GEMINI_API_KEY?: string; // Direct Google API key for embeddings
   CF_AIG_AUTHORIZATION?: string; // AI Gateway BYOK authorization header
@@ -52,9 +60,29 @@ export interface MoltbotEnv {
   LINEAR_API_KEY?: string;
   // Telegram extras
   TELEGRAM_DM_ALLOW_FROM?: string;
+  FETCH_INTERCEPTOR_RULES?: string; // Custom fetch interceptor routing rules (JSON or container file path)
+  // LLM budget caps enforced by the fetch interceptor in the container
+  LLM_BUDGET_DAILY_USD?: string; // Overall spend cap per UTC day, e.g. '5'
+  LLM_BUDGET_MONTHLY_USD?: string; // Overall spend cap per calendar month
+  LLM_BUDGET_DAILY_TOKENS?: string; // Overall token cap per UTC day
+  LLM_BUDGET_MONTHLY_TOKENS?: string; // Overall token cap per calendar month
+  LLM_BUDGET_PROVIDERS?: string; // JSON per-provider caps, e.g. '{"anthropic":{"dailyUsd":5}}'
+  LLM_BUDGET_WARN_PERCENT?: string; // Soft warning threshold as % of a cap (default: 80)
+  // LLM retries, failover and circuit breaking in the fetch interceptor
+  LLM_RETRY_MAX_ATTEMPTS?: string; // Attempts per LLM request including the first (default: 3)
+  LLM_RETRY_BASE_DELAY_MS?: string; // Initial backoff delay (default: 1000)
+  LLM_RETRY_MAX_DELAY_MS?: string; // Maximum backoff / Retry-After delay honored (default: 30000)
+  LLM_FAILOVER?: string; // Set to 'true' to fail over from AI Gateway to direct provider APIs
+  LLM_CIRCUIT_THRESHOLD?: string; // Consecutive failures before an upstream's circuit opens (default: 5)
+  LLM_CIRCUIT_COOLDOWN_MS?: string; // How long a circuit stays open (default: 30000)
+  // Debug capture of LLM traffic (redacted), readable at /debug/llm-traffic
+  LLM_CAPTURE?: string; // Set to 'true' to record LLM exchanges in the container
+  LLM_CAPTURE_MAX_BYTES?: string; // Capture file size before rotation (default: 5 MiB)
+  LLM_CAPTURE_BODY_LIMIT?: string; // Bytes of each body kept per exchange (default: 4096)
   // Browser Rendering binding for CDP shim
   BROWSER?: Fetcher;
   CDP_SECRET?: string; // Shared secret for CDP endpoint authentication
+  CDP_TOKEN?: string; // Scoped CDP token given to the container instead of CDP_SECRET
   WORKER_URL?: string; // Public URL of the worker (for CDP endpoint)
 }
 
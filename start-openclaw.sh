@@ -1,10 +1,12 @@
 #!/bin/bash
 # Startup script for OpenClaw in Cloudflare Sandbox
 # This script:
-# 1. Restores config/workspace/skills from R2 via rclone (if configured)
+# 1. Restores config/workspace/skills from R2 via rclone (if configured), decrypting them
+#    when R2_BACKUP_ENCRYPTION_KEY is set in the Worker (see src/gateway/r2.ts)
 # 2. Runs openclaw onboard --non-interactive to configure from env vars
 # 3. Patches config for features onboard doesn't cover (channels, gateway auth)
-# 4. Starts a background sync loop (rclone, watches for file changes)
+# 4. Starts a background sync loop (rclone, watches for file changes) that also takes
+#    periodic snapshots under snapshots/<id>/ (see src/gateway/snapshots.ts)
 # 5. Starts the gateway
 
 set -e
@@ -30,12 +32,31 @@ mkdir -p "$CONFIG_DIR"
 # ============================================================
 
 r2_configured() {
-    [ -n "$R2_ACCESS_KEY_ID" ] && [ -n "$R2_SECRET_ACCESS_KEY" ] && [ -n "$CF_ACCOUNT_ID" ]
+    [ -n "$R2_ACCESS_KEY_ID" ] && [ -n "$R2_SECRET_ACCESS_KEY" ] && [ -n "$CF_ACCOUNT_ID" ] || return 1
+    # Encrypted backups need the crypt remote the Worker writes (ensureRcloneConfig in
+    # src/gateway/r2.ts); never fall back to a plaintext backup
+    if [ "$R2_BACKUP_ENCRYPTED" = "true" ] && [ ! -f /tmp/.rclone-configured ]; then
+        echo "WARNING: R2 backups are encrypted but rclone is not configured, skipping R2" >&2
+        return 1
+    fi
 }
 
 R2_BUCKET="${R2_BUCKET_NAME:-moltbot-data}"
+RCLONE_FILTERS="/root/.config/rclone/filters"
+
+# Backup root: the crypt remote (encrypted/ in the bucket) or the bucket itself
+if [ "$R2_BACKUP_ENCRYPTED" = "true" ]; then
+    R2_REMOTE="r2crypt:"
+else
+    R2_REMOTE="r2:${R2_BUCKET}/"
+fi
 
+# The Worker usually writes the config (and the per-area filter files) before starting us
 setup_rclone() {
+    if [ -f /tmp/.rclone-configured ]; then
+        echo "Rclone already configured for bucket: $R2_BUCKET"
+        return
+    fi
     mkdir -p "$(dirname "$RCLONE_CONF")"
     cat > "$RCLONE_CONF" << EOF
 [r2]
@@ -51,8 +72,65 @@ EOF
     echo "Rclone configured for bucket: $R2_BUCKET"
 }
 
+# rclone flag applying an area's include/exclude rules (R2_BACKUP_RULES)
+area_filter() {
+    if [ -f "$RCLONE_FILTERS/$1.txt" ]; then
+        echo "--filter-from $RCLONE_FILTERS/$1.txt"
+    elif [ "$1" = "workspace" ]; then
+        echo "--exclude=skills/**"
+    fi
+}
+
 RCLONE_FLAGS="--transfers=16 --fast-list --s3-no-check-bucket"
 
+SNAPSHOT_INTERVAL_HOURS="${SNAPSHOT_INTERVAL_HOURS:-6}"
+SNAPSHOT_RETENTION="${SNAPSHOT_RETENTION:-14}"
+
+# Immutable copy of config/workspace/skills; unchanged files are copied server-side from
+# the mirror. The manifest is written last so incomplete snapshots are ignored.
+take_snapshot() {
+    local created id dest areas="" size count bytes
+    created=$(date -u +%Y-%m-%dT%H:%M:%S.%3NZ)
+    # Same format as snapshotId in src/gateway/snapshots.ts, e.g. 20260301T120000123Z
+    id=$(echo "$created" | tr -d ':.-')
+    dest="${R2_REMOTE}snapshots/${id}"
+
+    if [ -d "$CONFIG_DIR" ]; then
+        rclone copy "$CONFIG_DIR/" "$dest/openclaw/" --copy-dest "${R2_REMOTE}openclaw/" \
+            $RCLONE_FLAGS $(area_filter openclaw) || return 1
+        areas="$areas,\"openclaw\""
+    fi
+    if [ -d "$WORKSPACE_DIR" ]; then
+        rclone copy "$WORKSPACE_DIR/" "$dest/workspace/" --copy-dest "${R2_REMOTE}workspace/" \
+            $RCLONE_FLAGS $(area_filter workspace) || return 1
+        areas="$areas,\"workspace\""
+    fi
+    if [ -d "$SKILLS_DIR" ]; then
+        rclone copy "$SKILLS_DIR/" "$dest/skills/" --copy-dest "${R2_REMOTE}skills/" \
+            $RCLONE_FLAGS $(area_filter skills) || return 1
+        areas="$areas,\"skills\""
+    fi
+
+    size=$(rclone size --json "$dest/" $RCLONE_FLAGS 2>/dev/null)
+    count=$(echo "$size" | sed -n 's/.*"count":\([0-9]*\).*/\1/p')
+    bytes=$(echo "$size" | sed -n 's/.*"bytes":\([0-9]*\).*/\1/p')
+    printf '{"id":"%s","createdAt":"%s","trigger":"scheduled","areas":[%s],"files":%s,"bytes":%s}\n' \
+        "$id" "$created" "${areas#,}" "${count:-0}" "${bytes:-0}" \
+        | rclone rcat "$dest/manifest.json" $RCLONE_FLAGS || return 1
+    echo "$id"
+}
+
+# Delete all but the newest $SNAPSHOT_RETENTION scheduled snapshots. Manual and pre-restore
+# snapshots are kept to their own count by the Worker (pruneSnapshots in src/gateway/snapshots.ts)
+prune_snapshots() {
+    rclone cat "${R2_REMOTE}snapshots/" --include '/*/manifest.json' $RCLONE_FLAGS 2>/dev/null \
+        | grep '"trigger":"scheduled"' | sed -n 's/.*"id":"\([0-9TZ]*\)".*/\1/p' \
+        | sort -r | tail -n +$((SNAPSHOT_RETENTION + 1)) \
+        | while read -r old; do
+            rclone purge "${R2_REMOTE}snapshots/${old}/" $RCLONE_FLAGS && echo "$old"
+        done
+}
+
 # ============================================================
 # RESTORE FROM R2
 # ============================================================
@@ -60,11 +138,45 @@ RCLONE_FLAGS="--transfers=16 --fast-list --s3-no-check-bucket"
 if r2_configured; then
     setup_rclone
 
+    # First boot with encryption enabled: move the plaintext backup into the crypt remote,
+    # then delete the plaintext copy. Snapshots are moved below.
+    if [ "$R2_BACKUP_ENCRYPTED" = "true" ] \
+        && ! rclone ls "${R2_REMOTE}openclaw/openclaw.json" $RCLONE_FLAGS 2>/dev/null | grep -q openclaw.json \
+        && rclone ls "r2:${R2_BUCKET}/openclaw/openclaw.json" $RCLONE_FLAGS 2>/dev/null | grep -q openclaw.json; then
+        echo "Encrypting existing plaintext backup..."
+        MIGRATED=true
+        for area in openclaw workspace skills; do
+            if [ -n "$(rclone lsf "r2:${R2_BUCKET}/${area}/" -R --files-only $RCLONE_FLAGS 2>/dev/null | head -n 1)" ]; then
+                rclone copy "r2:${R2_BUCKET}/${area}/" "${R2_REMOTE}${area}/" $RCLONE_FLAGS || MIGRATED=false
+            fi
+        done
+        if [ "$MIGRATED" = "true" ]; then
+            for area in openclaw workspace skills; do
+                rclone purge "r2:${R2_BUCKET}/${area}/" $RCLONE_FLAGS 2>/dev/null || true
+            done
+            echo "Plaintext backup encrypted and removed"
+        else
+            echo "WARNING: encrypting the plaintext backup failed, it was left in place"
+        fi
+    fi
+
+    # Snapshots taken before encryption hold plaintext copies of the config, tokens included
+    # (listSnapshots in src/gateway/snapshots.ts does the same for running containers)
+    if [ "$R2_BACKUP_ENCRYPTED" = "true" ] \
+        && [ -n "$(rclone lsf "r2:${R2_BUCKET}/snapshots/" --max-depth 1 $RCLONE_FLAGS 2>/dev/null | head -n 1)" ]; then
+        echo "Encrypting plaintext snapshots..."
+        if rclone move "r2:${R2_BUCKET}/snapshots/" "${R2_REMOTE}snapshots/" $RCLONE_FLAGS; then
+            echo "Plaintext snapshots encrypted and removed"
+        else
+            echo "WARNING: encrypting plaintext snapshots failed, the rest were left in place"
+        fi
+    fi
+
     echo "Checking R2 for existing backup..."
     # Check if R2 has an openclaw config backup
-    if rclone ls "r2:${R2_BUCKET}/openclaw/openclaw.json" $RCLONE_FLAGS 2>/dev/null | grep -q openclaw.json; then
+    if rclone ls "${R2_REMOTE}openclaw/openclaw.json" $RCLONE_FLAGS 2>/dev/null | grep -q openclaw.json; then
         echo "Restoring config from R2..."
-        rclone copy "r2:${R2_BUCKET}/openclaw/" "$CONFIG_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: config restore failed with exit code $?"
+        rclone copy "${R2_REMOTE}openclaw/" "$CONFIG_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: config restore failed with exit code $?"
         echo "Config restored"
     elif rclone ls "r2:${R2_BUCKET}/clawdbot/clawdbot.json" $RCLONE_FLAGS 2>/dev/null | grep -q clawdbot.json; then
         echo "Restoring from legacy R2 backup..."
@@ -78,20 +190,20 @@ if r2_configured; then
     fi
 
     # Restore workspace
-    REMOTE_WS_COUNT=$(rclone ls "r2:${R2_BUCKET}/workspace/" $RCLONE_FLAGS 2>/dev/null | wc -l)
+    REMOTE_WS_COUNT=$(rclone ls "${R2_REMOTE}workspace/" $RCLONE_FLAGS 2>/dev/null | wc -l)
     if [ "$REMOTE_WS_COUNT" -gt 0 ]; then
         echo "Restoring workspace from R2 ($REMOTE_WS_COUNT files)..."
         mkdir -p "$WORKSPACE_DIR"
-        rclone copy "r2:${R2_BUCKET}/workspace/" "$WORKSPACE_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: workspace restore failed with exit code $?"
+        rclone copy "${R2_REMOTE}workspace/" "$WORKSPACE_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: workspace restore failed with exit code $?"
         echo "Workspace restored"
     fi
 
     # Restore skills
-    REMOTE_SK_COUNT=$(rclone ls "r2:${R2_BUCKET}/skills/" $RCLONE_FLAGS 2>/dev/null | wc -l)
+    REMOTE_SK_COUNT=$(rclone ls "${R2_REMOTE}skills/" $RCLONE_FLAGS 2>/dev/null | wc -l)
     if [ "$REMOTE_SK_COUNT" -gt 0 ]; then
         echo "Restoring skills from R2 ($REMOTE_SK_COUNT files)..."
         mkdir -p "$SKILLS_DIR"
-        rclone copy "r2:${R2_BUCKET}/skills/" "$SKILLS_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: skills restore failed with exit code $?"
+        rclone copy "${R2_REMOTE}skills/" "$SKILLS_DIR/" $RCLONE_FLAGS -v 2>&1 || echo "WARNING: skills restore failed with exit code $?"
         echo "Skills restored"
     fi
 else
@@ -318,6 +430,7 @@ if r2_configured; then
     echo "Starting background R2 sync loop..."
     (
         MARKER=/tmp/.last-sync-marker
+        SNAPSHOT_MARKER=/tmp/.last-snapshot-marker
         LOGFILE=/tmp/r2-sync.log
         touch "$MARKER"
 
@@ -337,20 +450,43 @@ if r2_configured; then
 
             if [ "$COUNT" -gt 0 ]; then
                 echo "[sync] Uploading changes ($COUNT files) at $(date)" >> "$LOGFILE"
-                rclone copy "$CONFIG_DIR/" "r2:${R2_BUCKET}/openclaw/" \
-                    $RCLONE_FLAGS --exclude='*.lock' --exclude='*.log' --exclude='*.tmp' --exclude='.git/**' 2>> "$LOGFILE"
+                rclone copy "$CONFIG_DIR/" "${R2_REMOTE}openclaw/" \
+                    $RCLONE_FLAGS $(area_filter openclaw) 2>> "$LOGFILE"
                 if [ -d "$WORKSPACE_DIR" ]; then
-                    rclone copy "$WORKSPACE_DIR/" "r2:${R2_BUCKET}/workspace/" \
-                        $RCLONE_FLAGS --exclude='skills/**' --exclude='.git/**' --exclude='node_modules/**' 2>> "$LOGFILE"
+                    rclone copy "$WORKSPACE_DIR/" "${R2_REMOTE}workspace/" \
+                        $RCLONE_FLAGS $(area_filter workspace) 2>> "$LOGFILE"
                 fi
                 if [ -d "$SKILLS_DIR" ]; then
-                    rclone copy "$SKILLS_DIR/" "r2:${R2_BUCKET}/skills/" \
-                        $RCLONE_FLAGS 2>> "$LOGFILE"
+                    rclone copy "$SKILLS_DIR/" "${R2_REMOTE}skills/" \
+                        $RCLONE_FLAGS $(area_filter skills) 2>> "$LOGFILE"
                 fi
                 date -Iseconds > "$LAST_SYNC_FILE"
                 touch "$MARKER"
                 echo "[sync] Complete at $(date)" >> "$LOGFILE"
             fi
+
+            # Periodic snapshot, timed from the newest one in R2 (containers rarely stay up
+            # for a whole interval)
+            if [ "$SNAPSHOT_INTERVAL_HOURS" -gt 0 ] 2>/dev/null; then
+                if [ ! -f "$SNAPSHOT_MARKER" ]; then
+                    LATEST=$(rclone lsf "${R2_REMOTE}snapshots/" --include '/*/manifest.json' -R $RCLONE_FLAGS 2>/dev/null \
+                        | cut -d/ -f1 | sort -r | head -n 1)
+                    if [ -n "$LATEST" ]; then
+                        touch -d "$(echo "$LATEST" | sed -E 's/^(....)(..)(..)T(..)(..)(..)([0-9]{3})?Z$/\1-\2-\3 \4:\5:\6 UTC/')" "$SNAPSHOT_MARKER"
+                    else
+                        touch -d @0 "$SNAPSHOT_MARKER"
+                    fi
+                fi
+                if [ -n "$(find "$SNAPSHOT_MARKER" -mmin +$((SNAPSHOT_INTERVAL_HOURS * 60)) 2>/dev/null)" ]; then
+                    touch "$SNAPSHOT_MARKER"
+                    if SNAPSHOT_ID=$(take_snapshot 2>> "$LOGFILE"); then
+                        echo "[snapshot] Created $SNAPSHOT_ID at $(date)" >> "$LOGFILE"
+                        prune_snapshots 2>> "$LOGFILE" | sed 's/^/[snapshot] Pruned /' >> "$LOGFILE"
+                    else
+                        echo "[snapshot] Failed at $(date)" >> "$LOGFILE"
+                    fi
+                fi
+            fi
         done
     ) &
     echo "Background sync loop started (PID: $!)"